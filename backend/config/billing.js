@@ -0,0 +1,30 @@
+// config/billing.js
+
+/* ============================================
+   RECURRING BILLING
+   Dues charged on each member's billing anniversary
+   (plan prices live in membership_plans)
+   ============================================ */
+
+// The automatic run is OFF unless BILLING_AUTO_RUN=true is set explicitly
+// WHY opt-in? Turning it on writes real dues into payments every day -
+// an admin should decide when that starts (preview first!)
+
+require('dotenv').config();
+
+const BILLING_AUTO_RUN = ['true', '1', 'yes'].includes(String(process.env.BILLING_AUTO_RUN || '').toLowerCase());
+
+// node-cron format (with seconds) - default: every day at 6:00 AM
+const BILLING_SCHEDULE = process.env.BILLING_SCHEDULE || '0 0 6 * * *';
+const BILLING_TIMEZONE = process.env.BILLING_TIMEZONE || 'America/Toronto';
+
+// A period that started up to this many days ago is still charged
+// (covers a server that was down on someone's anniversary)
+const BILLING_GRACE_DAYS = parseInt(process.env.BILLING_GRACE_DAYS, 10) || 3;
+
+module.exports = {
+    BILLING_AUTO_RUN,
+    BILLING_SCHEDULE,
+    BILLING_TIMEZONE,
+    BILLING_GRACE_DAYS
+};
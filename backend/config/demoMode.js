@@ -0,0 +1,24 @@
+// config/demoMode.js
+
+/* ============================================
+   DEMO MODE
+   Nightly reset to seed data - for the public demo ONLY
+   ============================================ */
+
+// OFF unless DEMO_MODE=true is set explicitly
+// WHY opt-in? A real gym running this code would lose every member,
+// payment and check-in at 3 AM if the reset were on by default.
+
+require('dotenv').config();
+
+const DEMO_MODE = ['true', '1', 'yes'].includes(String(process.env.DEMO_MODE || '').toLowerCase());
+
+// node-cron format (with seconds) - default: every day at 3:00 AM
+const DEMO_RESET_SCHEDULE = process.env.DEMO_RESET_SCHEDULE || '0 0 3 * * *';
+const DEMO_RESET_TIMEZONE = process.env.DEMO_RESET_TIMEZONE || 'America/Toronto';
+
+module.exports = {
+    DEMO_MODE,
+    DEMO_RESET_SCHEDULE,
+    DEMO_RESET_TIMEZONE
+};
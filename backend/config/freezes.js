@@ -0,0 +1,20 @@
+// config/freezes.js
+
+/* ============================================
+   FREEZE SCHEDULER
+   Starts future-dated freezes and ends expired ones
+   ============================================ */
+
+// ON by default - it only does what staff already asked for
+// (the freeze dates they entered), it never invents a change
+
+require('dotenv').config();
+
+// node-cron format (with seconds) - default: every day at 00:05
+const FREEZE_CHECK_SCHEDULE = process.env.FREEZE_CHECK_SCHEDULE || '0 5 0 * * *';
+const FREEZE_TIMEZONE = process.env.FREEZE_TIMEZONE || 'America/Toronto';
+
+module.exports = {
+    FREEZE_CHECK_SCHEDULE,
+    FREEZE_TIMEZONE
+};
@@ -0,0 +1,37 @@
+// config/kiosk.js
+
+/* ============================================
+   SELF CHECK-IN KIOSK
+   Device tokens + member kiosk PINs
+   ============================================ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+// Key for the kiosk PIN HMAC (members.kiosk_pin_hash)
+// WHY not bcrypt? A kiosk PIN is typed WITHOUT a member ID, so the
+// hash has to be the same every time to look the member up by it.
+// Changing this secret invalidates every PIN - members set new ones
+// Production refuses to start without it (a known key = forged PIN
+// hashes); elsewhere a random per-process key keeps local dev working
+if (!process.env.KIOSK_PIN_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('KIOSK_PIN_SECRET must be set in production');
+}
+
+const KIOSK_PIN_SECRET = process.env.KIOSK_PIN_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.KIOSK_PIN_SECRET) {
+    console.warn('⚠️ KIOSK_PIN_SECRET missing - using a temporary PIN secret (PINs stop working on restart)');
+}
+
+// PINs are digits only, this long
+const KIOSK_PIN_LENGTH = 6;
+
+// Shown before the random part of a device token (kiosk_1a2b...)
+const KIOSK_TOKEN_PREFIX = 'kiosk_';
+
+module.exports = {
+    KIOSK_PIN_SECRET,
+    KIOSK_PIN_LENGTH,
+    KIOSK_TOKEN_PREFIX
+};
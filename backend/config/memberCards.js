@@ -0,0 +1,43 @@
+// config/memberCards.js
+
+/* ============================================
+   DIGITAL MEMBERSHIP CARDS
+   Signed QR payload on every card + wallet pass fields
+   ============================================ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+// Key for the card signature (HMAC-SHA256)
+// Changing it invalidates every card ever issued - members need new ones
+// Production refuses to start without it (a known key = forged cards);
+// elsewhere a random per-process key keeps local dev working
+if (!process.env.MEMBER_CARD_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('MEMBER_CARD_SECRET must be set in production');
+}
+
+const MEMBER_CARD_SECRET = process.env.MEMBER_CARD_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.MEMBER_CARD_SECRET) {
+    console.warn('⚠️ MEMBER_CARD_SECRET missing - using a temporary card secret (cards stop scanning on restart)');
+}
+
+// A card is good for this many days from the day it's issued
+const MEMBER_CARD_VALID_DAYS = parseInt(process.env.MEMBER_CARD_VALID_DAYS, 10) || 365;
+
+// Printed on the card / wallet pass
+const MEMBER_CARD_ORGANIZATION = process.env.MEMBER_CARD_ORGANIZATION || 'GymFlow';
+
+// Wallet pass identifiers (Apple Developer account)
+// The pass JSON is unsigned - packaging it as a .pkpass needs the
+// pass certificate, which stays outside this app
+const WALLET_PASS_TYPE_ID = process.env.WALLET_PASS_TYPE_ID || 'pass.com.gymflow.membership';
+const WALLET_TEAM_ID = process.env.WALLET_TEAM_ID || null;
+
+module.exports = {
+    MEMBER_CARD_SECRET,
+    MEMBER_CARD_VALID_DAYS,
+    MEMBER_CARD_ORGANIZATION,
+    WALLET_PASS_TYPE_ID,
+    WALLET_TEAM_ID
+};
@@ -0,0 +1,19 @@
+// config/occupancy.js
+
+/* ============================================
+   AUTO CHECK-OUT SCHEDULER
+   Closes sessions that ran past the session length
+   ============================================ */
+
+// The session length itself is a setting (Settings -> Check-In Rules),
+// this is only how often we sweep. Occupancy numbers never wait for
+// the sweep - they ignore sessions older than the session length anyway
+
+require('dotenv').config();
+
+// node-cron format (with seconds) - default: every 5 minutes
+const AUTO_CHECKOUT_SCHEDULE = process.env.AUTO_CHECKOUT_SCHEDULE || '0 */5 * * * *';
+
+module.exports = {
+    AUTO_CHECKOUT_SCHEDULE
+};
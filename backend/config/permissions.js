@@ -0,0 +1,124 @@
+// config/permissions.js
+
+/* ============================================
+   ROLES & PERMISSIONS
+   Which admin role is allowed to do what
+   ============================================ */
+
+// HOW IT WORKS:
+// - Every protected route asks for ONE permission (e.g. 'members.delete')
+// - Every admin has ONE role (admins.role column)
+// - A role is just a list of permissions
+//
+// WHY permissions instead of checking roles in routes?
+// - Routes say WHAT they need, not WHO is allowed
+// - Changing what a manager can do = edit this file, not 20 routes
+
+/* ============================================
+   PERMISSION CATALOG
+   ============================================ */
+
+const PERMISSIONS = {
+    // Members
+    'members.create':       'Add new members',
+    'members.import':       'Bulk import members from CSV/XLSX files',
+    'members.update':       'Edit member details',
+    'members.merge':        'Find and merge duplicate members',
+    'members.delete':       'Cancel (soft delete) members',
+    'members.status':       'Freeze, unfreeze and reactivate members',
+    'members.checkin':      'Check members in',
+    'members.cards':        'Issue digital membership cards',
+    'checkins.override':    'Check members in despite failed check-in rules (logged)',
+
+    // Payments
+    'payments.record':      'Record payments',
+    'payments.refund':      'Refund payments',
+    'payments.methods':     'Update payment methods on file',
+    'billing.view':         'Preview billing and view billing runs',
+    'billing.run':          'Run recurring membership billing',
+    'plans.manage':         'Create, edit and retire membership plans',
+
+    // Staff & scheduling
+    'staff.create':         'Add staff and trainers',
+    'staff.update':         'Edit and reactivate staff',
+    'staff.delete':         'Remove staff',
+    'shifts.manage':        'Create and edit shifts',
+    'shifts.delete':        'Delete shifts',
+
+    // Inventory
+    'inventory.manage':     'Add and edit products',
+    'inventory.adjust':     'Adjust stock levels',
+    'reorders.create':      'Create reorder requests',
+    'reorders.approve':     'Approve and reject reorder requests',
+    'reorders.receive':     'Receive reorder deliveries',
+    'transfers.manage':     'Create, ship and cancel stock transfers',
+    'transfers.receive':    'Receive stock transfers',
+    'vendors.manage':       'Add, edit and remove vendors',
+
+    // System
+    'locations.update':     'Edit location details',
+    'kiosks.manage':        'Pair and revoke self check-in kiosks',
+    'settings.update':      'Change system settings',
+    'admins.manage':        'Manage administrator accounts',
+    'audit.view':           'View the audit log',
+    'reports.export':       'Export lists to CSV, XLSX and PDF',
+    'system.reset':         'Reset the demo database and view reset status'
+};
+
+/* ============================================
+   ROLES
+   Ordered from most to least privileged
+   ============================================ */
+
+const ROLES = ['super_admin', 'admin', 'manager', 'front_desk'];
+
+const ROLE_PERMISSIONS = {
+    // Owner - everything
+    super_admin: Object.keys(PERMISSIONS),
+
+    // Runs the business - everything except managing other admins
+    // (and wiping the demo database)
+    admin: Object.keys(PERMISSIONS).filter(p => !['admins.manage', 'system.reset'].includes(p)),
+
+    // Runs a location day-to-day
+    // Can approve orders and refund, but can't change system settings
+    manager: [
+        'members.create', 'members.import', 'members.update', 'members.merge', 'members.delete',
+        'members.status', 'members.checkin', 'members.cards', 'checkins.override',
+        'payments.record', 'payments.refund', 'payments.methods', 'billing.view',
+        'staff.create', 'staff.update', 'shifts.manage', 'shifts.delete',
+        'inventory.manage', 'inventory.adjust',
+        'reorders.create', 'reorders.approve', 'reorders.receive',
+        'transfers.manage', 'transfers.receive',
+        'vendors.manage', 'reports.export'
+    ],
+
+    // Front desk - check people in, sign them up, take payments
+    // Can REQUEST stock but never approve purchase orders
+    // (or send stock away - only sign for what arrives)
+    front_desk: [
+        'members.create', 'members.update', 'members.status', 'members.checkin', 'members.cards',
+        'payments.record', 'payments.methods',
+        'reorders.create', 'reorders.receive', 'transfers.receive'
+    ]
+};
+
+/* ============================================
+   HELPERS
+   ============================================ */
+
+function getPermissionsForRole(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+    return getPermissionsForRole(role).includes(permission);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_PERMISSIONS,
+    getPermissionsForRole,
+    hasPermission
+};
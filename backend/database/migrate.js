@@ -0,0 +1,64 @@
+/* ============================================
+   MIGRATION CLI
+   npm run migrate            -> apply pending migrations
+   npm run migrate:rollback   -> undo the last batch
+   npm run migrate:status     -> list applied / pending
+   npm run db:seed            -> load demo data (wipes tables!)
+   ============================================ */
+
+require('dotenv').config();
+
+const db = require('../config/database');
+const { migrate, rollback, getMigrationStatus, runSeed } = require('../utils/migrations');
+
+const COMMANDS = {
+    async migrate() {
+        await migrate();
+    },
+
+    async rollback() {
+        await rollback();
+    },
+
+    async status() {
+        const migrations = await getMigrationStatus();
+
+        console.table(migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            status: migration.applied ? `applied (batch ${migration.batch})` : 'pending',
+            applied_at: migration.applied_at ? new Date(migration.applied_at).toISOString() : ''
+        })));
+    },
+
+    async seed() {
+        // Seed data replaces everything - refuse in production unless forced
+        if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+            throw new Error('Refusing to seed a production database (pass --force to override)');
+        }
+
+        await runSeed();
+    }
+};
+
+async function main() {
+    const command = process.argv[2] || 'migrate';
+
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command: ${command}`);
+        console.error(`Usage: node database/migrate.js <${Object.keys(COMMANDS).join('|')}>`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await COMMANDS[command]();
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.end();
+    }
+}
+
+main();
@@ -0,0 +1,323 @@
+/* ============================================
+   MIGRATION 001: INITIAL SCHEMA
+   The original GymFlow tables (as in the first seed.sql dump)
+   ============================================ */
+
+// WHY "IF NOT EXISTS"?
+// Databases created from the old seed.sql already have these tables.
+// On those, this migration changes nothing and is simply marked as applied,
+// so every later migration runs on top of the existing data.
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE IF NOT EXISTS locations (
+                id int NOT NULL AUTO_INCREMENT,
+                name varchar(100) NOT NULL,
+                capacity int NOT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS inventory_categories (
+                id int NOT NULL AUTO_INCREMENT,
+                name varchar(100) NOT NULL,
+                description text,
+                icon varchar(50) DEFAULT 'fa-box',
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS vendors (
+                id int NOT NULL AUTO_INCREMENT,
+                vendor_name varchar(100) NOT NULL,
+                category enum('Equipment','Supplies','Services','Other') DEFAULT 'Supplies',
+                contact_person varchar(100) DEFAULT NULL,
+                email varchar(100) DEFAULT NULL,
+                phone varchar(20) DEFAULT NULL,
+                address_street varchar(200) DEFAULT NULL,
+                address_city varchar(100) DEFAULT NULL,
+                address_province varchar(50) DEFAULT NULL,
+                address_postal_code varchar(10) DEFAULT NULL,
+                payment_terms varchar(50) DEFAULT 'Net 30',
+                tax_id varchar(50) DEFAULT NULL,
+                notes text,
+                status enum('Active','Inactive') DEFAULT 'Active',
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS admins (
+                id int NOT NULL AUTO_INCREMENT,
+                username varchar(50) NOT NULL,
+                password_hash varchar(255) NOT NULL,
+                full_name varchar(100) NOT NULL,
+                email varchar(100) NOT NULL,
+                role enum('admin','super_admin') DEFAULT 'admin',
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                last_login timestamp NULL DEFAULT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY username (username),
+                UNIQUE KEY email (email)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS system_settings (
+                id int NOT NULL DEFAULT '1',
+                currency_symbol varchar(5) DEFAULT '$',
+                date_format varchar(20) DEFAULT 'MM/DD/YYYY',
+                low_inventory_threshold int DEFAULT '10',
+                capacity_warning_percent int DEFAULT '85',
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS members (
+                id int NOT NULL AUTO_INCREMENT,
+                member_id varchar(20) DEFAULT NULL,
+                name varchar(255) NOT NULL,
+                email varchar(255) NOT NULL,
+                phone varchar(20) DEFAULT NULL,
+                emergency_contact varchar(255) DEFAULT NULL,
+                location_id int NOT NULL,
+                plan varchar(50) NOT NULL,
+                status enum('active','frozen','cancelled','inactive') DEFAULT 'active',
+                notes text,
+                freeze_start_date date DEFAULT NULL,
+                freeze_end_date date DEFAULT NULL,
+                freeze_reason varchar(100) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY email (email),
+                UNIQUE KEY member_id (member_id),
+                KEY location_id (location_id),
+                CONSTRAINT members_ibfk_1 FOREIGN KEY (location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS staff (
+                id int NOT NULL AUTO_INCREMENT,
+                staff_id varchar(20) DEFAULT NULL,
+                name varchar(255) NOT NULL,
+                email varchar(255) NOT NULL,
+                phone varchar(20) DEFAULT NULL,
+                emergency_contact varchar(255) DEFAULT NULL,
+                emergency_phone varchar(20) DEFAULT NULL,
+                location_id int NOT NULL,
+                role varchar(50) NOT NULL,
+                specialty enum('Strength','Hypertrophy','Weight Loss','Conditioning','Yoga / Mobility') DEFAULT NULL,
+                hire_date date DEFAULT NULL,
+                hourly_rate decimal(10,2) DEFAULT NULL,
+                status enum('active','on_leave','terminated','inactive') DEFAULT 'active',
+                notes text,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY email (email),
+                UNIQUE KEY staff_id (staff_id),
+                KEY location_id (location_id),
+                KEY idx_staff_id (staff_id),
+                KEY idx_staff_status (status),
+                CONSTRAINT staff_ibfk_1 FOREIGN KEY (location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS products (
+                id int NOT NULL AUTO_INCREMENT,
+                sku varchar(50) NOT NULL,
+                name varchar(255) NOT NULL,
+                description text,
+                category_id int NOT NULL,
+                unit_price decimal(10,2) DEFAULT '0.00',
+                cost_price decimal(10,2) DEFAULT '0.00',
+                reorder_point int DEFAULT '10',
+                reorder_quantity int DEFAULT '25',
+                status enum('active','discontinued') DEFAULT 'active',
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY sku (sku),
+                KEY category_id (category_id),
+                CONSTRAINT products_ibfk_1 FOREIGN KEY (category_id) REFERENCES inventory_categories (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS check_ins (
+                id int NOT NULL AUTO_INCREMENT,
+                member_id int NOT NULL,
+                location_id int NOT NULL,
+                check_in_time datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_checkins_member_id (member_id),
+                KEY idx_checkins_time (check_in_time DESC),
+                KEY idx_checkins_location_time (location_id,check_in_time DESC),
+                CONSTRAINT fk_checkin_location FOREIGN KEY (location_id) REFERENCES locations (id) ON DELETE RESTRICT,
+                CONSTRAINT fk_checkin_member FOREIGN KEY (member_id) REFERENCES members (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS inventory (
+                id int NOT NULL AUTO_INCREMENT,
+                item_name varchar(255) NOT NULL,
+                quantity int NOT NULL,
+                threshold int NOT NULL,
+                location_id int NOT NULL,
+                status enum('ok','low','critical') DEFAULT 'ok',
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY location_id (location_id),
+                CONSTRAINT inventory_ibfk_1 FOREIGN KEY (location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS inventory_stock (
+                id int NOT NULL AUTO_INCREMENT,
+                product_id int NOT NULL,
+                location_id int NOT NULL,
+                quantity int DEFAULT '0',
+                last_restocked timestamp NULL DEFAULT NULL,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY unique_product_location (product_id,location_id),
+                KEY location_id (location_id),
+                CONSTRAINT inventory_stock_ibfk_1 FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+                CONSTRAINT inventory_stock_ibfk_2 FOREIGN KEY (location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS payment_methods (
+                id int NOT NULL AUTO_INCREMENT,
+                member_id int NOT NULL,
+                card_type enum('Visa','Mastercard','Amex','Discover','Other') NOT NULL,
+                last_four char(4) NOT NULL,
+                expiry_month tinyint NOT NULL,
+                expiry_year year NOT NULL,
+                cardholder_name varchar(10) DEFAULT NULL,
+                billing_zip varchar(10) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY member_id (member_id),
+                CONSTRAINT payment_methods_ibfk_1 FOREIGN KEY (member_id) REFERENCES members (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS payments (
+                id int NOT NULL AUTO_INCREMENT,
+                member_id int NOT NULL,
+                amount decimal(10,2) NOT NULL,
+                payment_date date NOT NULL,
+                payment_method enum('Cash','Cheque','Credit Card','Bank Transfer','Other') NOT NULL,
+                status enum('success','failed','pending','refunded') DEFAULT 'success',
+                notes text,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY member_id (member_id),
+                CONSTRAINT payments_ibfk_1 FOREIGN KEY (member_id) REFERENCES members (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS reorder_requests (
+                id int NOT NULL AUTO_INCREMENT,
+                request_number varchar(20) NOT NULL,
+                product_id int NOT NULL,
+                location_id int NOT NULL,
+                quantity_requested int NOT NULL,
+                quantity_received int DEFAULT '0',
+                unit_cost decimal(10,2) DEFAULT NULL,
+                total_cost decimal(10,2) DEFAULT NULL,
+                status enum('pending','approved','received','rejected') DEFAULT 'pending',
+                requested_by varchar(100) DEFAULT NULL,
+                approved_by varchar(100) DEFAULT NULL,
+                notes text,
+                requested_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                approved_at timestamp NULL DEFAULT NULL,
+                vendor_id int DEFAULT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY request_number (request_number),
+                KEY product_id (product_id),
+                KEY location_id (location_id),
+                KEY fk_vendor (vendor_id),
+                CONSTRAINT fk_vendor FOREIGN KEY (vendor_id) REFERENCES vendors (id) ON DELETE SET NULL,
+                CONSTRAINT reorder_requests_ibfk_1 FOREIGN KEY (product_id) REFERENCES products (id),
+                CONSTRAINT reorder_requests_ibfk_2 FOREIGN KEY (location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS revenue (
+                id int NOT NULL AUTO_INCREMENT,
+                location_id int NOT NULL,
+                amount decimal(10,2) NOT NULL,
+                month date NOT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY location_id (location_id),
+                CONSTRAINT revenue_ibfk_1 FOREIGN KEY (location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE IF NOT EXISTS shifts (
+                id int NOT NULL AUTO_INCREMENT,
+                staff_id int NOT NULL,
+                location_id int NOT NULL,
+                shift_date date NOT NULL,
+                start_time time NOT NULL,
+                end_time time NOT NULL,
+                role varchar(50) NOT NULL,
+                status enum('scheduled','completed','cancelled') DEFAULT 'scheduled',
+                notes text,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_shift_date (shift_date),
+                KEY idx_shift_id (staff_id),
+                KEY idx_location_id (location_id),
+                CONSTRAINT shifts_ibfk_1 FOREIGN KEY (staff_id) REFERENCES staff (id) ON DELETE CASCADE,
+                CONSTRAINT shifts_ibfk_2 FOREIGN KEY (location_id) REFERENCES locations (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS shifts');
+        await query('DROP TABLE IF EXISTS revenue');
+        await query('DROP TABLE IF EXISTS reorder_requests');
+        await query('DROP TABLE IF EXISTS payments');
+        await query('DROP TABLE IF EXISTS payment_methods');
+        await query('DROP TABLE IF EXISTS inventory_stock');
+        await query('DROP TABLE IF EXISTS inventory');
+        await query('DROP TABLE IF EXISTS check_ins');
+        await query('DROP TABLE IF EXISTS products');
+        await query('DROP TABLE IF EXISTS staff');
+        await query('DROP TABLE IF EXISTS members');
+        await query('DROP TABLE IF EXISTS system_settings');
+        await query('DROP TABLE IF EXISTS admins');
+        await query('DROP TABLE IF EXISTS vendors');
+        await query('DROP TABLE IF EXISTS inventory_categories');
+        await query('DROP TABLE IF EXISTS locations');
+    }
+};
@@ -0,0 +1,48 @@
+/* ============================================
+   MIGRATION 002: ADMIN ACCOUNTS
+   Session tokens, role-based permissions, account status
+   ============================================ */
+
+module.exports = {
+    async up(query) {
+        // Refresh tokens (hashed) - one row per signed-in device
+        await query(`
+            CREATE TABLE admin_sessions (
+                id int NOT NULL AUTO_INCREMENT,
+                admin_id int NOT NULL,
+                refresh_token_hash char(64) NOT NULL,
+                ip_address varchar(45) DEFAULT NULL,
+                user_agent varchar(255) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                last_used_at timestamp NULL DEFAULT NULL,
+                expires_at timestamp NOT NULL,
+                revoked_at timestamp NULL DEFAULT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY refresh_token_hash (refresh_token_hash),
+                KEY idx_sessions_admin_id (admin_id),
+                CONSTRAINT admin_sessions_ibfk_1 FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        // New roles: manager + front_desk (see config/permissions.js)
+        await query(`
+            ALTER TABLE admins
+                MODIFY role enum('super_admin','admin','manager','front_desk') DEFAULT 'admin',
+                ADD COLUMN status enum('active','disabled') DEFAULT 'active',
+                ADD COLUMN must_reset_password tinyint(1) DEFAULT '0'
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS admin_sessions');
+
+        // manager/front_desk don't exist in the old enum - fall back to admin
+        await query("UPDATE admins SET role = 'admin' WHERE role IN ('manager', 'front_desk')");
+        await query(`
+            ALTER TABLE admins
+                MODIFY role enum('admin','super_admin') DEFAULT 'admin',
+                DROP COLUMN status,
+                DROP COLUMN must_reset_password
+        `);
+    }
+};
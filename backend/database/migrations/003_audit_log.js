@@ -0,0 +1,39 @@
+/* ============================================
+   MIGRATION 003: AUDIT LOG
+   Append-only, hash-chained record of every write
+   ============================================ */
+
+module.exports = {
+    async up(query) {
+        // before/after snapshots are stored as TEXT (not JSON) so the
+        // hashed string is exactly what comes back - see utils/auditLog.js
+        await query(`
+            CREATE TABLE audit_log (
+                id int NOT NULL AUTO_INCREMENT,
+                seq int NOT NULL,
+                admin_id int DEFAULT NULL,
+                admin_username varchar(50) DEFAULT NULL,
+                action varchar(50) NOT NULL,
+                method varchar(10) NOT NULL,
+                route varchar(255) NOT NULL,
+                entity_type varchar(50) NOT NULL,
+                entity_id varchar(50) DEFAULT NULL,
+                before_data mediumtext,
+                after_data mediumtext,
+                ip_address varchar(45) DEFAULT NULL,
+                created_at datetime(3) NOT NULL,
+                prev_hash char(64) NOT NULL,
+                hash char(64) NOT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY seq (seq),
+                KEY idx_audit_entity (entity_type,entity_id),
+                KEY idx_audit_admin (admin_id),
+                KEY idx_audit_created_at (created_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS audit_log');
+    }
+};
@@ -0,0 +1,51 @@
+/* ============================================
+   MIGRATION 004: ADMIN TWO-FACTOR AUTHENTICATION
+   TOTP secret, recovery codes, "require 2FA" policy
+   ============================================ */
+
+module.exports = {
+    async up(query) {
+        await query(`
+            ALTER TABLE admins
+                ADD COLUMN totp_secret varchar(64) DEFAULT NULL,
+                ADD COLUMN totp_enabled tinyint(1) DEFAULT '0',
+                ADD COLUMN totp_enabled_at timestamp NULL DEFAULT NULL
+        `);
+
+        // Sessions started with password only vs password + code
+        await query(`
+            ALTER TABLE admin_sessions
+                ADD COLUMN mfa_verified tinyint(1) DEFAULT '0' AFTER user_agent
+        `);
+
+        await query(`
+            ALTER TABLE system_settings
+                ADD COLUMN require_admin_2fa tinyint(1) DEFAULT '0' AFTER capacity_warning_percent
+        `);
+
+        await query(`
+            CREATE TABLE admin_recovery_codes (
+                id int NOT NULL AUTO_INCREMENT,
+                admin_id int NOT NULL,
+                code_hash char(64) NOT NULL,
+                used_at timestamp NULL DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_recovery_admin_id (admin_id),
+                CONSTRAINT admin_recovery_codes_ibfk_1 FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS admin_recovery_codes');
+        await query('ALTER TABLE system_settings DROP COLUMN require_admin_2fa');
+        await query('ALTER TABLE admin_sessions DROP COLUMN mfa_verified');
+        await query(`
+            ALTER TABLE admins
+                DROP COLUMN totp_secret,
+                DROP COLUMN totp_enabled,
+                DROP COLUMN totp_enabled_at
+        `);
+    }
+};
@@ -0,0 +1,41 @@
+/* ============================================
+   MIGRATION 005: LOGIN ATTEMPTS & LOCKOUT
+   Per-account failure counter + sign-in history
+   ============================================ */
+
+module.exports = {
+    async up(query) {
+        await query(`
+            ALTER TABLE admins
+                ADD COLUMN failed_login_attempts int DEFAULT '0',
+                ADD COLUMN locked_until timestamp NULL DEFAULT NULL
+        `);
+
+        // admin_id is NULL for unknown usernames
+        await query(`
+            CREATE TABLE login_attempts (
+                id int NOT NULL AUTO_INCREMENT,
+                admin_id int DEFAULT NULL,
+                username varchar(50) NOT NULL,
+                ip_address varchar(45) DEFAULT NULL,
+                user_agent varchar(255) DEFAULT NULL,
+                outcome enum('success','invalid_password','invalid_2fa','unknown_user','locked','disabled') NOT NULL,
+                suspicious tinyint(1) DEFAULT '0',
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_login_attempts_admin_id (admin_id),
+                KEY idx_login_attempts_created_at (created_at),
+                CONSTRAINT login_attempts_ibfk_1 FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE SET NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS login_attempts');
+        await query(`
+            ALTER TABLE admins
+                DROP COLUMN failed_login_attempts,
+                DROP COLUMN locked_until
+        `);
+    }
+};
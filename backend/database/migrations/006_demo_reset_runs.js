@@ -0,0 +1,30 @@
+/* ============================================
+   MIGRATION 006: DEMO RESET RUNS
+   History of demo-mode database resets
+   ============================================ */
+
+// Not in seed.sql's list of cleared tables on purpose:
+// the reset must not wipe its own history
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE demo_reset_runs (
+                id int NOT NULL AUTO_INCREMENT,
+                source enum('schedule','manual') NOT NULL,
+                triggered_by varchar(50) DEFAULT NULL,
+                status enum('running','success','failed') NOT NULL DEFAULT 'running',
+                statements int DEFAULT NULL,
+                error text,
+                started_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                finished_at timestamp NULL DEFAULT NULL,
+                PRIMARY KEY (id),
+                KEY idx_demo_reset_started_at (started_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS demo_reset_runs');
+    }
+};
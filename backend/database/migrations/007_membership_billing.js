@@ -0,0 +1,59 @@
+/* ============================================
+   MIGRATION 007: MEMBERSHIP BILLING
+   Billing runs + one charge row per member per period
+   ============================================ */
+
+// The dues themselves are ordinary rows in payments -
+// billing_charges links each one to the period it paid for.
+// UNIQUE (member_id, period_start) = a period can never be billed twice,
+// even if two runs overlap.
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE billing_runs (
+                id int NOT NULL AUTO_INCREMENT,
+                run_date date NOT NULL,
+                source enum('schedule','manual') NOT NULL,
+                triggered_by varchar(50) DEFAULT NULL,
+                status enum('running','success','failed') NOT NULL DEFAULT 'running',
+                charges_created int DEFAULT '0',
+                total_amount decimal(10,2) DEFAULT '0.00',
+                error text,
+                started_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                finished_at timestamp NULL DEFAULT NULL,
+                PRIMARY KEY (id),
+                KEY idx_billing_runs_run_date (run_date)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE billing_charges (
+                id int NOT NULL AUTO_INCREMENT,
+                run_id int NOT NULL,
+                member_id int NOT NULL,
+                payment_id int DEFAULT NULL,
+                plan varchar(50) NOT NULL,
+                period_start date NOT NULL,
+                period_end date NOT NULL,
+                billable_days int NOT NULL,
+                period_days int NOT NULL,
+                amount decimal(10,2) NOT NULL,
+                status enum('success','failed','pending') NOT NULL,
+                reason varchar(255) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_billing_charges_member_period (member_id, period_start),
+                KEY idx_billing_charges_run (run_id),
+                CONSTRAINT billing_charges_run_fk FOREIGN KEY (run_id) REFERENCES billing_runs (id) ON DELETE CASCADE,
+                CONSTRAINT billing_charges_member_fk FOREIGN KEY (member_id) REFERENCES members (id) ON DELETE CASCADE,
+                CONSTRAINT billing_charges_payment_fk FOREIGN KEY (payment_id) REFERENCES payments (id) ON DELETE SET NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS billing_charges');
+        await query('DROP TABLE IF EXISTS billing_runs');
+    }
+};
@@ -0,0 +1,59 @@
+/* ============================================
+   MIGRATION 008: MEMBERSHIP PLANS
+   Plans become data instead of a hard-coded list
+   ============================================ */
+
+// members.plan keeps storing the plan NAME (no data to convert) -
+// renaming a plan renames it on its members too (routes/plans.js)
+//
+// Access rules: all_locations = 1 -> every location,
+// otherwise only the locations listed in membership_plan_locations
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE membership_plans (
+                id int NOT NULL AUTO_INCREMENT,
+                name varchar(50) NOT NULL,
+                description varchar(255) DEFAULT NULL,
+                price decimal(10,2) NOT NULL,
+                billing_interval enum('monthly','quarterly','annual') NOT NULL DEFAULT 'monthly',
+                all_locations tinyint(1) NOT NULL DEFAULT '1',
+                guest_passes_per_month int NOT NULL DEFAULT '0',
+                freeze_days_per_year int NOT NULL DEFAULT '0',
+                is_active tinyint(1) NOT NULL DEFAULT '1',
+                sort_order int NOT NULL DEFAULT '0',
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_membership_plans_name (name)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE membership_plan_locations (
+                plan_id int NOT NULL,
+                location_id int NOT NULL,
+                PRIMARY KEY (plan_id, location_id),
+                KEY idx_plan_locations_location (location_id),
+                CONSTRAINT membership_plan_locations_plan_fk FOREIGN KEY (plan_id) REFERENCES membership_plans (id) ON DELETE CASCADE,
+                CONSTRAINT membership_plan_locations_location_fk FOREIGN KEY (location_id) REFERENCES locations (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        // The three plans every existing member is already on
+        await query(`
+            INSERT INTO membership_plans
+                (name, description, price, billing_interval, all_locations, guest_passes_per_month, freeze_days_per_year, sort_order)
+            VALUES
+                ('Basic', 'Gym floor access', 30.00, 'monthly', 1, 0, 14, 1),
+                ('Premium', 'Gym floor + group classes', 50.00, 'monthly', 1, 2, 30, 2),
+                ('Elite', 'Everything, including personal training sessions', 75.00, 'monthly', 1, 4, 60, 3)
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS membership_plan_locations');
+        await query('DROP TABLE IF EXISTS membership_plans');
+    }
+};
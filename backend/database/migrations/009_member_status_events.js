@@ -0,0 +1,36 @@
+/* ============================================
+   MIGRATION 009: MEMBER STATUS EVENTS
+   History of every freeze/unfreeze, manual or scheduled
+   ============================================ */
+
+// start_date/end_date = the freeze window the event was about
+// source 'schedule' = done by the nightly freeze job, not a person
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE member_status_events (
+                id int NOT NULL AUTO_INCREMENT,
+                member_id int NOT NULL,
+                event_type enum('freeze_scheduled','freeze','unfreeze','freeze_cancelled') NOT NULL,
+                from_status varchar(20) DEFAULT NULL,
+                to_status varchar(20) DEFAULT NULL,
+                reason varchar(100) DEFAULT NULL,
+                start_date date DEFAULT NULL,
+                end_date date DEFAULT NULL,
+                source enum('manual','schedule') NOT NULL DEFAULT 'manual',
+                admin_id int DEFAULT NULL,
+                admin_username varchar(50) DEFAULT NULL,
+                note text,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_member_status_events_member (member_id, created_at),
+                CONSTRAINT member_status_events_member_fk FOREIGN KEY (member_id) REFERENCES members (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS member_status_events');
+    }
+};
@@ -0,0 +1,28 @@
+/* ============================================
+   MIGRATION 010: MEMBER LIFECYCLE EVENTS
+   member_status_events covers join, cancel and reactivate too
+   ============================================ */
+
+// start_date on a reactivate event = the date the member starts again
+// Members created before this migration have no join event - the
+// timeline falls back to members.created_at for them
+
+const FREEZE_EVENTS = "'freeze_scheduled','freeze','unfreeze','freeze_cancelled'";
+
+module.exports = {
+    async up(query) {
+        await query(`
+            ALTER TABLE member_status_events
+            MODIFY event_type enum('join',${FREEZE_EVENTS},'cancel','reactivate') NOT NULL
+        `);
+    },
+
+    async down(query) {
+        await query("DELETE FROM member_status_events WHERE event_type IN ('join','cancel','reactivate')");
+
+        await query(`
+            ALTER TABLE member_status_events
+            MODIFY event_type enum(${FREEZE_EVENTS}) NOT NULL
+        `);
+    }
+};
@@ -0,0 +1,31 @@
+/* ============================================
+   MIGRATION 011: MEMBER IMPORTS
+   One row per committed CSV/XLSX member import
+   ============================================ */
+
+// Dry runs are never recorded - nothing changed.
+// The imported members themselves carry a 'join' status event
+// that names the import.
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE member_imports (
+                id int NOT NULL AUTO_INCREMENT,
+                file_name varchar(255) NOT NULL,
+                file_type enum('csv','xlsx') NOT NULL,
+                total_rows int NOT NULL,
+                imported int NOT NULL DEFAULT '0',
+                duplicates_skipped int NOT NULL DEFAULT '0',
+                admin_id int DEFAULT NULL,
+                admin_username varchar(50) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS member_imports');
+    }
+};
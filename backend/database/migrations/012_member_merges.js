@@ -0,0 +1,68 @@
+/* ============================================
+   MIGRATION 012: MEMBER MERGES
+   Duplicate members folded into one record
+   ============================================ */
+
+// member_merges keeps the merged-away member as a JSON snapshot -
+// the members row itself is deleted by the merge.
+// member_duplicate_dismissals = pairs staff marked "not the same person",
+// stored lower id first so each pair has exactly one row.
+
+const OLD_EVENTS = "'join','freeze_scheduled','freeze','unfreeze','freeze_cancelled','cancel','reactivate'";
+
+module.exports = {
+    async up(query) {
+        await query(`
+            ALTER TABLE member_status_events
+            MODIFY event_type enum(${OLD_EVENTS},'merge') NOT NULL
+        `);
+
+        await query(`
+            CREATE TABLE member_merges (
+                id int NOT NULL AUTO_INCREMENT,
+                kept_member_id int NOT NULL,
+                merged_member_id int NOT NULL,
+                merged_member_code varchar(20) DEFAULT NULL,
+                merged_snapshot json NOT NULL,
+                score int DEFAULT NULL,
+                payments_moved int NOT NULL DEFAULT '0',
+                check_ins_moved int NOT NULL DEFAULT '0',
+                billing_charges_moved int NOT NULL DEFAULT '0',
+                payment_method_moved tinyint(1) NOT NULL DEFAULT '0',
+                admin_id int DEFAULT NULL,
+                admin_username varchar(50) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_member_merges_kept (kept_member_id),
+                CONSTRAINT member_merges_kept_fk FOREIGN KEY (kept_member_id) REFERENCES members (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            CREATE TABLE member_duplicate_dismissals (
+                id int NOT NULL AUTO_INCREMENT,
+                member_a_id int NOT NULL,
+                member_b_id int NOT NULL,
+                admin_id int DEFAULT NULL,
+                admin_username varchar(50) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_member_duplicate_dismissals_pair (member_a_id, member_b_id),
+                KEY idx_member_duplicate_dismissals_b (member_b_id),
+                CONSTRAINT member_duplicate_dismissals_a_fk FOREIGN KEY (member_a_id) REFERENCES members (id) ON DELETE CASCADE,
+                CONSTRAINT member_duplicate_dismissals_b_fk FOREIGN KEY (member_b_id) REFERENCES members (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS member_duplicate_dismissals');
+        await query('DROP TABLE IF EXISTS member_merges');
+        await query("DELETE FROM member_status_events WHERE event_type = 'merge'");
+
+        await query(`
+            ALTER TABLE member_status_events
+            MODIFY event_type enum(${OLD_EVENTS}) NOT NULL
+        `);
+    }
+};
@@ -0,0 +1,65 @@
+/* ============================================
+   MIGRATION 013: CHECK-IN RULES
+   Configurable rules checked before every check-in
+   ============================================ */
+
+// system_settings.checkin_*     which rules are on (+ their limits)
+// members.waiver_signed_at      NULL = no liability waiver on file
+// membership_plans.visits_per_month  NULL = unlimited
+// check_ins.override_*          an admin let the member in anyway -
+//                               which rules were skipped, why, and who did it
+
+module.exports = {
+    async up(query) {
+        await query(`
+            ALTER TABLE system_settings
+                ADD COLUMN checkin_require_plan_location tinyint(1) DEFAULT '1' AFTER require_admin_2fa,
+                ADD COLUMN checkin_require_paid_balance tinyint(1) DEFAULT '1' AFTER checkin_require_plan_location,
+                ADD COLUMN checkin_balance_grace_days int DEFAULT '7' AFTER checkin_require_paid_balance,
+                ADD COLUMN checkin_require_waiver tinyint(1) DEFAULT '0' AFTER checkin_balance_grace_days,
+                ADD COLUMN checkin_enforce_visit_limits tinyint(1) DEFAULT '1' AFTER checkin_require_waiver,
+                ADD COLUMN checkin_min_minutes_between int DEFAULT '60' AFTER checkin_enforce_visit_limits
+        `);
+
+        await query(`
+            ALTER TABLE members
+                ADD COLUMN waiver_signed_at timestamp NULL DEFAULT NULL AFTER freeze_reason
+        `);
+
+        await query(`
+            ALTER TABLE membership_plans
+                ADD COLUMN visits_per_month int DEFAULT NULL AFTER freeze_days_per_year
+        `);
+
+        await query(`
+            ALTER TABLE check_ins
+                ADD COLUMN override_rules varchar(255) DEFAULT NULL,
+                ADD COLUMN override_reason varchar(255) DEFAULT NULL,
+                ADD COLUMN override_admin_id int DEFAULT NULL,
+                ADD COLUMN override_admin_username varchar(50) DEFAULT NULL
+        `);
+    },
+
+    async down(query) {
+        await query(`
+            ALTER TABLE check_ins
+                DROP COLUMN override_rules,
+                DROP COLUMN override_reason,
+                DROP COLUMN override_admin_id,
+                DROP COLUMN override_admin_username
+        `);
+
+        await query('ALTER TABLE membership_plans DROP COLUMN visits_per_month');
+        await query('ALTER TABLE members DROP COLUMN waiver_signed_at');
+
+        await query(`
+            ALTER TABLE system_settings
+                DROP COLUMN checkin_require_plan_location,
+                DROP COLUMN checkin_require_paid_balance,
+                DROP COLUMN checkin_balance_grace_days,
+                DROP COLUMN checkin_require_waiver,
+                DROP COLUMN checkin_enforce_visit_limits,
+                DROP COLUMN checkin_min_minutes_between
+        `);
+    }
+};
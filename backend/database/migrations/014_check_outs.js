@@ -0,0 +1,44 @@
+/* ============================================
+   MIGRATION 014: CHECK-OUTS
+   Who is in the gym right now
+   ============================================ */
+
+// check_ins.check_out_time     NULL = still in the gym
+// check_ins.check_out_method   manual = staff checked them out
+//                              auto   = session ran past checkin_session_minutes
+//                                       (or they checked in somewhere else)
+// system_settings.checkin_session_minutes  auto check-out after this long
+// system_settings.checkin_capacity_mode    warn / refuse once occupancy reaches
+//                                          capacity_warning_percent
+
+module.exports = {
+    async up(query) {
+        await query(`
+            ALTER TABLE check_ins
+                ADD COLUMN check_out_time datetime DEFAULT NULL AFTER check_in_time,
+                ADD COLUMN check_out_method enum('manual','auto') DEFAULT NULL AFTER check_out_time,
+                ADD KEY idx_checkins_open (location_id, check_out_time, check_in_time)
+        `);
+
+        await query(`
+            ALTER TABLE system_settings
+                ADD COLUMN checkin_session_minutes int DEFAULT '180' AFTER checkin_min_minutes_between,
+                ADD COLUMN checkin_capacity_mode enum('warn','refuse') DEFAULT 'warn' AFTER checkin_session_minutes
+        `);
+    },
+
+    async down(query) {
+        await query(`
+            ALTER TABLE system_settings
+                DROP COLUMN checkin_session_minutes,
+                DROP COLUMN checkin_capacity_mode
+        `);
+
+        await query(`
+            ALTER TABLE check_ins
+                DROP KEY idx_checkins_open,
+                DROP COLUMN check_out_time,
+                DROP COLUMN check_out_method
+        `);
+    }
+};
@@ -0,0 +1,63 @@
+/* ============================================
+   MIGRATION 015: SELF CHECK-IN KIOSKS
+   Paired devices + member kiosk PINs
+   ============================================ */
+
+// kiosk_devices: one row per paired tablet, bound to ONE location.
+//   Only the SHA-256 of the device token is stored - the token itself
+//   is shown once when the device is paired.
+// members.kiosk_pin_hash: HMAC of the member's kiosk PIN (unique, so a
+//   PIN alone finds the member - see utils/kiosk.js)
+// check_ins.kiosk_device_id: NULL = checked in at the desk
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE kiosk_devices (
+                id int NOT NULL AUTO_INCREMENT,
+                name varchar(100) NOT NULL,
+                location_id int NOT NULL,
+                token_hash char(64) NOT NULL,
+                token_prefix varchar(16) NOT NULL,
+                status enum('active','revoked') NOT NULL DEFAULT 'active',
+                last_seen_at timestamp NULL DEFAULT NULL,
+                created_by_admin_id int DEFAULT NULL,
+                created_by_username varchar(50) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                revoked_at timestamp NULL DEFAULT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_kiosk_devices_token (token_hash),
+                KEY idx_kiosk_devices_location (location_id),
+                CONSTRAINT kiosk_devices_location_fk FOREIGN KEY (location_id) REFERENCES locations (id) ON DELETE RESTRICT
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            ALTER TABLE members
+                ADD COLUMN kiosk_pin_hash char(64) DEFAULT NULL AFTER waiver_signed_at,
+                ADD UNIQUE KEY uq_members_kiosk_pin (kiosk_pin_hash)
+        `);
+
+        await query(`
+            ALTER TABLE check_ins
+                ADD COLUMN kiosk_device_id int DEFAULT NULL,
+                ADD CONSTRAINT check_ins_kiosk_device_fk FOREIGN KEY (kiosk_device_id) REFERENCES kiosk_devices (id) ON DELETE SET NULL
+        `);
+    },
+
+    async down(query) {
+        await query(`
+            ALTER TABLE check_ins
+                DROP FOREIGN KEY check_ins_kiosk_device_fk,
+                DROP COLUMN kiosk_device_id
+        `);
+
+        await query(`
+            ALTER TABLE members
+                DROP KEY uq_members_kiosk_pin,
+                DROP COLUMN kiosk_pin_hash
+        `);
+
+        await query('DROP TABLE IF EXISTS kiosk_devices');
+    }
+};
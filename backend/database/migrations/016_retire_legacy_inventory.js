@@ -0,0 +1,116 @@
+/* ============================================
+   MIGRATION 016: RETIRE LEGACY INVENTORY
+   The old inventory table moves into products + inventory_stock
+   ============================================ */
+
+// The legacy table had one row per item per location:
+//   item_name, quantity, threshold, location_id, status
+// Each distinct item_name becomes a product:
+//   - same name as an existing product -> that product (its settings win)
+//   - otherwise a new product, SKU LEGACY-001..., in the
+//     'Uncategorized' category, reorder point = highest legacy threshold
+// Each item/location becomes an inventory_stock row. Where the product
+// already has stock at that location, inventory_stock wins - it's what
+// the inventory page has been showing (and staff have been adjusting).
+// status is dropped: low/out of stock is worked out from reorder_point.
+//
+// down() brings the table back, filled from the LEGACY-* products.
+// The products themselves stay (reorders may point at them by now).
+
+const LEGACY_SKU_PREFIX = 'LEGACY-';
+const LEGACY_CATEGORY = 'Uncategorized';
+
+// Created only if some item doesn't match an existing product
+async function getLegacyCategoryId(query) {
+    const categories = await query('SELECT id FROM inventory_categories WHERE name = ?', [LEGACY_CATEGORY]);
+    if (categories.length > 0) return categories[0].id;
+
+    const result = await query(
+        "INSERT INTO inventory_categories (name, description, icon) VALUES (?, 'Products without a category yet', 'fa-box')",
+        [LEGACY_CATEGORY]
+    );
+    return result.insertId;
+}
+
+module.exports = {
+    async up(query) {
+        const items = await query(`
+            SELECT item_name, MAX(threshold) AS threshold
+            FROM inventory
+            GROUP BY item_name
+            ORDER BY item_name
+        `);
+
+        if (items.length > 0) {
+            let categoryId = null;
+
+            const legacyProducts = await query('SELECT COUNT(*) AS total FROM products WHERE sku LIKE ?', [`${LEGACY_SKU_PREFIX}%`]);
+            let skuNumber = legacyProducts[0].total;
+
+            for (const item of items) {
+                const products = await query('SELECT id FROM products WHERE name = ? ORDER BY id LIMIT 1', [item.item_name]);
+                let productId = products[0]?.id;
+
+                if (!productId) {
+                    categoryId = categoryId || await getLegacyCategoryId(query);
+                    skuNumber += 1;
+                    const sku = `${LEGACY_SKU_PREFIX}${String(skuNumber).padStart(3, '0')}`;
+
+                    const result = await query(`
+                        INSERT INTO products (sku, name, description, category_id, reorder_point)
+                        VALUES (?, ?, 'Moved from the legacy inventory table', ?, ?)
+                    `, [sku, item.item_name, categoryId, item.threshold]);
+
+                    productId = result.insertId;
+                }
+
+                // Existing stock rows are left alone (no-op update)
+                await query(`
+                    INSERT INTO inventory_stock (product_id, location_id, quantity, last_restocked)
+                    SELECT ?, location_id, SUM(quantity), MAX(updated_at)
+                    FROM inventory
+                    WHERE item_name = ?
+                    GROUP BY location_id
+                    ON DUPLICATE KEY UPDATE quantity = inventory_stock.quantity
+                `, [productId, item.item_name]);
+            }
+        }
+
+        await query('DROP TABLE inventory');
+    },
+
+    async down(query) {
+        await query(`
+            CREATE TABLE IF NOT EXISTS inventory (
+                id int NOT NULL AUTO_INCREMENT,
+                item_name varchar(255) NOT NULL,
+                quantity int NOT NULL,
+                threshold int NOT NULL,
+                location_id int NOT NULL,
+                status enum('ok','low','critical') DEFAULT 'ok',
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY location_id (location_id),
+                CONSTRAINT inventory_ibfk_1 FOREIGN KEY (location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            INSERT INTO inventory (item_name, quantity, threshold, location_id, status)
+            SELECT
+                p.name,
+                s.quantity,
+                p.reorder_point,
+                s.location_id,
+                CASE
+                    WHEN s.quantity = 0 THEN 'critical'
+                    WHEN s.quantity <= p.reorder_point THEN 'low'
+                    ELSE 'ok'
+                END
+            FROM products p
+            JOIN inventory_stock s ON s.product_id = p.id
+            WHERE p.sku LIKE ?
+            ORDER BY p.name, s.location_id
+        `, [`${LEGACY_SKU_PREFIX}%`]);
+    }
+};
@@ -0,0 +1,53 @@
+/* ============================================
+   MIGRATION 017: STOCK MOVEMENTS
+   Append-only ledger of every stock quantity change
+   ============================================ */
+
+// One row per change to inventory_stock.quantity (utils/stockLedger.js):
+//   movement_type   opening | set | add | subtract | receipt
+//   quantity_delta  signed change (+ in, - out)
+//   quantity_after  the location's quantity right after it
+//   reference_*     what caused it (reorder 12...), NULL for manual changes
+// SUM(quantity_delta) per product/location = inventory_stock.quantity
+//
+// Existing stock gets one 'opening' row each, so the ledger
+// balances from day one.
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE stock_movements (
+                id int NOT NULL AUTO_INCREMENT,
+                product_id int NOT NULL,
+                location_id int NOT NULL,
+                movement_type enum('opening','set','add','subtract','receipt') NOT NULL,
+                quantity_delta int NOT NULL,
+                quantity_after int NOT NULL,
+                reason varchar(255) DEFAULT NULL,
+                reference_type varchar(30) DEFAULT NULL,
+                reference_id int DEFAULT NULL,
+                admin_id int DEFAULT NULL,
+                admin_username varchar(50) DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_stock_movements_product (product_id, location_id, id),
+                KEY idx_stock_movements_reference (reference_type, reference_id),
+                KEY idx_stock_movements_location (location_id),
+                CONSTRAINT stock_movements_product_fk FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+                CONSTRAINT stock_movements_location_fk FOREIGN KEY (location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            INSERT INTO stock_movements
+                (product_id, location_id, movement_type, quantity_delta, quantity_after, reason, created_at)
+            SELECT product_id, location_id, 'opening', quantity, quantity, 'Stock on hand when the ledger started', NOW()
+            FROM inventory_stock
+            WHERE quantity <> 0
+        `);
+    },
+
+    async down(query) {
+        await query('DROP TABLE IF EXISTS stock_movements');
+    }
+};
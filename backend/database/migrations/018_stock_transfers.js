@@ -0,0 +1,67 @@
+/* ============================================
+   MIGRATION 018: STOCK TRANSFERS
+   Moving stock from one location to another
+   ============================================ */
+
+// A transfer document (TR-0001) for one product:
+//   draft       nothing has moved yet (can still be cancelled)
+//   in_transit  shipped - out of the source location, not at the
+//               destination yet (ledger: 'transfer_out')
+//   received    arrived at the destination (ledger: 'transfer_in')
+//   cancelled   dropped while still a draft
+// See utils/stockTransfers.js
+//
+// down() turns transfer movements into plain subtract/add ones so the
+// ledger still adds up once the enum values are gone.
+
+module.exports = {
+    async up(query) {
+        await query(`
+            CREATE TABLE stock_transfers (
+                id int NOT NULL AUTO_INCREMENT,
+                transfer_number varchar(20) NOT NULL,
+                product_id int NOT NULL,
+                from_location_id int NOT NULL,
+                to_location_id int NOT NULL,
+                quantity int NOT NULL,
+                status enum('draft','in_transit','received','cancelled') NOT NULL DEFAULT 'draft',
+                notes text,
+                created_by varchar(50) DEFAULT NULL,
+                shipped_by varchar(50) DEFAULT NULL,
+                shipped_at timestamp NULL DEFAULT NULL,
+                received_by varchar(50) DEFAULT NULL,
+                received_at timestamp NULL DEFAULT NULL,
+                cancelled_by varchar(50) DEFAULT NULL,
+                cancelled_at timestamp NULL DEFAULT NULL,
+                created_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY transfer_number (transfer_number),
+                KEY idx_stock_transfers_status (status, product_id),
+                KEY idx_stock_transfers_product (product_id),
+                KEY idx_stock_transfers_from (from_location_id),
+                KEY idx_stock_transfers_to (to_location_id),
+                CONSTRAINT stock_transfers_product_fk FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+                CONSTRAINT stock_transfers_from_fk FOREIGN KEY (from_location_id) REFERENCES locations (id),
+                CONSTRAINT stock_transfers_to_fk FOREIGN KEY (to_location_id) REFERENCES locations (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+        `);
+
+        await query(`
+            ALTER TABLE stock_movements
+            MODIFY movement_type enum('opening','set','add','subtract','receipt','transfer_out','transfer_in') NOT NULL
+        `);
+    },
+
+    async down(query) {
+        await query("UPDATE stock_movements SET movement_type = 'subtract' WHERE movement_type = 'transfer_out'");
+        await query("UPDATE stock_movements SET movement_type = 'add' WHERE movement_type = 'transfer_in'");
+
+        await query(`
+            ALTER TABLE stock_movements
+            MODIFY movement_type enum('opening','set','add','subtract','receipt') NOT NULL
+        `);
+
+        await query('DROP TABLE IF EXISTS stock_transfers');
+    }
+};
@@ -4,6 +4,12 @@
 -- Last updated: 2025-01-27
 -- ============================================
 
+-- DATA ONLY - the schema lives in database/migrations
+-- Run the migrations first, then (optionally) this file:
+--   npm run migrate
+--   npm run db:seed
+-- WARNING: wipes every table below. Never run against production.
+
 -- Disable foreign key checks temporarily
 SET FOREIGN_KEY_CHECKS = 0;
 
@@ -12,12 +18,25 @@ SET FOREIGN_KEY_CHECKS = 0;
 -- Remove existing data before inserting
 -- ============================================
 
+TRUNCATE TABLE admins;
+TRUNCATE TABLE admin_recovery_codes;
+TRUNCATE TABLE admin_sessions;
+TRUNCATE TABLE audit_log;
+TRUNCATE TABLE billing_charges;
+TRUNCATE TABLE billing_runs;
 TRUNCATE TABLE check_ins;
-TRUNCATE TABLE inventory;
 TRUNCATE TABLE inventory_categories;
 TRUNCATE TABLE inventory_stock;
+TRUNCATE TABLE kiosk_devices;
 TRUNCATE TABLE locations;
+TRUNCATE TABLE login_attempts;
+TRUNCATE TABLE member_duplicate_dismissals;
+TRUNCATE TABLE member_imports;
+TRUNCATE TABLE member_merges;
+TRUNCATE TABLE member_status_events;
 TRUNCATE TABLE members;
+TRUNCATE TABLE membership_plan_locations;
+TRUNCATE TABLE membership_plans;
 TRUNCATE TABLE payment_methods;
 TRUNCATE TABLE payments;
 TRUNCATE TABLE products;
@@ -25,6 +44,8 @@ TRUNCATE TABLE reorder_requests;
 TRUNCATE TABLE revenue;
 TRUNCATE TABLE shifts;
 TRUNCATE TABLE staff;
+TRUNCATE TABLE stock_movements;
+TRUNCATE TABLE stock_transfers;
 TRUNCATE TABLE system_settings;
 TRUNCATE TABLE vendors;
 
@@ -53,119 +74,26 @@ SET FOREIGN_KEY_CHECKS = 1;
 /*!40101 SET @OLD_SQL_MODE=@@SQL_MODE, SQL_MODE='NO_AUTO_VALUE_ON_ZERO' */;
 /*!40111 SET @OLD_SQL_NOTES=@@SQL_NOTES, SQL_NOTES=0 */;
 
---
--- Table structure for table `admins`
---
-
-DROP TABLE IF EXISTS `admins`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `admins` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `username` varchar(50) NOT NULL,
-  `password_hash` varchar(255) NOT NULL,
-  `full_name` varchar(100) NOT NULL,
-  `email` varchar(100) NOT NULL,
-  `role` enum('admin','super_admin') DEFAULT 'admin',
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  `last_login` timestamp NULL DEFAULT NULL,
-  PRIMARY KEY (`id`),
-  UNIQUE KEY `username` (`username`),
-  UNIQUE KEY `email` (`email`)
-) ENGINE=InnoDB AUTO_INCREMENT=2 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `admins`
 --
 
 LOCK TABLES `admins` WRITE;
 /*!40000 ALTER TABLE `admins` DISABLE KEYS */;
-INSERT INTO `admins` VALUES (1,'admin','$2b$10$X7xZBRvVumf2u3bP2SDctu7S95hVykiXrqNu63t8By8AvreO0zEJW','System Administrator','admin@gymflow.com','super_admin','2026-01-03 10:15:47','2026-01-06 22:10:00','2026-01-06 22:10:00');
+INSERT INTO `admins` VALUES (1,'admin','$2b$10$X7xZBRvVumf2u3bP2SDctu7S95hVykiXrqNu63t8By8AvreO0zEJW','System Administrator','admin@gymflow.com','super_admin','2026-01-03 10:15:47','2026-01-06 22:10:00','2026-01-06 22:10:00','active',0,NULL,0,NULL,0,NULL);
 /*!40000 ALTER TABLE `admins` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `check_ins`
---
-
-DROP TABLE IF EXISTS `check_ins`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `check_ins` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `member_id` int NOT NULL,
-  `location_id` int NOT NULL,
-  `check_in_time` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  KEY `idx_checkins_member_id` (`member_id`),
-  KEY `idx_checkins_time` (`check_in_time` DESC),
-  KEY `idx_checkins_location_time` (`location_id`,`check_in_time` DESC),
-  CONSTRAINT `fk_checkin_location` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`) ON DELETE RESTRICT,
-  CONSTRAINT `fk_checkin_member` FOREIGN KEY (`member_id`) REFERENCES `members` (`id`) ON DELETE CASCADE
-) ENGINE=InnoDB AUTO_INCREMENT=15 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `check_ins`
 --
 
 LOCK TABLES `check_ins` WRITE;
 /*!40000 ALTER TABLE `check_ins` DISABLE KEYS */;
-INSERT INTO `check_ins` VALUES (1,1,1,'2026-01-09 16:17:57','2026-01-09 21:17:57'),(2,1,1,'2026-01-09 20:55:54','2026-01-10 01:55:54'),(3,135,1,'2026-01-09 20:58:20','2026-01-10 01:58:20'),(4,7,1,'2026-01-09 21:00:22','2026-01-10 02:00:22'),(5,5,1,'2026-01-09 21:08:22','2026-01-10 02:08:22'),(6,4,2,'2026-01-09 21:09:06','2026-01-10 02:09:06'),(7,17,1,'2026-01-09 22:44:38','2026-01-10 03:44:38'),(8,135,2,'2026-01-11 19:50:02','2026-01-12 00:50:02'),(9,136,1,'2026-01-11 19:50:20','2026-01-12 00:50:20'),(10,6,3,'2026-01-11 19:50:47','2026-01-12 00:50:47'),(11,5,2,'2026-01-11 19:53:49','2026-01-12 00:53:49'),(12,4,1,'2026-01-11 19:54:23','2026-01-12 00:54:23'),(13,138,3,'2026-01-12 00:10:16','2026-01-12 05:10:16'),(14,137,1,'2026-01-12 00:13:24','2026-01-12 05:13:24');
+INSERT INTO `check_ins` VALUES (1,1,1,'2026-01-09 16:17:57',NULL,NULL,'2026-01-09 21:17:57',NULL,NULL,NULL,NULL,NULL),(2,1,1,'2026-01-09 20:55:54',NULL,NULL,'2026-01-10 01:55:54',NULL,NULL,NULL,NULL,NULL),(3,135,1,'2026-01-09 20:58:20',NULL,NULL,'2026-01-10 01:58:20',NULL,NULL,NULL,NULL,NULL),(4,7,1,'2026-01-09 21:00:22',NULL,NULL,'2026-01-10 02:00:22',NULL,NULL,NULL,NULL,NULL),(5,5,1,'2026-01-09 21:08:22',NULL,NULL,'2026-01-10 02:08:22',NULL,NULL,NULL,NULL,NULL),(6,4,2,'2026-01-09 21:09:06',NULL,NULL,'2026-01-10 02:09:06',NULL,NULL,NULL,NULL,NULL),(7,17,1,'2026-01-09 22:44:38',NULL,NULL,'2026-01-10 03:44:38',NULL,NULL,NULL,NULL,NULL),(8,135,2,'2026-01-11 19:50:02',NULL,NULL,'2026-01-12 00:50:02',NULL,NULL,NULL,NULL,NULL),(9,136,1,'2026-01-11 19:50:20',NULL,NULL,'2026-01-12 00:50:20',NULL,NULL,NULL,NULL,NULL),(10,6,3,'2026-01-11 19:50:47',NULL,NULL,'2026-01-12 00:50:47',NULL,NULL,NULL,NULL,NULL),(11,5,2,'2026-01-11 19:53:49',NULL,NULL,'2026-01-12 00:53:49',NULL,NULL,NULL,NULL,NULL),(12,4,1,'2026-01-11 19:54:23',NULL,NULL,'2026-01-12 00:54:23',NULL,NULL,NULL,NULL,NULL),(13,138,3,'2026-01-12 00:10:16',NULL,NULL,'2026-01-12 05:10:16',NULL,NULL,NULL,NULL,NULL),(14,137,1,'2026-01-12 00:13:24',NULL,NULL,'2026-01-12 05:13:24',NULL,NULL,NULL,NULL,NULL);
 /*!40000 ALTER TABLE `check_ins` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `inventory`
---
-
-DROP TABLE IF EXISTS `inventory`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `inventory` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `item_name` varchar(255) NOT NULL,
-  `quantity` int NOT NULL,
-  `threshold` int NOT NULL,
-  `location_id` int NOT NULL,
-  `status` enum('ok','low','critical') DEFAULT 'ok',
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  KEY `location_id` (`location_id`),
-  CONSTRAINT `inventory_ibfk_1` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=13 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
---
--- Dumping data for table `inventory`
---
-
-LOCK TABLES `inventory` WRITE;
-/*!40000 ALTER TABLE `inventory` DISABLE KEYS */;
-INSERT INTO `inventory` VALUES (1,'Protein Bars',45,50,1,'low','2026-01-01 08:57:00'),(2,'Dumbbells (20lb)',30,20,1,'ok','2026-01-01 08:57:00'),(3,'Towels',150,100,1,'ok','2026-01-01 08:57:00'),(4,'Energy Drinks',25,40,1,'critical','2026-01-01 08:57:00'),(5,'Protein Bars',60,50,2,'ok','2026-01-01 08:57:00'),(6,'Dumbbells (20lb)',25,20,2,'ok','2026-01-01 08:57:00'),(7,'Towels',120,100,2,'ok','2026-01-01 08:57:00'),(8,'Energy Drinks',35,40,2,'low','2026-01-01 08:57:00'),(9,'Protein Bars',55,50,3,'ok','2026-01-01 08:57:00'),(10,'Dumbbells (20lb)',18,20,3,'low','2026-01-01 08:57:00'),(11,'Towels',95,100,3,'low','2026-01-01 08:57:00'),(12,'Energy Drinks',50,40,3,'low','2026-01-01 08:57:00');
-/*!40000 ALTER TABLE `inventory` ENABLE KEYS */;
-UNLOCK TABLES;
-
---
--- Table structure for table `inventory_categories`
---
-
-DROP TABLE IF EXISTS `inventory_categories`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `inventory_categories` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `name` varchar(100) NOT NULL,
-  `description` text,
-  `icon` varchar(50) DEFAULT 'fa-box',
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=6 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `inventory_categories`
 --
@@ -176,28 +104,6 @@ INSERT INTO `inventory_categories` VALUES (1,'Supplements','Protein powders, pre
 /*!40000 ALTER TABLE `inventory_categories` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `inventory_stock`
---
-
-DROP TABLE IF EXISTS `inventory_stock`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `inventory_stock` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `product_id` int NOT NULL,
-  `location_id` int NOT NULL,
-  `quantity` int DEFAULT '0',
-  `last_restocked` timestamp NULL DEFAULT NULL,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  UNIQUE KEY `unique_product_location` (`product_id`,`location_id`),
-  KEY `location_id` (`location_id`),
-  CONSTRAINT `inventory_stock_ibfk_1` FOREIGN KEY (`product_id`) REFERENCES `products` (`id`) ON DELETE CASCADE,
-  CONSTRAINT `inventory_stock_ibfk_2` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=86 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `inventory_stock`
 --
@@ -208,22 +114,6 @@ INSERT INTO `inventory_stock` VALUES (1,1,1,20,'2026-01-11 07:17:29','2026-01-21
 /*!40000 ALTER TABLE `inventory_stock` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `locations`
---
-
-DROP TABLE IF EXISTS `locations`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `locations` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `name` varchar(100) NOT NULL,
-  `capacity` int NOT NULL,
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=4 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `locations`
 --
@@ -235,35 +125,14 @@ INSERT INTO `locations` VALUES (1,'Downtown',350,'2025-12-31 19:34:05'),(2,'Midt
 UNLOCK TABLES;
 
 --
--- Table structure for table `members`
---
-
-DROP TABLE IF EXISTS `members`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `members` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `member_id` varchar(20) DEFAULT NULL,
-  `name` varchar(255) NOT NULL,
-  `email` varchar(255) NOT NULL,
-  `phone` varchar(20) DEFAULT NULL,
-  `emergency_contact` varchar(255) DEFAULT NULL,
-  `location_id` int NOT NULL,
-  `plan` varchar(50) NOT NULL,
-  `status` enum('active','frozen','cancelled','inactive') DEFAULT 'active',
-  `notes` text,
-  `freeze_start_date` date DEFAULT NULL,
-  `freeze_end_date` date DEFAULT NULL,
-  `freeze_reason` varchar(100) DEFAULT NULL,
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  UNIQUE KEY `email` (`email`),
-  UNIQUE KEY `member_id` (`member_id`),
-  KEY `location_id` (`location_id`),
-  CONSTRAINT `members_ibfk_1` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=140 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
+-- Dumping data for table `membership_plans`
+--
+
+LOCK TABLES `membership_plans` WRITE;
+/*!40000 ALTER TABLE `membership_plans` DISABLE KEYS */;
+INSERT INTO `membership_plans` VALUES (1,'Basic','Gym floor access',30.00,'monthly',1,0,14,NULL,1,1,'2025-12-31 19:34:05','2025-12-31 19:34:05'),(2,'Premium','Gym floor + group classes',50.00,'monthly',1,2,30,NULL,1,2,'2025-12-31 19:34:05','2025-12-31 19:34:05'),(3,'Elite','Everything, including personal training sessions',75.00,'monthly',1,4,60,NULL,1,3,'2025-12-31 19:34:05','2025-12-31 19:34:05');
+/*!40000 ALTER TABLE `membership_plans` ENABLE KEYS */;
+UNLOCK TABLES;
 
 --
 -- Dumping data for table `members`
@@ -271,34 +140,10 @@ CREATE TABLE `members` (
 
 LOCK TABLES `members` WRITE;
 /*!40000 ALTER TABLE `members` DISABLE KEYS */;
-INSERT INTO `members` VALUES (1,'M-0001','Tuba Ahad','tubaahad@hotmail.com','(555) 123-4567','(647) 982-0720',1,'Elite','active','Prefers morning classes. Interested in strength training.',NULL,NULL,NULL,'2025-12-31 19:34:05','2026-01-12 05:34:36'),(2,'M-0002','Vivek Bhatt','vivekbhatt@hotmail.com','(555) 234-5678','(555) 876-5432',1,'Premium','frozen','Recovering from knee injury. Avoid high-impact exercises.','2026-01-10','2026-02-10','Medical','2025-12-31 19:34:05','2026-01-12 05:35:45'),(3,'M-0003','Dil Dhaliwal','dildhaliwal@yahoo.com','(555) 345-6789',NULL,2,'Basic','frozen','New member. Wants to lose wight and build muscle.','2026-01-05','2026-01-12','Other','2025-12-31 19:34:05','2026-01-05 12:30:05'),(4,'M-0004','Manvir Dhaliwal','manvirdhaliwal@gmail.com',NULL,NULL,2,'Premium','active','Knee surgery recovery',NULL,NULL,NULL,'2025-12-31 19:34:05','2026-01-08 14:26:32'),(5,'M-0005','Kanav Kaura','kanavkaura@hotmail.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2025-12-31 19:34:05','2026-01-06 00:34:49'),(6,'M-0006','Angad Chhabra','angadc@gmail.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2025-12-31 19:34:05','2026-01-02 15:35:48'),(7,'M-0007','Michael Johnson','michael.johnson@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(8,'M-0008','Sarah Williams','sarah.williams@email.com',NULL,NULL,1,'Elite','frozen',NULL,'2026-01-05','2026-01-19','Pregnancy','2026-01-01 10:16:01','2026-01-05 12:39:38'),(9,'M-0009','David Brown','david.brown@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(10,'M-0010','Emily Davis','emily.davis@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(11,'M-0011','James Miller','james.miller@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(12,'M-0012','Jennifer Wilson','jennifer.wilson@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(13,'M-0013','Robert Moore','robert.moore@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(14,'M-0014','Linda Taylor','linda.taylor@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(15,'M-0015','William Anderson','william.anderson@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-05 12:28:27'),(16,'M-0016','Mary Thomas','mary.thomas@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(17,'M-0017','Richard Jackson','richard.jackson@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(18,'M-0018','Patricia White','patricia.white@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(19,'M-0019','Christopher Harris','christopher.harris@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(20,'M-0020','Barbara Martin','barbara.martin@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(21,'M-0021','Daniel Thompson','daniel.thompson@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(22,'M-0022','Jessica Garcia','jessica.garcia@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(23,'M-0023','Matthew Martinez','matthew.martinez@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(24,'M-0024','Karen Robinson','karen.robinson@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(25,'M-0025','Anthony Clark','anthony.clark@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(26,'M-0026','Nancy Rodriguez','nancy.rodriguez@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(27,'M-0027','Mark Lewis','mark.lewis@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(28,'M-0028','Lisa Lee','lisa.lee@email.com',NULL,NULL,1,'Premium','frozen',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(29,'M-0029','Donald Walker','donald.walker@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(30,'M-0030','Betty Hall','betty.hall@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(31,'M-0031','Paul Allen','paul.allen@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(32,'M-0032','Helen Young','helen.young@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(33,'M-0033','Andrew Hernandez','andrew.hernandez@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(34,'M-0034','Sandra King','sandra.king@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(35,'M-0035','Kenneth Wright','kenneth.wright@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(36,'M-0036','Donna Lopez','donna.lopez@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(37,'M-0037','Joshua Hill','joshua.hill@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(38,'M-0038','Carol Scott','carol.scott@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(39,'M-0039','Kevin Green','kevin.green@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-08 14:27:28'),(40,'M-0040','Michelle Adams','michelle.adams@email.com',NULL,NULL,1,'Premium','cancelled',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(41,'M-0041','Brian Baker','brian.baker@email.com',NULL,NULL,1,'Elite','cancelled',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(42,'M-0042','Amanda Gonzalez','amanda.gonzalez@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(43,'M-0043','George Nelson','george.nelson@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(44,'M-0044','Melissa Carter','melissa.carter@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(45,'M-0045','Edward Mitchell','edward.mitchell@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(46,'M-0046','Deborah Perez','deborah.perez@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(47,'M-0047','Ronald Roberts','ronald.roberts@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(48,'M-0048','Stephanie Turner','stephanie.turner@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(49,'M-0049','Timothy Phillips','timothy.phillips@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(50,'M-0050','Rebecca Campbell','rebecca.campbell@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(51,'M-0051','Jason Parker','jason.parker@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(52,'M-0052','Laura Evans','laura.evans@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(53,'M-0053','Jeffrey Edwards','jeffrey.edwards@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(54,'M-0054','Kimberly Collins','kimberly.collins@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(55,'M-0055','Ryan Stewart','ryan.stewart@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(56,'M-0056','Sharon Sanchez','sharon.sanchez@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(57,'M-0057','Jacob Morris','jacob.morris@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(58,'M-0058','Cynthia Rogers','cynthia.rogers@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(59,'M-0059','Gary Reed','gary.reed@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(60,'M-0060','Kathleen Cook','kathleen.cook@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(61,'M-0061','Nicholas Morgan','nicholas.morgan@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(62,'M-0062','Amy Bell','amy.bell@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(63,'M-0063','Eric Murphy','eric.murphy@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(64,'M-0064','Angela Bailey','angela.bailey@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(65,'M-0065','Jonathan Rivera','jonathan.rivera@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(66,'M-0066','Shirley Cooper','shirley.cooper@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(67,'M-0067','Justin Richardson','justin.richardson@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(68,'M-0068','Anna Cox','anna.cox@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(69,'M-0069','Brandon Howard','brandon.howard@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(70,'M-0070','Brenda Ward','brenda.ward@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(71,'M-0071','Raymond Torres','raymond.torres@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(72,'M-0072','Pamela Peterson','pamela.peterson@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(73,'M-0073','Samuel Gray','samuel.gray@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(74,'M-0074','Nicole Ramirez','nicole.ramirez@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(75,'M-0075','Jack James','jack.james@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(76,'M-0076','Katherine Watson','katherine.watson@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(77,'M-0077','Alexander Brooks','alexander.brooks@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(78,'M-0078','Christine Kelly','christine.kelly@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(79,'M-0079','Patrick Sanders','patrick.sanders@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(80,'M-0080','Samantha Price','samantha.price@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(81,'M-0081','Jeremy Bennett','jeremy.bennett@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(82,'M-0082','Janet Wood','janet.wood@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(83,'M-0083','Dennis Barnes','dennis.barnes@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(84,'M-0084','Carolyn Ross','carolyn.ross@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(85,'M-0085','Jerry Henderson','jerry.henderson@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(86,'M-0086','Maria Coleman','maria.coleman@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(87,'M-0087','Tyler Jenkins','tyler.jenkins@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(88,'M-0088','Heather Perry','heather.perry@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(89,'M-0089','Aaron Powell','aaron.powell@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(90,'M-0090','Diane Long','diane.long@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(91,'M-0091','Jose Patterson','jose.patterson@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(92,'M-0092','Julie Hughes','julie.hughes@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(93,'M-0093','Adam Flores','adam.flores@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(94,'M-0094','Joyce Washington','joyce.washington@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(95,'M-0095','Nathan Butler','nathan.butler@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(96,'M-0096','Victoria Simmons','victoria.simmons@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(97,'M-0097','Zachary Foster','zachary.foster@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(98,'M-0098','Christina Gonzales','christina.gonzales@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(99,'M-0099','Kyle Bryant','kyle.bryant@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(100,'M-0100','Joan Alexander','joan.alexander@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(101,'M-0101','Noah Russell','noah.russell@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(102,'M-0102','Evelyn Griffin','evelyn.griffin@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(103,'M-0103','Henry Diaz','henry.diaz@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(104,'M-0104','Judy Hayes','judy.hayes@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(105,'M-0105','Douglas Myers','douglas.myers@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(106,'M-0106','Megan Ford','megan.ford@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(107,'M-0107','Peter Hamilton','peter.hamilton@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(108,'M-0108','Cheryl Graham','cheryl.graham@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(109,'M-0109','Carl Sullivan','carl.sullivan@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(110,'M-0110','Marie Wallace','marie.wallace@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(111,'M-0111','Keith Woods','keith.woods@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(112,'M-0112','Madison Cole','madison.cole@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(113,'M-0113','Roger West','roger.west@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(114,'M-0114','Amber Jordan','amber.jordan@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(115,'M-0115','Gerald Owens','gerald.owens@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(116,'M-0116','Danielle Reynolds','danielle.reynolds@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(117,'M-0117','Arthur Fisher','arthur.fisher@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(118,'M-0118','Brittany Ellis','brittany.ellis@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(119,'M-0119','Joe Gibson','joe.gibson@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(120,'M-0120','Olivia McDonald','olivia.mcdonald@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(121,'M-0121','Lawrence Cruz','lawrence.cruz@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(122,'M-0122','Jacqueline Marshall','jacqueline.marshall@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(123,'M-0123','Sean Ortiz','sean.ortiz@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(124,'M-0124','Kelly Gomez','kelly.gomez@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(125,'M-0125','Austin Murray','austin.murray@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(126,'M-0126','Teresa Freeman','teresa.freeman@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(127,'M-0127','Russell Wells','russell.wells@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(128,'M-0128','Gloria Webb','gloria.webb@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(129,'M-0129','Jesse Simpson','jesse.simpson@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(130,'M-0130','Doris Stevens','doris.stevens@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(131,'M-0131','Albert Tucker','albert.tucker@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(132,'M-0132','Sara Porter','sara.porter@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-06 22:12:43'),(133,'M-0133','Terry Hunter','terry.hunter@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-06 22:12:43'),(134,'M-0134','Kathryn Hicks','kathryn.hicks@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-06 22:10:39'),(135,'M-0135','Valid Test User','validtest@example.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-07 20:52:04','2026-01-07 20:52:04'),(136,'M-0136','Route Test Member','routetest@gymflow.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-11 04:19:07','2026-01-11 04:19:07'),(137,'M-0137','Abrar Ali','abrar_ali99@hotmail.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,'2026-01-12 01:14:01','2026-01-12 01:14:01'),(138,'M-0138','Phone Test User','phonetestuser@gmail.com','(647) 980-0513','(647) 982-0720',3,'Basic','active',NULL,NULL,NULL,NULL,'2026-01-12 01:39:54','2026-01-12 01:39:54'),(139,'M-0139','Sana Ali','sana.ali@hotmail.com','(647) 238-3929','(647) 393-0230',1,'Premium','active',NULL,NULL,NULL,NULL,'2026-01-14 06:10:08','2026-01-14 06:10:08');
+INSERT INTO `members` VALUES (1,'M-0001','Tuba Ahad','tubaahad@hotmail.com','(555) 123-4567','(647) 982-0720',1,'Elite','active','Prefers morning classes. Interested in strength training.',NULL,NULL,NULL,NULL,NULL,'2025-12-31 19:34:05','2026-01-12 05:34:36'),(2,'M-0002','Vivek Bhatt','vivekbhatt@hotmail.com','(555) 234-5678','(555) 876-5432',1,'Premium','frozen','Recovering from knee injury. Avoid high-impact exercises.','2026-01-10','2026-02-10','Medical',NULL,NULL,'2025-12-31 19:34:05','2026-01-12 05:35:45'),(3,'M-0003','Dil Dhaliwal','dildhaliwal@yahoo.com','(555) 345-6789',NULL,2,'Basic','frozen','New member. Wants to lose wight and build muscle.','2026-01-05','2026-01-12','Other',NULL,NULL,'2025-12-31 19:34:05','2026-01-05 12:30:05'),(4,'M-0004','Manvir Dhaliwal','manvirdhaliwal@gmail.com',NULL,NULL,2,'Premium','active','Knee surgery recovery',NULL,NULL,NULL,NULL,NULL,'2025-12-31 19:34:05','2026-01-08 14:26:32'),(5,'M-0005','Kanav Kaura','kanavkaura@hotmail.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2025-12-31 19:34:05','2026-01-06 00:34:49'),(6,'M-0006','Angad Chhabra','angadc@gmail.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2025-12-31 19:34:05','2026-01-02 15:35:48'),(7,'M-0007','Michael Johnson','michael.johnson@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(8,'M-0008','Sarah Williams','sarah.williams@email.com',NULL,NULL,1,'Elite','frozen',NULL,'2026-01-05','2026-01-19','Pregnancy',NULL,NULL,'2026-01-01 10:16:01','2026-01-05 12:39:38'),(9,'M-0009','David Brown','david.brown@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(10,'M-0010','Emily Davis','emily.davis@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(11,'M-0011','James Miller','james.miller@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(12,'M-0012','Jennifer Wilson','jennifer.wilson@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(13,'M-0013','Robert Moore','robert.moore@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(14,'M-0014','Linda Taylor','linda.taylor@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(15,'M-0015','William Anderson','william.anderson@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-05 12:28:27'),(16,'M-0016','Mary Thomas','mary.thomas@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(17,'M-0017','Richard Jackson','richard.jackson@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(18,'M-0018','Patricia White','patricia.white@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(19,'M-0019','Christopher Harris','christopher.harris@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(20,'M-0020','Barbara Martin','barbara.martin@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(21,'M-0021','Daniel Thompson','daniel.thompson@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(22,'M-0022','Jessica Garcia','jessica.garcia@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(23,'M-0023','Matthew Martinez','matthew.martinez@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(24,'M-0024','Karen Robinson','karen.robinson@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(25,'M-0025','Anthony Clark','anthony.clark@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(26,'M-0026','Nancy Rodriguez','nancy.rodriguez@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(27,'M-0027','Mark Lewis','mark.lewis@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(28,'M-0028','Lisa Lee','lisa.lee@email.com',NULL,NULL,1,'Premium','frozen',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(29,'M-0029','Donald Walker','donald.walker@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(30,'M-0030','Betty Hall','betty.hall@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(31,'M-0031','Paul Allen','paul.allen@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(32,'M-0032','Helen Young','helen.young@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(33,'M-0033','Andrew Hernandez','andrew.hernandez@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(34,'M-0034','Sandra King','sandra.king@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(35,'M-0035','Kenneth Wright','kenneth.wright@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(36,'M-0036','Donna Lopez','donna.lopez@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(37,'M-0037','Joshua Hill','joshua.hill@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(38,'M-0038','Carol Scott','carol.scott@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(39,'M-0039','Kevin Green','kevin.green@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-08 14:27:28'),(40,'M-0040','Michelle Adams','michelle.adams@email.com',NULL,NULL,1,'Premium','cancelled',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(41,'M-0041','Brian Baker','brian.baker@email.com',NULL,NULL,1,'Elite','cancelled',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(42,'M-0042','Amanda Gonzalez','amanda.gonzalez@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(43,'M-0043','George Nelson','george.nelson@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(44,'M-0044','Melissa Carter','melissa.carter@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(45,'M-0045','Edward Mitchell','edward.mitchell@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(46,'M-0046','Deborah Perez','deborah.perez@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(47,'M-0047','Ronald Roberts','ronald.roberts@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(48,'M-0048','Stephanie Turner','stephanie.turner@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(49,'M-0049','Timothy Phillips','timothy.phillips@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(50,'M-0050','Rebecca Campbell','rebecca.campbell@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(51,'M-0051','Jason Parker','jason.parker@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(52,'M-0052','Laura Evans','laura.evans@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(53,'M-0053','Jeffrey Edwards','jeffrey.edwards@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(54,'M-0054','Kimberly Collins','kimberly.collins@email.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(55,'M-0055','Ryan Stewart','ryan.stewart@email.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(56,'M-0056','Sharon Sanchez','sharon.sanchez@email.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(57,'M-0057','Jacob Morris','jacob.morris@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(58,'M-0058','Cynthia Rogers','cynthia.rogers@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(59,'M-0059','Gary Reed','gary.reed@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(60,'M-0060','Kathleen Cook','kathleen.cook@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(61,'M-0061','Nicholas Morgan','nicholas.morgan@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(62,'M-0062','Amy Bell','amy.bell@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(63,'M-0063','Eric Murphy','eric.murphy@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(64,'M-0064','Angela Bailey','angela.bailey@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(65,'M-0065','Jonathan Rivera','jonathan.rivera@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(66,'M-0066','Shirley Cooper','shirley.cooper@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(67,'M-0067','Justin Richardson','justin.richardson@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(68,'M-0068','Anna Cox','anna.cox@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(69,'M-0069','Brandon Howard','brandon.howard@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(70,'M-0070','Brenda Ward','brenda.ward@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(71,'M-0071','Raymond Torres','raymond.torres@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(72,'M-0072','Pamela Peterson','pamela.peterson@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(73,'M-0073','Samuel Gray','samuel.gray@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(74,'M-0074','Nicole Ramirez','nicole.ramirez@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(75,'M-0075','Jack James','jack.james@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(76,'M-0076','Katherine Watson','katherine.watson@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(77,'M-0077','Alexander Brooks','alexander.brooks@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(78,'M-0078','Christine Kelly','christine.kelly@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(79,'M-0079','Patrick Sanders','patrick.sanders@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(80,'M-0080','Samantha Price','samantha.price@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(81,'M-0081','Jeremy Bennett','jeremy.bennett@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(82,'M-0082','Janet Wood','janet.wood@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(83,'M-0083','Dennis Barnes','dennis.barnes@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(84,'M-0084','Carolyn Ross','carolyn.ross@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(85,'M-0085','Jerry Henderson','jerry.henderson@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(86,'M-0086','Maria Coleman','maria.coleman@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(87,'M-0087','Tyler Jenkins','tyler.jenkins@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(88,'M-0088','Heather Perry','heather.perry@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(89,'M-0089','Aaron Powell','aaron.powell@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(90,'M-0090','Diane Long','diane.long@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(91,'M-0091','Jose Patterson','jose.patterson@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(92,'M-0092','Julie Hughes','julie.hughes@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(93,'M-0093','Adam Flores','adam.flores@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(94,'M-0094','Joyce Washington','joyce.washington@email.com',NULL,NULL,2,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(95,'M-0095','Nathan Butler','nathan.butler@email.com',NULL,NULL,2,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(96,'M-0096','Victoria Simmons','victoria.simmons@email.com',NULL,NULL,2,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(97,'M-0097','Zachary Foster','zachary.foster@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(98,'M-0098','Christina Gonzales','christina.gonzales@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(99,'M-0099','Kyle Bryant','kyle.bryant@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(100,'M-0100','Joan Alexander','joan.alexander@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(101,'M-0101','Noah Russell','noah.russell@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(102,'M-0102','Evelyn Griffin','evelyn.griffin@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(103,'M-0103','Henry Diaz','henry.diaz@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(104,'M-0104','Judy Hayes','judy.hayes@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(105,'M-0105','Douglas Myers','douglas.myers@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(106,'M-0106','Megan Ford','megan.ford@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(107,'M-0107','Peter Hamilton','peter.hamilton@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(108,'M-0108','Cheryl Graham','cheryl.graham@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(109,'M-0109','Carl Sullivan','carl.sullivan@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(110,'M-0110','Marie Wallace','marie.wallace@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(111,'M-0111','Keith Woods','keith.woods@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(112,'M-0112','Madison Cole','madison.cole@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(113,'M-0113','Roger West','roger.west@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(114,'M-0114','Amber Jordan','amber.jordan@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(115,'M-0115','Gerald Owens','gerald.owens@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(116,'M-0116','Danielle Reynolds','danielle.reynolds@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(117,'M-0117','Arthur Fisher','arthur.fisher@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(118,'M-0118','Brittany Ellis','brittany.ellis@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(119,'M-0119','Joe Gibson','joe.gibson@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(120,'M-0120','Olivia McDonald','olivia.mcdonald@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(121,'M-0121','Lawrence Cruz','lawrence.cruz@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(122,'M-0122','Jacqueline Marshall','jacqueline.marshall@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(123,'M-0123','Sean Ortiz','sean.ortiz@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(124,'M-0124','Kelly Gomez','kelly.gomez@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(125,'M-0125','Austin Murray','austin.murray@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(126,'M-0126','Teresa Freeman','teresa.freeman@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(127,'M-0127','Russell Wells','russell.wells@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(128,'M-0128','Gloria Webb','gloria.webb@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(129,'M-0129','Jesse Simpson','jesse.simpson@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(130,'M-0130','Doris Stevens','doris.stevens@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(131,'M-0131','Albert Tucker','albert.tucker@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-02 15:35:48'),(132,'M-0132','Sara Porter','sara.porter@email.com',NULL,NULL,3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-06 22:12:43'),(133,'M-0133','Terry Hunter','terry.hunter@email.com',NULL,NULL,3,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-06 22:12:43'),(134,'M-0134','Kathryn Hicks','kathryn.hicks@email.com',NULL,NULL,3,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-01 10:16:01','2026-01-06 22:10:39'),(135,'M-0135','Valid Test User','validtest@example.com',NULL,NULL,1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-07 20:52:04','2026-01-07 20:52:04'),(136,'M-0136','Route Test Member','routetest@gymflow.com',NULL,NULL,1,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-11 04:19:07','2026-01-11 04:19:07'),(137,'M-0137','Abrar Ali','abrar_ali99@hotmail.com',NULL,NULL,1,'Elite','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-12 01:14:01','2026-01-12 01:14:01'),(138,'M-0138','Phone Test User','phonetestuser@gmail.com','(647) 980-0513','(647) 982-0720',3,'Basic','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-12 01:39:54','2026-01-12 01:39:54'),(139,'M-0139','Sana Ali','sana.ali@hotmail.com','(647) 238-3929','(647) 393-0230',1,'Premium','active',NULL,NULL,NULL,NULL,NULL,NULL,'2026-01-14 06:10:08','2026-01-14 06:10:08');
 /*!40000 ALTER TABLE `members` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `payment_methods`
---
-
-DROP TABLE IF EXISTS `payment_methods`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `payment_methods` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `member_id` int NOT NULL,
-  `card_type` enum('Visa','Mastercard','Amex','Discover','Other') NOT NULL,
-  `last_four` char(4) NOT NULL,
-  `expiry_month` tinyint NOT NULL,
-  `expiry_year` year NOT NULL,
-  `cardholder_name` varchar(10) DEFAULT NULL,
-  `billing_zip` varchar(10) DEFAULT NULL,
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  UNIQUE KEY `member_id` (`member_id`),
-  CONSTRAINT `payment_methods_ibfk_1` FOREIGN KEY (`member_id`) REFERENCES `members` (`id`) ON DELETE CASCADE
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `payment_methods`
 --
@@ -308,29 +153,6 @@ LOCK TABLES `payment_methods` WRITE;
 /*!40000 ALTER TABLE `payment_methods` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `payments`
---
-
-DROP TABLE IF EXISTS `payments`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `payments` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `member_id` int NOT NULL,
-  `amount` decimal(10,2) NOT NULL,
-  `payment_date` date NOT NULL,
-  `payment_method` enum('Cash','Cheque','Credit Card','Bank Transfer','Other') NOT NULL,
-  `status` enum('success','failed','pending','refunded') DEFAULT 'success',
-  `notes` text,
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  KEY `member_id` (`member_id`),
-  CONSTRAINT `payments_ibfk_1` FOREIGN KEY (`member_id`) REFERENCES `members` (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=14 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `payments`
 --
@@ -341,33 +163,6 @@ INSERT INTO `payments` VALUES (1,1,75.00,'2026-01-01','Credit Card','success',NU
 /*!40000 ALTER TABLE `payments` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `products`
---
-
-DROP TABLE IF EXISTS `products`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `products` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `sku` varchar(50) NOT NULL,
-  `name` varchar(255) NOT NULL,
-  `description` text,
-  `category_id` int NOT NULL,
-  `unit_price` decimal(10,2) DEFAULT '0.00',
-  `cost_price` decimal(10,2) DEFAULT '0.00',
-  `reorder_point` int DEFAULT '10',
-  `reorder_quantity` int DEFAULT '25',
-  `status` enum('active','discontinued') DEFAULT 'active',
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  UNIQUE KEY `sku` (`sku`),
-  KEY `category_id` (`category_id`),
-  CONSTRAINT `products_ibfk_1` FOREIGN KEY (`category_id`) REFERENCES `inventory_categories` (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=24 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `products`
 --
@@ -378,40 +173,6 @@ INSERT INTO `products` VALUES (1,'SUPP-001','Whey Protein 2lb','Premium whey pro
 /*!40000 ALTER TABLE `products` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `reorder_requests`
---
-
-DROP TABLE IF EXISTS `reorder_requests`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `reorder_requests` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `request_number` varchar(20) NOT NULL,
-  `product_id` int NOT NULL,
-  `location_id` int NOT NULL,
-  `quantity_requested` int NOT NULL,
-  `quantity_received` int DEFAULT '0',
-  `unit_cost` decimal(10,2) DEFAULT NULL,
-  `total_cost` decimal(10,2) DEFAULT NULL,
-  `status` enum('pending','approved','received','rejected') DEFAULT 'pending',
-  `requested_by` varchar(100) DEFAULT NULL,
-  `approved_by` varchar(100) DEFAULT NULL,
-  `notes` text,
-  `requested_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `approved_at` timestamp NULL DEFAULT NULL,
-  `vendor_id` int DEFAULT NULL,
-  PRIMARY KEY (`id`),
-  UNIQUE KEY `request_number` (`request_number`),
-  KEY `product_id` (`product_id`),
-  KEY `location_id` (`location_id`),
-  KEY `fk_vendor` (`vendor_id`),
-  CONSTRAINT `fk_vendor` FOREIGN KEY (`vendor_id`) REFERENCES `vendors` (`id`) ON DELETE SET NULL,
-  CONSTRAINT `reorder_requests_ibfk_1` FOREIGN KEY (`product_id`) REFERENCES `products` (`id`),
-  CONSTRAINT `reorder_requests_ibfk_2` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=89 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `reorder_requests`
 --
@@ -422,25 +183,6 @@ INSERT INTO `reorder_requests` VALUES (35,'RO-0001',1,1,50,NULL,28.00,1400.00,'p
 /*!40000 ALTER TABLE `reorder_requests` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `revenue`
---
-
-DROP TABLE IF EXISTS `revenue`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `revenue` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `location_id` int NOT NULL,
-  `amount` decimal(10,2) NOT NULL,
-  `month` date NOT NULL,
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  KEY `location_id` (`location_id`),
-  CONSTRAINT `revenue_ibfk_1` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=19 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `revenue`
 --
@@ -451,34 +193,6 @@ INSERT INTO `revenue` VALUES (1,1,28400.00,'2025-05-01','2026-01-01 08:57:00'),(
 /*!40000 ALTER TABLE `revenue` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `shifts`
---
-
-DROP TABLE IF EXISTS `shifts`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `shifts` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `staff_id` int NOT NULL,
-  `location_id` int NOT NULL,
-  `shift_date` date NOT NULL,
-  `start_time` time NOT NULL,
-  `end_time` time NOT NULL,
-  `role` varchar(50) NOT NULL,
-  `status` enum('scheduled','completed','cancelled') DEFAULT 'scheduled',
-  `notes` text,
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  KEY `idx_shift_date` (`shift_date`),
-  KEY `idx_shift_id` (`staff_id`),
-  KEY `idx_location_id` (`location_id`),
-  CONSTRAINT `shifts_ibfk_1` FOREIGN KEY (`staff_id`) REFERENCES `staff` (`id`) ON DELETE CASCADE,
-  CONSTRAINT `shifts_ibfk_2` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`) ON DELETE CASCADE
-) ENGINE=InnoDB AUTO_INCREMENT=14 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `shifts`
 --
@@ -489,39 +203,6 @@ INSERT INTO `shifts` VALUES (1,1,1,'2026-01-20','09:00:00','17:00:00','Front Des
 /*!40000 ALTER TABLE `shifts` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `staff`
---
-
-DROP TABLE IF EXISTS `staff`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `staff` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `staff_id` varchar(20) DEFAULT NULL,
-  `name` varchar(255) NOT NULL,
-  `email` varchar(255) NOT NULL,
-  `phone` varchar(20) DEFAULT NULL,
-  `emergency_contact` varchar(255) DEFAULT NULL,
-  `emergency_phone` varchar(20) DEFAULT NULL,
-  `location_id` int NOT NULL,
-  `role` varchar(50) NOT NULL,
-  `specialty` enum('Strength','Hypertrophy','Weight Loss','Conditioning','Yoga / Mobility') DEFAULT NULL,
-  `hire_date` date DEFAULT NULL,
-  `hourly_rate` decimal(10,2) DEFAULT NULL,
-  `status` enum('active','on_leave','terminated','inactive') DEFAULT 'active',
-  `notes` text,
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`),
-  UNIQUE KEY `email` (`email`),
-  UNIQUE KEY `staff_id` (`staff_id`),
-  KEY `location_id` (`location_id`),
-  KEY `idx_staff_id` (`staff_id`),
-  KEY `idx_staff_status` (`status`),
-  CONSTRAINT `staff_ibfk_1` FOREIGN KEY (`location_id`) REFERENCES `locations` (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=16 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `staff`
 --
@@ -533,23 +214,14 @@ INSERT INTO `staff` VALUES (1,'S-0001','Sarah Johnson','sarah.j@gymflow.com','41
 UNLOCK TABLES;
 
 --
--- Table structure for table `system_settings`
+-- Dumping data for table `stock_movements`
 --
 
-DROP TABLE IF EXISTS `system_settings`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `system_settings` (
-  `id` int NOT NULL DEFAULT '1',
-  `currency_symbol` varchar(5) DEFAULT '$',
-  `date_format` varchar(20) DEFAULT 'MM/DD/YYYY',
-  `low_inventory_threshold` int DEFAULT '10',
-  `capacity_warning_percent` int DEFAULT '85',
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
+LOCK TABLES `stock_movements` WRITE;
+/*!40000 ALTER TABLE `stock_movements` DISABLE KEYS */;
+INSERT INTO `stock_movements` VALUES (1,1,1,'opening',20,20,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(2,2,1,'opening',15,15,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(3,3,1,'opening',21,21,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(4,4,1,'opening',23,23,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(5,5,1,'opening',19,19,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(6,6,1,'opening',10,10,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(7,7,1,'opening',35,35,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(8,8,1,'opening',45,45,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(9,9,1,'opening',52,52,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(10,10,1,'opening',48,48,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(11,11,1,'opening',59,59,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(12,12,1,'opening',54,54,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(13,13,1,'opening',14,14,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(14,14,1,'opening',33,33,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(15,15,1,'opening',20,20,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(16,16,1,'opening',49,49,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(17,17,1,'opening',24,24,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(18,18,1,'opening',23,23,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(19,19,1,'opening',33,33,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(20,20,1,'opening',35,35,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(21,21,1,'opening',42,42,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(22,22,1,'opening',35,35,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(23,23,1,'opening',59,59,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(24,1,2,'opening',11,11,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(25,2,2,'opening',6,6,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(26,3,2,'opening',26,26,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(27,4,2,'opening',80,80,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-24 10:55:25'),(28,5,2,'opening',43,43,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(29,6,2,'opening',24,24,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(30,7,2,'opening',30,30,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(31,8,2,'opening',29,29,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(32,9,2,'opening',38,38,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(33,10,2,'opening',29,29,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(34,11,2,'opening',44,44,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(35,12,2,'opening',14,14,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(36,13,2,'opening',36,36,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(37,14,2,'opening',43,43,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(38,15,2,'opening',42,42,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(39,16,2,'opening',15,15,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(40,17,2,'opening',22,22,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(41,18,2,'opening',39,39,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(42,19,2,'opening',16,16,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(43,20,2,'opening',36,36,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(44,21,2,'opening',18,18,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(45,22,2,'opening',24,24,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(46,23,2,'opening',42,42,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(47,1,3,'opening',23,23,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(48,2,3,'opening',11,11,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(49,3,3,'opening',32,32,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(50,4,3,'opening',18,18,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(51,5,3,'opening',19,19,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(52,6,3,'opening',38,38,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(53,7,3,'opening',31,31,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(54,8,3,'opening',28,28,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(55,9,3,'opening',18,18,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(56,10,3,'opening',27,27,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(57,11,3,'opening',41,41,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(58,12,3,'opening',40,40,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(59,13,3,'opening',16,16,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(60,14,3,'opening',17,17,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(61,15,3,'opening',10,10,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(62,16,3,'opening',10,10,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(63,17,3,'opening',34,34,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(64,18,3,'opening',24,24,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(65,19,3,'opening',8,8,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(66,20,3,'opening',40,40,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(67,21,3,'opening',35,35,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(68,22,3,'opening',27,27,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29'),(69,23,3,'opening',33,33,'Stock on hand when the ledger started',NULL,NULL,NULL,NULL,'2026-01-21 07:17:29');
+/*!40000 ALTER TABLE `stock_movements` ENABLE KEYS */;
+UNLOCK TABLES;
 
 --
 -- Dumping data for table `system_settings`
@@ -557,38 +229,10 @@ CREATE TABLE `system_settings` (
 
 LOCK TABLES `system_settings` WRITE;
 /*!40000 ALTER TABLE `system_settings` DISABLE KEYS */;
-INSERT INTO `system_settings` VALUES (1,'$','MM/DD/YYYY',15,90,'2026-01-27 06:54:19','2026-01-27 07:51:43');
+INSERT INTO `system_settings` VALUES (1,'$','MM/DD/YYYY',15,90,0,1,1,7,0,1,60,180,'warn','2026-01-27 06:54:19','2026-01-27 07:51:43');
 /*!40000 ALTER TABLE `system_settings` ENABLE KEYS */;
 UNLOCK TABLES;
 
---
--- Table structure for table `vendors`
---
-
-DROP TABLE IF EXISTS `vendors`;
-/*!40101 SET @saved_cs_client     = @@character_set_client */;
-/*!50503 SET character_set_client = utf8mb4 */;
-CREATE TABLE `vendors` (
-  `id` int NOT NULL AUTO_INCREMENT,
-  `vendor_name` varchar(100) NOT NULL,
-  `category` enum('Equipment','Supplies','Services','Other') DEFAULT 'Supplies',
-  `contact_person` varchar(100) DEFAULT NULL,
-  `email` varchar(100) DEFAULT NULL,
-  `phone` varchar(20) DEFAULT NULL,
-  `address_street` varchar(200) DEFAULT NULL,
-  `address_city` varchar(100) DEFAULT NULL,
-  `address_province` varchar(50) DEFAULT NULL,
-  `address_postal_code` varchar(10) DEFAULT NULL,
-  `payment_terms` varchar(50) DEFAULT 'Net 30',
-  `tax_id` varchar(50) DEFAULT NULL,
-  `notes` text,
-  `status` enum('Active','Inactive') DEFAULT 'Active',
-  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  PRIMARY KEY (`id`)
-) ENGINE=InnoDB AUTO_INCREMENT=7 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
-/*!40101 SET character_set_client = @saved_cs_client */;
-
 --
 -- Dumping data for table `vendors`
 --
@@ -2,87 +2,106 @@
 
 /* ============================================
    ADMIN AUTHENTICATION MIDDLEWARE
-   Verify admin credentials before sensitive operations
+   Verify the admin session token before sensitive operations
    ============================================ */
 
-const bcrypt = require('bcrypt');
-const db = require('../config/database');
+const { verifyAccessToken } = require('../utils/adminSessions');
+const { hasPermission } = require('../config/permissions');
 
 /* ============================================
    REQUIRE ADMIN MIDDLEWARE
    Use on routes that need admin verification
    ============================================ */
 
+// Expects: Authorization: Bearer <token>
+// The token comes from POST /api/admin/verify-password, /verify-2fa (or /refresh)
+// Admins with 2FA enabled only ever get a token after passing the second factor
+// WHY not username/password headers? The password would travel on every request
+// and the frontend would have to keep it in memory.
+
 async function requireAdmin(req, res, next) {
-    // Get admin credentials from request headers
-    const adminUsername = req.headers['x-admin-username'];
-    const adminPassword = req.headers['x-admin-password'];
+    const authHeader = req.headers['authorization'] || '';
+    const [scheme, token] = authHeader.split(' ');
 
-    console.log('🔐 [MiddleWare] Checking admin credentials for:', req.method, req.path);
+    console.log('🔐 [MiddleWare] Checking admin session for:', req.method, req.path);
 
-    // Check if credentials provided
-    if (!adminUsername || !adminPassword) {
-        console.log('❌ [MiddleWare] Missing admin credentials');
+    // Check if a token was provided
+    if (scheme !== 'Bearer' || !token) {
+        console.log('❌ [MiddleWare] Missing admin session token');
         return res.status(401).json({
             error: 'Admin authentication required', 
-            message: 'This action requires asmin verification'
+            message: 'This action requires admin verification'
         });
     }
 
-    // Query database for admin
-    const query = 'SELECT * FROM admins WHERE username = ?';
+    try {
+        const admin = await verifyAccessToken(token);
 
-    db.query(query, [adminUsername], async (err, results) => {
-        if (err)  {
-            console.error('❌ [MiddleWare] Database error:', err);
-            return res.status(500).json({
-                error: 'Authentication failed', 
-                message: 'Unable to verify credentials'
+        if (!admin) {
+            console.log('❌ [MiddleWare] Invalid or expired session token');
+            return res.status(401).json({
+                error: 'Session expired', 
+                message: 'Please sign in again'
             });
         }
 
-        // Check if admin exists
-        if (results.length === 0) {
-            console.log('❌ [MiddleWare] Admin not found:', adminUsername);
-            return res.status(401).json({
-                error: 'Invalid credentials', 
-                message: 'Admin authentication failed'
+        console.log('✅ [MiddleWare] Admin verified:', admin.username);
+
+        // Store admin info in request for later use
+        req.admin = admin;
+
+        // Allow request to proceed
+        next();
+
+    } catch (error) {
+        console.error('❌ [MiddleWare] Session check error:', error);
+        return res.status(500).json({
+            error: 'Authentication failed', 
+            message: 'Unable to verify session'
+        });
+    }
+}
+
+/* ============================================
+   REQUIRE PERMISSION MIDDLEWARE
+   Signed-in admin AND their role grants the permission
+   ============================================ */
+
+// Usage: router.delete('/:id', requirePermission('members.delete'), handler)
+// Returns [requireAdmin, check] - Express runs both in order,
+// so routes don't have to remember to add requireAdmin first
+
+function requirePermission(permission) {
+    const checkPermission = (req, res, next) => {
+        // Temporary password in use - nothing else until it's changed
+        if (req.admin.mustResetPassword) {
+            return res.status(403).json({
+                error: 'Password reset required', 
+                message: 'Please choose a new password before continuing'
             });
         }
 
-        const admin = results[0];
-
-        try {
-            // Verify password with bcrypt
-            const isMatch = await bcrypt.compare(adminPassword, admin.password_hash);
-
-            if (isMatch) {
-                console.log('✅ [MiddleWare] Admin verified:', adminUsername);
-
-                // Store admin info in request for later use
-                req.admin = {
-                    id: admin.id, 
-                    username: admin.username
-                };
-
-                // Allow request to proceed
-                next();
-            } else {
-                console.log('❌ [MiddleWare] Invalid password for:', adminUsername);
-                return res.status(401).json({
-                    error: 'Invalid credentials', 
-                    message: 'Admin authentication failed'
-                });
-            }
-
-        } catch (error) {
-            console.error('❌ [MiddleWare] Bcrypt error:', error);
-            return res.status(500).json({
-                error: 'Authentication failed', 
-                message: 'Unable to verify credentials'
+        // 2FA is required for all admins and this one hasn't enrolled yet
+        if (req.admin.twoFactorSetupRequired) {
+            return res.status(403).json({
+                error: 'Two-factor setup required', 
+                message: 'Set up two-factor authentication before continuing'
             });
         }
-    });
+
+        if (!hasPermission(req.admin.role, permission)) {
+            console.log(`⛔ [MiddleWare] ${req.admin.username} (${req.admin.role}) lacks ${permission}`);
+            return res.status(403).json({
+                error: 'Permission denied', 
+                message: `Your role (${req.admin.role}) is not allowed to do this`, 
+                required: permission
+            });
+        }
+
+        next();
+    };
+
+    return [requireAdmin, checkPermission];
 }
 
-module.exports = { requireAdmin };
\ No newline at end of file
+module.exports = { requireAdmin, requirePermission };
@@ -0,0 +1,151 @@
+// middleware/auditTrail.js
+
+/* ============================================
+   AUDIT TRAIL MIDDLEWARE
+   Records who changed what on every write route
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. BEFORE the handler runs: load the row being changed ("before" snapshot)
+// 2. Let the route do its thing (routes don't need to know about auditing)
+// 3. AFTER a successful response: load the row again ("after" snapshot)
+//    and append an entry to audit_log
+//
+// Failed requests (4xx/5xx) are not recorded - nothing changed.
+
+const { queryAsync } = require('../utils/queryAsync');
+const { recordAudit } = require('../utils/auditLog');
+
+/* ============================================
+   AUDITED ENTITIES
+   Which table holds each entity type
+   ============================================ */
+
+// responseKey: where a CREATE route returns the new row (e.g. { shift: {...} })
+// columns: what goes into the snapshot (never password hashes or 2FA secrets)
+const AUDIT_ENTITIES = {
+    member:         {
+        table: 'members',
+        columns: 'id, member_id, name, email, phone, emergency_contact, location_id, plan, status, notes, freeze_start_date, freeze_end_date, freeze_reason, waiver_signed_at, kiosk_pin_hash IS NOT NULL AS has_kiosk_pin, created_at, updated_at'
+    },
+    member_import:  { table: 'member_imports', responseKey: 'import' },
+    member_merge:   { table: 'member_merges', responseKey: 'merge' },
+    duplicate_dismissal: { table: 'member_duplicate_dismissals', responseKey: 'dismissal' },
+    payment:        { table: 'payments', responseKey: 'payment' },
+    payment_method: { table: 'payment_methods', responseKey: 'payment_method' },
+    billing_run:    { table: 'billing_runs', responseKey: 'run' },
+    plan:           { table: 'membership_plans', responseKey: 'plan' },
+    check_in:       { table: 'check_ins', responseKey: 'check_in' },
+    kiosk_device:   {
+        table: 'kiosk_devices',
+        responseKey: 'device',
+        columns: 'id, name, location_id, token_prefix, status, last_seen_at, created_by_username, created_at, revoked_at'
+    },
+    staff:          { table: 'staff', responseKey: 'staff' },
+    shift:          { table: 'shifts', responseKey: 'shift' },
+    product:        { table: 'products', responseKey: 'product' },
+    stock:          { table: 'inventory_stock' },
+    reorder:        { table: 'reorder_requests', responseKey: 'request' },
+    transfer:       { table: 'stock_transfers', responseKey: 'transfer' },
+    vendor:         { table: 'vendors', responseKey: 'vendor' },
+    location:       { table: 'locations' },
+    settings:       { table: 'system_settings' },
+    admin:          {
+        table: 'admins',
+        responseKey: 'admin',
+        columns: 'id, username, full_name, email, role, status, must_reset_password, totp_enabled, failed_login_attempts, locked_until, last_login, created_at, updated_at'
+    }
+};
+
+/* ============================================
+   SNAPSHOT
+   Load the current row for an entity
+   ============================================ */
+
+async function loadSnapshot(entity, key) {
+    const columns = Object.keys(key);
+    const where = columns.map(column => `${column} = ?`).join(' AND ');
+
+    const rows = await queryAsync(
+        `SELECT ${entity.columns || '*'} FROM ${entity.table} WHERE ${where} LIMIT 1`,
+        Object.values(key)
+    );
+
+    return rows[0] || null;
+}
+
+// Pull the new row's id out of a CREATE response
+// Routes answer with either { id } or { <entity>: { id } }
+function getCreatedId(entity, body) {
+    if (!body) return null;
+    return body.id ?? body[entity.responseKey]?.id ?? null;
+}
+
+/* ============================================
+   AUDIT TRAIL MIDDLEWARE FACTORY
+   ============================================ */
+
+// Usage:
+//   router.put('/:id', requirePermission('members.update'), auditTrail('member', 'update'), ...)
+//
+// options.key(req) -> which row is being changed, e.g. { id: 5 }
+//   Defaults to { id: req.params.id }. Return null for CREATE routes
+//   (the id is read from the response instead).
+
+function auditTrail(entityType, action, options = {}) {
+    const entity = AUDIT_ENTITIES[entityType];
+
+    if (!entity) {
+        throw new Error(`Unknown audit entity: ${entityType}`);
+    }
+
+    const getKey = options.key || (req => (req.params.id ? { id: req.params.id } : null));
+
+    return async (req, res, next) => {
+        const key = getKey(req);
+        let before = null;
+
+        try {
+            before = key ? await loadSnapshot(entity, key) : null;
+        } catch (error) {
+            // Never block the actual request because auditing failed
+            console.error(`❌ [Audit] Failed to load ${entityType} snapshot:`, error);
+        }
+
+        // Capture the response body so CREATE routes can tell us the new id
+        let responseBody = null;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return originalJson(body);
+        };
+
+        res.on('finish', async () => {
+            if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+            try {
+                const createdId = key ? null : getCreatedId(entity, responseBody);
+                const afterKey = key || (createdId ? { id: createdId } : null);
+                const after = afterKey ? await loadSnapshot(entity, afterKey) : null;
+
+                await recordAudit({
+                    admin: req.admin,
+                    action,
+                    method: req.method,
+                    route: req.originalUrl.split('?')[0],
+                    entityType,
+                    entityId: afterKey ? Object.values(afterKey).join(':') : null,
+                    before,
+                    after,
+                    ipAddress: req.ip
+                });
+            } catch (error) {
+                console.error(`❌ [Audit] Failed to record ${action} on ${entityType}:`, error);
+            }
+        });
+
+        next();
+    };
+}
+
+module.exports = { auditTrail, AUDIT_ENTITIES };
@@ -0,0 +1,43 @@
+// middleware/kioskAuth.js
+
+/* ============================================
+   KIOSK DEVICE AUTHENTICATION
+   Paired kiosk tablets - not admins
+   ============================================ */
+
+// Expects: X-Kiosk-Token: kiosk_<64 hex>
+// The token comes from pairing the device (POST /api/kiosk/devices)
+// and only works for that device's location. Revoked = 401 at once.
+
+const { queryAsync } = require('../utils/queryAsync');
+const { findDeviceByToken } = require('../utils/kiosk');
+
+async function requireKioskDevice(req, res, next) {
+    try {
+        const device = await findDeviceByToken(req.headers['x-kiosk-token']);
+
+        if (!device) {
+            console.log('❌ [MiddleWare] Unknown or revoked kiosk token');
+            return res.status(401).json({
+                error: 'Kiosk not paired',
+                message: 'Ask staff to pair this kiosk again'
+            });
+        }
+
+        req.kioskDevice = device;
+
+        // "Last seen" on the Settings page - not worth failing the request over
+        queryAsync('UPDATE kiosk_devices SET last_seen_at = NOW() WHERE id = ?', [device.id])
+            .catch(error => console.error('❌ [MiddleWare] Failed to update kiosk last_seen_at:', error));
+
+        next();
+    } catch (error) {
+        console.error('❌ [MiddleWare] Kiosk check error:', error);
+        return res.status(500).json({
+            error: 'Authentication failed',
+            message: 'Unable to verify kiosk'
+        });
+    }
+}
+
+module.exports = { requireKioskDevice };
@@ -5,11 +5,29 @@
    All express-validator rules for input validation
    ============================================ */
 
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 // Import database for async validation (checking duplicates)
 const db = require('../config/database');
 
+// Admin roles (single source of truth)
+const { ROLES } = require('../config/permissions');
+
+// Audited entity types (for filtering the audit log)
+const { AUDIT_ENTITIES } = require('./auditTrail');
+
+// Kiosk PIN length
+const { KIOSK_PIN_LENGTH } = require('../config/kiosk');
+
+// Membership card download formats
+const { CARD_FORMATS } = require('../utils/memberCards');
+
+// Manual stock adjustment types (set / add / subtract)
+const { ADJUSTMENT_TYPES } = require('../utils/stockLedger');
+
+// Dashboard date range (default + longest allowed)
+const { MAX_RANGE_DAYS, getDashboardPeriod } = require('../utils/dashboardMetrics');
+
 // WHY separate file?
 // - Validation logic is reusable
 // - Routes stay clean (just rotue logic)
@@ -54,6 +72,35 @@ const handleValidationErrors = (req, res, next) => {
 
 console.log('✅ Validation middleware configured');
 
+/* ============================================
+   PLAN CHECK
+   Shared by add/edit member
+   ============================================ */
+
+// Plan must exist and be active - unless memberId is already on it
+function checkPlanAvailable(plan, memberId = null) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT is_active,
+                (SELECT COUNT(*) FROM members WHERE id = ? AND plan = p.name) AS current_plan
+            FROM membership_plans p
+            WHERE name = ?
+        `;
+        db.query(query, [memberId, plan], (err, results) => {
+            if (err) {
+                return reject(new Error('Database error'));
+            }
+            if (results.length === 0) {
+                return reject(new Error('Plan not found'));
+            }
+            if (!results[0].is_active && !results[0].current_plan) {
+                return reject(new Error('Plan is no longer offered'));
+            }
+            return resolve();
+        });
+    });
+}
+
 /* ============================================
    VALIDATION RULES: ADD MEMBER
    Applied to POST /api/members
@@ -171,14 +218,12 @@ const validateAddMember = [
         .notEmpty()
         .withMessage('Plan is required')
 
-        // .isIn() - Must be one of these exact values
-        // ['Basic', 'Premium', 'Elite'] - our three plans
+        // Must be an ACTIVE plan in membership_plans
         // WHY? Prevents:
         // - User editing HTML to add "Free" plan
         // - Typos like "Premim" breaking reports
-        // - SQL injection via plan field
-        .isIn(['Basic', 'Premium', 'Elite'])
-        .withMessage('Plan must be Basic, Premium, or Elite'),
+        // - Signing people up to a retired plan
+        .custom(async (plan) => checkPlanAvailable(plan)),
 
     // LOCATION VALIDATION
     body('location_id')
@@ -255,11 +300,11 @@ const validateEditMember = [
         .matches(/^\(\d{3}\) \d{3}-\d{4}$/)
         .withMessage('Emergency contact must be in format: (555) 123 4567'),
 
+    // A member may stay on a retired plan, but nobody new can move onto one
     body('plan')
         .notEmpty()
         .withMessage('Plan is required')
-        .isIn(['Basic', 'Premium', 'Elite'])
-        .withMessage('Plan must be Basic, Premium, or Elite'),
+        .custom(async (plan, { req }) => checkPlanAvailable(plan, req.params.id)),
 
     body('location_id')
         .notEmpty()
@@ -337,7 +382,36 @@ const validateFreezeMember = [
     // Validate member ID in URL
     param('id')
         .isInt({ min: 1 })
-        .withMessage('Invalid member ID'),
+        .withMessage('Invalid member ID')
+
+        // Custom validation: Member must exist and be active
+        // WHY? A frozen member has to be unfrozen before a new freeze,
+        // and cancelled members can't be frozen at all
+        // (an active member's scheduled freeze is simply replaced)
+        .custom(async (memberId) => {
+            return new Promise((resolve, reject) => {
+                const query = 'SELECT status FROM members WHERE id = ?';
+                db.query(query, [memberId], (err, results) => {
+                    if (err) {
+                        return reject(new Error('Database error'));
+                    }
+
+                    if (results.length === 0) {
+                        return reject(new Error('Member not found'));
+                    }
+
+                    if (results[0].status === 'frozen') {
+                        return reject(new Error('Member is already frozen'));
+                    }
+
+                    if (results[0].status !== 'active') {
+                        return reject(new Error('Only active members can be frozen'));
+                    }
+
+                    return resolve();
+                });
+            });
+        }),
 
     // FREEZE START DATE VALIDATION
     body('freeze_start_date')
@@ -425,10 +499,11 @@ const validateUnfreezeMember = [
         .withMessage('Invalid member ID')
 
         // Custom validation: Member must exist and be frozen
+        // (or have a freeze scheduled - unfreezing cancels it)
         // WHY? Can't unfreeze someone who isn't frozen
         .custom(async (memberId) => {
             return new Promise((resolve, reject) => {
-                const query = 'SELECT status FROM members WHERE id = ?';
+                const query = 'SELECT status, freeze_start_date FROM members WHERE id = ?';
                 db.query(query, [memberId], (err, results) => {
                     if (err) {
                         return reject(new Error('Database error'));
@@ -438,7 +513,9 @@ const validateUnfreezeMember = [
                         return reject(new Error('Member not found'));
                     }
 
-                    if (results[0].status !== 'frozen') {
+                    const scheduled = results[0].status === 'active' && results[0].freeze_start_date;
+
+                    if (results[0].status !== 'frozen' && !scheduled) {
                         return reject(new Error('Member is not frozen'));
                     }
 
@@ -604,34 +681,142 @@ const validateCheckIn = [
             });
         }),
 
-    // DUPLICATE CHECK-IN VALIDATION
-    // Prevents checking in twice within 1 hour
-    // WHY? Prevents accidents (double-click) and spam
+    // CARD: the QR scanned from the member's card (utils/memberCards.js)
+    // Its signature/expiry are checked by the route - never overridable
+    body('card')
+        .optional({ checkFalsy: true })
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Card code is too long'),
+
+    // Plan, balance, waiver, visit limit, capacity and "checked in a minute ago"
+    // are check-in RULES (utils/checkInRules.js) - they can be overridden
+
+    // OVERRIDE: let the member in despite failed rules
+    body('override')
+        .optional()
+        .isBoolean()
+        .withMessage('Override must be true or false')
+        .toBoolean(),
+
+    // WHY required? The override is logged - "why" is the point of the log
+    body('override_reason')
+        .if(body('override').equals('true'))
+        .trim()
+        .notEmpty()
+        .withMessage('A reason is required to override check-in rules')
+        .isLength({ max: 255 })
+        .withMessage('Override reason must be less than 255 characters')
+];
+
+/* ============================================
+   VALIDATION RULES: MEMBER CHECK-OUT
+   Applied to POST /api/members/:id/check-out
+   ============================================ */
+
+// No status check - a member frozen mid-workout still walks out
+const validateCheckOut = [
     param('id')
-        .custom(async (memberId) => {
-            return new Promise((resolve, reject) => {
-                // Check if member has checked in within last hour
-                const query = `
-                    SELECT check_in_time
-                    FROM check_ins
-                    WHERE member_id = ?
-                        AND check_in_time > DATE_SUB(NOW(), INTERVAL 1 HOUR)
-                    ORDER BY check_in_time DESC
-                    LIMIT 1
-                `;
+        .isInt({ min: 1 })
+        .withMessage('Invalid member ID')
+];
 
-                db.query(query, [memberId], (err, results) => {
+/* ============================================
+   VALIDATION RULES: RECORD WAIVER
+   Applied to POST /api/members/:id/waiver
+   ============================================ */
+
+const validateRecordWaiver = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid member ID'),
+
+    // Optional - paper waivers signed before they were entered
+    body('signed_at')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('Signed date must be a valid date (YYYY-MM-DD)')
+        .custom((value) => {
+            if (new Date(value) > new Date()) {
+                throw new Error('Signed date cannot be in the future');
+            }
+            return true;
+        })
+];
+
+/* ============================================
+   VALIDATION RULES: MEMBER KIOSK PIN
+   Applied to POST /api/members/:id/kiosk-pin
+   ============================================ */
+
+const validateKioskPin = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid member ID'),
+
+    // Digits only - typed on the kiosk's number pad
+    body('pin')
+        .trim()
+        .matches(new RegExp(`^\\d{${KIOSK_PIN_LENGTH}}$`))
+        .withMessage(`PIN must be exactly ${KIOSK_PIN_LENGTH} digits`)
+];
+
+/* ============================================
+   VALIDATION RULES: KIOSK CHECK-IN
+   Applied to POST /api/kiosk/check-in
+   ============================================ */
+
+// The location is NOT in the body - it's the paired device's location
+const validateKioskCheckIn = [
+    // Member ID typed, or the QR scanned from the card (GFC1:...)
+    body('code')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Member ID is too long'),
+
+    body('pin')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(new RegExp(`^\\d{${KIOSK_PIN_LENGTH}}$`))
+        .withMessage(`PIN must be exactly ${KIOSK_PIN_LENGTH} digits`),
+
+    body()
+        .custom((value) => {
+            if (!value.code === !value.pin) {
+                throw new Error('Enter your member ID or your PIN');
+            }
+            return true;
+        })
+];
+
+/* ============================================
+   VALIDATION RULES: PAIR KIOSK DEVICE
+   Applied to POST /api/kiosk/devices
+   ============================================ */
+
+const validateCreateKioskDevice = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Device name is required')
+        .isLength({ max: 100 })
+        .withMessage('Device name must be less than 100 characters'),
+
+    body('location_id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid location')
+        .toInt()
+        .custom(async (locationId) => {
+            return new Promise((resolve, reject) => {
+                db.query('SELECT id FROM locations WHERE id = ?', [locationId], (err, results) => {
                     if (err) {
                         return reject(new Error('Database error'));
                     }
 
-                    if (results.length > 0) {
-                        // Calculate minutes ago
-                        const lastCheckIn = new Date(results[0].check_in_time);
-                        const now = new Date();
-                        const minutesAgo = Math.floor((now - lastCheckIn) / 1000 / 60);
-
-                        return reject(new Error(`Already checked in ${minutesAgo} minutes ago. Please wait ${60 - minutesAgo} more minutes.`));
+                    if (results.length === 0) {
+                        return reject(new Error('Location not found'));
                     }
 
                     return resolve();
@@ -652,6 +837,144 @@ const validateGetCheckIns = [
         .withMessage('Invalid member ID')
 ];
 
+/* ============================================
+   VALIDATION RULES: GET MEMBER TIMELINE
+   Applied to GET /api/members/:id/timeline
+   ============================================ */
+
+const validateGetTimeline = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid member ID'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt()
+];
+
+/* ============================================
+   VALIDATION RULES: MEMBERSHIP CARD
+   Applied to GET /api/members/:id/card
+   ============================================ */
+
+const validateMemberCard = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid member ID'),
+
+    query('format')
+        .optional()
+        .isIn(CARD_FORMATS)
+        .withMessage(`Format must be one of: ${CARD_FORMATS.join(', ')}`)
+];
+
+/* ============================================
+   VALIDATION RULES: MEMBER IMPORT
+   Applied to POST /api/members/import
+   The file itself is checked by the upload - these are the form fields
+   Each row goes through validateAddMember (utils/memberImport.js)
+   ============================================ */
+
+const validateMemberImport = [
+    body('dry_run')
+        .optional()
+        .isBoolean()
+        .withMessage('dry_run must be true or false')
+        .toBoolean(),
+
+    // Location for rows without a location column (e.g. onboarding one new location)
+    body('location_id')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 1 })
+        .withMessage('Invalid location')
+        .toInt(),
+
+    // { "email": "E-mail Address", ... } - member field -> column header
+    body('mapping')
+        .optional({ checkFalsy: true })
+        .isJSON()
+        .withMessage('Mapping must be JSON')
+        .customSanitizer(value => JSON.parse(value))
+        .custom((mapping) => {
+            if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+                throw new Error('Mapping must be an object of field: column');
+            }
+            for (const column of Object.values(mapping)) {
+                if (column !== null && typeof column !== 'string') {
+                    throw new Error('Mapping columns must be column names');
+                }
+            }
+            return true;
+        })
+];
+
+/* ============================================
+   VALIDATION RULES: DUPLICATE MEMBERS
+   Applied to /api/members/duplicates
+   ============================================ */
+
+const validateDuplicatesQuery = [
+    query('min_score')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Minimum score must be between 1 and 100')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt()
+];
+
+const validateMergeMembers = [
+    // The record that stays - payments, check-ins... move onto it
+    body('keep_id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid member to keep')
+        .toInt(),
+
+    // The record that goes away
+    body('merge_id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid member to merge')
+        .toInt()
+        .custom((value, { req }) => {
+            if (value === req.body.keep_id) {
+                throw new Error('Cannot merge a member into itself');
+            }
+            return true;
+        }),
+
+    // Score the review screen showed - kept with the merge record
+    body('score')
+        .optional({ nullable: true })
+        .isInt({ min: 0, max: 100 })
+        .withMessage('Score must be between 0 and 100')
+        .toInt()
+];
+
+const validateDismissDuplicate = [
+    body('member_ids')
+        .isArray({ min: 2, max: 2 })
+        .withMessage('Send the two member IDs of the pair'),
+
+    body('member_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Invalid member ID')
+        .toInt(),
+
+    body('member_ids')
+        .custom((ids) => {
+            if (ids[0] === ids[1]) {
+                throw new Error('A pair needs two different members');
+            }
+            return true;
+        })
+];
+
 /* ============================================
    VALIDATION RULES: ADD STAFF
    Applied to POST /api/staff
@@ -1592,27 +1915,68 @@ const validateCreateReorder = [
 
 /* ============================================
    VALIDATION RULES: UPDATE STOCK QUANTITY
-   Applied to PUT /api/inventory/products/:id/stock
+   Applied to PUT /api/inventory/stock/:productId/:locationId
    ============================================ */
 
 const validateUpdateStock = [
-    // Validate product ID in URL
-    param('id')
+    // Validate product + location IDs in URL
+    param('productId')
         .isInt({ min: 1 })
         .withMessage('Invalid product ID'), 
+
+    param('locationId')
+        .isInt({ min: 1 })
+        .withMessage('Invalid location ID'), 
     
     // QUANTITY VALIDATION
     body('quantity')
         .notEmpty()
         .withMessage('Quantity is required')
         .isInt({ min: 0, max: 10000 })
-        .withMessage('Quantity must be between 0 and 10,000 units'), 
+        .withMessage('Quantity must be between 0 and 10,000 units')
+        .toInt(), 
 
     // ADJUSTMENT TYPE VALIDATION
     body('adjustment_type')
         .optional()
-        .isIn(['set', 'add', 'subtract'])
-        .withMessage('Adjustment type must be set, add, or subtract')
+        .isIn(ADJUSTMENT_TYPES)
+        .withMessage(`Adjustment type must be one of: ${ADJUSTMENT_TYPES.join(', ')}`), 
+
+    // Goes into the stock movement ledger
+    body('adjustment_reason')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Adjustment reason cannot exceed 255 characters')
+];
+
+/* ============================================
+   VALIDATION RULES: STOCK MOVEMENTS QUERY
+   Applied to GET /api/inventory/products/:id/movements
+   ============================================ */
+
+const validateStockMovementsQuery = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid product ID'), 
+
+    query('location')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Invalid location ID')
+        .toInt(), 
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt(), 
+
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offset must be 0 or more')
+        .toInt()
 ];
 
 /* ============================================
@@ -1649,6 +2013,7 @@ const validateReceiveReorder = [
         // Must be at least 1
         .isInt({ min: 1, max: 10000 })
         .withMessage('Quantity received must be between 1 and 1,000 units')
+        .toInt()
 
         // Custom validation: Quantity received can't exceed quantity ordered
         .custom(async (quantityReceived, { req }) => {
@@ -1656,7 +2021,7 @@ const validateReceiveReorder = [
                 const reorderId = req.params.id;
 
                 // Fetch the original reorder request to check quantity
-                const query = 'SELECT quantity FROM reorder_requests WHERE id = ?';
+                const query = 'SELECT quantity_requested FROM reorder_requests WHERE id = ?';
 
                 db.query(query, [reorderId], (err, results) => {
                     if (err) {
@@ -1667,7 +2032,7 @@ const validateReceiveReorder = [
                         return reject(new Error('Reorder request not found'));
                     }
 
-                    const quantityOrdered = results[0].quantity;
+                    const quantityOrdered = results[0].quantity_requested;
                     const received = parseInt(quantityReceived);
 
                     // Check if received exceeds ordered
@@ -1690,32 +2055,28 @@ const validateReceiveReorder = [
 ];
 
 /* ============================================
-   VALIDATION RULES: ADD VENDOR
-   Applied to POST /api/inventory/vendors
+   VALIDATION RULES: Create Stock Transfer
+   Applied to POST /api/inventory/transfers
    ============================================ */
 
-const validateAddVendor = [
-    // VENDOR NAME VALIDATION
-    body('vendor_name')
-        .trim()
+const validateCreateTransfer = [
+    body('product_id')
         .notEmpty()
-        .withMessage('Vendor name is required')
-        .isLength({ min: 3, max: 100 })
-        .withMessage('Vendor name must be between 3 and 100 characters')
+        .withMessage('Product is required')
+        .isInt({ min: 1 })
+        .withMessage('Invalid product')
+        .toInt()
 
-        // Custom validation: Check if vendor already exists
-        // Prevents duplicate entries
-        .custom(async (vendorName) => {
+        // Custom validation: Product must exist
+        .custom(async (productId) => {
             return new Promise((resolve, reject) => {
-                const query = 'SELECT id FROM vendors WHERE vendor_name = ?';
-
-                db.query(query, [vendorName], (err, results) => {
+                db.query('SELECT id FROM products WHERE id = ?', [productId], (err, results) => {
                     if (err) {
                         return reject(new Error('Database error'));
                     }
 
-                    if (results.length > 0) {
-                        return reject(new Error('Vendor name already exists'));
+                    if (results.length === 0) {
+                        return reject(new Error('Product not found'));
                     }
 
                     return resolve();
@@ -1723,29 +2084,128 @@ const validateAddVendor = [
             });
         }), 
 
-    // CATEGORY VALIDATION
-    body('category')
+    // SOURCE + DESTINATION LOCATIONS
+    body('from_location_id')
         .notEmpty()
-        .withMessage('Category is required')
-        .isIn(['Supplies', 'Equipment', 'Servies', 'Other'])
-        .withMessage('Category must be Supplies, Equipment, Services, or Other'), 
+        .withMessage('Source location is required')
+        .isInt({ min: 1 })
+        .withMessage('Invalid source location')
+        .toInt(), 
 
-    // CONTACT PERSON VALIDATION
-    body('contact_person')
-        .optional({ nullable: true, checkFalsy: true })
-        .trim()
-        .isLength({ min: 3, max: 100 })
-        .withMessage('Contact person must be between 3 and 100 characters')
-        .matches(/^[a-zA-Z\s'-]+$/)
-        .withMessage('Contact person can only contain letters, spaces, hyphens, and apostrophes'), 
+    body('to_location_id')
+        .notEmpty()
+        .withMessage('Destination location is required')
+        .isInt({ min: 1 })
+        .withMessage('Invalid destination location')
+        .toInt()
 
-    // EMAIL VALIDATION
-    body('email')
-        .optional({ nullable: true, checkFalsy: true })
-        .trim()
-        .isEmail()
-        .withMessage('Invalid email format')
-        .normalizeEmail(), 
+        // Moving stock to where it already is does nothing
+        .custom((toLocationId, { req }) => {
+            if (toLocationId === parseInt(req.body.from_location_id, 10)) {
+                throw new Error('Source and destination must be different locations');
+            }
+            return true;
+        })
+
+        // Custom validation: Both locations must exist
+        .custom(async (toLocationId, { req }) => {
+            return new Promise((resolve, reject) => {
+                const locationIds = [parseInt(req.body.from_location_id, 10), toLocationId];
+
+                db.query('SELECT id FROM locations WHERE id IN (?)', [locationIds], (err, results) => {
+                    if (err) {
+                        return reject(new Error('Database error'));
+                    }
+
+                    if (results.length < 2) {
+                        return reject(new Error('Location not found'));
+                    }
+
+                    return resolve();
+                });
+            });
+        }), 
+
+    // QUANTITY VALIDATION
+    body('quantity')
+        .notEmpty()
+        .withMessage('Quantity is required')
+        .isInt({ min: 1, max: 10000 })
+        .withMessage('Quantity must be between 1 and 10,000 units')
+        .toInt(), 
+
+    // NOTES VALIDATION
+    body('notes')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes must be less than 500 characters'), 
+
+    // true = ship right away instead of saving a draft
+    body('ship')
+        .optional()
+        .isBoolean()
+        .withMessage('ship must be true or false')
+        .toBoolean()
+];
+
+/* ============================================
+   VALIDATION RULES: ADD VENDOR
+   Applied to POST /api/inventory/vendors
+   ============================================ */
+
+const validateAddVendor = [
+    // VENDOR NAME VALIDATION
+    body('vendor_name')
+        .trim()
+        .notEmpty()
+        .withMessage('Vendor name is required')
+        .isLength({ min: 3, max: 100 })
+        .withMessage('Vendor name must be between 3 and 100 characters')
+
+        // Custom validation: Check if vendor already exists
+        // Prevents duplicate entries
+        .custom(async (vendorName) => {
+            return new Promise((resolve, reject) => {
+                const query = 'SELECT id FROM vendors WHERE vendor_name = ?';
+
+                db.query(query, [vendorName], (err, results) => {
+                    if (err) {
+                        return reject(new Error('Database error'));
+                    }
+
+                    if (results.length > 0) {
+                        return reject(new Error('Vendor name already exists'));
+                    }
+
+                    return resolve();
+                });
+            });
+        }), 
+
+    // CATEGORY VALIDATION
+    body('category')
+        .notEmpty()
+        .withMessage('Category is required')
+        .isIn(['Supplies', 'Equipment', 'Servies', 'Other'])
+        .withMessage('Category must be Supplies, Equipment, Services, or Other'), 
+
+    // CONTACT PERSON VALIDATION
+    body('contact_person')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isLength({ min: 3, max: 100 })
+        .withMessage('Contact person must be between 3 and 100 characters')
+        .matches(/^[a-zA-Z\s'-]+$/)
+        .withMessage('Contact person can only contain letters, spaces, hyphens, and apostrophes'), 
+
+    // EMAIL VALIDATION
+    body('email')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .isEmail()
+        .withMessage('Invalid email format')
+        .normalizeEmail(), 
 
     // PHONE VALIDATION
     body('phone')
@@ -2088,6 +2548,518 @@ const validateUpdateSettings = [
         })
 ];
 
+/* ============================================
+   VALIDATION RULES: CHECK-IN RULES
+   Applied to PUT /api/settings/check-in-rules
+   ============================================ */
+
+const validateCheckInRules = [
+    body(['require_plan_location', 'require_paid_balance', 'require_waiver', 'enforce_visit_limits'])
+        .isBoolean()
+        .withMessage('Rule switches must be true or false')
+        .toBoolean(),
+
+    // Days a failed/pending payment is tolerated before check-in is refused
+    body('balance_grace_days')
+        .isInt({ min: 0, max: 90 })
+        .withMessage('Grace period must be between 0 and 90 days')
+        .toInt(),
+
+    // 0 = members may check in again right away
+    body('min_minutes_between')
+        .isInt({ min: 0, max: 1440 })
+        .withMessage('Minutes between check-ins must be between 0 and 1,440')
+        .toInt(),
+
+    // Nobody checked them out after this long = they left (auto check-out)
+    body('session_minutes')
+        .isInt({ min: 15, max: 720 })
+        .withMessage('Session length must be between 15 and 720 minutes')
+        .toInt(),
+
+    // What happens once occupancy reaches capacity_warning_percent
+    body('capacity_mode')
+        .isIn(['warn', 'refuse'])
+        .withMessage('Capacity mode must be warn or refuse')
+];
+
+/* ============================================
+   VALIDATION RULES: INVITE ADMIN
+   Applied to POST /api/admin/users
+   ============================================ */
+
+const validateInviteAdmin = [
+    // USERNAME VALIDATION
+    body('username')
+        .trim()
+        .notEmpty()
+        .withMessage('Username is required')
+        .isLength({ min: 3, max: 50 })
+        .withMessage('Username must be between 3 and 50 characters')
+
+        // Letters, numbers, dots, underscores, hyphens only
+        // WHY? Usernames end up in logs and audit trails
+        .matches(/^[a-zA-Z0-9._-]+$/)
+        .withMessage('Username can only contain letters, numbers, dots, underscores, and hyphens')
+
+        // Must be unique
+        .custom(async (username) => {
+            return new Promise((resolve, reject) => {
+                db.query('SELECT id FROM admins WHERE username = ?', [username], (err, results) => {
+                    if (err) {
+                        return reject(new Error('Database error'));
+                    }
+                    if (results.length > 0) {
+                        return reject(new Error('Username already exists'));
+                    }
+                    return resolve();
+                });
+            });
+        }),
+
+    // FULL NAME VALIDATION
+    body('full_name')
+        .trim()
+        .notEmpty()
+        .withMessage('Full name is required')
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Full name must be between 2 and 100 characters'),
+
+    // EMAIL VALIDATION
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email is required')
+        .isEmail()
+        .withMessage('Invalid email format')
+        .normalizeEmail()
+        .custom(async (email) => {
+            return new Promise((resolve, reject) => {
+                db.query('SELECT id FROM admins WHERE email = ?', [email], (err, results) => {
+                    if (err) {
+                        return reject(new Error('Database error'));
+                    }
+                    if (results.length > 0) {
+                        return reject(new Error('Email already exists'));
+                    }
+                    return resolve();
+                });
+            });
+        }),
+
+    // ROLE VALIDATION
+    body('role')
+        .notEmpty()
+        .withMessage('Role is required')
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+/* ============================================
+   VALIDATION RULES: CHANGE ADMIN ROLE
+   Applied to PUT /api/admin/users/:id/role
+   ============================================ */
+
+const validateChangeAdminRole = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid admin ID'),
+
+    body('role')
+        .notEmpty()
+        .withMessage('Role is required')
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+/* ============================================
+   VALIDATION RULES: CHANGE ADMIN STATUS
+   Applied to PUT /api/admin/users/:id/status
+   ============================================ */
+
+const validateChangeAdminStatus = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('Invalid admin ID'),
+
+    body('status')
+        .notEmpty()
+        .withMessage('Status is required')
+        .isIn(['active', 'disabled'])
+        .withMessage('Status must be active or disabled')
+];
+
+/* ============================================
+   VALIDATION RULES: CHANGE PASSWORD
+   Applied to POST /api/admin/change-password
+   ============================================ */
+
+const validateChangePassword = [
+    body('current_password')
+        .notEmpty()
+        .withMessage('Current password is required'),
+
+    body('new_password')
+        .notEmpty()
+        .withMessage('New password is required')
+
+        // At least 10 characters with a letter and a number
+        // WHY? Admin accounts can delete members and approve spending
+        .isLength({ min: 10, max: 128 })
+        .withMessage('New password must be between 10 and 128 characters')
+        .matches(/[a-zA-Z]/)
+        .withMessage('New password must contain a letter')
+        .matches(/\d/)
+        .withMessage('New password must contain a number')
+
+        // Must actually change
+        .custom((value, { req }) => {
+            if (value === req.body.current_password) {
+                throw new Error('New password must be different from the current password');
+            }
+            return true;
+        })
+];
+
+/* ============================================
+   VALIDATION RULES: TWO-FACTOR CODE
+   Applied to POST /api/admin/verify-2fa, /2fa/enable, /2fa/recovery-codes
+   ============================================ */
+
+const validateTwoFactorCode = [
+    // 6-digit app code OR a recovery code (XXXXX-XXXXX)
+    body('code')
+        .trim()
+        .notEmpty()
+        .withMessage('Verification code is required')
+        .isLength({ min: 6, max: 11 })
+        .withMessage('Invalid verification code')
+];
+
+/* ============================================
+   VALIDATION RULES: DISABLE TWO-FACTOR
+   Applied to POST /api/admin/2fa/disable
+   ============================================ */
+
+const validateDisableTwoFactor = [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+
+    ...validateTwoFactorCode
+];
+
+/* ============================================
+   VALIDATION RULES: TWO-FACTOR POLICY
+   Applied to PUT /api/admin/users/two-factor-policy
+   ============================================ */
+
+const validateTwoFactorPolicy = [
+    body('required')
+        .isBoolean()
+        .withMessage('Required must be true or false')
+        .toBoolean()
+];
+
+/* ============================================
+   VALIDATION RULES: AUDIT LOG QUERY
+   Applied to GET /api/audit
+   ============================================ */
+
+const validateAuditQuery = [
+    query('admin_id')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Invalid admin ID'),
+
+    query('entity_type')
+        .optional()
+        .isIn(Object.keys(AUDIT_ENTITIES))
+        .withMessage(`Entity type must be one of: ${Object.keys(AUDIT_ENTITIES).join(', ')}`),
+
+    query('entity_id')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Entity ID cannot exceed 50 characters'),
+
+    query('action')
+        .optional()
+        .trim()
+        .matches(/^[a-z_]+$/)
+        .withMessage('Invalid action'),
+
+    // Date range (inclusive)
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('From must be a valid date (YYYY-MM-DD)'),
+
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('To must be a valid date (YYYY-MM-DD)'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200'),
+
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offset must be 0 or more')
+];
+
+/* ============================================
+   VALIDATION RULES: LOGIN ATTEMPTS QUERY
+   Applied to GET /api/admin/users/login-attempts
+   ============================================ */
+
+const validateLoginAttemptsQuery = [
+    query('admin_id')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Invalid admin ID'),
+
+    query('outcome')
+        .optional()
+        .isIn(['success', 'invalid_password', 'invalid_2fa', 'unknown_user', 'locked', 'disabled'])
+        .withMessage('Invalid outcome'),
+
+    query('suspicious')
+        .optional()
+        .isBoolean()
+        .withMessage('Suspicious must be true or false')
+        .toBoolean(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200'),
+
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offset must be 0 or more')
+];
+
+/* ============================================
+   VALIDATION RULES: BILLING
+   Applied to GET /api/billing/preview and /api/billing/runs
+   ============================================ */
+
+const validateBillingPreview = [
+    query('date')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Date must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('Date must be a valid date')
+];
+
+const validateBillingRunsQuery = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Offset must be 0 or more')
+];
+
+/* ============================================
+   VALIDATION RULES: DASHBOARD
+   Applied to GET /api/dashboard
+   ============================================ */
+
+const validateDashboardQuery = [
+    query('from')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('From must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('From must be a valid date')
+
+        // A real range (no "to" = up to today), and not years of data at once
+        .custom((from, { req }) => {
+            const period = getDashboardPeriod({ from, to: req.query.to });
+
+            if (period.days < 1) {
+                throw new Error('From date must be on or before the to date');
+            }
+
+            if (period.days > MAX_RANGE_DAYS) {
+                throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+            }
+
+            return true;
+        }),
+
+    query('to')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('To must be in YYYY-MM-DD format')
+        .isISO8601({ strict: true })
+        .withMessage('To must be a valid date'),
+
+    query('location')
+        .optional()
+        .custom((location) => {
+            if (location !== 'all' && !/^[1-9]\d*$/.test(location)) {
+                throw new Error("Location must be a location ID or 'all'");
+            }
+            return true;
+        })
+];
+
+/* ============================================
+   VALIDATION RULES: MEMBERSHIP PLANS
+   Applied to POST/PUT /api/plans
+   ============================================ */
+
+const validatePlan = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Plan name is required')
+        .isLength({ max: 50 })
+        .withMessage('Plan name cannot exceed 50 characters')
+        .matches(/^[a-zA-Z0-9 +&'-]+$/)
+        .withMessage('Plan name can only contain letters, numbers, spaces and + & \' -')
+
+        // Names are unique - members.plan stores the name
+        .custom(async (name, { req }) => {
+            return new Promise((resolve, reject) => {
+                const query = 'SELECT id FROM membership_plans WHERE name = ? AND id != ?';
+                db.query(query, [name, req.params.id || 0], (err, results) => {
+                    if (err) {
+                        return reject(new Error('Database error'));
+                    }
+                    if (results.length > 0) {
+                        return reject(new Error('A plan with this name already exists'));
+                    }
+                    return resolve();
+                });
+            });
+        }),
+
+    body('description')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Description cannot exceed 255 characters'),
+
+    body('price')
+        .isFloat({ min: 0, max: 10000 })
+        .withMessage('Price must be between 0 and 10,000')
+        .toFloat(),
+
+    body('billing_interval')
+        .isIn(['monthly', 'quarterly', 'annual'])
+        .withMessage('Billing interval must be monthly, quarterly or annual'),
+
+    body('all_locations')
+        .isBoolean()
+        .withMessage('All locations must be true or false')
+        .toBoolean(),
+
+    // Only used when all_locations is false - and then at least one is needed
+    body('location_ids')
+        .optional()
+        .isArray()
+        .withMessage('Location IDs must be a list'),
+
+    body('location_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Invalid location'),
+
+    body('guest_passes_per_month')
+        .isInt({ min: 0, max: 31 })
+        .withMessage('Guest passes must be between 0 and 31 per month')
+        .toInt(),
+
+    body('freeze_days_per_year')
+        .isInt({ min: 0, max: 365 })
+        .withMessage('Freeze allowance must be between 0 and 365 days')
+        .toInt(),
+
+    // Empty = unlimited visits (checked at check-in)
+    body('visits_per_month')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Visit limit must be between 1 and 100 per month')
+        .toInt(),
+
+    body('is_active')
+        .isBoolean()
+        .withMessage('Active must be true or false')
+        .toBoolean(),
+
+    body('sort_order')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Sort order must be 0 or more')
+        .toInt(),
+
+    // Restricted plan needs at least one location
+    body()
+        .custom((value) => {
+            if (value.all_locations === false && !value.location_ids?.length) {
+                throw new Error('Pick at least one location, or allow all locations');
+            }
+            return true;
+        })
+];
+
+const validatePlansQuery = [
+    query('active')
+        .optional()
+        .isBoolean()
+        .withMessage('Active must be true or false')
+        .toBoolean()
+];
+
+/* ============================================
+   VALIDATION RULES: LIST QUERY
+   Applied to every list route (see utils/pagination.js)
+   Filters stay with each route - these are the shared params
+   ============================================ */
+
+const validateListQuery = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt(),
+
+    // Opaque - next_cursor from the previous page
+    query('cursor')
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Invalid cursor'),
+
+    // Column key - each route only accepts its own list
+    query('sort')
+        .optional()
+        .matches(/^[a-z_]+$/)
+        .withMessage('Invalid sort column'),
+
+    query('order')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Order must be asc or desc'),
+
+    // Same list as a download (see utils/export.js)
+    query('format')
+        .optional()
+        .isIn(['json', 'csv', 'xlsx', 'pdf'])
+        .withMessage('Format must be json, csv, xlsx or pdf')
+];
+
 // ============================================
 // EXPORT ALL VALIDATORS
 // ============================================
@@ -2102,8 +3074,19 @@ module.exports = {
     validateFreezeMember, 
     validateUnfreezeMember, 
     validateReactivateMember, 
+    validateRecordWaiver, 
+    validateKioskPin, 
+    validateKioskCheckIn, 
+    validateCreateKioskDevice, 
     validateCheckIn, 
+    validateCheckOut, 
     validateGetCheckIns, 
+    validateGetTimeline, 
+    validateMemberCard, 
+    validateMemberImport, 
+    validateDuplicatesQuery, 
+    validateMergeMembers, 
+    validateDismissDuplicate, 
 
     // Staff validators
     validateAddStaff, 
@@ -2119,8 +3102,10 @@ module.exports = {
     validateEditProduct, 
     validateCreateReorder, 
     validateUpdateStock, 
+    validateStockMovementsQuery, 
     validateRejectRequest, 
     validateReceiveReorder, 
+    validateCreateTransfer, 
     validateAddVendor, 
     validateEditVendor, 
 
@@ -2128,5 +3113,33 @@ module.exports = {
     validateEditLocation, 
 
     // Settings validators
-    validateUpdateSettings
+    validateUpdateSettings, 
+    validateCheckInRules, 
+
+    // Admin user validators
+    validateInviteAdmin, 
+    validateChangeAdminRole, 
+    validateChangeAdminStatus, 
+    validateChangePassword, 
+    validateTwoFactorCode, 
+    validateDisableTwoFactor, 
+    validateTwoFactorPolicy, 
+    validateLoginAttemptsQuery, 
+
+    // Audit validators
+    validateAuditQuery, 
+
+    // Billing validators
+    validateBillingPreview, 
+    validateBillingRunsQuery, 
+
+    // Dashboard validators
+    validateDashboardQuery, 
+
+    // Plan validators
+    validatePlan, 
+    validatePlansQuery, 
+
+    // List validators
+    validateListQuery
 };
\ No newline at end of file
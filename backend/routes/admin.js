@@ -1,19 +1,90 @@
 /* ============================================
    ADMIN ROUTES
-   Admin authentication and verification
+   Admin authentication and session management
    ============================================ */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const bcrypt = require('bcrypt');
+const { queryAsync } = require('../utils/queryAsync');
 
 // Middleware
 const { authLimiter } = require('../middleware/rateLimiter');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+// Session helpers
+const {
+   createSession,
+   refreshSession,
+   verifyAccessToken,
+   revokeSession,
+   revokeSessionByRefreshToken,
+   revokeAllSessions,
+   signTwoFactorChallenge,
+   verifyTwoFactorChallenge,
+   markSessionMfaVerified
+} = require('../utils/adminSessions');
+
+// Two-factor helpers
+const {
+   isTwoFactorRequired,
+   generateTotpSetup,
+   verifyTotp,
+   generateRecoveryCodes,
+   verifySecondFactor
+} = require('../utils/twoFactor');
+
+// Lockout helpers
+const {
+   getLockoutMinutes,
+   registerFailedLogin,
+   clearFailedLogins,
+   recordLoginAttempt
+} = require('../utils/loginAttempts');
+
+// Validators
+const {
+   validateChangePassword,
+   validateTwoFactorCode,
+   validateDisableTwoFactor,
+   handleValidationErrors
+} = require('../middleware/validation');
+
+/* ============================================
+   HELPER: Locked account response
+   ============================================ */
+
+// 423 Locked - the password isn't even checked while locked,
+// so guesses made during the lock don't count
+function sendLocked(res, minutes) {
+   return res.status(423).json({
+      verified: false,
+      error: `Too many failed sign-in attempts. This account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}.`,
+      locked: true,
+      retry_after_minutes: minutes
+   });
+}
+
+// Wrong password or 2FA code: count it, maybe lock the account
+async function handleFailedLogin(req, res, admin, outcome) {
+   await recordLoginAttempt(req, { admin, outcome });
+   const lockMinutes = await registerFailedLogin(admin.id);
+
+   if (lockMinutes > 0) {
+      return sendLocked(res, lockMinutes);
+   }
+
+   return res.json({
+      verified: false,
+      ...(outcome === 'invalid_2fa' && { error: 'Invalid verification code' })
+   });
+}
 
 /* ============================================
    POST /api/admin/verify-password
-   Verify admin credentials for sensitive operations
+   Admin login - verify credentials and start a session
+   Returns a signed access token + refresh token
    ============================================ */
 
 router.post('/verify-password', authLimiter, async (req, res) => {
@@ -39,26 +110,68 @@ router.post('/verify-password', authLimiter, async (req, res) => {
          });
       }
 
-      if (results.length === 0) {
-         console.log('❌ Admin not found');
-         return res.json({ verified: false });
-      }
+      try {
+         if (results.length === 0) {
+            console.log('❌ Admin not found');
+            await recordLoginAttempt(req, { username, outcome: 'unknown_user' });
+            return res.json({ verified: false });
+         }
 
-      const admin = results[0];
+         const admin = results[0];
+
+         // Locked - refuse before looking at the password
+         const lockedMinutes = getLockoutMinutes(admin);
+         if (lockedMinutes > 0) {
+            console.log('🔒 Admin account locked');
+            await recordLoginAttempt(req, { admin, outcome: 'locked' });
+            return sendLocked(res, lockedMinutes);
+         }
 
-      try {
          // Use bcrypt to compare passwords securely
          const isMatch = await bcrypt.compare(password, admin.password_hash);
 
-         if (isMatch) {
-            console.log('✅ Admin verified');
-            return res.json({ verified: true });
-         } else {
+         if (!isMatch) {
             console.log('❌ Invalid password');
-            return res.json({ verified: false });
+            return handleFailedLogin(req, res, admin, 'invalid_password');
          }
+
+         // Correct password, but the account has been switched off
+         if (admin.status !== 'active') {
+            console.log('❌ Admin account disabled');
+            await recordLoginAttempt(req, { admin, outcome: 'disabled' });
+            return res.json({ verified: false, error: 'This account has been disabled' });
+         }
+
+         // 2FA enabled: password alone isn't enough
+         // Hand back a short-lived challenge token for POST /verify-2fa
+         if (admin.totp_enabled) {
+            console.log('🔐 Password verified, waiting for 2FA code');
+            return res.json({
+               verified: false,
+               two_factor_required: true,
+               challenge_token: signTwoFactorChallenge(admin)
+            });
+         }
+
+         // Start a new session - from here on the password is never needed
+         const session = await createSession(admin, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+         });
+
+         await recordLoginAttempt(req, { admin, outcome: 'success' });
+         await clearFailedLogins(admin.id);
+
+         // Update last_login timestamp
+         db.query('UPDATE admins SET last_login = NOW() WHERE id = ?', [admin.id], (err) => {
+            if (err) console.error('Failed to update last_login:', err);
+         });
+
+         console.log('✅ Admin verified, session started');
+         return res.json({ verified: true, ...session });
+
       } catch (error) {
-         console.error('❌ Bcrypt error:', error);
+         console.error('❌ Login error:', error);
          return res.status(500).json({
             verified: false,
             error: 'Password verification failed'
@@ -67,4 +180,339 @@ router.post('/verify-password', authLimiter, async (req, res) => {
    });
 });
 
-module.exports = router;
\ No newline at end of file
+/* ============================================
+   POST /api/admin/verify-2fa
+   Second login step - app code or recovery code
+   Returns the same session as verify-password
+   ============================================ */
+
+router.post('/verify-2fa', authLimiter, validateTwoFactorCode, handleValidationErrors, async (req, res) => {
+   const { challenge_token, code } = req.body;
+
+   const adminId = verifyTwoFactorChallenge(challenge_token);
+
+   if (!adminId) {
+      return res.status(401).json({
+         verified: false,
+         error: 'Sign-in expired. Please enter your password again'
+      });
+   }
+
+   try {
+      const admins = await queryAsync(
+         "SELECT * FROM admins WHERE id = ? AND status = 'active' AND totp_enabled = 1",
+         [adminId]
+      );
+
+      if (admins.length === 0) {
+         return res.status(401).json({ verified: false, error: 'Sign-in expired. Please enter your password again' });
+      }
+
+      const admin = admins[0];
+
+      // Locked while the challenge was open (e.g. parallel guesses)
+      const lockedMinutes = getLockoutMinutes(admin);
+      if (lockedMinutes > 0) {
+         await recordLoginAttempt(req, { admin, outcome: 'locked' });
+         return sendLocked(res, lockedMinutes);
+      }
+
+      const result = await verifySecondFactor(admin, code);
+
+      if (!result.verified) {
+         console.log('❌ Invalid 2FA code');
+         return handleFailedLogin(req, res, admin, 'invalid_2fa');
+      }
+
+      const session = await createSession(admin, {
+         ipAddress: req.ip,
+         userAgent: req.headers['user-agent'],
+         mfaVerified: true
+      });
+
+      await recordLoginAttempt(req, { admin, outcome: 'success' });
+      await clearFailedLogins(admin.id);
+
+      await queryAsync('UPDATE admins SET last_login = NOW() WHERE id = ?', [admin.id]);
+
+      console.log(`✅ Admin verified with ${result.method}, session started`);
+      res.json({ verified: true, used_recovery_code: result.method === 'recovery_code', ...session });
+
+   } catch (error) {
+      console.error('❌ 2FA verification error:', error);
+      res.status(500).json({ verified: false, error: 'Verification failed' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/refresh
+   Exchange a refresh token for a new token pair
+   ============================================ */
+
+router.post('/refresh', authLimiter, async (req, res) => {
+   const { refresh_token } = req.body;
+
+   if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required' });
+   }
+
+   try {
+      const session = await refreshSession(refresh_token);
+
+      if (!session) {
+         return res.status(401).json({
+            error: 'Session expired',
+            message: 'Please sign in again'
+         });
+      }
+
+      res.json(session);
+
+   } catch (error) {
+      console.error('❌ Refresh error:', error);
+      res.status(500).json({ error: 'Failed to refresh session' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/logout
+   End the current session
+   Accepts the access token (header) and/or refresh token (body)
+   ============================================ */
+
+router.post('/logout', async (req, res) => {
+   const { refresh_token } = req.body || {};
+   const [scheme, token] = (req.headers['authorization'] || '').split(' ');
+
+   try {
+      if (scheme === 'Bearer' && token) {
+         const admin = await verifyAccessToken(token);
+         if (admin) await revokeSession(admin.sessionId);
+      }
+
+      if (refresh_token) {
+         await revokeSessionByRefreshToken(refresh_token);
+      }
+
+      res.json({ success: true, message: 'Logged out' });
+
+   } catch (error) {
+      console.error('❌ Logout error:', error);
+      res.status(500).json({ error: 'Failed to log out' });
+   }
+});
+
+/* ============================================
+   GET /api/admin/session
+   Who am I? Used by the frontend to check a stored token
+   ============================================ */
+
+router.get('/session', requireAdmin, (req, res) => {
+   res.json({ admin: req.admin });
+});
+
+/* ============================================
+   POST /api/admin/change-password
+   Change your own password
+   Required after an invite or a forced reset
+   ============================================ */
+
+router.post('/change-password', authLimiter, requireAdmin, validateChangePassword, handleValidationErrors, async (req, res) => {
+   const { current_password, new_password } = req.body;
+
+   db.query('SELECT password_hash FROM admins WHERE id = ?', [req.admin.id], async (err, results) => {
+      if (err || results.length === 0) {
+         console.error('❌ Database error:', err);
+         return res.status(500).json({ error: 'Database error' });
+      }
+
+      try {
+         const isMatch = await bcrypt.compare(current_password, results[0].password_hash);
+
+         if (!isMatch) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+         }
+
+         const passwordHash = await bcrypt.hash(new_password, 10);
+
+         db.query(
+            'UPDATE admins SET password_hash = ?, must_reset_password = 0 WHERE id = ?',
+            [passwordHash, req.admin.id],
+            (err) => {
+               if (err) {
+                  console.error('❌ Password update error:', err);
+                  return res.status(500).json({ error: 'Failed to change password' });
+               }
+
+               // Sign out every OTHER device using the old password
+               revokeAllSessions(req.admin.id, req.admin.sessionId)
+                  .catch(err => console.error('Failed to revoke old sessions:', err));
+
+               console.log(`✅ Password changed for ${req.admin.username}`);
+               res.json({ success: true, message: 'Password changed successfully' });
+            }
+         );
+
+      } catch (error) {
+         console.error('❌ Bcrypt error:', error);
+         res.status(500).json({ error: 'Failed to change password' });
+      }
+   });
+});
+
+/* ============================================
+   TWO-FACTOR AUTHENTICATION
+   Enroll, disable and regenerate recovery codes
+   All routes act on the signed-in admin's own account
+   ============================================ */
+
+/* ============================================
+   POST /api/admin/2fa/setup
+   Step 1: generate a secret + QR code
+   2FA is NOT on until the first code is confirmed
+   ============================================ */
+
+router.post('/2fa/setup', requireAdmin, async (req, res) => {
+   if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+   }
+
+   try {
+      const setup = await generateTotpSetup(req.admin.username);
+
+      // Stored as pending - totp_enabled stays 0 until confirmed
+      await queryAsync('UPDATE admins SET totp_secret = ? WHERE id = ?', [setup.secret, req.admin.id]);
+
+      res.json(setup);
+
+   } catch (error) {
+      console.error('❌ 2FA setup error:', error);
+      res.status(500).json({ error: 'Failed to start two-factor setup' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/2fa/enable
+   Step 2: confirm a code from the app
+   Returns recovery codes (shown ONCE)
+   ============================================ */
+
+router.post('/2fa/enable', requireAdmin, validateTwoFactorCode, handleValidationErrors, async (req, res) => {
+   try {
+      const admins = await queryAsync('SELECT totp_secret, totp_enabled FROM admins WHERE id = ?', [req.admin.id]);
+      const admin = admins[0];
+
+      if (admin.totp_enabled) {
+         return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      if (!admin.totp_secret) {
+         return res.status(400).json({ error: 'Start two-factor setup first' });
+      }
+
+      if (!verifyTotp(admin.totp_secret, req.body.code)) {
+         return res.status(400).json({ error: 'Invalid verification code' });
+      }
+
+      await queryAsync(
+         'UPDATE admins SET totp_enabled = 1, totp_enabled_at = NOW() WHERE id = ?',
+         [req.admin.id]
+      );
+
+      const recoveryCodes = await generateRecoveryCodes(req.admin.id);
+
+      // This session just proved the second factor - keep it
+      // Every other session only had the password -> sign them out
+      await markSessionMfaVerified(req.admin.sessionId);
+      await revokeAllSessions(req.admin.id, req.admin.sessionId);
+
+      console.log(`✅ 2FA enabled for ${req.admin.username}`);
+      res.json({
+         success: true,
+         message: 'Two-factor authentication enabled',
+         recovery_codes: recoveryCodes
+      });
+
+   } catch (error) {
+      console.error('❌ 2FA enable error:', error);
+      res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/2fa/disable
+   Needs the password AND a current code
+   ============================================ */
+
+router.post('/2fa/disable', authLimiter, requireAdmin, validateDisableTwoFactor, handleValidationErrors, async (req, res) => {
+   const { password, code } = req.body;
+
+   try {
+      if (await isTwoFactorRequired()) {
+         return res.status(400).json({ error: 'Two-factor authentication is required for all admins' });
+      }
+
+      const admins = await queryAsync('SELECT * FROM admins WHERE id = ?', [req.admin.id]);
+      const admin = admins[0];
+
+      if (!admin.totp_enabled) {
+         return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      if (!(await bcrypt.compare(password, admin.password_hash))) {
+         return res.status(400).json({ error: 'Password is incorrect' });
+      }
+
+      if (!(await verifySecondFactor(admin, code)).verified) {
+         return res.status(400).json({ error: 'Invalid verification code' });
+      }
+
+      await queryAsync(
+         'UPDATE admins SET totp_secret = NULL, totp_enabled = 0, totp_enabled_at = NULL WHERE id = ?',
+         [req.admin.id]
+      );
+      await queryAsync('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [req.admin.id]);
+
+      console.log(`✅ 2FA disabled for ${req.admin.username}`);
+      res.json({ success: true, message: 'Two-factor authentication disabled' });
+
+   } catch (error) {
+      console.error('❌ 2FA disable error:', error);
+      res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/2fa/recovery-codes
+   Replace all recovery codes (old ones stop working)
+   ============================================ */
+
+router.post('/2fa/recovery-codes', authLimiter, requireAdmin, validateTwoFactorCode, handleValidationErrors, async (req, res) => {
+   try {
+      const admins = await queryAsync('SELECT totp_secret, totp_enabled FROM admins WHERE id = ?', [req.admin.id]);
+      const admin = admins[0];
+
+      if (!admin.totp_enabled) {
+         return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      // App code only - a recovery code can't be used to mint new ones
+      if (!verifyTotp(admin.totp_secret, req.body.code)) {
+         return res.status(400).json({ error: 'Invalid verification code' });
+      }
+
+      const recoveryCodes = await generateRecoveryCodes(req.admin.id);
+
+      res.json({
+         success: true,
+         message: 'New recovery codes generated',
+         recovery_codes: recoveryCodes
+      });
+
+   } catch (error) {
+      console.error('❌ Recovery code error:', error);
+      res.status(500).json({ error: 'Failed to generate recovery codes' });
+   }
+});
+
+module.exports = router;
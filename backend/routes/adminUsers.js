@@ -0,0 +1,413 @@
+/* ============================================
+   ADMIN USER MANAGEMENT ROUTES
+   List, invite, change role, disable, unlock and reset admins
+   Super admin only (admins.manage permission)
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+// Helpers
+const { queryAsync } = require('../utils/queryAsync');
+const { revokeAllSessions } = require('../utils/adminSessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { clearFailedLogins } = require('../utils/loginAttempts');
+
+// Middleware
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const {
+   validateInviteAdmin,
+   validateChangeAdminRole,
+   validateChangeAdminStatus,
+   validateTwoFactorPolicy,
+   validateLoginAttemptsQuery,
+   handleValidationErrors
+} = require('../middleware/validation');
+
+// Every route in this file needs admins.manage
+router.use(requirePermission('admins.manage'));
+
+/* ============================================
+   HELPERS
+   ============================================ */
+
+// Temporary password handed to the super admin ONCE
+// The new admin must change it on first sign-in (must_reset_password)
+function generateTemporaryPassword() {
+   return crypto.randomBytes(9).toString('base64url');
+}
+
+// Never return password_hash to the client
+const ADMIN_COLUMNS = `
+   id, username, full_name, email, role, status,
+   must_reset_password, totp_enabled, failed_login_attempts,
+   locked_until, last_login, created_at, updated_at
+`;
+
+// WHY? If the last active super admin is demoted or disabled,
+// nobody can manage admins anymore (locked out of this page)
+async function isLastSuperAdmin(adminId) {
+   const results = await queryAsync(`
+      SELECT
+         SUM(CASE WHEN status = 'active' AND role = 'super_admin' THEN 1 ELSE 0 END) AS active_super_admins,
+         MAX(CASE WHEN id = ? AND status = 'active' AND role = 'super_admin' THEN 1 ELSE 0 END) AS is_target
+      FROM admins
+   `, [adminId]);
+
+   return results[0].is_target === 1 && results[0].active_super_admins <= 1;
+}
+
+/* ============================================
+   GET /api/admin/users
+   List all admin accounts
+   ============================================ */
+
+router.get('/', async (req, res) => {
+   try {
+      const admins = await queryAsync(`
+         SELECT ${ADMIN_COLUMNS}
+         FROM admins
+         ORDER BY FIELD(role, 'super_admin', 'admin', 'manager', 'front_desk'), username
+      `);
+
+      res.json({ admins });
+
+   } catch (error) {
+      console.error('❌ Admin list error:', error);
+      res.status(500).json({ error: 'Failed to fetch admins' });
+   }
+});
+
+/* ============================================
+   GET /api/admin/users/two-factor-policy
+   Is 2FA required for every admin?
+   ============================================ */
+
+router.get('/two-factor-policy', async (req, res) => {
+   try {
+      res.json({ required: await isTwoFactorRequired() });
+   } catch (error) {
+      console.error('❌ 2FA policy fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch two-factor policy' });
+   }
+});
+
+/* ============================================
+   PUT /api/admin/users/two-factor-policy
+   Require (or stop requiring) 2FA for every admin
+   ============================================ */
+
+// Admins without 2FA keep their sessions, but every protected action
+// answers 403 'Two-factor setup required' until they enroll
+
+router.put('/two-factor-policy', auditTrail('settings', 'update', { key: () => ({ id: 1 }) }), validateTwoFactorPolicy, handleValidationErrors, async (req, res) => {
+   const { required } = req.body;
+
+   try {
+      await queryAsync('UPDATE system_settings SET require_admin_2fa = ? WHERE id = 1', [required ? 1 : 0]);
+
+      console.log(`✅ 2FA ${required ? 'required' : 'optional'} for all admins (by ${req.admin.username})`);
+      res.json({
+         success: true,
+         message: required ? 'Two-factor authentication is now required for all admins' : 'Two-factor authentication is now optional',
+         required
+      });
+
+   } catch (error) {
+      console.error('❌ 2FA policy update error:', error);
+      res.status(500).json({ error: 'Failed to update two-factor policy' });
+   }
+});
+
+/* ============================================
+   GET /api/admin/users/login-attempts
+   Recent sign-in attempts (newest first)
+   Query params: admin_id, outcome, suspicious, limit, offset
+   ============================================ */
+
+router.get('/login-attempts', validateLoginAttemptsQuery, handleValidationErrors, async (req, res) => {
+   const { admin_id, outcome, suspicious } = req.query;
+   const limit = parseInt(req.query.limit) || 50;
+   const offset = parseInt(req.query.offset) || 0;
+
+   const conditions = [];
+   const params = [];
+
+   if (admin_id) {
+      conditions.push('la.admin_id = ?');
+      params.push(admin_id);
+   }
+
+   if (outcome) {
+      conditions.push('la.outcome = ?');
+      params.push(outcome);
+   }
+
+   // Still a string - Express 5 doesn't keep the validator's toBoolean() on req.query
+   if (['true', '1'].includes(suspicious)) {
+      conditions.push('la.suspicious = 1');
+   }
+
+   const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+   try {
+      const attempts = await queryAsync(`
+         SELECT
+            la.id, la.admin_id, la.username, a.full_name,
+            la.ip_address, la.user_agent, la.outcome, la.suspicious, la.created_at
+         FROM login_attempts la
+         LEFT JOIN admins a ON a.id = la.admin_id
+         ${whereClause}
+         ORDER BY la.created_at DESC, la.id DESC
+         LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+
+      const totals = await queryAsync(`SELECT COUNT(*) AS total FROM login_attempts la ${whereClause}`, params);
+
+      res.json({ attempts, total: totals[0].total, limit, offset });
+
+   } catch (error) {
+      console.error('❌ Login attempts fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch login attempts' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/users
+   Invite a new admin
+   Returns a one-time temporary password
+   ============================================ */
+
+router.post('/', auditTrail('admin', 'invite'), validateInviteAdmin, handleValidationErrors, async (req, res) => {
+   const { username, full_name, email, role } = req.body;
+
+   try {
+      const temporaryPassword = generateTemporaryPassword();
+      const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+
+      const result = await queryAsync(`
+         INSERT INTO admins (username, password_hash, full_name, email, role, must_reset_password)
+         VALUES (?, ?, ?, ?, ?, 1)
+      `, [username, passwordHash, full_name, email, role]);
+
+      const admins = await queryAsync(`SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = ?`, [result.insertId]);
+
+      console.log(`✅ Admin invited: ${username} (${role}) by ${req.admin.username}`);
+      res.status(201).json({
+         success: true,
+         message: 'Admin invited successfully',
+         admin: admins[0],
+         // Shown once - it is never stored in plain text
+         temporary_password: temporaryPassword
+      });
+
+   } catch (error) {
+      console.error('❌ Admin invite error:', error);
+      res.status(500).json({ error: 'Failed to invite admin' });
+   }
+});
+
+/* ============================================
+   PUT /api/admin/users/:id/role
+   Change an admin's role
+   ============================================ */
+
+router.put('/:id/role', auditTrail('admin', 'change_role'), validateChangeAdminRole, handleValidationErrors, async (req, res) => {
+   const adminId = parseInt(req.params.id);
+   const { role } = req.body;
+
+   // You can't change your own role (prevents accidental self-demotion)
+   if (adminId === req.admin.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+   }
+
+   try {
+      if (role !== 'super_admin' && await isLastSuperAdmin(adminId)) {
+         return res.status(400).json({ error: 'Cannot demote the last active super admin' });
+      }
+
+      const result = await queryAsync('UPDATE admins SET role = ? WHERE id = ?', [role, adminId]);
+
+      if (result.affectedRows === 0) {
+         return res.status(404).json({ error: 'Admin not found' });
+      }
+
+      // Existing tokens carry the old role - make them sign in again
+      await revokeAllSessions(adminId);
+
+      const admins = await queryAsync(`SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = ?`, [adminId]);
+
+      console.log(`✅ Admin ${adminId} role changed to ${role} by ${req.admin.username}`);
+      res.json({
+         success: true,
+         message: 'Role updated successfully',
+         admin: admins[0]
+      });
+
+   } catch (error) {
+      console.error('❌ Role change error:', error);
+      res.status(500).json({ error: 'Failed to change role' });
+   }
+});
+
+/* ============================================
+   PUT /api/admin/users/:id/status
+   Disable or re-enable an admin account
+   ============================================ */
+
+router.put('/:id/status', auditTrail('admin', 'change_status'), validateChangeAdminStatus, handleValidationErrors, async (req, res) => {
+   const adminId = parseInt(req.params.id);
+   const { status } = req.body;
+
+   if (adminId === req.admin.id) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
+   }
+
+   try {
+      if (status === 'disabled' && await isLastSuperAdmin(adminId)) {
+         return res.status(400).json({ error: 'Cannot disable the last active super admin' });
+      }
+
+      const result = await queryAsync('UPDATE admins SET status = ? WHERE id = ?', [status, adminId]);
+
+      if (result.affectedRows === 0) {
+         return res.status(404).json({ error: 'Admin not found' });
+      }
+
+      // Disabling = signed out everywhere, right now
+      if (status === 'disabled') {
+         await revokeAllSessions(adminId);
+      }
+
+      const admins = await queryAsync(`SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = ?`, [adminId]);
+
+      console.log(`✅ Admin ${adminId} ${status} by ${req.admin.username}`);
+      res.json({
+         success: true,
+         message: status === 'disabled' ? 'Admin disabled' : 'Admin re-enabled',
+         admin: admins[0]
+      });
+
+   } catch (error) {
+      console.error('❌ Status change error:', error);
+      res.status(500).json({ error: 'Failed to change admin status' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/users/:id/reset-password
+   Force a password reset
+   Sets a new temporary password and signs the admin out
+   ============================================ */
+
+router.post('/:id/reset-password', auditTrail('admin', 'reset_password'), async (req, res) => {
+   const adminId = parseInt(req.params.id);
+
+   if (!adminId || adminId < 1) {
+      return res.status(400).json({ error: 'Invalid admin ID' });
+   }
+
+   try {
+      const temporaryPassword = generateTemporaryPassword();
+      const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+
+      const result = await queryAsync(
+         'UPDATE admins SET password_hash = ?, must_reset_password = 1 WHERE id = ?',
+         [passwordHash, adminId]
+      );
+
+      if (result.affectedRows === 0) {
+         return res.status(404).json({ error: 'Admin not found' });
+      }
+
+      // New password - start the failed-attempt count from zero
+      await clearFailedLogins(adminId);
+      await revokeAllSessions(adminId);
+
+      console.log(`✅ Password reset forced for admin ${adminId} by ${req.admin.username}`);
+      res.json({
+         success: true,
+         message: 'Password reset - share the temporary password with the admin',
+         temporary_password: temporaryPassword
+      });
+
+   } catch (error) {
+      console.error('❌ Password reset error:', error);
+      res.status(500).json({ error: 'Failed to reset password' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/users/:id/unlock
+   Clear a lockout before it expires
+   ============================================ */
+
+router.post('/:id/unlock', auditTrail('admin', 'unlock'), async (req, res) => {
+   const adminId = parseInt(req.params.id);
+
+   if (!adminId || adminId < 1) {
+      return res.status(400).json({ error: 'Invalid admin ID' });
+   }
+
+   try {
+      const admins = await queryAsync('SELECT id FROM admins WHERE id = ?', [adminId]);
+
+      if (admins.length === 0) {
+         return res.status(404).json({ error: 'Admin not found' });
+      }
+
+      await clearFailedLogins(adminId);
+
+      console.log(`✅ Admin ${adminId} unlocked by ${req.admin.username}`);
+      res.json({ success: true, message: 'Account unlocked' });
+
+   } catch (error) {
+      console.error('❌ Unlock error:', error);
+      res.status(500).json({ error: 'Failed to unlock account' });
+   }
+});
+
+/* ============================================
+   POST /api/admin/users/:id/reset-2fa
+   Turn off 2FA for an admin who lost their device
+   They can sign in with their password and enroll again
+   ============================================ */
+
+router.post('/:id/reset-2fa', auditTrail('admin', 'reset_2fa'), async (req, res) => {
+   const adminId = parseInt(req.params.id);
+
+   if (!adminId || adminId < 1) {
+      return res.status(400).json({ error: 'Invalid admin ID' });
+   }
+
+   // Your own 2FA goes through /api/admin/2fa/disable (needs a code)
+   if (adminId === req.admin.id) {
+      return res.status(400).json({ error: 'Use your own security settings to change your 2FA' });
+   }
+
+   try {
+      const result = await queryAsync(
+         'UPDATE admins SET totp_secret = NULL, totp_enabled = 0, totp_enabled_at = NULL WHERE id = ?',
+         [adminId]
+      );
+
+      if (result.affectedRows === 0) {
+         return res.status(404).json({ error: 'Admin not found' });
+      }
+
+      await queryAsync('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [adminId]);
+      await revokeAllSessions(adminId);
+
+      console.log(`✅ 2FA reset for admin ${adminId} by ${req.admin.username}`);
+      res.json({ success: true, message: 'Two-factor authentication reset' });
+
+   } catch (error) {
+      console.error('❌ 2FA reset error:', error);
+      res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+   }
+});
+
+module.exports = router;
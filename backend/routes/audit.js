@@ -0,0 +1,123 @@
+/* ============================================
+   AUDIT LOG ROUTES
+   Read-only access to the audit trail
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+
+// Helpers
+const { queryAsync } = require('../utils/queryAsync');
+const { verifyAuditChain } = require('../utils/auditLog');
+
+// Middleware
+const { requirePermission } = require('../middleware/adminAuth');
+const { validateAuditQuery, handleValidationErrors } = require('../middleware/validation');
+
+// WHY no POST/PUT/DELETE here?
+// - Entries are only ever written by the auditTrail middleware
+// - The log is append-only: nobody edits or deletes history through the API
+
+/* ============================================
+   GET /api/audit
+   List audit entries (newest first)
+   Query params: admin_id, entity_type, entity_id, action, from, to, limit, offset
+   ============================================ */
+
+router.get('/', requirePermission('audit.view'), validateAuditQuery, handleValidationErrors, async (req, res) => {
+    const { admin_id, entity_type, entity_id, action, from, to } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Build WHERE clause from whichever filters were sent
+    const conditions = [];
+    const params = [];
+
+    if (admin_id) {
+        conditions.push('admin_id = ?');
+        params.push(admin_id);
+    }
+
+    if (entity_type) {
+        conditions.push('entity_type = ?');
+        params.push(entity_type);
+    }
+
+    if (entity_id) {
+        conditions.push('entity_id = ?');
+        params.push(entity_id);
+    }
+
+    if (action) {
+        conditions.push('action = ?');
+        params.push(action);
+    }
+
+    if (from) {
+        conditions.push('created_at >= ?');
+        params.push(from);
+    }
+
+    if (to) {
+        // Include the whole "to" day
+        conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(to);
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        // created_at is stored in UTC - send it as an ISO string so browsers convert it
+        const entries = await queryAsync(`
+            SELECT
+                id, seq, admin_id, admin_username, action, method, route,
+                entity_type, entity_id, before_data, after_data, ip_address,
+                DATE_FORMAT(created_at, '%Y-%m-%dT%H:%i:%s.%fZ') AS created_at, hash
+            FROM audit_log
+            ${whereClause}
+            ORDER BY seq DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        const totals = await queryAsync(`SELECT COUNT(*) AS total FROM audit_log ${whereClause}`, params);
+
+        res.json({
+            entries: entries.map(entry => ({
+                ...entry,
+                // Stored as text (see utils/auditLog.js) - hand back real objects
+                before_data: entry.before_data ? JSON.parse(entry.before_data) : null,
+                after_data: entry.after_data ? JSON.parse(entry.after_data) : null
+            })),
+            total: totals[0].total,
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error('❌ Audit log fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+/* ============================================
+   GET /api/audit/verify
+   Recompute the hash chain and report tampering
+   ============================================ */
+
+router.get('/verify', requirePermission('audit.view'), async (req, res) => {
+    try {
+        const result = await verifyAuditChain();
+
+        if (!result.valid) {
+            console.warn('⚠️ Audit chain broken at:', result.broken_at);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('❌ Audit verify error:', error);
+        res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+/* ============================================
+   BILLING ROUTES
+   Recurring membership dues: preview, run, history
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+
+// Helpers
+const { queryAsync } = require('../utils/queryAsync');
+const { previewBilling, runBilling, getBillingToday, getNextBillingRunAt } = require('../utils/billing');
+const { BILLING_AUTO_RUN, BILLING_SCHEDULE, BILLING_TIMEZONE } = require('../config/billing');
+
+// Middleware
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const { paymentLimiter } = require('../middleware/rateLimiter');
+const { validateBillingPreview, validateBillingRunsQuery, handleValidationErrors } = require('../middleware/validation');
+
+/* ============================================
+   GET /api/billing/preview
+   Dry run - what a run would charge, nothing is written
+   Query params: date (YYYY-MM-DD, defaults to today)
+   ============================================ */
+
+router.get('/preview', requirePermission('billing.view'), validateBillingPreview, handleValidationErrors, async (req, res) => {
+    try {
+        res.json(await previewBilling(req.query.date || getBillingToday()));
+    } catch (error) {
+        console.error('❌ Billing preview error:', error);
+        res.status(500).json({ error: 'Failed to preview billing' });
+    }
+});
+
+/* ============================================
+   POST /api/billing/run
+   Charge everyone due today
+   Safe to repeat - a period is never billed twice
+   ============================================ */
+
+router.post('/run', paymentLimiter, requirePermission('billing.run'), auditTrail('billing_run', 'create', { key: () => null }), async (req, res) => {
+    console.log(`💳 Manual billing run requested by ${req.admin.username}`);
+
+    const result = await runBilling({ source: 'manual', admin: req.admin });
+
+    if (!result.success) {
+        // 409 = another run is going, 500 = it failed
+        return res.status(result.error === 'A billing run is already in progress' ? 409 : 500).json({
+            error: 'Billing run failed',
+            details: result.error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `Billing complete: ${result.totals.charges} charge(s) created`,
+        run: {
+            id: result.run_id,
+            run_date: result.run_date,
+            totals: result.totals
+        },
+        charges: result.charges,
+        skipped: result.skipped
+    });
+});
+
+/* ============================================
+   GET /api/billing/runs
+   Past billing runs (newest first) + schedule
+   Query params: limit, offset
+   ============================================ */
+
+router.get('/runs', requirePermission('billing.view'), validateBillingRunsQuery, handleValidationErrors, async (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    try {
+        const runs = await queryAsync(
+            'SELECT * FROM billing_runs ORDER BY id DESC LIMIT ? OFFSET ?',
+            [limit, offset]
+        );
+        const countResults = await queryAsync('SELECT COUNT(*) AS total FROM billing_runs');
+
+        res.json({
+            runs,
+            total: countResults[0].total,
+            limit,
+            offset,
+            schedule: {
+                auto_run: BILLING_AUTO_RUN,
+                cron: BILLING_AUTO_RUN ? BILLING_SCHEDULE : null,
+                timezone: BILLING_TIMEZONE,
+                next_run_at: getNextBillingRunAt()
+            }
+        });
+    } catch (error) {
+        console.error('❌ Billing runs error:', error);
+        res.status(500).json({ error: 'Failed to fetch billing runs' });
+    }
+});
+
+/* ============================================
+   GET /api/billing/runs/:id
+   One run + every charge it created
+   ============================================ */
+
+router.get('/runs/:id', requirePermission('billing.view'), async (req, res) => {
+    try {
+        const runs = await queryAsync('SELECT * FROM billing_runs WHERE id = ?', [req.params.id]);
+
+        if (runs.length === 0) {
+            return res.status(404).json({ error: 'Billing run not found' });
+        }
+
+        const charges = await queryAsync(`
+            SELECT
+                bc.*,
+                m.member_id AS member_code,
+                m.name
+            FROM billing_charges bc
+            JOIN members m ON m.id = bc.member_id
+            WHERE bc.run_id = ?
+            ORDER BY bc.id
+        `, [req.params.id]);
+
+        res.json({ run: runs[0], charges });
+    } catch (error) {
+        console.error('❌ Billing run error:', error);
+        res.status(500).json({ error: 'Failed to fetch billing run' });
+    }
+});
+
+module.exports = router;
@@ -8,260 +8,59 @@
 const express = require('express');
 const router = express.Router();
 
-// Import database
-const db = require('../config/database');
+// Helpers
+const { getDashboardMetrics } = require('../utils/dashboardMetrics');
+const { getSystemHealth } = require('../utils/systemHealth');
+
+// Middleware
+const { validateDashboardQuery, handleValidationErrors } = require('../middleware/validation');
 
 // WHY separate route file?
 // - Dashboard has complex queries with multiple Promises
 // - Will grow as more analytics are added
 // - Separates business intelligence logic from main server
-// - Future endpoints: /api/dashboard/analytics, /api/dashboard/inventory, etc
-
-
-// ============================================
-// DASHBOARD API ENDPOINT
-// Returns all data for admin dashboard
-// ============================================
-
-router.get('/', (req, res) => {
-    // This will run multiple queries and combine results
-
-    // Query 1: Get total members count
-    const totalMembersQuery = `
-        SELECT COUNT(*) as total FROM members WHERE status = 'active'
-    `;
-
-    // Query 2: Get monthly revenue (current month - October)
-    const monthlyRevenueQuery = `
-        SELECT SUM(amount) as total
-        FROM revenue 
-        WHERE month = '2025-10-01'
-    `;
-
-    // Query 3: Calculate inventory health percentage
-    const inventoryHealthQuery = `
-        SELECT 
-            ROUND(AVG(CASE 
-                WHEN status = 'ok' THEN 100 
-                WHEN status = 'low' THEN 50 
-                WHEN status = 'critical' THEN 0 
-            END)) as health_percentage
-        FROM inventory
-    `;
-    
-    // Query 4: Count active trainers
-    const activeTrainersQuery = `
-        SELECT COUNT(*) as total 
-        FROM staff 
-        WHERE role = 'trainer' AND status = 'active'
-    `;
+// - The queries themselves live in utils/dashboardMetrics.js
 
-    // Query 5: Get branch performance
-    const branchPerformanceQuery = `
-        SELECT 
-            l.name, 
-            COUNT(m.id) as members, 
-            l.capacity, 
-            ROUND((COUNT(m.id) / l.capacity) * 100, 0) as utilization, 
-            CASE 
-                WHEN (COUNT(m.id) / l.capacity) >= 0.85 THEN 'Best' 
-                WHEN (COUNT(m.id) / l.capacity) >= 0.65 THEN 'Stable' 
-                ELSE 'Growth' 
-            END as status 
-        FROM locations l 
-        LEFT JOIN members m ON l.id = m.location_id AND m.status = 'active' 
-        GROUP BY l.id, l.name, l.capacity 
-        ORDER BY utilization DESC
-    `;
 
-    // Query 6: Get membership growth (last 6 months)
-    const membershipGrowthQuery = `
-        SELECT 
-            l.name as location, 
-            DATE_FORMAT(r.month, '%b') as month, 
-            r.amount / 60 as member_count 
-        FROM revenue r 
-        JOIN locations l ON r.location_id = l.id 
-        WHERE r.month >= DATE_SUB('2025-10-01', INTERVAL 5 MONTH) 
-        ORDER BY r.month, l.name 
-    `;
-
-    // Query 7: Get revenue by location (current month)
-    const revenueByLocationQuery = `
-        SELECT 
-            l.name, 
-            r.amount 
-        FROM revenue r 
-        JOIN locations l ON r.location_id = l.id 
-        WHERE r.month = '2025-10-01'
-        ORDER BY r.amount DESC 
-    `;
-    
-    // Query 8: Get inventory alerts
-    const inventoryAlertsQuery = `
-        SELECT 
-            item_name, 
-            status, 
-            CASE 
-                WHEN status = 'critical' THEN 'Reorder required' 
-                WHEN status = 'low' THEN 'Below threshold' 
-                ELSE 'Optimal stock' 
-            END as message 
-        FROM inventory 
-        WHERE location_id = 1 
-        LIMIT 4 
-    `;
-
-    // Execute all queries in parallel
-    Promise.all([
-        new Promise((resolve, reject) => {
-            db.query(totalMembersQuery, (err, results) => {
-                if (err) reject(err);
-                else resolve(results[0].total);
-            });
-        }),
-        new Promise((resolve, reject) => {
-            db.query(monthlyRevenueQuery, (err, results) => {
-                if (err) reject(err);
-                else resolve(results[0].total);
-            });
-        }),
-        new Promise((resolve, reject) => {
-            db.query(inventoryHealthQuery, (err, results) => {
-                if (err) reject(err);
-                else resolve(results[0].health_percentage);
-            });
-        }),
-        new Promise((resolve, reject) => {
-            db.query(activeTrainersQuery, (err, results) => {
-                if (err) reject(err);
-                else resolve(results[0].total);
-            });
-        }),
-        new Promise((resolve, reject) => {
-            db.query(branchPerformanceQuery, (err, results) => {
-                if (err) reject(err);
-                else resolve(results);
-            });
-        }),
-        new Promise((resolve, reject) => {
-            db.query(membershipGrowthQuery, (err, results) => {
-                if (err) reject(err);
-                else resolve(results);
-            });
-        }),
-        new Promise((resolve, reject) => {
-            db.query(revenueByLocationQuery, (err, results) => {
-                if (err) reject(err);
-                else resolve(results);
-            });
-        }),
-        new Promise((resolve, reject) => {
-            db.query(inventoryAlertsQuery, (err, results) => {
-                if (err) reject(err);
-                else resolve(results);
-            });
-        })
-    ])
-    .then(([totalMembers, monthlyRevenue, inventoryHealth, activeTrainers, branches, growthData, revenueData, alerts]) => {
-
-        // Format membership growth data for Chart.js
-        const membershipGrowth = {
-            labels: ['May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct'], 
-            datasets: []
-        };
-
-        // Group growth data by location
-        const locationData = {};
-        growthData.forEach(row => {
-            if (!locationData[row.location]) {
-                locationData[row.location] = [];
-            }
-            locationData[row.location].push(Math.round(row.member_count));
-        });
+/* ============================================
+   GET /api/dashboard
+   Returns all data for admin dashboard
+   Query params: from, to (YYYY-MM-DD, default: last 30 days),
+                 location (id or 'all')
+   Every KPI with a history comes with the previous period
+   (same length, right before) + change in %
+   systemHealth: live checks (see utils/systemHealth.js)
+   ============================================ */
 
-        // DEBUG: Log to see what we got
-        console.log('Growth data from DB:', growthData);
-        console.log('Grouped by Location:', locationData);
+router.get('/', validateDashboardQuery, handleValidationErrors, async (req, res) => {
+    const { from, to, location } = req.query;
+    const locationId = location && location !== 'all' ? parseInt(location, 10) : null;
 
-        // Create datasets for each location
-        const colors = {
-            'Downtown': { border: '#e60030', bg: 'rgba(230, 0, 48, 0.15)'}, 
-            'Midtown': { border: '#24c063', bg: 'rgba(36, 192, 99, 0.15)'}, 
-            'Eastside': { border: '#3498db', bg: 'rgba(52, 152, 219, 0.15)'}
-        };
+    try {
+        const metrics = await getDashboardMetrics({ from, to, locationId });
 
-        // Only create datasets if we have data
-        if (Object.keys(locationData).length > 0) {
-            Object.keys(locationData).forEach(location => {
-                membershipGrowth.datasets.push({
-                    label: location, 
-                    data: locationData[location], 
-                    borderColor: colors[location]?.border || '#888', 
-                    backgroundColor: colors[location]?.bg || 'rgba(136, 136, 136, 0.15)'
-                });
-            });
-        } else {
-            // No data - user placeholder
-            console.warn('⚠️ No membership growth data found');
-            membershipGrowth.datasets.push({
-                label: 'No Data', 
-                data: [0, 0, 0, 0, 0, 0], 
-                borderColor: '#888', 
-                backgroundColor: 'rgba(136, 136, 136, 0.15)'
+        if (!metrics) {
+            return res.status(404).json({
+                error: 'Location not found',
+                details: `No location with ID ${locationId}`
             });
         }
 
-        console.log('Final membershipGrowth:', membershipGrowth);
-
-        // Format revenue by location for Chart.js
-        const revenueByLocation = {
-            labels: revenueData.map(r => r.name), 
-            data: revenueData.map(r => parseFloat(r.amount))
-        };
-
-        // Format inventory alerts
-        const inventoryAlerts = alerts.map(alert => ({
-            item: alert.item_name, 
-            status: alert.status, 
-            message: alert.message
-        }));
+        console.log(`📊 Dashboard ${metrics.period.from} to ${metrics.period.to} (${metrics.period.location?.name || 'all locations'})`);
 
-        // Send combined response
         res.json({
-            kpis: {
-                totalMembers, 
-                monthlyRevenue: parseFloat(monthlyRevenue), 
-                inventoryHealth: parseInt(inventoryHealth), 
-                activeTrainers
-            }, 
-            branches: branches.map(b => ({
-                name: b.name, 
-                members: b.members, 
-                capacity: b.capacity, 
-                utilization: b.utilization, 
-                status: b.status
-            })),
-            membershipGrowth, 
-            revenueByLocation, 
-            inventoryAlerts, 
-            systemHealth: [
-                { service: 'App Server', status: 'ok', message: 'Online'}, 
-                { service: 'Database', status: 'ok', message: 'Connected'}, 
-                { service: 'API Response Time', status: 'ok', message: 'Stable'}, 
-                { service: 'Scheduled Backup', status: 'warn', message: 'Due in 2 hours'}
-            ]
+            ...metrics,
+            systemHealth: await getSystemHealth()
         });
-    })
-    .catch(err => {
-        console.error('❌ Database query error:', err);
+    } catch (error) {
+        console.error('❌ Dashboard query error:', error);
         res.status(500).json({
-            error: 'Failed to fetch dashboard data', 
-            details: err.message
+            error: 'Failed to fetch dashboard data',
+            details: error.message
         });
-    });
+    }
 });
 
 
 // Export router
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,73 @@
+/* ============================================
+   DEMO MODE ROUTES
+   Demo banner info, manual reset and reset status
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+
+// Helpers
+const { resetDatabase, getResetStatus, getNextResetAt } = require('../utils/resetDatabase');
+const { DEMO_MODE } = require('../config/demoMode');
+
+// Middleware
+const { requirePermission } = require('../middleware/adminAuth');
+
+/* ============================================
+   GET /api/admin/demo-mode
+   Public - lets the frontend show/hide the demo banner
+   ============================================ */
+
+router.get('/demo-mode', (req, res) => {
+    res.json({
+        demo_mode: DEMO_MODE,
+        next_reset_at: getNextResetAt()
+    });
+});
+
+/* ============================================
+   POST /api/admin/reset-database
+   Reset to seed data NOW (demo mode only)
+   ============================================ */
+
+router.post('/reset-database', requirePermission('system.reset'), async (req, res) => {
+    // Not a demo - pretend the endpoint doesn't exist
+    if (!DEMO_MODE) {
+        return res.status(404).json({ error: 'Database reset is only available in demo mode' });
+    }
+
+    console.log(`Manual database reset requested by ${req.admin.username}`);
+
+    const result = await resetDatabase({ source: 'manual', admin: req.admin });
+
+    if (result.success) {
+        res.json({
+            success: true,
+            message: 'Database reset successfully',
+            timestamp: new Date().toISOString(),
+            statements: result.statements
+        });
+    } else {
+        // 409 = another reset is running, 500 = it failed (and was rolled back)
+        res.status(result.error === 'A reset is already running' ? 409 : 500).json({
+            error: 'Failed to reset database',
+            details: result.error
+        });
+    }
+});
+
+/* ============================================
+   GET /api/admin/reset-status
+   Last reset run + next scheduled reset
+   ============================================ */
+
+router.get('/reset-status', requirePermission('system.reset'), async (req, res) => {
+    try {
+        res.json(await getResetStatus());
+    } catch (error) {
+        console.error('❌ Reset status error:', error);
+        res.status(500).json({ error: 'Failed to fetch reset status' });
+    }
+});
+
+module.exports = router;
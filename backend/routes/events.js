@@ -0,0 +1,58 @@
+/* ============================================
+   LIVE EVENT ROUTES
+   Server-Sent Events stream for open admin pages
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+
+const { subscribe } = require('../utils/liveEvents');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { signLiveEventsToken, verifyLiveEventsToken } = require('../utils/adminSessions');
+
+// HOW IT WORKS:
+// 1. The page asks POST /api/events/token for a short-lived token
+//    (normal Authorization header - any signed-in admin)
+// 2. It opens GET /api/events?token=... (EventSource can't send headers)
+// 3. The token is checked BEFORE the stream is opened
+
+/* ============================================
+   POST /api/events/token
+   Short-lived token for opening the stream
+   ============================================ */
+
+router.post('/token', requireAdmin, (req, res) => {
+    res.json(signLiveEventsToken(req.admin));
+});
+
+/* ============================================
+   GET /api/events?token=...
+   Never-ending text/event-stream response
+   Events: check_in, check_out, payment, low_stock, reorder, transfer
+   (see utils/liveEvents.js)
+   ============================================ */
+
+router.get('/', async (req, res) => {
+    try {
+        const admin = req.query.token ? await verifyLiveEventsToken(req.query.token) : null;
+
+        if (!admin) {
+            console.log('❌ Live events: missing or expired token');
+            return res.status(401).json({
+                error: 'Admin authentication required',
+                message: 'Request a new token from POST /api/events/token'
+            });
+        }
+
+        subscribe(req, res);
+
+    } catch (error) {
+        console.error('❌ Live events token check error:', error);
+        res.status(500).json({
+            error: 'Authentication failed',
+            message: 'Unable to verify session'
+        });
+    }
+});
+
+module.exports = router;
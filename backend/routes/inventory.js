@@ -17,13 +17,25 @@ const {
     validateEditProduct, 
     validateCreateReorder, 
     validateUpdateStock, 
+    validateStockMovementsQuery, 
     validateRejectRequest, 
     validateReceiveReorder, 
+    validateCreateTransfer, 
     validateAddVendor, 
     validateEditVendor, 
     handleValidationErrors
 } = require('../middleware/validation');
 
+// Import auth middleware
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const { queryAsync, withTransaction } = require('../utils/queryAsync');
+const { publishStockLevel, publishReorder, publishTransfer } = require('../utils/liveEvents');
+const { changeStock, getMovements, reconcileStock } = require('../utils/stockLedger');
+const { getTransfer, getInTransit, createTransfer, updateTransferStatus } = require('../utils/stockTransfers');
+const { isExportRequest, sendExport } = require('../utils/export');
+const { listQuery, sortedSql, fetchPage } = require('../utils/pagination');
+
 // ============================================
 // CATEGORY PREFIX MAPPING
 // Maps category IDs to SKU prefixes
@@ -128,9 +140,37 @@ router.get('/categories', (req, res) => {
 /* ============================================
    GET /api/inventory/products
    Get all products with stock levels
+   Query params: category, location, status, search, stock_status
+   Paging: limit, cursor, sort, order (utils/pagination.js)
+   format=csv|xlsx|pdf downloads the same list (utils/export.js)
    ============================================ */
 
-router.get('/products', (req, res) => {
+const PRODUCT_LIST = {
+    sortable: {
+        sku: 'sku',
+        name: 'name',
+        category: 'category_name',
+        unit_price: 'unit_price',
+        total_quantity: 'total_quantity',
+        status: 'status'
+    },
+    defaultSort: 'name',
+    defaultOrder: 'asc'
+};
+
+// One row per product - the per-location breakdown stays on screen
+const PRODUCT_EXPORT_COLUMNS = [
+    { key: 'sku', header: 'SKU', width: 0.8 },
+    { key: 'name', header: 'Product', width: 1.6 },
+    { key: 'category_name', header: 'Category' },
+    { key: 'unit_price', header: 'Price', type: 'money', width: 0.7 },
+    { key: 'cost_price', header: 'Cost', type: 'money', width: 0.7 },
+    { key: 'total_quantity', header: 'In Stock', type: 'number', width: 0.6 },
+    { key: 'reorder_point', header: 'Reorder Point', type: 'number', width: 0.7 },
+    { key: 'status', header: 'Status', width: 0.7 }
+];
+
+router.get('/products', listQuery(PRODUCT_LIST), async (req, res) => {
     // Get query parameters for filtering
     const { category, location, status, search, stock_status } = req.query;
 
@@ -188,68 +228,106 @@ router.get('/products', (req, res) => {
         params.push(location);
     }
 
-    query += ` ORDER BY c.name, p.name`;
+    if (isExportRequest(req)) {
+        return sendExport(req, res, { name: 'products', title: 'Products', columns: PRODUCT_EXPORT_COLUMNS, sql: sortedSql(query, req.list), params });
+    }
 
-    db.query(query, params, (err, products) => {
-        if (err) {
-            console.error('Products query error:', err);
-            return res.status(500).json({ error: 'Failed to fetch products' });
-        }
+    let page;
 
-        // If no product, return empty array
-        if (products.length === 0) {
-            return res.json({ products: [] });
-        }
+    try {
+        page = await fetchPage(query, params, req.list);
+    } catch (error) {
+        console.error('Products query error:', error);
+        return res.status(500).json({ error: 'Failed to fetch products' });
+    }
 
-        // STEP 2: Get stock by location for all products in one query
-        const productIds = products.map(p => p.id);
+    const products = page.rows;
 
-        const stockQuery = `
-            SELECT
-                s.product_id,
-                s.location_id,
-                s.quantity,
-                s.last_restocked,
-                l.name as location_name
-            FROM inventory_stock s
-            JOIN locations l ON s.location_id = l.id
-            WHERE s.product_id IN (?)
-            ORDER BY s.product_id, l.name
-        `;
+    // If no product, return empty array
+    if (products.length === 0) {
+        return res.json({ products: [], pagination: page.pagination });
+    }
 
-        db.query(stockQuery, [productIds], (err, stockResults) => {
-            if (err) {
-                console.error('Stock query error:', err);
-                // Return products without stock breakdown if this fails
-                return res.json({
-                    products: products.map(p => ({ ...p, stock_by_location: [] }))
-                });
-            }
+    // STEP 2: Get stock by location for this page's products in one query
+    const productIds = products.map(p => p.id);
 
-            // Group stock results by product_id
-            const stockByProduct = {};
-            stockResults.forEach(stock => {
-                if (!stockByProduct[stock.product_id]) {
-                    stockByProduct[stock.product_id] = [];
-                }
+    const stockQuery = `
+        SELECT
+            s.product_id,
+            s.location_id,
+            s.quantity,
+            s.last_restocked,
+            l.name as location_name
+        FROM inventory_stock s
+        JOIN locations l ON s.location_id = l.id
+        WHERE s.product_id IN (?)
+        ORDER BY s.product_id, l.name
+    `;
 
-                stockByProduct[stock.product_id].push({
-                    location_id: stock.location_id, 
-                    location_name: stock.location_name, 
-                    quantity: stock.quantity, 
-                    last_restocked: stock.last_restocked
-                });
-            });
+    let stockResults;
+    let inTransit;
+
+    try {
+        [stockResults, inTransit] = await Promise.all([
+            queryAsync(stockQuery, [productIds]),
+            getInTransit(productIds)
+        ]);
+    } catch (error) {
+        console.error('Stock query error:', error);
+        // Return products without stock breakdown if this fails
+        return res.json({
+            products: products.map(p => ({ ...p, stock_by_location: [] })),
+            pagination: page.pagination
+        });
+    }
 
-            // Attach stock data to each product
-            const productsWithStock = products.map(product => ({
-                ...product, 
-                stock_by_location: stockByProduct[product.id] || []
-            }));
+    // Group stock results by product_id
+    const stockByProduct = {};
+    stockResults.forEach(stock => {
+        if (!stockByProduct[stock.product_id]) {
+            stockByProduct[stock.product_id] = [];
+        }
 
-            res.json({ products: productsWithStock});
+        stockByProduct[stock.product_id].push({
+            location_id: stock.location_id, 
+            location_name: stock.location_name, 
+            quantity: stock.quantity, 
+            last_restocked: stock.last_restocked, 
+            incoming: 0, 
+            outgoing: 0
         });
     });
+
+    // Shipped transfers on their way in/out of each location
+    // (a destination may have no stock row yet)
+    inTransit.forEach(moving => {
+        if (!stockByProduct[moving.product_id]) {
+            stockByProduct[moving.product_id] = [];
+        }
+
+        let stock = stockByProduct[moving.product_id].find(s => s.location_id === moving.location_id);
+
+        if (!stock) {
+            stock = {
+                location_id: moving.location_id, 
+                location_name: moving.location_name, 
+                quantity: 0, 
+                last_restocked: null
+            };
+            stockByProduct[moving.product_id].push(stock);
+        }
+
+        stock.incoming = moving.incoming;
+        stock.outgoing = moving.outgoing;
+    });
+
+    // Attach stock data to each product
+    const productsWithStock = products.map(product => ({
+        ...product, 
+        stock_by_location: stockByProduct[product.id] || []
+    }));
+
+    res.json({ products: productsWithStock, pagination: page.pagination });
 });
 
 /* ============================================
@@ -312,7 +390,7 @@ router.get('/products/:id', (req, res) => {
    Create new product
    ============================================ */
 
-router.post('/products', validateAddProduct, handleValidationErrors, (req, res) => {
+router.post('/products', requirePermission('inventory.manage'), auditTrail('product', 'create'), validateAddProduct, handleValidationErrors, (req, res) => {
     const {
         name, 
         description, 
@@ -427,7 +505,7 @@ router.post('/products', validateAddProduct, handleValidationErrors, (req, res)
    Update product details
    ============================================ */
 
-router.put('/products/:id', validateEditProduct, handleValidationErrors, (req, res) => {
+router.put('/products/:id', requirePermission('inventory.manage'), auditTrail('product', 'update'), validateEditProduct, handleValidationErrors, (req, res) => {
     const productId = req.params.id;
     const {
         name, 
@@ -510,56 +588,119 @@ router.put('/products/:id', validateEditProduct, handleValidationErrors, (req, r
 /* ============================================
    PUT /api/inventory/stock/:productId/:locationId
    Update stock quantity for a specific product at a specific location
+   Body: { quantity, adjustment_type?, adjustment_reason? }
+   adjustment_type: set (default - quantity is the new count),
+                    add / subtract (quantity is the amount)
+   Recorded in stock_movements - see utils/stockLedger.js
    ============================================ */
 
-router.put('/stock/:productId/:locationId', (req, res) => {
-    const { productId, locationId } = req.params;
-    const { quantity, adjustment_type, adjustment_reason } = req.body;
+router.put('/stock/:productId/:locationId', requirePermission('inventory.adjust'), auditTrail('stock', 'adjust', {
+    key: req => ({ product_id: req.params.productId, location_id: req.params.locationId })
+}), validateUpdateStock, handleValidationErrors, async (req, res) => {
+    const productId = parseInt(req.params.productId, 10);
+    const locationId = parseInt(req.params.locationId, 10);
+    const { quantity, adjustment_type: type = 'set', adjustment_reason: reason } = req.body;
+
+    try {
+        const [products, locations] = await Promise.all([
+            queryAsync('SELECT id FROM products WHERE id = ?', [productId]),
+            queryAsync('SELECT id FROM locations WHERE id = ?', [locationId])
+        ]);
+
+        if (products.length === 0 || locations.length === 0) {
+            return res.status(404).json({ error: products.length === 0 ? 'Product not found' : 'Location not found' });
+        }
 
-    // Validate quantity
-    if (quantity === undefined || quantity < 0) {
-        return res.status(400).json({ error: 'Invalid quantity' });
+        const movement = await withTransaction(connection => changeStock({
+            productId, locationId, type, quantity, reason, admin: req.admin
+        }, connection));
+
+        if (!movement) {
+            return res.status(409).json({
+                error: 'Not enough stock',
+                details: `Cannot subtract ${quantity} - not that many on hand at this location`
+            });
+        }
+
+        publishStockLevel(productId, locationId);
+
+        console.log(`📦 Stock ${type} for product ${productId} at location ${locationId}: ${movement.quantity_before} -> ${movement.quantity_after} by ${req.admin.username}`);
+
+        res.json({
+            success: true, 
+            message: 'Stock updated successfully', 
+            movement
+        });
+    } catch (error) {
+        console.error('Stock update error:', error);
+        res.status(500).json({ error: 'Failed to update stock' });
     }
+});
 
-    const updateQuery = `
-        UPDATE inventory_stock
-        SET quantity = ?, updated_at = NOW()
-        WHERE product_id = ? AND location_id = ?
-    `;
+/* ============================================
+   GET /api/inventory/products/:id/movements
+   Stock movement history for one product, newest first
+   Query params: location, limit (default 50, max 200), offset
+   + reconciliation: ledger sum vs quantity per location
+   ============================================ */
 
-    db.query(updateQuery, [quantity, productId, locationId], (err, result) => {
-        if (err) {
-            console.error('Stock update error:', err);
-            return res.status(500).json({ error: 'Failed to update stock' });
+router.get('/products/:id/movements', validateStockMovementsQuery, handleValidationErrors, async (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    // Parsed here - toInt() in the validator doesn't stick to req.query (Express 5)
+    const locationId = req.query.location ? parseInt(req.query.location, 10) : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+        const products = await queryAsync('SELECT id, sku, name FROM products WHERE id = ?', [productId]);
+
+        if (products.length === 0) {
+            return res.status(404).json({ error: 'Product not found' });
         }
 
-        if (result.affectedRows === 0) {
-            // Record doesn't exist, create it
-            const insertQuery = `
-                INSERT INTO inventory_stock (product_id, location_id, quantity)
-                VALUES (?, ?, ?)
-            `;
+        const [history, reconciliation] = await Promise.all([
+            getMovements(productId, { locationId, limit, offset }),
+            reconcileStock(productId)
+        ]);
 
-            db.query(insertQuery, [productId, locationId, quantity], (err) => {
-                if (err) {
-                    console.error('Stock insert error:', err);
-                    return res.status(500).json({ error: 'Failed to create stock record' });
-                }
+        res.json({
+            product: products[0],
+            movements: history.movements,
+            total: history.total,
+            showing: history.movements.length,
+            reconciliation: {
+                balanced: reconciliation.every(row => row.matches),
+                locations: reconciliation
+            }
+        });
+    } catch (error) {
+        console.error('Stock movements error:', error);
+        res.status(500).json({ error: 'Failed to fetch stock movements' });
+    }
+});
 
-                res.json({
-                    success: true, 
-                    message: 'Stock record created'
-                });
-            });
+/* ============================================
+   GET /api/inventory/stock/reconciliation
+   Every product/location whose ledger sum doesn't
+   match the quantity on hand (empty = all good)
+   ============================================ */
+
+router.get('/stock/reconciliation', async (req, res) => {
+    try {
+        const mismatches = await reconcileStock();
 
-            return;
+        if (mismatches.length > 0) {
+            console.warn(`⚠️ Stock ledger out of balance for ${mismatches.length} product/location(s)`);
         }
 
         res.json({
-            success: true, 
-            message: ' Stock updated successfully'
+            balanced: mismatches.length === 0,
+            mismatches
         });
-    });
+    } catch (error) {
+        console.error('Stock reconciliation error:', error);
+        res.status(500).json({ error: 'Failed to reconcile stock' });
+    }
 });
 
 /* ============================================
@@ -657,7 +798,7 @@ router.get('/chart/stock-by-category', (req, res) => {
    Create a reorder request
    ============================================ */
 
-router.post('/reorders', validateCreateReorder, handleValidationErrors, (req, res) => {
+router.post('/reorders', requirePermission('reorders.create'), auditTrail('reorder', 'create'), validateCreateReorder, handleValidationErrors, (req, res) => {
 
     const {
         product_id, 
@@ -746,6 +887,8 @@ router.post('/reorders', validateCreateReorder, handleValidationErrors, (req, re
                         return res.status(500).json({ error: 'Request created but failed to fetch' });
                     }
 
+                    publishReorder(result.insertId);
+
                     res.status(201).json({
                         success: true, 
                         request_number: request_number, 
@@ -894,16 +1037,52 @@ router.get('/reorders/chart/trends', (req, res) => {
 /* ============================================
    GET /api/inventory/reorders
    Get all reorder requests with filters
-   Query params: status, location_id, date_from, date_to
+   Query params: status, location_id, date_from, date_to, search
+   Paging: limit, cursor, sort, order (utils/pagination.js)
+   format=csv|xlsx|pdf downloads the same list (utils/export.js)
    ============================================ */
 
-router.get('/reorders', (req, res) => {
+// Most recent first unless a sort was asked for
+// status sorts in workflow order (pending -> rejected), not A-Z
+const REORDER_LIST = {
+    sortable: {
+        request_number: 'request_number',
+        requested_at: 'requested_at',
+        product_name: 'product_name',
+        category_name: 'category_name',
+        location_name: 'location_name',
+        quantity_requested: 'quantity_requested',
+        total_cost: 'total_cost',
+        status: 'status_rank',
+        requested_by: 'requested_by'
+    },
+    defaultSort: 'requested_at',
+    defaultOrder: 'desc'
+};
+
+const REORDER_EXPORT_COLUMNS = [
+    { key: 'request_number', header: 'Request #', width: 0.8 },
+    { key: 'requested_at', header: 'Requested', type: 'date', width: 0.8 },
+    { key: 'product_name', header: 'Product', width: 1.4 },
+    { key: 'product_sku', header: 'SKU', width: 0.8 },
+    { key: 'location_name', header: 'Location' },
+    { key: 'quantity_requested', header: 'Qty', type: 'number', width: 0.4 },
+    { key: 'quantity_received', header: 'Received', type: 'number', width: 0.5 },
+    { key: 'unit_cost', header: 'Unit Cost', type: 'money', width: 0.7 },
+    { key: 'total_cost', header: 'Total', type: 'money', width: 0.7 },
+    { key: 'status', header: 'Status', width: 0.6 },
+    { key: 'requested_by', header: 'Requested By' },
+    { key: 'approved_by', header: 'Approved By' }
+];
+
+router.get('/reorders', listQuery(REORDER_LIST), async (req, res) => {
     // Extract filter parameters from query string
     const {
         status, 
         location_id, 
         date_from, 
-        date_to
+        date_to,
+        search
     } = req.query;
 
     // Base query joins all related tables to get full context
@@ -913,7 +1092,13 @@ router.get('/reorders', (req, res) => {
             p.name as product_name,
             p.sku as product_sku,
             c.name as category_name,
-            l.name as location_name
+            l.name as location_name,
+            CASE r.status
+                WHEN 'pending' THEN 1
+                WHEN 'approved' THEN 2
+                WHEN 'received' THEN 3
+                WHEN 'rejected' THEN 4
+            END as status_rank
         FROM reorder_requests r
         JOIN products p ON r.product_id = p.id
         JOIN inventory_categories c ON p.category_id = c.id
@@ -946,26 +1131,24 @@ router.get('/reorders', (req, res) => {
         params.push(date_to);
     }
 
-    // Order by most recent first, then by status priority
-    // Pending requests should appear first
-    query += ` ORDER BY
-        CASE r.status
-            WHEN 'pending' THEN 1
-            WHEN 'approved' THEN 2
-            WHEN 'received' THEN 3
-            WHEN 'rejected' THEN 4
-        END,
-        r.requested_at DESC
-    `;
+    // Same fields the search box matches on screen
+    if (search) {
+        query += ` AND (r.request_number LIKE ? OR p.name LIKE ? OR p.sku LIKE ? OR r.requested_by LIKE ?)`;
+        const searchPattern = `%${search}%`;
+        params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+    }
 
-    db.query(query, params, (err, results) => {
-        if (err) {
-            console.error('Reorders query error:', err);
-            return res.status(500).json({ error: 'Failed to fetch reorder requests' });
-        }
+    if (isExportRequest(req)) {
+        return sendExport(req, res, { name: 'reorders', title: 'Reorder Requests', columns: REORDER_EXPORT_COLUMNS, sql: sortedSql(query, req.list), params });
+    }
 
-        res.json({ requests: results });
-    });
+    try {
+        const page = await fetchPage(query, params, req.list);
+        res.json({ requests: page.rows, pagination: page.pagination });
+    } catch (error) {
+        console.error('Reorders query error:', error);
+        res.status(500).json({ error: 'Failed to fetch reorder requests' });
+    }
 });
 
 /* ============================================
@@ -1011,14 +1194,12 @@ router.get('/reorders/:id', (req, res) => {
    Sets status to 'approved' and records who approved it
    ============================================ */
 
-router.put('/reorders/:id/approve', (req, res) => {
+router.put('/reorders/:id/approve', requirePermission('reorders.approve'), auditTrail('reorder', 'approve'), (req, res) => {
     const requestId = req.params.id;
-    const { approved_by } = req.body;
 
-    // Validate that approved_by is provided
-    if (!approved_by) {
-        return res.status(400).json({ error: 'approved_by is required' });
-    }
+    // Approver comes from the session, not the request body
+    // WHY? The body can say anything - the session proves who clicked approve
+    const approved_by = req.admin.username;
 
     // First check if request exists and is pending
     const checkQuery = `SELECT status FROM reorder_requests WHERE id = ?`;
@@ -1052,6 +1233,8 @@ router.put('/reorders/:id/approve', (req, res) => {
                 return res.status(500).json({ error: 'Failed to approve request' });
             }
 
+            publishReorder(requestId);
+
             res.json({
                 success: true, 
                 message: 'Reorder request approved successfully'
@@ -1065,12 +1248,10 @@ router.put('/reorders/:id/approve', (req, res) => {
    Reject a pending reorder request /
    ============================================ */
 
-router.put('/reorders/:id/reject', validateRejectRequest, handleValidationErrors, (req, res) => {
+router.put('/reorders/:id/reject', requirePermission('reorders.approve'), auditTrail('reorder', 'reject'), validateRejectRequest, handleValidationErrors, (req, res) => {
     const requestId = req.params.id;
-    const {
-        rejected_by, 
-        rejection_reason
-    } = req.body;
+    const { rejection_reason } = req.body;
+    const rejected_by = req.admin.username;
 
     // First check if request exists and is pending
     const checkQuery = `SELECT status FROM reorder_requests WHERE id = ?`;
@@ -1098,12 +1279,14 @@ router.put('/reorders/:id/reject', validateRejectRequest, handleValidationErrors
             WHERE id = ?
         `;
 
-        db.query(updateQuery, [rejected_by || 'Admin', rejection_reason || 'No reason provided', requestId], (err, result) => {
+        db.query(updateQuery, [rejected_by, rejection_reason || 'No reason provided', requestId], (err, result) => {
             if (err) {
                 console.error('Update error:', err);
                 return res.status(500).json({ error: 'Failed to reject request' });
             }
 
+            publishReorder(requestId);
+
             res.json({
                 success: true, 
                 message: 'Reorder request rejected'
@@ -1118,8 +1301,8 @@ router.put('/reorders/:id/reject', validateRejectRequest, handleValidationErrors
    Updates inventory stock when items arrive
    ============================================ */
 
-router.put('/reorders/:id/receive', validateReceiveReorder, handleValidationErrors, (req, res) => {
-    const requestId = req.params.id;
+router.put('/reorders/:id/receive', requirePermission('reorders.receive'), auditTrail('reorder', 'receive'), validateReceiveReorder, handleValidationErrors, async (req, res) => {
+    const requestId = parseInt(req.params.id, 10);
     const { quantity_received } = req.body;
 
     // Validate quantity
@@ -1127,89 +1310,260 @@ router.put('/reorders/:id/receive', validateReceiveReorder, handleValidationErro
         return res.status(400).json({ error: 'Valid quantity_received is required '});
     }
 
-    // Get request details first
-    const getRequestQuery = `
-        SELECT product_id, location_id, quantity_requested, status
-        FROM reorder_requests
-        WHERE id = ?
-    `;
+    try {
+        // Request status + stock + ledger move together
+        const request = await withTransaction(async (connection) => {
+            // Get request details first (locked - no double receive)
+            const results = await queryAsync(`
+                SELECT id, request_number, product_id, location_id, quantity_requested, status
+                FROM reorder_requests
+                WHERE id = ?
+                FOR UPDATE
+            `, [requestId], connection);
 
-    db.query(getRequestQuery, [requestId], (err, results) => {
-        if (err) {
-            console.error('Get request error:', err);
-            return res.status(500).json({ error: 'Database error' });
-        }
+            const request = results[0];
 
-        if (results.length === 0) {
+            // Only approved requests can be marked as received
+            if (!request || request.status !== 'approved') return request || null;
+
+            // STEP 1: Update reorder request status
+            await queryAsync(`
+                UPDATE reorder_requests
+                SET status = 'received',
+                    quantity_received = ?
+                WHERE id = ?
+            `, [quantity_received, requestId], connection);
+
+            // STEP 2: Update inventory stock (+ ledger)
+            await changeStock({
+                productId: request.product_id,
+                locationId: request.location_id,
+                type: 'receipt',
+                quantity: quantity_received,
+                reason: `Reorder ${request.request_number} received`,
+                reference: { type: 'reorder', id: request.id },
+                admin: req.admin
+            }, connection);
+
+            return { ...request, received: true };
+        });
+
+        if (!request) {
             return res.status(404).json({ error: 'Reorder request not found' });
         }
 
-        const request = results[0];
-
-        // Only approved requests can be marked as received
-        if (request.status !== 'approved') {
+        if (!request.received) {
             return res.status(400).json({ error: 'Only approved requests can be marked as received' });
         }
 
-        // Start transaction to update both reorder_requests and inventory_stock
-        db.beginTransaction((err) => {
-            if (err) {
-                console.error('Transaction error:', err);
-                return res.status(500).json({ error: 'Failed to start transaction' });
-            }
+        publishReorder(requestId);
+        publishStockLevel(request.product_id, request.location_id);
 
-            // STEP 1: Update reorder request status
-            const updateRequestQuery = `
-                UPDATE reorder_requests
-                SET status = 'received',
-                    quantity_received = ?
-                WHERE id = ?
-            `;
+        res.json({
+            success: true, 
+            message: 'Request marked as received and stock updated'
+        });
+    } catch (error) {
+        console.error('Receive reorder error:', error);
+        res.status(500).json({ error: 'Failed to mark request as received' });
+    }
+});
 
-            db.query(updateRequestQuery, [quantity_received, requestId], (err) => {
-                if (err) {
-                    return db.rollback(() => {
-                        console.error('Update request error:', err);
-                        res.status(500).json({ error: 'Failed to update request' });
-                    });
-                }
+/* ============================================
+   STOCK TRANSFER ROUTES
+   Moving stock between locations
+   draft -> in_transit -> received (see utils/stockTransfers.js)
+   ============================================ */
 
-                // STEP 2: Update inventory stock
-                const updateStockQuery = `
-                    UPDATE inventory_stock
-                    SET quantity = quantity + ?,
-                        last_restocked = NOW()
-                    WHERE product_id = ? AND location_id = ?
-                `;
 
-                db.query(updateStockQuery, [quantity_received, request.product_id, request.location_id], (err) => {
-                    if (err) {
-                        return db.rollback(() => {
-                            console.error('Update stock error:', err);
-                            res.status(500).json({ error: 'Failed to update stock' });
-                        });
-                    }
+/* ============================================
+   GET /api/inventory/transfers
+   Get stock transfers with filters
+   Query params: status ('open' = draft + in transit),
+                 product_id, location_id (either end), search
+   Paging: limit, cursor, sort, order (utils/pagination.js)
+   ============================================ */
 
-                    // Commit transaction
-                    db.commit((err) => {
-                        if (err) {
-                            return db.rollback(() => {
-                                console.error('Commit error:', err);
-                                res.status(500).json({ error: 'Failed to commit changes'});
-                            });
-                        }
-
-                        res.json({
-                            success: true, 
-                            message: 'Request marked as received and stock updated'
-                        });
-                    });
-                });
-            });
+const TRANSFER_LIST = {
+    sortable: {
+        transfer_number: 'transfer_number',
+        created_at: 'created_at',
+        product_name: 'product_name',
+        quantity: 'quantity',
+        status: 'status_rank'
+    },
+    defaultSort: 'created_at',
+    defaultOrder: 'desc'
+};
+
+router.get('/transfers', listQuery(TRANSFER_LIST), async (req, res) => {
+    const { status, product_id, location_id, search } = req.query;
+
+    let query = `
+        SELECT
+            t.*,
+            p.name as product_name,
+            p.sku as product_sku,
+            fl.name as from_location_name,
+            tl.name as to_location_name,
+            CASE t.status
+                WHEN 'draft' THEN 1
+                WHEN 'in_transit' THEN 2
+                WHEN 'received' THEN 3
+                WHEN 'cancelled' THEN 4
+            END as status_rank
+        FROM stock_transfers t
+        JOIN products p ON t.product_id = p.id
+        JOIN locations fl ON t.from_location_id = fl.id
+        JOIN locations tl ON t.to_location_id = tl.id
+        WHERE 1=1
+    `;
+
+    const params = [];
+
+    if (status === 'open') {
+        query += ` AND t.status IN ('draft', 'in_transit')`;
+    } else if (status && status !== 'all') {
+        query += ` AND t.status = ?`;
+        params.push(status);
+    }
+
+    if (product_id) {
+        query += ` AND t.product_id = ?`;
+        params.push(product_id);
+    }
+
+    if (location_id && location_id !== 'all') {
+        query += ` AND (t.from_location_id = ? OR t.to_location_id = ?)`;
+        params.push(location_id, location_id);
+    }
+
+    if (search) {
+        query += ` AND (t.transfer_number LIKE ? OR p.name LIKE ? OR p.sku LIKE ?)`;
+        const searchPattern = `%${search}%`;
+        params.push(searchPattern, searchPattern, searchPattern);
+    }
+
+    try {
+        const page = await fetchPage(query, params, req.list);
+        res.json({ transfers: page.rows, pagination: page.pagination });
+    } catch (error) {
+        console.error('Transfers query error:', error);
+        res.status(500).json({ error: 'Failed to fetch stock transfers' });
+    }
+});
+
+/* ============================================
+   GET /api/inventory/transfers/:id
+   Get single transfer with product and location names
+   ============================================ */
+
+router.get('/transfers/:id', async (req, res) => {
+    try {
+        const transfer = await getTransfer(req.params.id);
+
+        if (!transfer) {
+            return res.status(404).json({ error: 'Transfer not found' });
+        }
+
+        res.json(transfer);
+    } catch (error) {
+        console.error('Transfer query error:', error);
+        res.status(500).json({ error: 'Failed to fetch transfer' });
+    }
+});
+
+/* ============================================
+   POST /api/inventory/transfers
+   Create a transfer (draft)
+   Body: { product_id, from_location_id, to_location_id,
+           quantity, notes?, ship? }
+   ship: true = ship it right away (stock leaves the source now)
+   ============================================ */
+
+router.post('/transfers', requirePermission('transfers.manage'), auditTrail('transfer', 'create'), validateCreateTransfer, handleValidationErrors, async (req, res) => {
+    const { product_id, from_location_id, to_location_id, quantity, notes, ship } = req.body;
+
+    try {
+        const result = await createTransfer({
+            productId: product_id,
+            fromLocationId: from_location_id,
+            toLocationId: to_location_id,
+            quantity,
+            notes,
+            ship,
+            admin: req.admin
         });
-    });
+
+        if (!result.success) {
+            return res.status(409).json({ error: 'Transfer not created', details: result.error });
+        }
+
+        const { transfer } = result;
+
+        publishTransfer(transfer.id);
+        if (ship) publishStockLevel(transfer.product_id, transfer.from_location_id);
+
+        console.log(`🚚 Transfer ${transfer.transfer_number} created (${transfer.status}) by ${req.admin.username}: ${transfer.quantity} x ${transfer.product_name}, ${transfer.from_location_name} -> ${transfer.to_location_name}`);
+
+        res.status(201).json({
+            success: true, 
+            message: ship ? 'Transfer created and shipped' : 'Transfer created as a draft', 
+            transfer
+        });
+    } catch (error) {
+        console.error('Create transfer error:', error);
+        res.status(500).json({ error: 'Failed to create transfer' });
+    }
 });
 
+/* ============================================
+   PUT /api/inventory/transfers/:id/ship
+   PUT /api/inventory/transfers/:id/receive
+   PUT /api/inventory/transfers/:id/cancel
+   ship:    draft -> in_transit (stock leaves the source)
+   receive: in_transit -> received (stock arrives)
+   cancel:  draft -> cancelled (nothing had moved)
+   ============================================ */
+
+// Same steps for all three - utils/stockTransfers.js knows what each one moves
+function handleTransferAction(action, message) {
+    return async (req, res) => {
+        const transferId = parseInt(req.params.id, 10);
+
+        try {
+            const result = await updateTransferStatus(transferId, action, req.admin);
+
+            if (!result) {
+                return res.status(404).json({ error: 'Transfer not found' });
+            }
+
+            if (!result.success) {
+                return res.status(409).json({ error: 'Transfer not updated', details: result.error });
+            }
+
+            const { transfer } = result;
+
+            publishTransfer(transfer.id);
+            if (action === 'ship') publishStockLevel(transfer.product_id, transfer.from_location_id);
+            if (action === 'receive') publishStockLevel(transfer.product_id, transfer.to_location_id);
+
+            console.log(`🚚 Transfer ${transfer.transfer_number} ${transfer.status} by ${req.admin.username}`);
+
+            res.json({ success: true, message, transfer });
+        } catch (error) {
+            console.error(`Transfer ${action} error:`, error);
+            res.status(500).json({ error: `Failed to ${action} transfer` });
+        }
+    };
+}
+
+router.put('/transfers/:id/ship', requirePermission('transfers.manage'), auditTrail('transfer', 'ship'), handleTransferAction('ship', 'Transfer shipped'));
+
+router.put('/transfers/:id/receive', requirePermission('transfers.receive'), auditTrail('transfer', 'receive'), handleTransferAction('receive', 'Transfer received and stock updated'));
+
+router.put('/transfers/:id/cancel', requirePermission('transfers.manage'), auditTrail('transfer', 'cancel'), handleTransferAction('cancel', 'Transfer cancelled'));
+
 /* ============================================
    VENDORS MANAGEMENT ROUTES
    ============================================ */
@@ -1354,9 +1708,41 @@ router.get('/vendors/chart/trends', (req, res) => {
    GET /api/inventory/vendors
    Get all vendors with optional filters
    Query params: category, status, search
+   Paging: limit, cursor, sort, order (utils/pagination.js)
+   format=csv|xlsx|pdf downloads the same list (utils/export.js)
    ============================================ */
 
-router.get('/vendors', (req, res) => {
+// Vendor name A-Z unless a sort was asked for
+const VENDOR_LIST = {
+    sortable: {
+        vendor_name: 'vendor_name',
+        contact_person: 'contact_person',
+        email: 'email',
+        address_city: 'address_city',
+        total_orders: 'total_orders',
+        total_spent: 'total_spent',
+        last_order_date: 'last_order_date',
+        status: 'status'
+    },
+    defaultSort: 'vendor_name',
+    defaultOrder: 'asc'
+};
+
+const VENDOR_EXPORT_COLUMNS = [
+    { key: 'vendor_name', header: 'Vendor', width: 1.4 },
+    { key: 'category', header: 'Category', width: 0.8 },
+    { key: 'contact_person', header: 'Contact' },
+    { key: 'email', header: 'Email', width: 1.4 },
+    { key: 'phone', header: 'Phone' },
+    { key: 'address_city', header: 'City', width: 0.8 },
+    { key: 'payment_terms', header: 'Terms', width: 0.6 },
+    { key: 'total_orders', header: 'Orders', type: 'number', width: 0.5 },
+    { key: 'total_spent', header: 'Total Spent', type: 'money', width: 0.8 },
+    { key: 'last_order_date', header: 'Last Order', type: 'date', width: 0.8 },
+    { key: 'status', header: 'Status', width: 0.6 }
+];
+
+router.get('/vendors', listQuery(VENDOR_LIST), async (req, res) => {
     // Extract filter parameters from query string
     const {
         category, 
@@ -1411,22 +1797,23 @@ router.get('/vendors', (req, res) => {
     // All non-aggregated columns must be in GROUP BY
     query += ` GROUP BY v.id`;
 
-    // Order by vendor name alphabetically for consistency
-    query += ` ORDER BY v.vendor_name ASC`;
+    if (isExportRequest(req)) {
+        return sendExport(req, res, { name: 'vendors', title: 'Vendors', columns: VENDOR_EXPORT_COLUMNS, sql: sortedSql(query, req.list), params });
+    }
 
-    db.query(query, params, (err, results) => {
-        if (err) {
-            console.error('Vendors query error:', err);
-            return res.status(500).json({ error: 'Failed to fetch vendors' });
-        }
+    try {
+        const page = await fetchPage(query, params, req.list);
 
         // Format currency values before sending
-        results.forEach(vendor => {
+        page.rows.forEach(vendor => {
             vendor.total_spent = parseFloat(vendor.total_spent) || 0;
         });
 
-        res.json({ vendors: results });
-    });
+        res.json({ vendors: page.rows, pagination: page.pagination });
+    } catch (error) {
+        console.error('Vendors query error:', error);
+        res.status(500).json({ error: 'Failed to fetch vendors' });
+    }
 });
 
 /* ============================================
@@ -1521,7 +1908,7 @@ router.get('/vendors/:id/orders', (req, res) => {
    Create a new vendor
    ============================================ */
 
-router.post('/vendors', validateAddVendor, handleValidationErrors, (req, res) => {
+router.post('/vendors', requirePermission('vendors.manage'), auditTrail('vendor', 'create'), validateAddVendor, handleValidationErrors, (req, res) => {
     // Extract vendor data from request body
     const {
         vendor_name, 
@@ -1604,7 +1991,7 @@ router.post('/vendors', validateAddVendor, handleValidationErrors, (req, res) =>
    Update an existing vendor
    ============================================ */
 
-router.put('/vendors/:id', validateEditVendor, handleValidationErrors, (req, res) => {
+router.put('/vendors/:id', requirePermission('vendors.manage'), auditTrail('vendor', 'update'), validateEditVendor, handleValidationErrors, (req, res) => {
     const vendorId = req.params.id;
 
     const {
@@ -1707,7 +2094,7 @@ router.put('/vendors/:id', validateEditVendor, handleValidationErrors, (req, res
    We use soft delete instead of hard delete to preserve order history
    ============================================ */
 
-router.delete('/vendors/:id', (req, res) => {
+router.delete('/vendors/:id', requirePermission('vendors.manage'), auditTrail('vendor', 'delete'), (req, res) => {
     const vendorId = req.params.id;
 
     // Check if vendor exists
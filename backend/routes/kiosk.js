@@ -0,0 +1,213 @@
+/* ============================================
+   KIOSK ROUTES
+   Self check-in tablets + pairing them
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+
+// Helpers
+const { queryAsync } = require('../utils/queryAsync');
+const { evaluateCheckIn } = require('../utils/checkInRules');
+const { recordCheckIn } = require('../utils/occupancy');
+const { createDevice, listDevices, findKioskMember } = require('../utils/kiosk');
+const { isCardPayload, verifyCardPayload } = require('../utils/memberCards');
+const { publishCheckIn } = require('../utils/liveEvents');
+
+// Middleware
+const { checkInLimiter } = require('../middleware/rateLimiter');
+const { requirePermission } = require('../middleware/adminAuth');
+const { requireKioskDevice } = require('../middleware/kioskAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const {
+    validateKioskCheckIn, validateCreateKioskDevice, handleValidationErrors
+} = require('../middleware/validation');
+
+// WHY kiosk-safe messages?
+// - The kiosk screen is in the lobby - "Outstanding balance: $59.99 failed"
+//   is for the front desk, not for whoever stands behind the member
+// - The detailed reason is still in the server log and at the desk
+const KIOSK_MESSAGES = {
+    status: 'Your membership is not active - please see the front desk',
+    plan_location: 'Your plan does not include this location - please see the front desk',
+    balance: 'Please see the front desk about your account',
+    waiver: 'Please sign our liability waiver at the front desk',
+    visit_limit: 'You have used all of this month\'s visits on your plan',
+    recent_check_in: 'You are already checked in',
+    capacity: 'We are at capacity right now - please see the front desk'
+};
+
+/* ============================================
+   GET /api/kiosk/device
+   Which device/location this kiosk token belongs to
+   Used by: Kiosk page on load (and to test pairing)
+   ============================================ */
+
+router.get('/device', requireKioskDevice, (req, res) => {
+    res.json({ device: req.kioskDevice });
+});
+
+/* ============================================
+   POST /api/kiosk/check-in
+   Member checks themselves in at the kiosk's location
+   Body: { code } (member ID / scanned card) OR { pin }
+   Scanned cards are verified first - forged or expired = refused
+   Same rules as the front desk - never overridable here
+   ============================================ */
+
+router.post('/check-in', checkInLimiter, requireKioskDevice, validateKioskCheckIn, handleValidationErrors, async (req, res) => {
+    const device = req.kioskDevice;
+    let { code, pin } = req.body;
+
+    try {
+        // A card QR, not a typed member ID
+        if (isCardPayload(code)) {
+            const card = verifyCardPayload(code);
+
+            if (!card.valid) {
+                console.log(`🚫 Kiosk ${device.name}: card refused (${card.reason})`);
+                return res.status(403).json({
+                    error: 'Card not accepted',
+                    details: card.message
+                });
+            }
+
+            code = card.member_code;
+        }
+
+        const member = await findKioskMember({ code, pin });
+
+        // Same answer for "no such member" and "wrong PIN" - nothing to probe
+        if (!member) {
+            console.log(`🚫 Kiosk ${device.name}: no member for ${code ? 'code' : 'PIN'}`);
+            return res.status(404).json({
+                error: 'Not found',
+                details: code ? 'We could not find that member ID' : 'That PIN did not match a member'
+            });
+        }
+
+        const { denials, warnings } = member.status === 'active'
+            ? await evaluateCheckIn(member.id, device.location_id)
+            : { denials: [{ rule: 'status', message: `Member is ${member.status}` }], warnings: [] };
+
+        if (denials.length > 0) {
+            console.log(`🚫 Kiosk check-in denied: ${member.name} at ${device.location_name} (${denials.map(denial => denial.message).join('; ')})`);
+
+            return res.status(403).json({
+                error: 'Check-in denied',
+                details: 'Please see the front desk',
+                check_in_denial: {
+                    member_name: member.name,
+                    location_name: device.location_name,
+                    reasons: denials.map(denial => ({
+                        rule: denial.rule,
+                        message: KIOSK_MESSAGES[denial.rule] || 'Please see the front desk'
+                    }))
+                }
+            });
+        }
+
+        const checkIn = {
+            ...await recordCheckIn({ memberId: member.id, locationId: device.location_id, kioskDeviceId: device.id }),
+            warnings
+        };
+
+        console.log(`✅ Kiosk check-in: ${checkIn.member_name} at ${checkIn.location_name} (${device.name})`);
+        publishCheckIn(checkIn);
+
+        // Only what the welcome screen shows
+        res.status(201).json({
+            success: true,
+            message: `Welcome, ${member.name.split(' ')[0]}!`,
+            check_in: {
+                id: checkIn.id,
+                member_name: checkIn.member_name,
+                location_name: checkIn.location_name,
+                check_in_time: checkIn.check_in_time
+            }
+        });
+    } catch (error) {
+        console.error('❌ Kiosk check-in error:', error);
+        res.status(500).json({ error: 'Check-in failed - please see the front desk' });
+    }
+});
+
+/* ============================================
+   GET /api/kiosk/devices
+   Paired kiosks (active and revoked)
+   Used by: Settings page - Kiosk Devices card
+   ============================================ */
+
+router.get('/devices', requirePermission('kiosks.manage'), async (req, res) => {
+    try {
+        const devices = await listDevices();
+        res.json({ devices });
+    } catch (error) {
+        console.error('❌ Error fetching kiosk devices:', error);
+        res.status(500).json({ error: 'Failed to fetch kiosk devices' });
+    }
+});
+
+/* ============================================
+   POST /api/kiosk/devices
+   Pair a new kiosk for one location
+   Body: { name, location_id }
+   The token is in this response ONLY - it's stored hashed
+   ============================================ */
+
+router.post('/devices', requirePermission('kiosks.manage'), auditTrail('kiosk_device', 'create', { key: () => null }), validateCreateKioskDevice, handleValidationErrors, async (req, res) => {
+    const { name, location_id } = req.body;
+
+    try {
+        const { device, token } = await createDevice({ name, locationId: location_id, admin: req.admin });
+
+        console.log(`✅ Kiosk "${device.name}" paired for ${device.location_name} by ${req.admin.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Kiosk paired - copy the token now, it will not be shown again',
+            device,
+            token
+        });
+    } catch (error) {
+        console.error('❌ Error pairing kiosk:', error);
+        res.status(500).json({ error: 'Failed to pair kiosk' });
+    }
+});
+
+/* ============================================
+   DELETE /api/kiosk/devices/:id
+   Revoke a kiosk - its token stops working at once
+   ============================================ */
+
+router.delete('/devices/:id', requirePermission('kiosks.manage'), auditTrail('kiosk_device', 'revoke'), async (req, res) => {
+    const deviceId = parseInt(req.params.id);
+
+    if (isNaN(deviceId)) {
+        return res.status(400).json({ error: 'Invalid device ID' });
+    }
+
+    try {
+        const result = await queryAsync(`
+            UPDATE kiosk_devices
+            SET status = 'revoked', revoked_at = NOW()
+            WHERE id = ? AND status = 'active'
+        `, [deviceId]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Active kiosk not found' });
+        }
+
+        console.log(`✅ Kiosk ${deviceId} revoked by ${req.admin.username}`);
+
+        res.json({
+            success: true,
+            message: 'Kiosk revoked'
+        });
+    } catch (error) {
+        console.error('❌ Error revoking kiosk:', error);
+        res.status(500).json({ error: 'Failed to revoke kiosk' });
+    }
+});
+
+module.exports = router;
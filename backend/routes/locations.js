@@ -14,6 +14,10 @@ const {
     handleValidationErrors
 } = require('../middleware/validation');
 
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const { getOccupancy } = require('../utils/occupancy');
+
 /* ============================================
    GET /api/locations
    Get all gym locations
@@ -127,6 +131,29 @@ router.get('/details', (req, res) => {
     });
 });
 
+/* ============================================
+   GET /api/locations/occupancy
+   Who is in each gym right now (open check-ins)
+   Used by: Location cards, check-in screens
+   Returns: occupancy, available, percent and status
+            (ok / warning / full) per location
+   ============================================ */
+
+router.get('/occupancy', async (req, res) => {
+    try {
+        const locations = await getOccupancy();
+
+        res.json({
+            locations,
+            total_occupancy: locations.reduce((sum, location) => sum + location.occupancy, 0),
+            as_of: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('❌ Error fetching occupancy:', error);
+        res.status(500).json({ error: 'Failed to fetch occupancy' });
+    }
+});
+
 /* ============================================
    GET /api/locations/:id
    Get single location with detailed stats
@@ -191,7 +218,7 @@ router.get('/:id', (req, res) => {
    Used by: Edit location modal
    ============================================ */
 
-router.put('/:id', validateEditLocation, handleValidationErrors, (req, res) => {
+router.put('/:id', requirePermission('locations.update'), auditTrail('location', 'update'), validateEditLocation, handleValidationErrors, (req, res) => {
 
     const locationId = parseInt(req.params.id);
     const { capacity } = req.body;
@@ -286,53 +313,44 @@ router.get('/chart/comparison', (req, res) => {
 /* ============================================
    GET /api/locations/chart/capacity
    Get data for horizontal bar chart showing capacity breakdown
-   Returns: Members vs available capacity per location
+   Returns: Checked in right now vs available capacity per location
    ============================================ */
 
-router.get('/chart/capacity', (req, res) => {
-
-    // Query gets member count and capacity for each location
-    const query = `
-        SELECT
-            l.name as location_name,
-            l.capacity,
-            IFNULL(COUNT(DISTINCT m.id), 0) as current_members
-        FROM locations l
-        LEFT JOIN members m ON l.id = m.location_id
-        GROUP BY l.id, l.name, l.capacity
-        ORDER BY l.id
-    `;
-
-    db.query(query, (err, results) => {
-        if (err) {
-            console.error('Error fetching capacity data:', err);
-            return res.status(500).json({ error: 'Failed to fetch capacity data'});
-        }
+// Real-time: open check-ins (utils/occupancy.js), not members on file
+router.get('/chart/capacity', async (req, res) => {
+    try {
+        const locations = await getOccupancy();
 
         // Transform into Chart.js horizontal stacked bar format
         // Stacked bars show two values: filled and available
         const chartData = {
-            labels: results.map(loc => loc.location_name),  // Y-axis labels
+            labels: locations.map(loc => loc.location_name),  // Y-axis labels
             datasets: [
                 {
-                    label: 'Current Members', 
-                    data: results.map(loc => loc.current_members), 
+                    label: 'In the Gym Now', 
+                    data: locations.map(loc => loc.occupancy), 
                     backgroundColor: 'rgba(230, 0, 48, 0.8)', 
                     borderColor: '#e60030', 
                     borderWidth: 1
                 }, 
                 {
                     label: 'Available Capacity', 
-                    data: results.map(loc => loc.capacity - loc.current_members), 
+                    data: locations.map(loc => loc.available), 
                     backgroundColor: 'rgba(100, 100, 100, 0.3)', 
                     borderColor: '#666', 
                     borderWidth: 1
                 }
-            ]
+            ], 
+            // Not used by Chart.js - lets the page color/label each bar
+            occupancy: locations, 
+            as_of: new Date().toISOString()
         };
 
         res.json(chartData);
-    });
+    } catch (error) {
+        console.error('Error fetching capacity data:', error);
+        res.status(500).json({ error: 'Failed to fetch capacity data'});
+    }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,129 @@
+/* ============================================
+   DUPLICATE MEMBER ROUTES
+   Review likely duplicates, merge or dismiss them
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+
+// Helpers
+const { queryAsync } = require('../utils/queryAsync');
+const { DEFAULT_MIN_SCORE, findDuplicates, dismissDuplicate, mergeMembers } = require('../utils/memberDuplicates');
+
+// Middleware
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const {
+    validateDuplicatesQuery, validateMergeMembers, validateDismissDuplicate, handleValidationErrors
+} = require('../middleware/validation');
+
+// WHY its own route file?
+// - Mounted at /api/members/duplicates, ahead of the member routes
+//   (otherwise /:id would catch "duplicates")
+// - Scoring + merging is a tool of its own, not one-member CRUD
+
+/* ============================================
+   GET /api/members/duplicates
+   Candidate pairs, highest score first
+   Query params: min_score (default 55), limit (default 50, max 200)
+   ============================================ */
+
+router.get('/', requirePermission('members.merge'), validateDuplicatesQuery, handleValidationErrors, async (req, res) => {
+    // Parsed here - toInt() in the validator doesn't stick to req.query (Express 5)
+    const minScore = parseInt(req.query.min_score, 10) || DEFAULT_MIN_SCORE;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    try {
+        const result = await findDuplicates({ minScore, limit });
+
+        console.log(`🔍 Found ${result.total} possible duplicate pair(s) (score >= ${minScore})`);
+
+        res.json({
+            pairs: result.pairs,
+            total: result.total,
+            showing: result.pairs.length,
+            min_score: minScore
+        });
+    } catch (error) {
+        console.error('❌ Duplicate search error:', error);
+        res.status(500).json({ error: 'Failed to find duplicate members' });
+    }
+});
+
+/* ============================================
+   POST /api/members/duplicates/merge
+   Body: { keep_id, merge_id, score? }
+   Moves merge_id's payments, check-ins, card... onto keep_id
+   and deletes merge_id - see utils/memberDuplicates.js
+   ============================================ */
+
+router.post('/merge', requirePermission('members.merge'), auditTrail('member_merge', 'merge', { key: () => null }), validateMergeMembers, handleValidationErrors, async (req, res) => {
+    const { keep_id: keepId, merge_id: mergeId, score } = req.body;
+
+    try {
+        const members = await queryAsync('SELECT id, member_id, name FROM members WHERE id IN (?, ?)', [keepId, mergeId]);
+        const kept = members.find(member => member.id === keepId);
+        const merged = members.find(member => member.id === mergeId);
+
+        if (!kept || !merged) {
+            return res.status(404).json({
+                error: 'Member not found',
+                details: `No member with ID ${!kept ? keepId : mergeId}`
+            });
+        }
+
+        const merge = await mergeMembers({ keepId, mergeId, score, admin: req.admin });
+
+        // Someone else merged (or deleted) one of them a moment ago
+        if (!merge) {
+            return res.status(409).json({
+                error: 'Member changed meanwhile',
+                details: 'One of these members no longer exists - refresh the duplicate list'
+            });
+        }
+
+        console.log(`✅ Merged ${merged.member_id} into ${kept.member_id} (${merge.payments_moved} payment(s), ${merge.check_ins_moved} check-in(s)) by ${req.admin.username}`);
+
+        res.json({
+            success: true,
+            message: `${merged.name} (${merged.member_id}) merged into ${kept.name} (${kept.member_id})`,
+            merge
+        });
+    } catch (error) {
+        console.error('❌ Member merge error:', error);
+        res.status(500).json({ error: 'Failed to merge members' });
+    }
+});
+
+/* ============================================
+   POST /api/members/duplicates/dismiss
+   Body: { member_ids: [a, b] }
+   "Not the same person" - the pair stops showing up
+   ============================================ */
+
+router.post('/dismiss', requirePermission('members.merge'), auditTrail('duplicate_dismissal', 'create', { key: () => null }), validateDismissDuplicate, handleValidationErrors, async (req, res) => {
+    const memberIds = req.body.member_ids;
+
+    try {
+        const members = await queryAsync('SELECT id FROM members WHERE id IN (?, ?)', memberIds);
+
+        if (members.length < 2) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const dismissalId = await dismissDuplicate(memberIds, req.admin);
+
+        console.log(`✅ Members ${memberIds.join(' & ')} marked as not duplicates by ${req.admin.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Pair dismissed - it will not be suggested again',
+            dismissal: { id: dismissalId }
+        });
+    } catch (error) {
+        console.error('❌ Dismiss duplicate error:', error);
+        res.status(500).json({ error: 'Failed to dismiss duplicate' });
+    }
+});
+
+module.exports = router;
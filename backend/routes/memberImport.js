@@ -0,0 +1,173 @@
+/* ============================================
+   MEMBER IMPORT ROUTES
+   Bulk add members from a CSV/XLSX file
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+
+// Helpers
+const { queryAsync } = require('../utils/queryAsync');
+const {
+    MAX_IMPORT_ROWS, MAX_IMPORT_FILE_SIZE, getFileType,
+    parseImportFile, analyzeImport, summarize, commitImport
+} = require('../utils/memberImport');
+
+// Middleware
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const { validateMemberImport, handleValidationErrors } = require('../middleware/validation');
+
+// WHY its own route file?
+// - Mounted at /api/members/import, ahead of the member routes
+// - Upload handling + file parsing would bury the one-member routes
+
+/* ============================================
+   UPLOAD
+   Kept in memory - files are small and never stored
+   ============================================ */
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => cb(null, getFileType(file.originalname) !== null)
+});
+
+// multer errors (file too big...) as our usual { error, details } response
+function uploadFile(req, res, next) {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            const details = err.code === 'LIMIT_FILE_SIZE'
+                ? `Files can be at most ${MAX_IMPORT_FILE_SIZE / 1024 / 1024} MB`
+                : err.message;
+            return res.status(400).json({ error: 'Upload failed', details });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'A .csv or .xlsx file is required' });
+        }
+
+        next();
+    });
+}
+
+/* ============================================
+   POST /api/members/import
+   multipart/form-data:
+     file        .csv or .xlsx, first row = column headers
+     mapping     optional JSON { name, email, phone, emergency_contact, plan, location }
+     location_id optional - used for rows without a location
+     dry_run     true = check only, nothing is written
+   ============================================ */
+
+router.post('/', requirePermission('members.import'), auditTrail('member_import', 'create', { key: () => null }), uploadFile, validateMemberImport, handleValidationErrors, async (req, res) => {
+    const dryRun = req.body.dry_run === true;
+    const fileName = req.file.originalname;
+    const fileType = getFileType(fileName);
+
+    console.log(`📥 Member import${dryRun ? ' (dry run)' : ''}: ${fileName} by ${req.admin.username}`);
+
+    let parsed;
+
+    try {
+        parsed = await parseImportFile(req.file.buffer, fileType);
+    } catch (error) {
+        console.error('❌ Import parse error:', error.message);
+        return res.status(400).json({ error: 'Could not read file', details: error.message });
+    }
+
+    if (parsed.rows.length === 0) {
+        return res.status(400).json({ error: 'File has no member rows', details: 'The first row must be column headers' });
+    }
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+            error: 'File is too large',
+            details: `Import at most ${MAX_IMPORT_ROWS} members at a time (file has ${parsed.rows.length})`
+        });
+    }
+
+    try {
+        if (req.body.location_id) {
+            const locations = await queryAsync('SELECT id FROM locations WHERE id = ?', [req.body.location_id]);
+            if (locations.length === 0) {
+                return res.status(400).json({ error: 'Location not found' });
+            }
+        }
+
+        const analysis = await analyzeImport(parsed, {
+            mapping: req.body.mapping,
+            defaultLocationId: req.body.location_id
+        });
+
+        const summary = summarize(analysis);
+        const report = {
+            dry_run: dryRun,
+            file: { name: fileName, type: fileType, rows: parsed.rows.length },
+            columns: analysis.columns,
+            mapping: analysis.mapping,
+            summary,
+            // Only the rows that need attention - a 5000-row "ready" list helps nobody
+            rows: analysis.rows.filter(row => row.status !== 'ready')
+        };
+
+        if (analysis.unknown_columns.length > 0 || analysis.missing_fields.length > 0) {
+            return res.status(400).json({
+                error: 'Column mapping incomplete',
+                details: [
+                    ...analysis.unknown_columns.map(column => `Column "${column}" is not in the file`),
+                    ...analysis.missing_fields.map(field => `No column mapped to ${field}`)
+                ],
+                ...report
+            });
+        }
+
+        if (dryRun) {
+            return res.json({ success: true, message: `${summary.ready} of ${summary.total} row(s) ready to import`, ...report });
+        }
+
+        if (summary.errors > 0) {
+            return res.status(400).json({
+                error: 'Import has errors',
+                details: `${summary.errors} row(s) need fixing - nothing was imported`,
+                ...report
+            });
+        }
+
+        if (summary.ready === 0) {
+            return res.status(400).json({ error: 'Nothing to import', details: 'Every row is a duplicate', ...report });
+        }
+
+        const readyRows = analysis.rows.filter(row => row.status === 'ready');
+        const importId = await commitImport(readyRows, {
+            fileName,
+            fileType,
+            totalRows: summary.total,
+            duplicates: summary.duplicates,
+            admin: req.admin
+        });
+
+        console.log(`✅ Import #${importId}: ${summary.ready} member(s) added, ${summary.duplicates} duplicate(s) skipped`);
+
+        res.status(201).json({
+            success: true,
+            message: `${summary.ready} member(s) imported${summary.duplicates ? `, ${summary.duplicates} duplicate(s) skipped` : ''}`,
+            import: { id: importId, imported: summary.ready, duplicates_skipped: summary.duplicates },
+            ...report
+        });
+    } catch (error) {
+        // Someone added one of these members while we were checking the file
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                error: 'Import conflicts with a member added meanwhile',
+                details: 'Nothing was imported - run the import again to re-check duplicates'
+            });
+        }
+
+        console.error('❌ Member import error:', error);
+        res.status(500).json({ error: 'Failed to import members' });
+    }
+});
+
+module.exports = router;
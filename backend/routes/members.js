@@ -12,8 +12,19 @@ const router = express.Router();
 const db = require('../config/database');
 
 // Import rate limiters
-const { authLimiter, paymentLimiter, checkInLimiter } = require('../middleware/rateLimiter');
-const { requireAdmin } = require('../middleware/adminAuth');
+const { paymentLimiter, checkInLimiter } = require('../middleware/rateLimiter');
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const { hasPermission } = require('../config/permissions');
+const { recordStatusEvent, getFreezeToday } = require('../utils/memberStatus');
+const { queryAsync, withTransaction } = require('../utils/queryAsync');
+const { evaluateCheckIn } = require('../utils/checkInRules');
+const { getOccupancy, getOpenCheckIn, checkOutMember, recordCheckIn, loadOccupancySettings } = require('../utils/occupancy');
+const { publishCheckIn, publishPayment } = require('../utils/liveEvents');
+const { setMemberPin, clearMemberPin } = require('../utils/kiosk');
+const { verifyCardPayload, loadCardMember, renderCard } = require('../utils/memberCards');
+const { isExportRequest, sendExport } = require('../utils/export');
+const { listQuery, sortedSql, fetchPage } = require('../utils/pagination');
 
 // Import validators
 const {
@@ -24,8 +35,13 @@ const {
     validateFreezeMember,
     validateUnfreezeMember,
     validateReactivateMember,
+    validateRecordWaiver,
+    validateKioskPin,
     validateCheckIn,
-    validateGetCheckIns
+    validateCheckOut,
+    validateGetCheckIns,
+    validateGetTimeline,
+    validateMemberCard
 } = require('../middleware/validation');
 
 // WHY separate route file?
@@ -43,9 +59,40 @@ const {
 /* ============================================
    GET /api/members
    Get all members with optional filters
+   Query params: location, plan, status, search
+   Paging: limit, cursor, sort, order (utils/pagination.js)
+   format=csv|xlsx|pdf downloads the same list (utils/export.js)
    ============================================ */
 
-router.get('/', (req, res) => {
+// ?sort= keys (match the data-sort columns on the members page)
+const MEMBER_LIST = {
+    sortable: {
+        id: 'member_id',
+        name: 'name',
+        email: 'email',
+        location: 'location_name',
+        plan: 'plan',
+        status: 'status',
+        join_date: 'created_at'
+    },
+    defaultSort: 'join_date',
+    defaultOrder: 'desc'
+};
+
+const MEMBER_EXPORT_COLUMNS = [
+    { key: 'member_id', header: 'Member ID', width: 0.7 },
+    { key: 'name', header: 'Name', width: 1.2 },
+    { key: 'email', header: 'Email', width: 1.6 },
+    { key: 'phone', header: 'Phone' },
+    { key: 'location_name', header: 'Location' },
+    { key: 'plan', header: 'Plan', width: 0.7 },
+    { key: 'status', header: 'Status', width: 0.7 },
+    { key: 'freeze_start_date', header: 'Freeze Start', type: 'date', width: 0.8 },
+    { key: 'freeze_end_date', header: 'Freeze End', type: 'date', width: 0.8 },
+    { key: 'created_at', header: 'Joined', type: 'date', width: 0.8 }
+];
+
+router.get('/', listQuery(MEMBER_LIST), async (req, res) => {
     // Get query parameters for filtering
     const { location, plan, status, search } = req.query;
 
@@ -56,10 +103,13 @@ router.get('/', (req, res) => {
             m.member_id,
             m.name,
             m.email,
+            m.phone,
             m.location_id,
             l.name as location_name,
             m.plan,
             m.status,
+            m.freeze_start_date,
+            m.freeze_end_date,
             m.created_at
         FROM members m
         LEFT JOIN locations l ON m.location_id = l.id
@@ -85,27 +135,24 @@ router.get('/', (req, res) => {
     }
 
     if (search) {
-        query += ` AND (m.name LIKE ? OR m.email LIKE ? OR m.member_id LIKE ?)`;
+        query += ` AND (m.name LIKE ? OR m.email LIKE ? OR m.member_id LIKE ? OR m.phone LIKE ?)`;
         const searchPattern = `%${search}%`;
-        params.push(searchPattern, searchPattern, searchPattern);
+        params.push(searchPattern, searchPattern, searchPattern, searchPattern);
     }
 
-    // Order by newest first
-    query += ` ORDER BY m.created_at DESC`;
+    if (isExportRequest(req)) {
+        return sendExport(req, res, { name: 'members', title: 'Members', columns: MEMBER_EXPORT_COLUMNS, sql: sortedSql(query, req.list), params });
+    }
 
-    console.log('🔍 Members query:', query);
-    console.log('📊 Params:', params);
+    try {
+        const page = await fetchPage(query, params, req.list);
 
-    // Execute query
-    db.query(query, params, (err, results) => {
-        if (err) {
-            console.error('❌ Members query error:', err);
-            return res.status(500).json({ error: 'Failed to fetch members' });
-        }
-
-        console.log(`✅ Found ${results.length} members`);
-        res.json({ members: results });
-    });
+        console.log(`✅ Found ${page.rows.length} of ${page.pagination.total} members`);
+        res.json({ members: page.rows, pagination: page.pagination });
+    } catch (error) {
+        console.error('❌ Members query error:', error);
+        res.status(500).json({ error: 'Failed to fetch members' });
+    }
 });
 
 
@@ -178,6 +225,8 @@ router.get('/:id', (req, res) => {
             m.freeze_start_date,
             m.freeze_end_date,
             m.freeze_reason,
+            m.waiver_signed_at,
+            m.kiosk_pin_hash IS NOT NULL AS has_kiosk_pin,
             m.notes,
             m.created_at,
             m.updated_at
@@ -214,9 +263,31 @@ router.get('/:id', (req, res) => {
             // Add check-in count to member object
             member.total_check_ins = countResult[0].total_check_ins;
 
-            console.log(`✅ Member ${member.name} - ${member.total_check_ins} total check-ins`);
+            // Are they in the gym right now? For the panel's Check Out button
+            // Same "open" definition as utils/occupancy.js
+            const openQuery = `
+                SELECT c.id, c.check_in_time, c.location_id, l.name AS location_name
+                FROM check_ins c
+                JOIN locations l ON c.location_id = l.id
+                JOIN system_settings s ON s.id = 1
+                WHERE c.member_id = ?
+                    AND c.check_out_time IS NULL
+                    AND c.check_in_time > DATE_SUB(NOW(), INTERVAL s.checkin_session_minutes MINUTE)
+                ORDER BY c.check_in_time DESC
+                LIMIT 1
+            `;
+
+            db.query(openQuery, [memberId], (err, openResults) => {
+                if (err) {
+                    console.error('❌ Failed to load open check-in:', err);
+                }
+
+                member.open_check_in = openResults?.[0] || null;
 
-            res.json(member);
+                console.log(`✅ Member ${member.name} - ${member.total_check_ins} total check-ins`);
+
+                res.json(member);
+            });
         });
     });
 });
@@ -226,7 +297,7 @@ router.get('/:id', (req, res) => {
    Add new member
    ============================================ */
 
-router.post('/', validateAddMember, handleValidationErrors, (req, res) => {
+router.post('/', requirePermission('members.create'), auditTrail('member', 'create'), validateAddMember, handleValidationErrors, async (req, res) => {
     const { name, email, phone, emergency_contact, location_id, plan } = req.body;
 
     // Validate required fields
@@ -237,52 +308,49 @@ router.post('/', validateAddMember, handleValidationErrors, (req, res) => {
         });
     }
 
-    // Check if email already exists
-    db.query('SELECT id FROM members WHERE email = ?', [email], (err, results) => {
-        if (err) {
-            console.error('❌ Email check error:', err);
-            return res.status(500).json({ error: 'Database error' });
-        }
+    try {
+        // Check if email already exists
+        const existing = await queryAsync('SELECT id FROM members WHERE email = ?', [email]);
 
-        if (results.length > 0) {
+        if (existing.length > 0) {
             return res.status(400).json({ error: 'Email already exists' });
         }
 
-        // Insert new member
-        const insertQuery = `
-            INSERT INTO members (name, email, phone, emergency_contact, location_id, plan, status, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, 'active', NOW())
-        `;
-
-        db.query(insertQuery, [name, email, phone, emergency_contact || null, location_id, plan], (err, results) => {
-            if (err) {
-                console.error('❌ Insert error:', err);
-                return res.status(500).json({ error: 'Failed to create member' });
-            }
-
-            const newMemberId = results.insertId;
+        // Member + member_id + 'join' history row together
+        const newMemberId = await withTransaction(async (connection) => {
+            const result = await queryAsync(`
+                INSERT INTO members (name, email, phone, emergency_contact, location_id, plan, status, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, 'active', NOW())
+            `, [name, email, phone, emergency_contact || null, location_id, plan], connection);
 
             // Generate member_id
-            const memberIdQuery = `
+            await queryAsync(`
                 UPDATE members
                 SET member_id = CONCAT('M-', LPAD(?, 4, '0'))
                 WHERE id = ?
-            `;
+            `, [result.insertId, result.insertId], connection);
 
-            db.query(memberIdQuery, [newMemberId, newMemberId], (err) => {
-                if (err) {
-                    console.error('❌ Member ID generation error:', err);
-                }
+            await recordStatusEvent({
+                memberId: result.insertId,
+                eventType: 'join',
+                toStatus: 'active',
+                admin: req.admin,
+                note: `Joined on ${plan}`
+            }, connection);
 
-                console.log(`✅ Member created: ${name} (ID: ${newMemberId})`);
-                res.status(201).json({
-                    success: true, 
-                    id: newMemberId, 
-                    message: 'Member created successfully'
-                });
-            });
+            return result.insertId;
         });
-    });
+
+        console.log(`✅ Member created: ${name} (ID: ${newMemberId})`);
+        res.status(201).json({
+            success: true, 
+            id: newMemberId, 
+            message: 'Member created successfully'
+        });
+    } catch (error) {
+        console.error('❌ Create member error:', error);
+        res.status(500).json({ error: 'Failed to create member' });
+    }
 });
 
 /* ============================================
@@ -290,7 +358,7 @@ router.post('/', validateAddMember, handleValidationErrors, (req, res) => {
    Update member details
    ============================================ */
 
-router.put('/:id', validateEditMember, handleValidationErrors, (req, res) => {
+router.put('/:id', requirePermission('members.update'), auditTrail('member', 'update'), validateEditMember, handleValidationErrors, (req, res) => {
     const memberId = req.params.id;
     const { name, email, phone, emergency_contact, location_id, plan, notes } = req.body;
 
@@ -401,23 +469,42 @@ router.put('/:id', validateEditMember, handleValidationErrors, (req, res) => {
    Soft delete member (requires admin)
    ============================================ */
 
-router.delete('/:id', requireAdmin, (req, res) => {
+router.delete('/:id', requirePermission('members.delete'), auditTrail('member', 'cancel'), async (req, res) => {
     const memberId = req.params.id;
+    const { reason, notes } = req.body || {};
 
-    // Soft delete - just update status to 'cancelled'
-    const deleteQuery = `
-        UPDATE members
-        SET status = 'cancelled'
-        WHERE id = ?
-    `;
+    try {
+        // Soft delete - just update status to 'cancelled' (+ history row)
+        const cancelled = await withTransaction(async (connection) => {
+            const current = await queryAsync('SELECT status FROM members WHERE id = ? FOR UPDATE', [memberId], connection);
+            if (current.length === 0) return false;
 
-    db.query(deleteQuery, [memberId], (err, result) => {
-        if (err) {
-            console.error('❌ Delete error:', err);
-            return res.status(500).json({ error: 'Failed to delete member' });
-        }
+            // Drop any freeze too - the freeze job would otherwise pick it up
+            // again once the member is reactivated
+            await queryAsync(`
+                UPDATE members
+                SET
+                    status = 'cancelled',
+                    freeze_start_date = NULL,
+                    freeze_end_date = NULL,
+                    freeze_reason = NULL
+                WHERE id = ?
+            `, [memberId], connection);
+
+            await recordStatusEvent({
+                memberId,
+                eventType: 'cancel',
+                fromStatus: current[0].status,
+                toStatus: 'cancelled',
+                reason: reason || null,
+                admin: req.admin,
+                note: notes || null
+            }, connection);
+
+            return true;
+        });
 
-        if (result.affectedRows === 0) {
+        if (!cancelled) {
             return res.status(404).json({ error: 'Member not found' });
         }
 
@@ -426,15 +513,49 @@ router.delete('/:id', requireAdmin, (req, res) => {
             success: true, 
             message: 'Member deleted successfully'
         });
-    });
+    } catch (error) {
+        console.error('❌ Delete error:', error);
+        res.status(500).json({ error: 'Failed to delete member' });
+    }
 });
 
+// Member as the freeze/unfreeze/reactivate routes answer with it
+async function fetchMemberStatus(memberId) {
+    const members = await queryAsync(`
+        SELECT
+            m.id,
+            m.member_id,
+            m.name,
+            m.email,
+            m.phone,
+            m.emergency_contact,
+            m.location_id,
+            l.name as location_name,
+            m.plan,
+            m.status,
+            m.freeze_start_date,
+            m.freeze_end_date,
+            m.freeze_reason,
+            m.waiver_signed_at,
+            m.notes,
+            m.created_at,
+            m.updated_at
+        FROM members m
+        LEFT JOIN locations l ON m.location_id = l.id
+        WHERE m.id = ?
+    `, [memberId]);
+
+    return members[0];
+}
+
 /* ============================================
    POST /api/members/:id/freeze
    Freeze a member's membership
+   Starting today = frozen now
+   Starting later = scheduled, the freeze job starts it (utils/memberStatus.js)
    ============================================ */
 
-router.post('/:id/freeze', validateFreezeMember, handleValidationErrors, (req, res) => {
+router.post('/:id/freeze', requirePermission('members.status'), auditTrail('member', 'freeze'), validateFreezeMember, handleValidationErrors, async (req, res) => {
     const memberId = req.params.id;
     const { freeze_start_date, freeze_end_date, freeze_reason, notes } = req.body;
 
@@ -458,151 +579,130 @@ router.post('/:id/freeze', validateFreezeMember, handleValidationErrors, (req, r
         });
     }
 
-    // Update member to frozen status
-    const freezeQuery = `
-        UPDATE members
-        SET
-            status = 'frozen',
-            freeze_start_date = ?,
-            freeze_end_date = ?,
-            freeze_reason = ?,
-            notes = CASE
-                WHEN notes is NULL THEN ?
-                WHEN ? IS NULL THEN notes
-                ELSE CONCAT(notes, '\n\nFreeze Note (', CURDATE(), '): ', ?)
-            END
-        WHERE id = ?
-    `;
-
-    const values = [
-        freeze_start_date, 
-        freeze_end_date, 
-        freeze_reason || null, 
-        notes || null, 
-        notes, 
-        notes, 
-        memberId
-    ];
+    // Future start date -> keep status, just store the dates
+    const scheduled = freeze_start_date > getFreezeToday();
 
-    db.query(freezeQuery, values, (err, result) => {
-        if (err) {
-            console.error('❌ Freeze error:', err);
-            return res.status(500).json({ error: 'Failed to freeze member' });
-        }
+    try {
+        // Status/dates + history row together
+        const updated = await withTransaction(async (connection) => {
+            // The freeze note lives on the status event, not in members.notes
+            const result = await queryAsync(`
+                UPDATE members
+                SET
+                    status = ${scheduled ? 'status' : "'frozen'"},
+                    freeze_start_date = ?,
+                    freeze_end_date = ?,
+                    freeze_reason = ?
+                WHERE id = ?
+            `, [freeze_start_date, freeze_end_date, freeze_reason || null, memberId], connection);
+
+            if (result.affectedRows === 0) return false;
+
+            await recordStatusEvent({
+                memberId,
+                eventType: scheduled ? 'freeze_scheduled' : 'freeze',
+                fromStatus: 'active',
+                toStatus: scheduled ? 'active' : 'frozen',
+                reason: freeze_reason || null,
+                startDate: freeze_start_date,
+                endDate: freeze_end_date,
+                admin: req.admin,
+                note: notes || null
+            }, connection);
+
+            return true;
+        });
 
-        if (result.affectedRows === 0) {
+        if (!updated) {
             return res.status(404).json({ error: 'Member not found' });
         }
 
-        // Fetch the updated member data
-        const fetchQuery = `
-            SELECT
-                m.id,
-                m.member_id,
-                m.name,
-                m.email,
-                m.phone,
-                m.emergency_contact,
-                m.location_id,
-                l.name as location_name,
-                m.plan,
-                m.status,
-                m.freeze_start_date,
-                m.freeze_end_date,
-                m.freeze_reason,
-                m.notes,
-                m.created_at,
-                m.updated_at
-            FROM members m
-            LEFT JOIN locations l ON m.location_id = l.id
-            WHERE m.id = ?
-        `;
-
-        db.query(fetchQuery, [memberId], (err, members) => {
-            if (err) {
-                console.error('❌ Fetch error:', err);
-                return res.status(500).json({ error: 'Failed to fetch updated member' });
-            }
+        const member = await fetchMemberStatus(memberId);
 
-            console.log(`✅ Member ${memberId} frozen successfully`);
-            res.json({
-                success: true, 
-                message: 'Member frozen successfully', 
-                member: members[0]
-            });
+        console.log(`✅ Member ${memberId} ${scheduled ? `freeze scheduled for ${freeze_start_date}` : 'frozen successfully'}`);
+        res.json({
+            success: true, 
+            message: scheduled ? `Freeze scheduled to start ${freeze_start_date}` : 'Member frozen successfully', 
+            scheduled, 
+            member
         });
-    });
+    } catch (error) {
+        console.error('❌ Freeze error:', error);
+        res.status(500).json({ error: 'Failed to freeze member' });
+    }
 });
 
 /* ============================================
    POST /api/members/:id/unfreeze
    Unfreeze a member's membership
+   Also cancels a freeze that hasn't started yet
    ============================================ */
 
-router.post('/:id/unfreeze', validateUnfreezeMember, handleValidationErrors, (req, res) => {
+router.post('/:id/unfreeze', requirePermission('members.status'), auditTrail('member', 'unfreeze'), validateUnfreezeMember, handleValidationErrors, async (req, res) => {
     const memberId = req.params.id;
 
     console.log(`🔥 Unfreezing member ${memberId}`);
 
-    // Update member to active status and clear freeze date
-    const unfreezeQuery = `
-        UPDATE members
-        SET
-            status = 'active',
-            freeze_start_date = NULL,
-            freeze_end_date = NULL,
-            freeze_reason = NULL
-        WHERE id = ?
-    `;
+    try {
+        // Status + history row together
+        const current = await withTransaction(async (connection) => {
+            // Read the freeze being ended - it goes into the status history
+            const rows = await queryAsync(`
+                SELECT status, freeze_reason,
+                    DATE_FORMAT(freeze_start_date, '%Y-%m-%d') AS freeze_start_date,
+                    DATE_FORMAT(freeze_end_date, '%Y-%m-%d') AS freeze_end_date
+                FROM members
+                WHERE id = ?
+                FOR UPDATE
+            `, [memberId], connection);
 
-    db.query(unfreezeQuery, [memberId], (err, result) => {
-        if (err) {
-            console.error('❌ Unfreeze error:', err);
-            return res.status(500).json({ error: 'Failed to unfreeze member' });
-        }
+            if (rows.length === 0) return null;
 
-        if (result.affectedRows === 0) {
+            const wasFrozen = rows[0].status === 'frozen';
+
+            // Update member to active status and clear freeze date
+            await queryAsync(`
+                UPDATE members
+                SET
+                    status = 'active',
+                    freeze_start_date = NULL,
+                    freeze_end_date = NULL,
+                    freeze_reason = NULL
+                WHERE id = ?
+            `, [memberId], connection);
+
+            await recordStatusEvent({
+                memberId,
+                eventType: wasFrozen ? 'unfreeze' : 'freeze_cancelled',
+                fromStatus: rows[0].status,
+                toStatus: 'active',
+                reason: rows[0].freeze_reason,
+                startDate: rows[0].freeze_start_date,
+                endDate: rows[0].freeze_end_date,
+                admin: req.admin,
+                note: wasFrozen ? 'Unfrozen early by staff' : 'Scheduled freeze cancelled'
+            }, connection);
+
+            return { wasFrozen };
+        });
+
+        if (!current) {
             return res.status(404).json({ error: 'Member not found' });
         }
 
-        // Fetch the updated member data
-        const fetchQuery = `
-            SELECT
-                m.id,
-                m.member_id,
-                m.name,
-                m.email,
-                m.phone,
-                m.emergency_contact,
-                m.location_id,
-                l.name as location_name,
-                m.plan,
-                m.status,
-                m.freeze_start_date,
-                m.freeze_end_date,
-                m.freeze_reason,
-                m.notes,
-                m.created_at,
-                m.updated_at
-            FROM members m
-            LEFT JOIN locations l ON m.location_id = l.id
-            WHERE m.id = ?
-        `;
+        const { wasFrozen } = current;
+        const member = await fetchMemberStatus(memberId);
 
-        db.query(fetchQuery, [memberId], (err, members) => {
-            if (err) {
-                console.error('❌ Fetch Error:', err);
-                return res.status(500).json({ error: 'Failed to fetch updated member' });
-            }
-
-            console.log(`✅ Member ${memberId} unfrozen successfully`);
-            res.json({
-                success: true, 
-                message: 'Member unfrozen successfully', 
-                member: members[0]
-            });
+        console.log(`✅ Member ${memberId} ${wasFrozen ? 'unfrozen successfully' : 'scheduled freeze cancelled'}`);
+        res.json({
+            success: true, 
+            message: wasFrozen ? 'Member unfrozen successfully' : 'Scheduled freeze cancelled', 
+            member
         });
-    });
+    } catch (error) {
+        console.error('❌ Unfreeze error:', error);
+        res.status(500).json({ error: 'Failed to unfreeze member' });
+    }
 });
 
 /* ============================================
@@ -610,7 +710,7 @@ router.post('/:id/unfreeze', validateUnfreezeMember, handleValidationErrors, (re
    Reactivate a cancelled member
    ============================================ */
 
-router.post('/:id/reactivate', validateReactivateMember, handleValidationErrors, (req, res) => {
+router.post('/:id/reactivate', requirePermission('members.status'), auditTrail('member', 'reactivate'), validateReactivateMember, handleValidationErrors, async (req, res) => {
     const memberId = req.params.id;
     const { reason, start_date, notes } = req.body;
 
@@ -625,155 +725,186 @@ router.post('/:id/reactivate', validateReactivateMember, handleValidationErrors,
         });
     }
 
-    // Update member to active status
-    const reactivateQuery = `
-        UPDATE members
-        SET status = 'active'
-        WHERE id = ?
-    `;
+    try {
+        // Status + history row together
+        const updated = await withTransaction(async (connection) => {
+            // Still cancelled? (status may have changed since validation)
+            // Leftover freeze dates go too, or the freeze job would re-freeze them
+            const result = await queryAsync(`
+                UPDATE members
+                SET
+                    status = 'active',
+                    freeze_start_date = NULL,
+                    freeze_end_date = NULL,
+                    freeze_reason = NULL
+                WHERE id = ? AND status = 'cancelled'
+            `, [memberId], connection);
+            if (result.affectedRows === 0) return false;
+
+            await recordStatusEvent({
+                memberId,
+                eventType: 'reactivate',
+                fromStatus: 'cancelled',
+                toStatus: 'active',
+                reason,
+                startDate: start_date,
+                admin: req.admin,
+                note: notes || null
+            }, connection);
+
+            return true;
+        });
 
-    db.query(reactivateQuery, [memberId], (err, result) => {
-        if (err) {
-            console.error('❌ Reactivate error:', err);
-            return res.status(500).json({ error: 'Failed to reactivate member' });
+        if (!updated) {
+            return res.status(409).json({ error: 'Member is not cancelled' });
         }
 
+        const member = await fetchMemberStatus(memberId);
+
+        console.log(`✅ Member ${memberId} reactivated successfully`);
+        res.json({
+            success: true, 
+            message: 'Member reactivated successfully', 
+            member
+        });
+    } catch (error) {
+        console.error('❌ Reactivate error:', error);
+        res.status(500).json({ error: 'Failed to reactivate member' });
+    }
+});
+
+/* ============================================
+   POST /api/members/:id/waiver
+   Record the member's signed liability waiver
+   Body: { signed_at? } - default now (paper waivers signed earlier)
+   Checked at check-in when the waiver rule is on
+   ============================================ */
+
+router.post('/:id/waiver', requirePermission('members.update'), auditTrail('member', 'waiver'), validateRecordWaiver, handleValidationErrors, async (req, res) => {
+    const memberId = req.params.id;
+    const signedAt = req.body.signed_at || new Date();
+
+    try {
+        const result = await queryAsync('UPDATE members SET waiver_signed_at = ? WHERE id = ?', [signedAt, memberId]);
+
         if (result.affectedRows === 0) {
             return res.status(404).json({ error: 'Member not found' });
         }
 
-        // Fetch the updated member data
-        const fetchQuery = `
-            SELECT
-                m.id,
-                m.member_id,
-                m.name,
-                m.email,
-                m.phone,
-                m.emergency_contact,
-                m.location_id,
-                l.name as location_name,
-                m.plan,
-                m.status,
-                m.freeze_start_date,
-                m.freeze_end_date,
-                m.freeze_reason,
-                m.notes,
-                m.created_at,
-                m.updated_at
-            FROM members m
-            LEFT JOIN locations l on m.location_id = l.id
-            WHERE m.id = ?
-        `;
+        const members = await queryAsync('SELECT id, member_id, name, waiver_signed_at FROM members WHERE id = ?', [memberId]);
 
-        db.query(fetchQuery, [memberId], (err, members) => {
-            if (err) {
-                console.error('❌ Fetch error:', err);
-                return res.status(500).json({ error: 'Failed to fetch updated member' });
-            }
+        console.log(`✅ Waiver recorded for ${members[0].name} by ${req.admin.username}`);
 
-            console.log(`✅ Member ${memberId} reactivated successfully`);
-            res.json({
-                success: true, 
-                message: 'Member reactivated successfully', 
-                member: members[0]
-            });
+        res.json({
+            success: true,
+            message: 'Waiver recorded',
+            member: members[0]
         });
-    });
+    } catch (error) {
+        console.error('❌ Record waiver error:', error);
+        res.status(500).json({ error: 'Failed to record waiver' });
+    }
 });
 
 /* ============================================
-   POST /api/admin/verify-password
-   Verify admin password for sensitive operations
+   POST /api/members/:id/kiosk-pin
+   Set the PIN the member types at a self check-in kiosk
+   Body: { pin } - 6 digits, unique across members
    ============================================ */
 
-router.post('/admin/verify-password', authLimiter, async (req, res) => {
-    const { username, password } = req.body;
+router.post('/:id/kiosk-pin', requirePermission('members.update'), auditTrail('member', 'kiosk_pin'), validateKioskPin, handleValidationErrors, async (req, res) => {
+    const memberId = req.params.id;
 
-    console.log(`🔐 Verifying password for admin: ${username}`);
+    try {
+        const members = await queryAsync('SELECT id, name FROM members WHERE id = ?', [memberId]);
 
-    // Validate required fields
-    if (!username || !password) {
-        return res.status(400).json ({
-            error: 'Missing required fields', 
-            required: ['username', 'password']
+        if (members.length === 0) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        // PINs identify the member on their own - no two can share one
+        if (!await setMemberPin(memberId, req.body.pin)) {
+            return res.status(409).json({
+                error: 'PIN already in use',
+                details: 'Choose a different PIN'
+            });
+        }
+
+        console.log(`✅ Kiosk PIN set for ${members[0].name} by ${req.admin.username}`);
+
+        res.json({
+            success: true,
+            message: 'Kiosk PIN set'
         });
+    } catch (error) {
+        console.error('❌ Set kiosk PIN error:', error);
+        res.status(500).json({ error: 'Failed to set kiosk PIN' });
     }
+});
 
-    // Query database for admin user
-    const query = 'SELECT id, username, password_hash FROM admins WHERE username = ?';
+/* ============================================
+   DELETE /api/members/:id/kiosk-pin
+   Remove the member's kiosk PIN (member ID / card still work)
+   ============================================ */
 
-    db.query(query, [username], async (err, admins) => {
-        if (err) {
-            console.error('❌ Database error:', err);
-            return res.status(500).json({ error: 'Database error' });
-        }
+router.delete('/:id/kiosk-pin', requirePermission('members.update'), auditTrail('member', 'kiosk_pin_removed'), async (req, res) => {
+    const memberId = parseInt(req.params.id);
 
-        // Check if admin exists
-        if (admins.length === 0) {
-            console.log('❌ Admin not found');
-            return res.status(401).json({
-                verified: false, 
-                error: 'Invalid username or password'
-            });
-        }
+    if (isNaN(memberId)) {
+        return res.status(400).json({ error: 'Invalid member ID' });
+    }
 
-        const admin = admins[0];
-
-        try {
-            // Compare provided password with stored hash
-            const isMatch = await bcrypt.compare(password, admin.password_hash);
-
-            if (isMatch) {
-                console.log('✅ Password verified successfully');
-
-                // Update last_login timestamp
-                db.query(
-                    'UPDATE admins SET last_login = NOW() WHERE id = ?', 
-                    [admin.id], 
-                    (err) => {
-                        if (err) console.error('Failed to update last_login:', err);
-                    }
-                );
-
-                // Return success
-                return res.json({
-                    verified: true, 
-                    admin: {
-                        id: admin.id, 
-                        username: admin.username
-                    }
-                });
-            } else {
-                console.log('❌ Password incorrect');
-                return res.status(401).json({
-                    verified: false, 
-                    error: 'Invalid username or password'
-                });
-            }
+    try {
+        await clearMemberPin(memberId);
 
-        } catch (error) {
-            console.error('❌ Bcrypt error:', error);
-            return res.status(500).json({ error: 'Password verification failed' });
-        }
-    });
+        res.json({
+            success: true,
+            message: 'Kiosk PIN removed'
+        });
+    } catch (error) {
+        console.error('❌ Remove kiosk PIN error:', error);
+        res.status(500).json({ error: 'Failed to remove kiosk PIN' });
+    }
 });
 
 /* ============================================
-   WHY THIS ENDPOINT?
+   GET /api/members/:id/card
+   Membership card with the signed QR code
+   Query params: format = svg (default) | png | pdf | pass
+   png = the QR alone, pass = wallet pass JSON
+   ============================================ */
+
+router.get('/:id/card', requirePermission('members.cards'), validateMemberCard, handleValidationErrors, async (req, res) => {
+    const format = req.query.format || 'svg';
+
+    try {
+        const member = await loadCardMember(req.params.id);
+
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        // Frozen members keep their card - cancelled ones don't get a new one
+        if (member.status === 'cancelled') {
+            return res.status(409).json({
+                error: 'Member is cancelled',
+                details: 'Reactivate the member before issuing a card'
+            });
+        }
 
-   - Verifies admin credentials before sensitive operations (like delete)
-   - Uses bcrypt.compare() to check password against stored hash
-   - Never returns the password hash to the client
-   - Updates last_login timestamp for adut trail
+        const card = await renderCard(member, format);
 
-   SECRUITY:
-   - Returns same error for "user not found" and "wrong password"
-     (prevents attackers from knowing which usernames exist)
-   - Uses async/await for bcrypt (it's a slow operation by design)
-   - Only returns minimal admin info (id, username) on success
-   ============================================*/
+        console.log(`🪪 Membership card (${format}) for ${member.member_id} issued by ${req.admin.username}`);
 
+        res.setHeader('Content-Type', card.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${card.fileName}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        res.send(card.body);
+    } catch (error) {
+        console.error('❌ Membership card error:', error);
+        res.status(500).json({ error: 'Failed to create membership card' });
+    }
+});
 
 /* ============================================
    GET /api/members/:id/payments
@@ -815,7 +946,7 @@ router.get('/:id/payments', paymentLimiter, (req, res) => {
    Record a new payment
    ============================================ */
 
-router.post('/:id/payments', paymentLimiter, validateRecordPayment, handleValidationErrors, (req, res) => {
+router.post('/:id/payments', paymentLimiter, requirePermission('payments.record'), auditTrail('payment', 'create', { key: () => null }), validateRecordPayment, handleValidationErrors, (req, res) => {
     const memberId = req.params.id;
     const { amount, payment_date, payment_method, status, notes } = req.body;
 
@@ -834,6 +965,14 @@ router.post('/:id/payments', paymentLimiter, validateRecordPayment, handleValida
         return res.status(400).json({ error: 'Amount must be greater than 0' });
     }
 
+    // Recording a payment as refunded is a refund - needs the same permission
+    if (status === 'refunded' && !hasPermission(req.admin.role, 'payments.refund')) {
+        return res.status(403).json({
+            error: 'Permission denied', 
+            required: 'payments.refund'
+        });
+    }
+
     const insertQuery = `
         INSERT INTO payments (member_id, amount, payment_date, payment_method, status, notes)
         VALUES (?, ?, ?, ?, ?, ?)
@@ -864,6 +1003,8 @@ router.post('/:id/payments', paymentLimiter, validateRecordPayment, handleValida
             }
 
             console.log(`✅ Payment recorded successfully (ID: ${result.insertId})`);
+            publishPayment(result.insertId, 'recorded');
+
             res.json({
                 success: true, 
                 message: 'Payment recorded successfully', 
@@ -873,6 +1014,59 @@ router.post('/:id/payments', paymentLimiter, validateRecordPayment, handleValida
     });
 });
 
+/* ============================================
+   POST /api/members/:id/payments/:paymentId/refund
+   Refund a successful payment
+   ============================================ */
+
+router.post('/:id/payments/:paymentId/refund', paymentLimiter, requirePermission('payments.refund'), auditTrail('payment', 'refund', { key: req => ({ id: req.params.paymentId }) }), (req, res) => {
+    const { id: memberId, paymentId } = req.params;
+    const { notes } = req.body;
+
+    console.log(`↩️ Refunding payment ${paymentId} for member ${memberId}`);
+
+    // Only successful payments can be refunded
+    // WHY check member_id too? Prevents refunding another member's payment via a crafted URL
+    const refundQuery = `
+        UPDATE payments
+        SET
+            status = 'refunded',
+            notes = CASE
+                WHEN ? IS NULL THEN notes
+                WHEN notes IS NULL THEN ?
+                ELSE CONCAT(notes, '\n\nRefund Note (', CURDATE(), '): ', ?)
+            END
+        WHERE id = ? AND member_id = ? AND status = 'success'
+    `;
+
+    db.query(refundQuery, [notes || null, notes, notes, paymentId, memberId], (err, result) => {
+        if (err) {
+            console.error('❌ Refund error:', err);
+            return res.status(500).json({ error: 'Failed to refund payment' });
+        }
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({ error: 'Payment not found or not refundable' });
+        }
+
+        db.query('SELECT * FROM payments WHERE id = ?', [paymentId], (err, payments) => {
+            if (err) {
+                console.error('❌ Fetch error:', err);
+                return res.status(500).json({ error: 'Payment refunded but failed to fetch' });
+            }
+
+            console.log(`✅ Payment ${paymentId} refunded by ${req.admin.username}`);
+            publishPayment(paymentId, 'refunded');
+
+            res.json({
+                success: true, 
+                message: 'Payment refunded successfully', 
+                payment: payments[0]
+            });
+        });
+    });
+});
+
 /* ============================================
    GET /api/members/:id:payment-method
    Get payment method on file for a member
@@ -918,7 +1112,7 @@ router.get('/:id/payment-method', paymentLimiter, (req, res) => {
    Update payment method on file
    ============================================ */
 
-router.put('/:id/payment-method', paymentLimiter, (req, res) => {
+router.put('/:id/payment-method', paymentLimiter, requirePermission('payments.methods'), auditTrail('payment_method', 'update', { key: req => ({ member_id: req.params.id }) }), (req, res) => {
     const memberId = req.params.id;
     const { card_type, last_four, expiry_month, expiry_year, cardholder_name, billing_zip } = req.body;
 
@@ -1000,36 +1194,125 @@ router.put('/:id/payment-method', paymentLimiter, (req, res) => {
 /* ============================================
    POST /api/members/:id/check-in
    Record member gym check-in
+   Body: { location_id, card?, override?, override_reason? }
+   card = the QR scanned from the member's card - a forged, expired
+   or someone else's card is refused (never overridable)
+   Check-in rules (utils/checkInRules.js) run first - a denial
+   answers 403 with check_in_denial.reasons for the notification card
    ============================================ */
 
-router.post('/:id/check-in', checkInLimiter, validateCheckIn, handleValidationErrors, (req, res) => {
+router.post('/:id/check-in', checkInLimiter, requirePermission('members.checkin'), auditTrail('check_in', 'create', { key: () => null }), validateCheckIn, handleValidationErrors, async (req, res) => {
     const memberId = req.params.id;
-    const { location_id } = req.body;
+    const { location_id, card, override, override_reason } = req.body;
 
     console.log(`🏋️ Processing check-in: Member ${memberId} at Location ${location_id}`);
 
-    // Insert check-in record
-    // check_in_time defaults to NOW() in database
-    const insertQuery = `
-        INSERT INTO check_ins (member_id, location_id)
-        VALUES (?, ?)
-    `;
+    try {
+        const { member, location, denials, warnings } = await evaluateCheckIn(memberId, location_id);
 
-    db.query(insertQuery, [memberId, location_id], (err, result) => {
-        if (err) {
-            console.error('❌ Check-in insert error:', err);
-            return res.status(500).json({ error: 'Failed to record check-in' });
+        if (card) {
+            const verified = verifyCardPayload(card);
+            const cardError = !verified.valid
+                ? verified.message
+                : verified.member_code !== member.member_id ? `This card belongs to member ${verified.member_code}` : null;
+
+            if (cardError) {
+                console.log(`🚫 Card refused for ${member.name}: ${cardError}`);
+
+                return res.status(403).json({
+                    error: 'Card not accepted',
+                    details: cardError
+                });
+            }
+        }
+        const canOverride = hasPermission(req.admin.role, 'checkins.override');
+
+        if (denials.length > 0 && !(override && canOverride)) {
+            console.log(`🚫 Check-in denied: ${member.name} at ${location.name} (${denials.map(denial => denial.rule).join(', ')})`);
+
+            return res.status(403).json({
+                error: override ? 'Permission denied' : 'Check-in denied',
+                details: override
+                    ? 'Your role cannot override check-in rules'
+                    : denials.map(denial => denial.message).join('; '),
+                check_in_denial: {
+                    member_id: member.id,
+                    member_code: member.member_id,
+                    member_name: member.name,
+                    location_id: location.id,
+                    location_name: location.name,
+                    reasons: denials,
+                    can_override: canOverride
+                }
+            });
+        }
+
+        // Overriding when nothing failed is just a check-in
+        const overridden = denials.length > 0;
+
+        const checkIn = {
+            ...await recordCheckIn({
+                memberId,
+                locationId: location.id,
+                override: overridden ? { denials, reason: override_reason, admin: req.admin } : null
+            }),
+            overridden_reasons: overridden ? denials : [],
+            warnings
+        };
+        const { occupancy } = checkIn;
+
+        if (overridden) {
+            console.log(`⚠️ Check-in rules overridden by ${req.admin.username}: ${checkIn.member_name} (${checkIn.overridden_reasons.map(denial => denial.rule).join(', ')}) - ${override_reason}`);
+        }
+
+        if (warnings.length > 0) {
+            console.log(`⚠️ ${warnings.map(warning => warning.message).join('; ')}`);
         }
 
-        // Get the check-in ID that was just created
-        const checkInId = result.insertId;
+        console.log(`✅ Check-in successful: ${checkIn.member_name} at ${checkIn.location_name} (${occupancy.occupancy}/${occupancy.capacity} in now)`);
+        publishCheckIn(checkIn);
+
+        res.status(201).json({
+            success: true,
+            message: overridden ? 'Check-in recorded (rules overridden)' : 'Check-in recorded successfully',
+            check_in: checkIn
+        });
+    } catch (error) {
+        console.error('❌ Check-in error:', error);
+        res.status(500).json({ error: 'Failed to record check-in' });
+    }
+});
+
+/* ============================================
+   POST /api/members/:id/check-out
+   Member is leaving - closes their open check-in
+   Sessions nobody closes are checked out automatically
+   after the session length (see utils/occupancy.js)
+   ============================================ */
+
+router.post('/:id/check-out', checkInLimiter, requirePermission('members.checkin'), auditTrail('check_in', 'check_out', { key: () => null }), validateCheckOut, handleValidationErrors, async (req, res) => {
+    const memberId = req.params.id;
+
+    try {
+        const { session_minutes } = await loadOccupancySettings();
+        const openCheckIn = await getOpenCheckIn(memberId, session_minutes);
+
+        if (!openCheckIn) {
+            return res.status(404).json({
+                error: 'Not checked in',
+                details: `Member has no open check-in in the last ${session_minutes} minutes`
+            });
+        }
 
-        // Fetch the complete check-in record with member and location details
-        // This data will be used for the notification card
-        const fetchQuery = `
+        await checkOutMember(memberId, 'manual');
+
+        const checkIns = await queryAsync(`
             SELECT
                 c.id,
                 c.check_in_time,
+                c.check_out_time,
+                c.check_out_method,
+                TIMESTAMPDIFF(MINUTE, c.check_in_time, c.check_out_time) AS duration_minutes,
                 m.id AS member_id,
                 m.member_id AS member_code,
                 m.name AS member_name,
@@ -1039,26 +1322,23 @@ router.post('/:id/check-in', checkInLimiter, validateCheckIn, handleValidationEr
             JOIN members m ON c.member_id = m.id
             JOIN locations l ON c.location_id = l.id
             WHERE c.id = ?
-        `;
-
-        db.query(fetchQuery, [checkInId], (err, checkIns) => {
-            if (err) {
-                console.error('❌ Fetch check-in error:', err);
-                return res.status(500).json({ error: 'Check-in recorded but failed to fetch details' });
-            }
+        `, [openCheckIn.id]);
 
-            const checkIn = checkIns[0];
+        const [occupancy] = await getOccupancy(openCheckIn.location_id);
+        const checkIn = { ...checkIns[0], occupancy };
 
-            console.log(`✅ Check-in successful: ${checkIn.member_name} at ${checkIn.location_name}`);
+        console.log(`🚪 Check-out: ${checkIn.member_name} left ${checkIn.location_name} after ${checkIn.duration_minutes} minute(s) (${occupancy.occupancy}/${occupancy.capacity} in now)`);
+        publishCheckIn(checkIn, 'check_out');
 
-            // Return success with check-in details
-            res.status(201).json({
-                success: true,
-                message: 'Check-in recorded successfully', 
-                check_in: checkIn
-            });
+        res.json({
+            success: true,
+            message: 'Check-out recorded',
+            check_in: checkIn
         });
-    });
+    } catch (error) {
+        console.error('❌ Check-out error:', error);
+        res.status(500).json({ error: 'Failed to record check-out' });
+    }
 });
 
 /* ============================================
@@ -1140,5 +1420,129 @@ router.get('/:id/check-ins', validateGetCheckIns, handleValidationErrors, (req,
     });
 });
 
+/* ============================================
+   GET /api/members/:id/timeline
+   Status changes, payments and check-ins in one list, newest first
+   Query params: limit (default 50, max 200)
+   Used by: member side panel
+   ============================================ */
+
+router.get('/:id/timeline', validateGetTimeline, handleValidationErrors, async (req, res) => {
+    const memberId = req.params.id;
+    // toInt() in the validator doesn't stick to req.query (Express 5)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const members = await queryAsync(`
+            SELECT id, name, plan, created_at,
+                EXISTS(SELECT 1 FROM member_status_events e WHERE e.member_id = m.id AND e.event_type = 'join') AS has_join_event
+            FROM members m
+            WHERE id = ?
+        `, [memberId]);
+
+        if (members.length === 0) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const member = members[0];
+
+        // Each source is capped at limit - the merged list can't need more from any one of them
+        const [statusEvents, payments, checkIns] = await Promise.all([
+            queryAsync(`
+                SELECT id, event_type, from_status, to_status, reason,
+                    DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+                    DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+                    source, admin_username, note, created_at
+                FROM member_status_events
+                WHERE member_id = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT ?
+            `, [memberId, limit]),
+
+            // billing_charges tells dues collected by the billing run apart from manual payments
+            queryAsync(`
+                SELECT p.id, p.amount, p.payment_date, p.payment_method, p.status, p.notes,
+                    DATE_FORMAT(bc.period_start, '%Y-%m-%d') AS period_start,
+                    DATE_FORMAT(bc.period_end, '%Y-%m-%d') AS period_end
+                FROM payments p
+                LEFT JOIN billing_charges bc ON bc.payment_id = p.id
+                WHERE p.member_id = ?
+                ORDER BY p.payment_date DESC, p.id DESC
+                LIMIT ?
+            `, [memberId, limit]),
+
+            queryAsync(`
+                SELECT c.id, c.check_in_time, l.name AS location_name
+                FROM check_ins c
+                JOIN locations l ON c.location_id = l.id
+                WHERE c.member_id = ?
+                ORDER BY c.check_in_time DESC
+                LIMIT ?
+            `, [memberId, limit])
+        ]);
+
+        const timeline = [
+            ...statusEvents.map(event => ({
+                type: 'status',
+                id: event.id,
+                date: event.created_at,
+                event: event.event_type,
+                from_status: event.from_status,
+                to_status: event.to_status,
+                reason: event.reason,
+                start_date: event.start_date,
+                end_date: event.end_date,
+                source: event.source,
+                actor: event.admin_username,
+                note: event.note
+            })),
+            ...payments.map(payment => ({
+                type: 'payment',
+                id: payment.id,
+                date: payment.payment_date,
+                amount: parseFloat(payment.amount),
+                payment_method: payment.payment_method,
+                status: payment.status,
+                period_start: payment.period_start,
+                period_end: payment.period_end,
+                note: payment.notes
+            })),
+            ...checkIns.map(checkIn => ({
+                type: 'check_in',
+                id: checkIn.id,
+                date: checkIn.check_in_time,
+                location_name: checkIn.location_name
+            }))
+        ];
+
+        // Members from before status history existed - show when they joined
+        if (!member.has_join_event) {
+            timeline.push({
+                type: 'status',
+                id: null,
+                date: member.created_at,
+                event: 'join',
+                from_status: null,
+                to_status: 'active',
+                source: 'manual',
+                actor: null,
+                note: null
+            });
+        }
+
+        timeline.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        res.json({
+            member_id: member.id,
+            member_name: member.name,
+            timeline: timeline.slice(0, limit),
+            showing: Math.min(timeline.length, limit)
+        });
+    } catch (error) {
+        console.error('❌ Failed to fetch member timeline:', error);
+        res.status(500).json({ error: 'Failed to fetch member timeline' });
+    }
+});
+
 // Export router
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,257 @@
+/* ============================================
+   MEMBERSHIP PLAN ROUTES
+   List, create, edit and retire membership plans
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+
+// Helpers
+const { queryAsync, withTransaction } = require('../utils/queryAsync');
+
+// Middleware
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const { validatePlan, validatePlansQuery, handleValidationErrors } = require('../middleware/validation');
+
+// WHY retire instead of delete?
+// - members.plan stores the plan name, and old payments mention it
+// - is_active = 0 hides a plan from sign-up but keeps existing members on it
+// - DELETE only works for a plan nobody has ever been put on
+
+/* ============================================
+   HELPERS
+   ============================================ */
+
+const PLAN_SELECT = `
+    SELECT
+        p.*,
+        (SELECT COUNT(*) FROM members m WHERE m.plan = p.name AND m.status != 'cancelled') AS member_count,
+        (SELECT GROUP_CONCAT(pl.location_id ORDER BY pl.location_id) FROM membership_plan_locations pl WHERE pl.plan_id = p.id) AS location_ids
+    FROM membership_plans p
+`;
+
+// GROUP_CONCAT '1,3' -> [1, 3], tinyints -> booleans
+function formatPlan(plan) {
+    return {
+        ...plan,
+        price: parseFloat(plan.price),
+        all_locations: !!plan.all_locations,
+        is_active: !!plan.is_active,
+        location_ids: plan.location_ids ? plan.location_ids.split(',').map(Number) : []
+    };
+}
+
+async function fetchPlan(id, connection) {
+    const plans = await queryAsync(`${PLAN_SELECT} WHERE p.id = ?`, [id], connection);
+    return plans[0] ? formatPlan(plans[0]) : null;
+}
+
+// Replace the plan's location list (ignored when all_locations is on)
+async function saveLocations(planId, allLocations, locationIds, connection) {
+    await queryAsync('DELETE FROM membership_plan_locations WHERE plan_id = ?', [planId], connection);
+
+    if (allLocations || !locationIds?.length) return;
+
+    const uniqueIds = [...new Set(locationIds.map(Number))];
+
+    await queryAsync(
+        'INSERT INTO membership_plan_locations (plan_id, location_id) VALUES ?',
+        [uniqueIds.map(locationId => [planId, locationId])],
+        connection
+    );
+}
+
+/* ============================================
+   GET /api/plans
+   All plans, in display order
+   Query params: active (true = sign-up dropdowns)
+   Used by: member forms, plan filter, dashboard
+   ============================================ */
+
+router.get('/', validatePlansQuery, handleValidationErrors, async (req, res) => {
+    try {
+        // Still the raw string - toBoolean() doesn't stick to req.query (Express 5)
+        const activeOnly = ['true', '1'].includes(req.query.active);
+        const where = activeOnly ? 'WHERE p.is_active = 1' : '';
+        const plans = await queryAsync(`${PLAN_SELECT} ${where} ORDER BY p.sort_order, p.name`);
+
+        res.json({ plans: plans.map(formatPlan) });
+    } catch (error) {
+        console.error('❌ Error fetching plans:', error);
+        res.status(500).json({ error: 'Failed to fetch plans' });
+    }
+});
+
+/* ============================================
+   GET /api/plans/:id
+   ============================================ */
+
+router.get('/:id', async (req, res) => {
+    try {
+        const plan = await fetchPlan(req.params.id);
+
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        res.json({ plan });
+    } catch (error) {
+        console.error('❌ Error fetching plan:', error);
+        res.status(500).json({ error: 'Failed to fetch plan' });
+    }
+});
+
+/* ============================================
+   POST /api/plans
+   Create a plan
+   ============================================ */
+
+router.post('/', requirePermission('plans.manage'), auditTrail('plan', 'create', { key: () => null }), validatePlan, handleValidationErrors, async (req, res) => {
+    const {
+        name, description, price, billing_interval, all_locations, location_ids,
+        guest_passes_per_month, freeze_days_per_year, visits_per_month, is_active, sort_order
+    } = req.body;
+
+    try {
+        const plan = await withTransaction(async (connection) => {
+            const result = await queryAsync(`
+                INSERT INTO membership_plans
+                    (name, description, price, billing_interval, all_locations,
+                     guest_passes_per_month, freeze_days_per_year, visits_per_month, is_active, sort_order)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                name, description || null, price, billing_interval, all_locations ? 1 : 0,
+                guest_passes_per_month, freeze_days_per_year, visits_per_month ?? null, is_active ? 1 : 0, sort_order ?? 0
+            ], connection);
+
+            await saveLocations(result.insertId, all_locations, location_ids, connection);
+
+            return fetchPlan(result.insertId, connection);
+        });
+
+        console.log(`✅ Plan created: ${plan.name}`);
+
+        res.status(201).json({
+            success: true,
+            message: `Plan "${plan.name}" created`,
+            plan
+        });
+    } catch (error) {
+        // location_ids pointing at a location that doesn't exist
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Location not found' });
+        }
+
+        console.error('❌ Error creating plan:', error);
+        res.status(500).json({ error: 'Failed to create plan' });
+    }
+});
+
+/* ============================================
+   PUT /api/plans/:id
+   Edit a plan
+   Renaming moves every member on it to the new name
+   ============================================ */
+
+router.put('/:id', requirePermission('plans.manage'), auditTrail('plan', 'update'), validatePlan, handleValidationErrors, async (req, res) => {
+    const planId = req.params.id;
+    const {
+        name, description, price, billing_interval, all_locations, location_ids,
+        guest_passes_per_month, freeze_days_per_year, visits_per_month, is_active, sort_order
+    } = req.body;
+
+    try {
+        const existing = await fetchPlan(planId);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        const plan = await withTransaction(async (connection) => {
+            await queryAsync(`
+                UPDATE membership_plans
+                SET
+                    name = ?,
+                    description = ?,
+                    price = ?,
+                    billing_interval = ?,
+                    all_locations = ?,
+                    guest_passes_per_month = ?,
+                    freeze_days_per_year = ?,
+                    visits_per_month = ?,
+                    is_active = ?,
+                    sort_order = ?
+                WHERE id = ?
+            `, [
+                name, description || null, price, billing_interval, all_locations ? 1 : 0,
+                guest_passes_per_month, freeze_days_per_year, visits_per_month ?? null, is_active ? 1 : 0, sort_order ?? existing.sort_order, planId
+            ], connection);
+
+            if (existing.name !== name) {
+                await queryAsync('UPDATE members SET plan = ? WHERE plan = ?', [name, existing.name], connection);
+            }
+
+            await saveLocations(planId, all_locations, location_ids, connection);
+
+            return fetchPlan(planId, connection);
+        });
+
+        console.log(`✅ Plan ${planId} updated`);
+
+        res.json({
+            success: true,
+            message: `Plan "${plan.name}" updated`,
+            plan
+        });
+    } catch (error) {
+        // location_ids pointing at a location that doesn't exist
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return res.status(400).json({ error: 'Location not found' });
+        }
+
+        console.error('❌ Error updating plan:', error);
+        res.status(500).json({ error: 'Failed to update plan' });
+    }
+});
+
+/* ============================================
+   DELETE /api/plans/:id
+   Only for plans no member has ever been on
+   ============================================ */
+
+router.delete('/:id', requirePermission('plans.manage'), auditTrail('plan', 'delete'), async (req, res) => {
+    const planId = req.params.id;
+
+    try {
+        const plan = await fetchPlan(planId);
+
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        // Cancelled members count too - their history still names the plan
+        const members = await queryAsync('SELECT COUNT(*) AS total FROM members WHERE plan = ?', [plan.name]);
+
+        if (members[0].total > 0) {
+            return res.status(409).json({
+                error: 'Plan is in use',
+                details: `${members[0].total} member(s) are on "${plan.name}". Deactivate it instead.`
+            });
+        }
+
+        await queryAsync('DELETE FROM membership_plans WHERE id = ?', [planId]);
+
+        console.log(`🗑️ Plan deleted: ${plan.name}`);
+
+        res.json({
+            success: true,
+            message: `Plan "${plan.name}" deleted`
+        });
+    } catch (error) {
+        console.error('❌ Error deleting plan:', error);
+        res.status(500).json({ error: 'Failed to delete plan' });
+    }
+});
+
+module.exports = router;
@@ -11,9 +11,15 @@ const db = require('../config/database');
 
 const {
     validateUpdateSettings, 
+    validateCheckInRules, 
     handleValidationErrors
 } = require('../middleware/validation');
 
+const { requirePermission } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const { queryAsync } = require('../utils/queryAsync');
+const { loadCheckInRules } = require('../utils/checkInRules');
+
 /* ============================================
    GET /api/settings
    Fetch current system settings
@@ -48,7 +54,7 @@ router.get('/', (req, res) => {
    Used by: Settings page save button
    ============================================ */
 
-router.put('/', validateUpdateSettings, handleValidationErrors, (req, res) => {
+router.put('/', requirePermission('settings.update'), auditTrail('settings', 'update', { key: () => ({ id: 1 }) }), validateUpdateSettings, handleValidationErrors, (req, res) => {
 
     // Extract settings from request body
     const {
@@ -111,4 +117,68 @@ router.put('/', validateUpdateSettings, handleValidationErrors, (req, res) => {
     });
 });
 
+/* ============================================
+   GET /api/settings/check-in-rules
+   Which check-in rules are on (see utils/checkInRules.js)
+   Used by: Settings page - Check-In Rules card
+   ============================================ */
+
+router.get('/check-in-rules', async (req, res) => {
+    try {
+        const { currency, ...rules } = await loadCheckInRules();
+        res.json({ rules });
+    } catch (error) {
+        console.error('❌ Error fetching check-in rules:', error);
+        res.status(500).json({ error: 'Failed to fetch check-in rules' });
+    }
+});
+
+/* ============================================
+   PUT /api/settings/check-in-rules
+   Body: { require_plan_location, require_paid_balance, balance_grace_days,
+           require_waiver, enforce_visit_limits, min_minutes_between,
+           session_minutes, capacity_mode }
+   ============================================ */
+
+router.put('/check-in-rules', requirePermission('settings.update'), auditTrail('settings', 'update', { key: () => ({ id: 1 }) }), validateCheckInRules, handleValidationErrors, async (req, res) => {
+    const {
+        require_plan_location, require_paid_balance, balance_grace_days,
+        require_waiver, enforce_visit_limits, min_minutes_between,
+        session_minutes, capacity_mode
+    } = req.body;
+
+    try {
+        await queryAsync(`
+            UPDATE system_settings
+            SET
+                checkin_require_plan_location = ?,
+                checkin_require_paid_balance = ?,
+                checkin_balance_grace_days = ?,
+                checkin_require_waiver = ?,
+                checkin_enforce_visit_limits = ?,
+                checkin_min_minutes_between = ?,
+                checkin_session_minutes = ?,
+                checkin_capacity_mode = ?
+            WHERE id = 1
+        `, [
+            require_plan_location ? 1 : 0, require_paid_balance ? 1 : 0, balance_grace_days,
+            require_waiver ? 1 : 0, enforce_visit_limits ? 1 : 0, min_minutes_between,
+            session_minutes, capacity_mode
+        ]);
+
+        const { currency, ...rules } = await loadCheckInRules();
+
+        console.log(`✅ Check-in rules updated by ${req.admin.username}`);
+
+        res.json({
+            success: true,
+            message: 'Check-in rules updated',
+            rules
+        });
+    } catch (error) {
+        console.error('❌ Error updating check-in rules:', error);
+        res.status(500).json({ error: 'Failed to update check-in rules' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -13,8 +13,9 @@ const db = require('../config/database');
 
 // Middleware
 const {
-    requireAdmin
+    requirePermission
 } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
 
 const {
     validateAddShift, 
@@ -27,13 +28,42 @@ const {
     apiLimiter
 } = require('../middleware/rateLimiter');
 
+const { isExportRequest, sendExport } = require('../utils/export');
+const { listQuery, sortedSql, fetchPage } = require('../utils/pagination');
+
 /* ============================================
    GET /api/shifts
    Get all shifts with optional filters
    Query params: staff_id, location_id, start_date, end_date
+   Paging: limit, cursor, sort, order (utils/pagination.js)
+   format=csv|xlsx|pdf downloads the same list (utils/export.js)
    ============================================ */
 
-router.get('/', apiLimiter, (req, res) => {
+// starts_at = date + start time, so "by date" is also by time of day
+const SHIFT_LIST = {
+    sortable: {
+        shift_date: 'starts_at',
+        staff_name: 'staff_name',
+        location_name: 'location_name',
+        role: 'role',
+        status: 'status'
+    },
+    defaultSort: 'shift_date',
+    defaultOrder: 'asc'
+};
+
+const SHIFT_EXPORT_COLUMNS = [
+    { key: 'shift_date', header: 'Date', type: 'date', width: 0.8 },
+    { key: 'start_time', header: 'Start', type: 'time', width: 0.5 },
+    { key: 'end_time', header: 'End', type: 'time', width: 0.5 },
+    { key: 'staff_name', header: 'Staff', width: 1.2 },
+    { key: 'role', header: 'Role' },
+    { key: 'location_name', header: 'Location' },
+    { key: 'status', header: 'Status', width: 0.7 },
+    { key: 'notes', header: 'Notes', width: 1.6 }
+];
+
+router.get('/', apiLimiter, listQuery(SHIFT_LIST), async (req, res) => {
     
     // Get query parameters for filtering
     const { staff_id, location_id, start_date, end_date } = req.query;
@@ -50,6 +80,7 @@ router.get('/', apiLimiter, (req, res) => {
             s.role,
             s.status,
             s.notes,
+            TIMESTAMP(s.shift_date, s.start_time) AS starts_at,
             staff.name AS staff_name,
             locations.name AS location_name
         FROM shifts s
@@ -81,25 +112,23 @@ router.get('/', apiLimiter, (req, res) => {
         params.push(end_date);
     }
 
-    // Order by date and time
-    query += ` ORDER BY s.shift_date, s.start_time`;
+    if (isExportRequest(req)) {
+        return sendExport(req, res, { name: 'shifts', title: 'Shifts', columns: SHIFT_EXPORT_COLUMNS, sql: sortedSql(query, req.list), params });
+    }
 
-    console.log('Query:', query);
-    console.log('Params:', params);
+    try {
+        const page = await fetchPage(query, params, req.list);
 
-    // Execute query
-    db.query(query, params, (err, results) => {
-        if (err) {
-            console.error('❌ Shifts query error:', err);
-            return res.status(500).json({ error: 'Failed to fetch shifts' });
-        }
-
-        console.log(`✅ Found ${results.length} shifts`);
+        console.log(`✅ Found ${page.rows.length} of ${page.pagination.total} shifts`);
         res.json({
-            shifts: results, 
-            count: results.length
+            shifts: page.rows, 
+            count: page.rows.length,
+            pagination: page.pagination
         });
-    });
+    } catch (error) {
+        console.error('❌ Shifts query error:', error);
+        res.status(500).json({ error: 'Failed to fetch shifts' });
+    }
 });
 
 /* ============================================
@@ -141,7 +170,7 @@ router.get('/:id', apiLimiter, (req, res) => {
    Create new shift
    ============================================ */
 
-router.post('/', apiLimiter, validateAddShift, handleValidationErrors, (req, res) => {
+router.post('/', apiLimiter, requirePermission('shifts.manage'), auditTrail('shift', 'create'), validateAddShift, handleValidationErrors, (req, res) => {
     const {staff_id, location_id, shift_date, start_time, end_time, role, notes } = req.body;
 
     console.log('➕ Creating new shift:', req.body);
@@ -226,7 +255,7 @@ router.post('/', apiLimiter, validateAddShift, handleValidationErrors, (req, res
    Update shift details
    ============================================ */
 
-router.put('/:id', apiLimiter, validateEditShift, handleValidationErrors, (req, res) => {
+router.put('/:id', apiLimiter, requirePermission('shifts.manage'), auditTrail('shift', 'update'), validateEditShift, handleValidationErrors, (req, res) => {
     const shiftId = req.params.id;
     const { staff_id, location_id, shift_date, start_time, end_time, role, status, notes } = req.body;
 
@@ -310,7 +339,7 @@ router.put('/:id', apiLimiter, validateEditShift, handleValidationErrors, (req,
    Delete a shift (requires admin)
    ============================================ */
 
-router.delete('/:id', apiLimiter, requireAdmin, (req, res) => {
+router.delete('/:id', apiLimiter, requirePermission('shifts.delete'), auditTrail('shift', 'delete'), (req, res) => {
     const shiftId = req.params.id;
 
     console.log(`🗑️ Deleting shift ${shiftId}`);
@@ -20,8 +20,11 @@ const {
 } = require('../middleware/validation');
 
 const {
-    requireAdmin
+    requirePermission
 } = require('../middleware/adminAuth');
+const { auditTrail } = require('../middleware/auditTrail');
+const { isExportRequest, sendExport } = require('../utils/export');
+const { listQuery, sortedSql, fetchPage } = require('../utils/pagination');
 
 // WHY separate route file?
 // - Groups staff-related endpoints together
@@ -36,9 +39,41 @@ const {
 /* ============================================
    GET /api/staff
    GET all staff members with optional filters
+   Query params: role, location, status, search
+   Paging: limit, cursor, sort, order (utils/pagination.js)
+   format=csv|xlsx|pdf downloads the same list (utils/export.js)
    ============================================ */
 
-router.get('/', (req, res) => {
+// Newest first unless a sort was asked for
+const STAFF_LIST = {
+    sortable: {
+        staff_id: 'staff_id',
+        name: 'name',
+        email: 'email',
+        role: 'role',
+        location: 'location_name',
+        hire_date: 'hire_date',
+        status: 'status',
+        created_at: 'created_at'
+    },
+    defaultSort: 'created_at',
+    defaultOrder: 'desc'
+};
+
+const STAFF_EXPORT_COLUMNS = [
+    { key: 'staff_id', header: 'Staff ID', width: 0.7 },
+    { key: 'name', header: 'Name', width: 1.2 },
+    { key: 'email', header: 'Email', width: 1.6 },
+    { key: 'phone', header: 'Phone' },
+    { key: 'role', header: 'Role' },
+    { key: 'specialty', header: 'Specialty' },
+    { key: 'location_name', header: 'Location' },
+    { key: 'hire_date', header: 'Hire Date', type: 'date', width: 0.8 },
+    { key: 'hourly_rate', header: 'Hourly Rate', type: 'money', width: 0.8 },
+    { key: 'status', header: 'Status', width: 0.7 }
+];
+
+router.get('/', listQuery(STAFF_LIST), async (req, res) => {
     // Get query parameters for filtering
     const { role, location, status, search } = req.query;
 
@@ -77,22 +112,19 @@ router.get('/', (req, res) => {
         params.push(searchPattern, searchPattern, searchPattern, searchPattern);
     }
 
-    // Order by newest first
-    query += ` ORDER BY s.created_at DESC`;
-
-    console.log('🔍 Staff query:', query);
-    console.log('📊 Params:', params);
+    if (isExportRequest(req)) {
+        return sendExport(req, res, { name: 'staff', title: 'Staff', columns: STAFF_EXPORT_COLUMNS, sql: sortedSql(query, req.list), params });
+    }
 
-    // Execute query
-    db.query(query, params, (err, results) => {
-        if (err) {
-            console.error('❌ Staff query error:', err);
-            return res.status(500).json({ error: 'Failed to fetch staff' });
-        }
+    try {
+        const page = await fetchPage(query, params, req.list);
 
-        console.log(`✅ Found ${results.length} staff members`);
-        res.json({ staff: results });
-    });
+        console.log(`✅ Found ${page.rows.length} of ${page.pagination.total} staff members`);
+        res.json({ staff: page.rows, pagination: page.pagination });
+    } catch (error) {
+        console.error('❌ Staff query error:', error);
+        res.status(500).json({ error: 'Failed to fetch staff' });
+    }
 });
 
 /* ============================================
@@ -203,7 +235,7 @@ router.get('/:id', (req, res) => {
    Add new staff member
    ============================================ */
 
-router.post('/', validateAddStaff, handleValidationErrors, (req, res) => {
+router.post('/', requirePermission('staff.create'), auditTrail('staff', 'create'), validateAddStaff, handleValidationErrors, (req, res) => {
     const { name, email, phone, emergency_contact, emergency_phone, role, location_id, hire_date, hourly_rate, notes } = req.body;
 
     console.log('➕ Adding new staff:', req.body);
@@ -315,7 +347,7 @@ router.post('/', validateAddStaff, handleValidationErrors, (req, res) => {
    Update staff member details
    ============================================ */
 
-router.put('/:id', validateEditStaff, handleValidationErrors, (req, res) => {
+router.put('/:id', requirePermission('staff.update'), auditTrail('staff', 'update'), validateEditStaff, handleValidationErrors, (req, res) => {
     const staffId = req.params.id;
     const { name, email, phone, emergency_contact, emergency_phone, role, specialty, location_id, hire_date, hourly_rate, status, notes } = req.body;
 
@@ -424,7 +456,7 @@ router.put('/:id', validateEditStaff, handleValidationErrors, (req, res) => {
    Soft delete staff (set status to inactive)
    ============================================ */
 
-router.delete('/:id', requireAdmin, (req, res) => {
+router.delete('/:id', requirePermission('staff.delete'), auditTrail('staff', 'delete'), (req, res) => {
     const staffId = req.params.id;
 
     console.log(`🗑️ Deleting staff ${staffId} (setting to inactive)`);
@@ -459,7 +491,7 @@ router.delete('/:id', requireAdmin, (req, res) => {
    Reactivate an inactive staff member
    ============================================ */
 
-router.post('/:id/reactivate', (req, res) => {
+router.post('/:id/reactivate', requirePermission('staff.update'), auditTrail('staff', 'reactivate'), (req, res) => {
     const staffId = req.params.id;
     const { notes } = req.body;
 
@@ -529,7 +561,7 @@ router.post('/:id/reactivate', (req, res) => {
    Add new trainer (specialized staff member)
    ============================================ */
 
-router.post('/trainers', validateAddTrainer, handleValidationErrors, (req, res) => {
+router.post('/trainers', requirePermission('staff.create'), auditTrail('staff', 'create'), validateAddTrainer, handleValidationErrors, (req, res) => {
     // Note: role is NOT included - we set it automatically
     const {
         name, 
@@ -11,9 +11,17 @@ const mysql = require('mysql2');
 // CORS: Allow frontend to talk to backend (different ports)
 const cors = require('cors');
 
-// Database reset
-const cron = require('node-cron');
-const resetDatabase = require('./utils/resetDatabase');
+// Database reset (demo mode only)
+const { scheduleDemoReset } = require('./utils/resetDatabase');
+
+// Recurring membership billing
+const { scheduleBilling } = require('./utils/billing');
+
+// Scheduled freeze start/end
+const { scheduleFreezeTransitions } = require('./utils/memberStatus');
+
+// Auto check-out of sessions past the session length
+const { scheduleAutoCheckOut } = require('./utils/occupancy');
 
 // Bcrypt Import
 const bcrypt = require('bcrypt');
@@ -49,7 +57,8 @@ const app = express();
 // ============================================
 
 // Enable CORS = allows HTML files to call this API
-app.use(cors());
+// Content-Disposition exposed so exports keep their file name
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 
 // PARSE JSON in request body - so we can receive data from frontend
 app.use(express.json());
@@ -60,46 +69,35 @@ app.set('trust proxy', true);
 
 // ============================================
 // AUTO-RESET SCHEDULER (DEMO MODE)
-// Resets database daily at 3:00 AM EST
-// ============================================
-
-// Schedule database reset every day at 3:00 AM EST
-cron.schedule('0 0 3 * * *', async () => {
-    console.log('Running scheduled database reset (3:00 AM EST)...');
-    const result = await resetDatabase();
-
-    if (result.success) {
-        console.log('Scheduled reset completed successfully');
-    } else {
-        console.error('Scheduled reset failed:', result.error);
-    }
-}, {
-    schedule: true, 
-    timezone: "America/Toronto" // EST timezone
-});
+// Only runs when DEMO_MODE=true (see config/demoMode.js)
+// Manual reset + status: routes/demo.js
+// ============================================
 
-console.log('Auto-reset scheduled for 3:00 AM EST daily!');
-
-// Manual reset endpoint for testing
-app.post('/api/admin/reset-database', async (req, res) => {
-    console.log('Manual database reset requested');
-
-    const result = await resetDatabase();
-
-    if (result.success) {
-        res.json({
-            message: 'Database reset successfully', 
-            timestamp: new Date().toISOString(), 
-            successCount: result.successCount, 
-            errorCount: result.errorCount
-        });
-    } else {
-        res.status(500).json({
-            error: 'Failed to reset database', 
-            details: result.error
-        });
-    }
-});
+scheduleDemoReset();
+
+// ============================================
+// RECURRING BILLING SCHEDULER
+// Only runs when BILLING_AUTO_RUN=true (see config/billing.js)
+// Preview + manual run: routes/billing.js
+// ============================================
+
+scheduleBilling();
+
+// ============================================
+// FREEZE SCHEDULER
+// Starts future-dated freezes, unfreezes members whose freeze ended
+// (see utils/memberStatus.js)
+// ============================================
+
+scheduleFreezeTransitions();
+
+// ============================================
+// AUTO CHECK-OUT SCHEDULER
+// Closes check-ins that ran past the session length
+// (see utils/occupancy.js)
+// ============================================
+
+scheduleAutoCheckOut();
 
 /* ============================================
    APPLY RATE LIMITERS
@@ -140,13 +138,28 @@ app.get('/', (req, res) => {
 
 // Import route modules
 const memberRoutes = require('./routes/members');
+const memberImportRoutes = require('./routes/memberImport');
+const memberDuplicateRoutes = require('./routes/memberDuplicates');
 const staffRoutes = require('./routes/staff');
 const dashboardRoutes = require('./routes/dashboard');
 const locationsRoutes = require('./routes/locations');
 const shiftsRoutes = require('./routes/shifts');
 const adminRoutes = require('./routes/admin');
+const adminUserRoutes = require('./routes/adminUsers');
 const inventoryRoutes = require('./routes/inventory');
 const settingsRoutes = require('./routes/settings');
+const auditRoutes = require('./routes/audit');
+const demoRoutes = require('./routes/demo');
+const billingRoutes = require('./routes/billing');
+const planRoutes = require('./routes/plans');
+const eventRoutes = require('./routes/events');
+const kioskRoutes = require('./routes/kiosk');
+
+// Mount member import at /api/members/import (before /api/members)
+app.use('/api/members/import', memberImportRoutes);
+
+// Mount duplicate finder/merge at /api/members/duplicates (before /api/members)
+app.use('/api/members/duplicates', memberDuplicateRoutes);
 
 // Mount member routes at /api/members
 app.use('/api/members', memberRoutes);
@@ -163,6 +176,12 @@ app.use('/api/dashboard', dashboardRoutes);
 // Mount dashboard routes at /api/locations
 app.use('/api/locations', locationsRoutes);
 
+// Mount admin user management at /api/admin/users (before /api/admin)
+app.use('/api/admin/users', adminUserRoutes);
+
+// Mount demo mode routes at /api/admin (reset-database, reset-status, demo-mode)
+app.use('/api/admin', demoRoutes);
+
 // Mount admin routes at /api/admin
 app.use('/api/admin', adminRoutes);
 
@@ -172,6 +191,21 @@ app.use('/api/inventory', inventoryRoutes);
 // Mount settings routes at api/settings
 app.use('/api/settings', settingsRoutes);
 
+// Mount audit log routes at api/audit
+app.use('/api/audit', auditRoutes);
+
+// Mount billing routes at api/billing
+app.use('/api/billing', billingRoutes);
+
+// Mount membership plan routes at api/plans
+app.use('/api/plans', planRoutes);
+
+// Mount live event stream (Server-Sent Events) at api/events
+app.use('/api/events', eventRoutes);
+
+// Mount self check-in kiosk routes at api/kiosk
+app.use('/api/kiosk', kioskRoutes);
+
 // ============================================
 // SERVER STATIC FRONTEND FILES
 // Serves the admin pages in production
@@ -0,0 +1,322 @@
+/* ============================================
+   ADMIN SESSIONS
+   Issue, refresh, verify and revoke admin session tokens
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. Admin logs in once with username + password
+// 2. We create a row in admin_sessions and hand back TWO tokens:
+//    - access token: signed JWT, short-lived, sent on every protected request
+//    - refresh token: random string, longer-lived, only used to get a new access token
+// 3. requireAdmin verifies the JWT signature/expiry AND that the session row
+//    hasn't been revoked (so logout takes effect immediately)
+//
+// WHY? The password is only sent once. The frontend never has to keep it around.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { queryAsync } = require('./queryAsync');
+const { getPermissionsForRole } = require('../config/permissions');
+const { isTwoFactorRequired } = require('./twoFactor');
+
+/* ============================================
+   CONFIGURATION
+   ============================================ */
+
+// Access tokens: 15 minutes (short - limits damage if one leaks)
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ADMIN_ACCESS_TOKEN_TTL) || 15 * 60;
+
+// Refresh tokens: 8 hours (about one front desk shift)
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.ADMIN_REFRESH_TOKEN_TTL) || 8 * 60 * 60;
+
+// 2FA challenge: 5 minutes to type the code after the password was accepted
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// Live events token: only has to last until the EventSource connects
+const LIVE_EVENTS_TOKEN_TTL_SECONDS = 60;
+
+// Secret used to sign access tokens
+// Falls back to a random per-process secret so local dev still works,
+// but every restart will then log all admins out
+const SESSION_SECRET = process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.ADMIN_SESSION_SECRET) {
+    console.warn('⚠️ ADMIN_SESSION_SECRET missing - using a temporary secret (sessions reset on restart)');
+}
+
+/* ============================================
+   HELPERS
+   ============================================ */
+
+// Refresh tokens are stored hashed (same idea as password_hash)
+// A database leak doesn't give anyone a usable refresh token
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(admin, sessionId) {
+    return jwt.sign(
+        {
+            sub: admin.id,
+            username: admin.username,
+            role: admin.role,
+            sid: sessionId
+        },
+        SESSION_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+function buildTokenResponse(admin, sessionId, refreshToken) {
+    return {
+        token: signAccessToken(admin, sessionId),
+        refresh_token: refreshToken,
+        expires_in: ACCESS_TOKEN_TTL_SECONDS,
+        admin: {
+            id: admin.id,
+            username: admin.username,
+            role: admin.role,
+            must_reset_password: !!admin.must_reset_password,
+            two_factor_enabled: !!admin.totp_enabled,
+            // 2FA is required by policy but this admin hasn't set it up yet
+            two_factor_setup_required: !!admin.require_admin_2fa && !admin.totp_enabled,
+            // Lets the frontend hide buttons the admin can't use
+            permissions: getPermissionsForRole(admin.role)
+        }
+    };
+}
+
+/* ============================================
+   CREATE SESSION
+   Called after a successful password check (and 2FA code, if enabled)
+   ============================================ */
+
+// mfaVerified: the admin passed the second factor for THIS session
+
+async function createSession(admin, { ipAddress, userAgent, mfaVerified = false } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    const result = await queryAsync(`
+        INSERT INTO admin_sessions (admin_id, refresh_token_hash, ip_address, user_agent, mfa_verified, expires_at)
+        VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+    `, [admin.id, hashToken(refreshToken), ipAddress || null, (userAgent || '').slice(0, 255) || null, mfaVerified ? 1 : 0, REFRESH_TOKEN_TTL_SECONDS]);
+
+    const sessionAdmin = { ...admin, require_admin_2fa: await isTwoFactorRequired() };
+
+    return buildTokenResponse(sessionAdmin, result.insertId, refreshToken);
+}
+
+/* ============================================
+   REFRESH SESSION
+   Swap a valid refresh token for a new token pair
+   ============================================ */
+
+// The refresh token is ROTATED on every use
+// WHY? If an old refresh token is replayed, it no longer matches
+
+async function refreshSession(refreshToken) {
+    const sessions = await queryAsync(`
+        SELECT
+            s.id, a.id AS admin_id, a.username, a.role, a.must_reset_password, a.totp_enabled,
+            COALESCE(ss.require_admin_2fa, 0) AS require_admin_2fa
+        FROM admin_sessions s
+        JOIN admins a ON s.admin_id = a.id
+        LEFT JOIN system_settings ss ON ss.id = 1
+        WHERE s.refresh_token_hash = ?
+            AND s.revoked_at IS NULL
+            AND s.expires_at > NOW()
+            AND a.status = 'active'
+            AND (a.totp_enabled = 0 OR s.mfa_verified = 1)
+    `, [hashToken(refreshToken)]);
+
+    if (sessions.length === 0) {
+        return null;
+    }
+
+    const session = sessions[0];
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+
+    await queryAsync(`
+        UPDATE admin_sessions
+        SET refresh_token_hash = ?,
+            last_used_at = NOW()
+        WHERE id = ?
+    `, [hashToken(newRefreshToken), session.id]);
+
+    const admin = {
+        id: session.admin_id,
+        username: session.username,
+        role: session.role,
+        must_reset_password: session.must_reset_password,
+        totp_enabled: session.totp_enabled,
+        require_admin_2fa: session.require_admin_2fa
+    };
+
+    return buildTokenResponse(admin, session.id, newRefreshToken);
+}
+
+/* ============================================
+   VERIFY ACCESS TOKEN
+   Used by requireAdmin on every protected request
+   Returns the admin, or null if the token is invalid
+   ============================================ */
+
+async function verifyAccessToken(token) {
+    let payload;
+
+    try {
+        payload = jwt.verify(token, SESSION_SECRET);
+    } catch (error) {
+        // Bad signature, malformed, or expired
+        return null;
+    }
+
+    // 2FA challenge tokens are NOT access tokens
+    if (payload.purpose) {
+        return null;
+    }
+
+    return findLiveSession(payload.sid, payload.sub);
+}
+
+// Signature is fine - make sure the session is still live (not logged out)
+// Disabled admins are rejected here too - disabling takes effect immediately
+// Admins with 2FA on need a session that passed the second factor
+async function findLiveSession(sessionId, adminId) {
+    const sessions = await queryAsync(`
+        SELECT
+            s.id, a.id AS admin_id, a.username, a.role, a.must_reset_password, a.totp_enabled,
+            COALESCE(ss.require_admin_2fa, 0) AS require_admin_2fa
+        FROM admin_sessions s
+        JOIN admins a ON s.admin_id = a.id
+        LEFT JOIN system_settings ss ON ss.id = 1
+        WHERE s.id = ?
+            AND s.admin_id = ?
+            AND s.revoked_at IS NULL
+            AND s.expires_at > NOW()
+            AND a.status = 'active'
+            AND (a.totp_enabled = 0 OR s.mfa_verified = 1)
+    `, [sessionId, adminId]);
+
+    if (sessions.length === 0) {
+        return null;
+    }
+
+    const session = sessions[0];
+
+    return {
+        id: session.admin_id,
+        username: session.username,
+        role: session.role,
+        mustResetPassword: !!session.must_reset_password,
+        twoFactorEnabled: !!session.totp_enabled,
+        twoFactorSetupRequired: !!session.require_admin_2fa && !session.totp_enabled,
+        sessionId: session.id
+    };
+}
+
+/* ============================================
+   2FA CHALLENGE TOKENS
+   Proves the password step passed - only good for POST /verify-2fa
+   ============================================ */
+
+function signTwoFactorChallenge(admin) {
+    return jwt.sign(
+        { sub: admin.id, purpose: '2fa' },
+        SESSION_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+    );
+}
+
+// Returns the admin id, or null if the token is invalid/expired
+function verifyTwoFactorChallenge(token) {
+    try {
+        const payload = jwt.verify(token, SESSION_SECRET);
+        return payload.purpose === '2fa' ? payload.sub : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/* ============================================
+   LIVE EVENTS TOKENS
+   Opens GET /api/events - EventSource can't send an Authorization header,
+   so the token goes in the query string instead
+   ============================================ */
+
+// Short-lived and tied to the session: a token that ends up in a log
+// is useless a minute later, or as soon as the admin logs out
+function signLiveEventsToken(admin) {
+    return {
+        token: jwt.sign(
+            { sub: admin.id, sid: admin.sessionId, purpose: 'events' },
+            SESSION_SECRET,
+            { expiresIn: LIVE_EVENTS_TOKEN_TTL_SECONDS }
+        ),
+        expires_in: LIVE_EVENTS_TOKEN_TTL_SECONDS
+    };
+}
+
+// Returns the admin, or null if the token is invalid/expired
+// or its session is no longer live
+async function verifyLiveEventsToken(token) {
+    let payload;
+
+    try {
+        payload = jwt.verify(token, SESSION_SECRET);
+    } catch (error) {
+        return null;
+    }
+
+    if (payload.purpose !== 'events') {
+        return null;
+    }
+
+    return findLiveSession(payload.sid, payload.sub);
+}
+
+// Current session passed 2FA (e.g. right after enrolling)
+async function markSessionMfaVerified(sessionId) {
+    await queryAsync('UPDATE admin_sessions SET mfa_verified = 1 WHERE id = ?', [sessionId]);
+}
+
+/* ============================================
+   REVOKE SESSION(S)
+   ============================================ */
+
+async function revokeSession(sessionId) {
+    await queryAsync(
+        'UPDATE admin_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+        [sessionId]
+    );
+}
+
+async function revokeSessionByRefreshToken(refreshToken) {
+    await queryAsync(
+        'UPDATE admin_sessions SET revoked_at = NOW() WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+        [hashToken(refreshToken)]
+    );
+}
+
+// Logs an admin out everywhere (e.g. after a password change)
+// Pass exceptSessionId to keep the current session alive
+async function revokeAllSessions(adminId, exceptSessionId = null) {
+    await queryAsync(
+        'UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = ? AND revoked_at IS NULL AND id <> ?',
+        [adminId, exceptSessionId || 0]
+    );
+}
+
+module.exports = {
+    createSession,
+    refreshSession,
+    verifyAccessToken,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeAllSessions,
+    signTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    signLiveEventsToken,
+    verifyLiveEventsToken,
+    markSessionMfaVerified
+};
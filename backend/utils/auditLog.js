@@ -0,0 +1,163 @@
+/* ============================================
+   AUDIT LOG
+   Append-only, hash-chained record of every write
+   ============================================ */
+
+// HOW IT WORKS:
+// - Every entry stores WHO (admin), WHAT (action, entity, before/after) and WHERE (route, IP)
+// - Each entry also stores hash = SHA-256(previous entry's hash + this entry's content)
+// - Editing or deleting an old row breaks every hash after it
+//   -> verifyAuditChain() finds the first broken entry
+//
+// WHY store snapshots as text instead of a JSON column?
+// - MySQL re-formats JSON columns (key order, spacing)
+// - The hash must be computed over EXACTLY the bytes we stored
+
+const crypto = require('crypto');
+const { queryAsync } = require('./queryAsync');
+
+// First entry in the chain points at this instead of a previous hash
+const GENESIS_HASH = '0'.repeat(64);
+
+/* ============================================
+   HELPERS
+   ============================================ */
+
+// Fixed field order - the hash must be reproducible when verifying
+function computeEntryHash(prevHash, entry) {
+    const content = [
+        entry.seq,
+        entry.admin_id ?? '',
+        entry.admin_username ?? '',
+        entry.action,
+        entry.method,
+        entry.route,
+        entry.entity_type,
+        entry.entity_id ?? '',
+        entry.before_data ?? '',
+        entry.after_data ?? '',
+        entry.ip_address ?? '',
+        entry.created_at
+    ].join('|');
+
+    return crypto.createHash('sha256').update(prevHash + '|' + content).digest('hex');
+}
+
+// 'YYYY-MM-DD HH:MM:SS.mmm' (UTC) - stored as-is and hashed as-is
+function formatTimestamp(date) {
+    return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function toSnapshot(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+/* ============================================
+   RECORD AUDIT ENTRY
+   ============================================ */
+
+// Entries are appended one at a time
+// WHY? Two writes reading the same "previous hash" would fork the chain.
+// The UNIQUE seq column makes a fork fail loudly if another process ever races us.
+let appendQueue = Promise.resolve();
+
+function recordAudit({ admin, action, method, route, entityType, entityId, before, after, ipAddress }) {
+    const entry = {
+        admin_id: admin?.id ?? null,
+        admin_username: admin?.username ?? null,
+        action,
+        method,
+        route,
+        entity_type: entityType,
+        entity_id: entityId === null || entityId === undefined ? null : String(entityId),
+        before_data: toSnapshot(before),
+        after_data: toSnapshot(after),
+        ip_address: ipAddress || null
+    };
+
+    const append = appendQueue.then(() => appendEntry(entry));
+
+    // Keep the queue alive even if this entry fails
+    appendQueue = append.catch(() => {});
+
+    return append;
+}
+
+async function appendEntry(entry) {
+    const last = await queryAsync('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+
+    entry.seq = last.length ? last[0].seq + 1 : 1;
+    entry.prev_hash = last.length ? last[0].hash : GENESIS_HASH;
+    entry.created_at = formatTimestamp(new Date());
+    entry.hash = computeEntryHash(entry.prev_hash, entry);
+
+    await queryAsync(`
+        INSERT INTO audit_log (
+            seq, admin_id, admin_username, action, method, route,
+            entity_type, entity_id, before_data, after_data, ip_address,
+            created_at, prev_hash, hash
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        entry.seq, entry.admin_id, entry.admin_username, entry.action, entry.method, entry.route,
+        entry.entity_type, entry.entity_id, entry.before_data, entry.after_data, entry.ip_address,
+        entry.created_at, entry.prev_hash, entry.hash
+    ]);
+
+    return entry;
+}
+
+/* ============================================
+   VERIFY CHAIN
+   Recomputes every hash from the first entry
+   Returns the first entry that doesn't match (if any)
+   ============================================ */
+
+const VERIFY_BATCH_SIZE = 1000;
+
+async function verifyAuditChain() {
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let checked = 0;
+
+    while (true) {
+        // CAST keeps created_at as the exact string that was hashed
+        const rows = await queryAsync(`
+            SELECT
+                id, seq, admin_id, admin_username, action, method, route,
+                entity_type, entity_id, before_data, after_data, ip_address,
+                CAST(created_at AS CHAR) AS created_at, prev_hash, hash
+            FROM audit_log
+            WHERE seq >= ?
+            ORDER BY seq
+            LIMIT ?
+        `, [expectedSeq, VERIFY_BATCH_SIZE]);
+
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            // A deleted row leaves a gap in seq
+            if (row.seq !== expectedSeq) {
+                return { valid: false, checked, broken_at: { seq: expectedSeq, reason: 'Entry missing' } };
+            }
+
+            if (row.prev_hash !== prevHash) {
+                return { valid: false, checked, broken_at: { id: row.id, seq: row.seq, reason: 'Previous hash does not match' } };
+            }
+
+            if (computeEntryHash(prevHash, row) !== row.hash) {
+                return { valid: false, checked, broken_at: { id: row.id, seq: row.seq, reason: 'Entry contents were modified' } };
+            }
+
+            prevHash = row.hash;
+            expectedSeq++;
+            checked++;
+        }
+    }
+
+    return { valid: true, checked, broken_at: null };
+}
+
+module.exports = {
+    recordAudit,
+    verifyAuditChain
+};
@@ -0,0 +1,457 @@
+/* ============================================
+   RECURRING BILLING ENGINE
+   Membership dues on each member's billing anniversary
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. Billing anniversary = the day of the month the member joined
+//    (joined Jan 31 -> billed Feb 28, Mar 31, Apr 30...)
+//    Price and period length (monthly/quarterly/annual) come from membership_plans
+// 2. Each run looks at every active/frozen member whose current period
+//    started today (or within BILLING_GRACE_DAYS, if a run was missed)
+// 3. Frozen days inside the period are not charged:
+//    fully frozen = skipped, partly frozen = prorated by day
+// 4. Each charge is a normal row in payments:
+//    card on file -> success, expired card -> failed, no card -> pending
+//    (the front desk collects pending/failed dues by hand)
+//
+// Preview runs the exact same calculation without writing anything.
+
+const cron = require('node-cron');
+const { queryAsync, withTransaction } = require('./queryAsync');
+const { publishPayment } = require('./liveEvents');
+const {
+    BILLING_AUTO_RUN,
+    BILLING_SCHEDULE,
+    BILLING_TIMEZONE,
+    BILLING_GRACE_DAYS
+} = require('../config/billing');
+
+// Months per billing period
+const INTERVAL_MONTHS = {
+    monthly: 1,
+    quarterly: 3,
+    annual: 12
+};
+
+// Only one run at a time (cron + manual button at the same moment)
+let runInProgress = false;
+
+let scheduledTask = null;
+
+/* ============================================
+   DATE HELPERS
+   All dates are 'YYYY-MM-DD' strings, math done in UTC
+   (no daylight-saving surprises)
+   ============================================ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+    return toDateString(new Date(toDate(dateString).getTime() + days * DAY_MS));
+}
+
+// Inclusive: daysBetween('2026-01-01', '2026-01-01') = 1
+function daysBetween(start, end) {
+    return Math.round((toDate(end) - toDate(start)) / DAY_MS) + 1;
+}
+
+// Today in the gym's timezone (not the server's)
+function getBillingToday() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: BILLING_TIMEZONE });
+}
+
+// Same day of the month as the join date, N months later
+// (clamped to the month's last day: Jan 31 + 1 month = Feb 28)
+function getAnniversary(joinedOn, monthsAfter) {
+    const joined = toDate(joinedOn);
+    const totalMonths = joined.getUTCFullYear() * 12 + joined.getUTCMonth() + monthsAfter;
+    const year = Math.floor(totalMonths / 12);
+    const month = totalMonths % 12;
+
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return toDateString(new Date(Date.UTC(year, month, Math.min(joined.getUTCDate(), lastDay))));
+}
+
+/* ============================================
+   BILLING PERIOD
+   The period that contains runDate
+   ============================================ */
+
+function getBillingPeriod(joinedOn, runDate, intervalMonths = 1) {
+    const joined = toDate(joinedOn);
+    const run = toDate(runDate);
+
+    const monthsSinceJoin = (run.getUTCFullYear() - joined.getUTCFullYear()) * 12
+        + run.getUTCMonth() - joined.getUTCMonth();
+
+    let periods = Math.floor(monthsSinceJoin / intervalMonths);
+    let start = getAnniversary(joinedOn, periods * intervalMonths);
+
+    // This period's anniversary hasn't come yet -> still in the previous one
+    if (start > runDate) {
+        periods -= 1;
+        start = getAnniversary(joinedOn, periods * intervalMonths);
+    }
+
+    const nextStart = getAnniversary(joinedOn, (periods + 1) * intervalMonths);
+
+    return { start, end: addDays(nextStart, -1) };
+}
+
+/* ============================================
+   FROZEN DAYS
+   How much of the period the member is frozen for
+   ============================================ */
+
+function getFrozenDays(member, period) {
+    // Frozen with no dates on record = frozen for the whole period
+    if (member.status === 'frozen' && !member.freeze_start_date) {
+        return daysBetween(period.start, period.end);
+    }
+
+    if (!member.freeze_start_date) return 0;
+
+    // Frozen with no end date = frozen until further notice
+    const freezeEnd = member.freeze_end_date || period.end;
+
+    const overlapStart = member.freeze_start_date > period.start ? member.freeze_start_date : period.start;
+    const overlapEnd = freezeEnd < period.end ? freezeEnd : period.end;
+
+    return overlapStart <= overlapEnd ? daysBetween(overlapStart, overlapEnd) : 0;
+}
+
+/* ============================================
+   CHARGE OUTCOME
+   No payment gateway - the card on file decides the status
+   ============================================ */
+
+function getChargeOutcome(member, runDate) {
+    if (!member.card_type) {
+        return { status: 'pending', payment_method: 'Other', reason: 'No payment method on file' };
+    }
+
+    // A card is good through the last day of its expiry month
+    const run = toDate(runDate);
+    const expired = member.expiry_year < run.getUTCFullYear()
+        || (member.expiry_year === run.getUTCFullYear() && member.expiry_month < run.getUTCMonth() + 1);
+
+    if (expired) {
+        return { status: 'failed', payment_method: 'Credit Card', reason: `${member.card_type} ending ${member.last_four} expired` };
+    }
+
+    return { status: 'success', payment_method: 'Credit Card', reason: null };
+}
+
+/* ============================================
+   BUILD PLAN
+   What a run on runDate would do - shared by preview and run
+   ============================================ */
+
+async function buildBillingPlan(runDate) {
+    const members = await queryAsync(`
+        SELECT
+            m.id,
+            m.member_id,
+            m.name,
+            m.plan,
+            m.status,
+            p.price,
+            p.billing_interval,
+            DATE_FORMAT(m.created_at, '%Y-%m-%d') AS joined_on,
+            DATE_FORMAT(m.freeze_start_date, '%Y-%m-%d') AS freeze_start_date,
+            DATE_FORMAT(m.freeze_end_date, '%Y-%m-%d') AS freeze_end_date,
+            pm.card_type,
+            pm.last_four,
+            pm.expiry_month,
+            CAST(pm.expiry_year AS UNSIGNED) AS expiry_year
+        FROM members m
+        LEFT JOIN membership_plans p ON p.name = m.plan
+        LEFT JOIN payment_methods pm ON pm.member_id = m.id
+        WHERE m.status IN ('active', 'frozen')
+        ORDER BY m.id
+    `);
+
+    // Only periods that started within the grace window get billed
+    const lookback = addDays(runDate, -BILLING_GRACE_DAYS);
+
+    const billed = await queryAsync(`
+        SELECT member_id, DATE_FORMAT(period_start, '%Y-%m-%d') AS period_start
+        FROM billing_charges
+        WHERE period_start >= ?
+    `, [lookback]);
+
+    const billedPeriods = new Set(billed.map(row => `${row.member_id}:${row.period_start}`));
+
+    // Dues already taken by hand (front desk) for the same period
+    const payments = await queryAsync(`
+        SELECT member_id, DATE_FORMAT(payment_date, '%Y-%m-%d') AS payment_date
+        FROM payments
+        WHERE status IN ('success', 'pending') AND payment_date >= ?
+    `, [lookback]);
+
+    const charges = [];
+    const skipped = [];
+
+    for (const member of members) {
+        const period = getBillingPeriod(member.joined_on, runDate, INTERVAL_MONTHS[member.billing_interval] || 1);
+
+        // Not due: period started too long ago (or hasn't started - can't happen)
+        const daysIntoPeriod = daysBetween(period.start, runDate) - 1;
+        if (daysIntoPeriod > BILLING_GRACE_DAYS) continue;
+
+        const summary = {
+            member_id: member.id,
+            member_code: member.member_id,
+            name: member.name,
+            plan: member.plan,
+            period_start: period.start,
+            period_end: period.end
+        };
+
+        // First period is paid at sign-up
+        if (period.start <= member.joined_on) {
+            continue;
+        }
+
+        if (billedPeriods.has(`${member.id}:${period.start}`)) {
+            skipped.push({ ...summary, reason: 'Already billed for this period' });
+            continue;
+        }
+
+        const paidByHand = payments.some(payment =>
+            payment.member_id === member.id
+            && payment.payment_date >= period.start
+            && payment.payment_date <= period.end
+        );
+
+        if (paidByHand) {
+            skipped.push({ ...summary, reason: 'Payment already recorded for this period' });
+            continue;
+        }
+
+        const price = Number(member.price);
+
+        if (!price) {
+            skipped.push({ ...summary, reason: `No price for plan "${member.plan}"` });
+            continue;
+        }
+
+        const periodDays = daysBetween(period.start, period.end);
+        const billableDays = periodDays - getFrozenDays(member, period);
+
+        if (billableDays <= 0) {
+            skipped.push({ ...summary, reason: 'Frozen for the whole period' });
+            continue;
+        }
+
+        const amount = Math.round(price * billableDays / periodDays * 100) / 100;
+        const outcome = getChargeOutcome(member, runDate);
+
+        charges.push({
+            ...summary,
+            billable_days: billableDays,
+            period_days: periodDays,
+            prorated: billableDays < periodDays,
+            amount,
+            ...outcome
+        });
+    }
+
+    const totals = {
+        charges: charges.length,
+        amount: Math.round(charges.reduce((sum, charge) => sum + charge.amount, 0) * 100) / 100,
+        success: charges.filter(charge => charge.status === 'success').length,
+        pending: charges.filter(charge => charge.status === 'pending').length,
+        failed: charges.filter(charge => charge.status === 'failed').length,
+        skipped: skipped.length
+    };
+
+    return { run_date: runDate, charges, skipped, totals };
+}
+
+/* ============================================
+   PREVIEW (DRY RUN)
+   ============================================ */
+
+async function previewBilling(runDate = getBillingToday()) {
+    const plan = await buildBillingPlan(runDate);
+
+    return {
+        dry_run: true,
+        ...plan,
+        next_run_at: getNextBillingRunAt()
+    };
+}
+
+/* ============================================
+   RUN BILLING
+   source: 'schedule' | 'manual'
+   admin: who pressed the button (manual only)
+   ============================================ */
+
+function describeCharge(charge) {
+    const prorated = charge.prorated ? ` (prorated ${charge.billable_days}/${charge.period_days} days)` : '';
+    const reason = charge.reason ? ` - ${charge.reason}` : '';
+    return `Membership dues: ${charge.plan} ${charge.period_start} to ${charge.period_end}${prorated}${reason}`;
+}
+
+// Payment + billing_charges row in ONE transaction
+// Returns false if another run already billed this period
+async function recordCharge(runId, charge) {
+    try {
+        const paymentId = await withTransaction(async (connection) => {
+            const payment = await queryAsync(`
+                INSERT INTO payments (member_id, amount, payment_date, payment_method, status, notes)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [charge.member_id, charge.amount, charge.period_start, charge.payment_method, charge.status, describeCharge(charge)], connection);
+
+            await queryAsync(`
+                INSERT INTO billing_charges
+                    (run_id, member_id, payment_id, plan, period_start, period_end, billable_days, period_days, amount, status, reason)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                runId, charge.member_id, payment.insertId, charge.plan,
+                charge.period_start, charge.period_end, charge.billable_days, charge.period_days,
+                charge.amount, charge.status, charge.reason
+            ], connection);
+
+            return payment.insertId;
+        });
+
+        publishPayment(paymentId, 'charged');
+        return true;
+    } catch (error) {
+        // UNIQUE (member_id, period_start) - someone beat us to it
+        if (error.code === 'ER_DUP_ENTRY') return false;
+        throw error;
+    }
+}
+
+async function runBilling({ source = 'manual', admin = null } = {}) {
+    if (runInProgress) {
+        return { success: false, error: 'A billing run is already in progress' };
+    }
+
+    runInProgress = true;
+
+    const runDate = getBillingToday();
+    let runId = null;
+
+    try {
+        const run = await queryAsync(
+            'INSERT INTO billing_runs (run_date, source, triggered_by) VALUES (?, ?, ?)',
+            [runDate, source, admin?.username || null]
+        );
+        runId = run.insertId;
+
+        console.log(`💳 Billing run ${runId} for ${runDate} started (${source})`);
+
+        const plan = await buildBillingPlan(runDate);
+        const created = [];
+
+        // One member failing (e.g. deleted mid-run) must not stop the others
+        for (const charge of plan.charges) {
+            try {
+                if (await recordCharge(runId, charge)) {
+                    created.push(charge);
+                } else {
+                    plan.skipped.push({ ...charge, reason: 'Already billed for this period' });
+                }
+            } catch (error) {
+                console.error(`❌ Billing failed for member ${charge.member_id}:`, error);
+                plan.skipped.push({ ...charge, reason: `Error: ${error.message}` });
+            }
+        }
+
+        const totalAmount = Math.round(created.reduce((sum, charge) => sum + charge.amount, 0) * 100) / 100;
+
+        await queryAsync(
+            "UPDATE billing_runs SET status = 'success', charges_created = ?, total_amount = ?, finished_at = NOW() WHERE id = ?",
+            [created.length, totalAmount, runId]
+        );
+
+        console.log(`✅ Billing run ${runId}: ${created.length} charge(s), $${totalAmount.toFixed(2)}`);
+
+        return {
+            success: true,
+            run_id: runId,
+            run_date: runDate,
+            charges: created,
+            skipped: plan.skipped,
+            totals: {
+                charges: created.length,
+                amount: totalAmount,
+                success: created.filter(charge => charge.status === 'success').length,
+                pending: created.filter(charge => charge.status === 'pending').length,
+                failed: created.filter(charge => charge.status === 'failed').length,
+                skipped: plan.skipped.length
+            }
+        };
+
+    } catch (error) {
+        console.error('❌ Billing run failed:', error);
+
+        if (runId) {
+            await queryAsync(
+                "UPDATE billing_runs SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?",
+                [error.message, runId]
+            ).catch(err => console.error('Failed to record billing run failure:', err));
+        }
+
+        return { success: false, error: error.message };
+
+    } finally {
+        runInProgress = false;
+    }
+}
+
+/* ============================================
+   SCHEDULE
+   Only when BILLING_AUTO_RUN=true
+   ============================================ */
+
+function getNextBillingRunAt() {
+    return scheduledTask ? scheduledTask.getNextRun() : null;
+}
+
+function scheduleBilling() {
+    if (!BILLING_AUTO_RUN) {
+        console.log('Automatic billing OFF: run it from /api/billing/run');
+        return null;
+    }
+
+    scheduledTask = cron.schedule(BILLING_SCHEDULE, async () => {
+        console.log('Running scheduled billing...');
+        const result = await runBilling({ source: 'schedule' });
+
+        if (!result.success) {
+            console.error('Scheduled billing failed:', result.error);
+        }
+    }, {
+        timezone: BILLING_TIMEZONE
+    });
+
+    console.log(`Automatic billing ON: runs on "${BILLING_SCHEDULE}" (${BILLING_TIMEZONE})`);
+    return scheduledTask;
+}
+
+module.exports = {
+    addDays,
+    daysBetween,
+    getBillingToday,
+    getBillingPeriod,
+    previewBilling,
+    runBilling,
+    getNextBillingRunAt,
+    scheduleBilling
+};
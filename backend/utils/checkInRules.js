@@ -0,0 +1,230 @@
+/* ============================================
+   CHECK-IN RULES
+   Who may come in - checked before every check-in
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. validateCheckIn makes sure the member exists, is active and the
+//    location exists (never overridable - a cancelled member isn't a member)
+// 2. evaluateCheckIn() runs every rule that's switched on in
+//    system_settings (Settings page -> Check-In Rules)
+// 3. Any failed rule = check-in denied with a list of reasons.
+//    Staff with 'checkins.override' can let the member in anyway with
+//    a reason - stored on the check_ins row (override_*) + audit log
+//
+// RULES:
+//   plan_location    the plan covers this location (membership_plan_locations)
+//   balance          last payment didn't fail / isn't still pending
+//                    past the grace period
+//   waiver           liability waiver on file (members.waiver_signed_at)
+//   visit_limit      plan's visits_per_month not used up (calendar month)
+//   recent_check_in  not already checked in the last N minutes (double taps)
+//   capacity         location at/over capacity_warning_percent (utils/occupancy.js)
+//                    - only refuses in 'refuse' mode, otherwise it's a warning
+//                      on the successful check-in
+
+const { queryAsync } = require('./queryAsync');
+const { getOccupancy, getOpenCheckIn } = require('./occupancy');
+
+/* ============================================
+   SETTINGS
+   ============================================ */
+
+async function loadCheckInRules() {
+    const results = await queryAsync(`
+        SELECT
+            currency_symbol,
+            checkin_require_plan_location, checkin_require_paid_balance, checkin_balance_grace_days,
+            checkin_require_waiver, checkin_enforce_visit_limits, checkin_min_minutes_between,
+            checkin_session_minutes, checkin_capacity_mode
+        FROM system_settings
+        WHERE id = 1
+    `);
+
+    const settings = results[0] || {};
+
+    return {
+        currency: settings.currency_symbol || '$',
+        require_plan_location: settings.checkin_require_plan_location !== 0,
+        require_paid_balance: settings.checkin_require_paid_balance !== 0,
+        balance_grace_days: settings.checkin_balance_grace_days ?? 7,
+        require_waiver: !!settings.checkin_require_waiver,
+        enforce_visit_limits: settings.checkin_enforce_visit_limits !== 0,
+        min_minutes_between: settings.checkin_min_minutes_between ?? 60,
+        session_minutes: settings.checkin_session_minutes ?? 180,
+        capacity_mode: settings.checkin_capacity_mode || 'warn'
+    };
+}
+
+/* ============================================
+   RULES
+   Each returns null (passed) or a denial reason:
+   { rule, message, ...details for the screen }
+   ============================================ */
+
+// Plans not in membership_plans (very old members) aren't restricted
+function checkPlanLocation(member, plan, location) {
+    if (!plan || plan.all_locations || plan.covers_location) return null;
+
+    return {
+        rule: 'plan_location',
+        message: `${member.plan} plan doesn't include ${location.name}`,
+        plan: member.plan,
+        location_name: location.name
+    };
+}
+
+async function checkBalance(member, rules) {
+    const payments = await queryAsync(`
+        SELECT id, amount, status,
+            DATE_FORMAT(payment_date, '%Y-%m-%d') AS payment_date,
+            DATEDIFF(CURDATE(), payment_date) AS days_outstanding
+        FROM payments
+        WHERE member_id = ? AND status != 'refunded'
+        ORDER BY payment_date DESC, id DESC
+        LIMIT 1
+    `, [member.id]);
+
+    const last = payments[0];
+    if (!last || !['failed', 'pending'].includes(last.status)) return null;
+    if (last.days_outstanding <= rules.balance_grace_days) return null;
+
+    return {
+        rule: 'balance',
+        message: `Outstanding balance: ${rules.currency}${Number(last.amount).toFixed(2)} ${last.status} on ${last.payment_date} ` +
+            `(${last.days_outstanding} days ago, grace period ${rules.balance_grace_days} days)`,
+        payment_id: last.id,
+        amount: parseFloat(last.amount),
+        payment_status: last.status,
+        payment_date: last.payment_date,
+        days_outstanding: last.days_outstanding
+    };
+}
+
+function checkWaiver(member) {
+    if (member.waiver_signed_at) return null;
+
+    return {
+        rule: 'waiver',
+        message: 'No signed liability waiver on file'
+    };
+}
+
+async function checkVisitLimit(member, plan) {
+    if (!plan || plan.visits_per_month === null) return null;
+
+    const results = await queryAsync(`
+        SELECT COUNT(*) AS visits
+        FROM check_ins
+        WHERE member_id = ? AND check_in_time >= DATE_FORMAT(CURDATE(), '%Y-%m-01')
+    `, [member.id]);
+
+    const visits = results[0].visits;
+    if (visits < plan.visits_per_month) return null;
+
+    return {
+        rule: 'visit_limit',
+        message: `Monthly visit limit reached (${visits} of ${plan.visits_per_month} visits on ${member.plan})`,
+        visits,
+        visits_per_month: plan.visits_per_month
+    };
+}
+
+async function checkRecentCheckIn(member, rules) {
+    const results = await queryAsync(`
+        SELECT c.check_in_time, l.name AS location_name,
+            TIMESTAMPDIFF(MINUTE, c.check_in_time, NOW()) AS minutes_ago
+        FROM check_ins c
+        JOIN locations l ON c.location_id = l.id
+        WHERE c.member_id = ?
+            AND c.check_in_time > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        ORDER BY c.check_in_time DESC
+        LIMIT 1
+    `, [member.id, rules.min_minutes_between]);
+
+    const last = results[0];
+    if (!last) return null;
+
+    return {
+        rule: 'recent_check_in',
+        message: `Already checked in ${last.minutes_ago} minute(s) ago at ${last.location_name} - ` +
+            `wait ${rules.min_minutes_between - last.minutes_ago} more minute(s)`,
+        last_check_in: last.check_in_time,
+        minutes_ago: last.minutes_ago
+    };
+}
+
+// The member's own open session here doesn't count twice
+async function checkCapacity(member, location, rules) {
+    const [occupancy] = await getOccupancy(location.id);
+    const openCheckIn = await getOpenCheckIn(member.id, rules.session_minutes);
+    const alreadyHere = openCheckIn && openCheckIn.location_id === location.id;
+
+    const after = occupancy.occupancy + (alreadyHere ? 0 : 1);
+    const percentAfter = occupancy.capacity > 0 ? (after / occupancy.capacity) * 100 : 0;
+
+    if (percentAfter < occupancy.warning_percent) return null;
+
+    return {
+        rule: 'capacity',
+        message: `${location.name} is at ${Math.round(percentAfter)}% capacity ` +
+            `(${after} of ${occupancy.capacity}, warning at ${occupancy.warning_percent}%)`,
+        occupancy: after,
+        capacity: occupancy.capacity,
+        percent: Math.round(percentAfter * 10) / 10,
+        warning_percent: occupancy.warning_percent
+    };
+}
+
+/* ============================================
+   EVALUATE
+   ============================================ */
+
+// -> { member, location, denials: [], warnings: [] } - no denials = come on in
+// warnings: capacity in 'warn' mode - shown, never blocking
+async function evaluateCheckIn(memberId, locationId) {
+    const rules = await loadCheckInRules();
+
+    const [members, locations] = await Promise.all([
+        queryAsync('SELECT id, member_id, name, plan, waiver_signed_at FROM members WHERE id = ?', [memberId]),
+        queryAsync('SELECT id, name FROM locations WHERE id = ?', [locationId])
+    ]);
+
+    const member = members[0];
+    const location = locations[0];
+
+    const plans = await queryAsync(`
+        SELECT p.all_locations, p.visits_per_month,
+            EXISTS(
+                SELECT 1 FROM membership_plan_locations pl
+                WHERE pl.plan_id = p.id AND pl.location_id = ?
+            ) AS covers_location
+        FROM membership_plans p
+        WHERE p.name = ?
+    `, [locationId, member.plan]);
+
+    const plan = plans[0] || null;
+
+    const results = await Promise.all([
+        rules.require_plan_location ? checkPlanLocation(member, plan, location) : null,
+        rules.require_paid_balance ? checkBalance(member, rules) : null,
+        rules.require_waiver ? checkWaiver(member) : null,
+        rules.enforce_visit_limits ? checkVisitLimit(member, plan) : null,
+        rules.min_minutes_between > 0 ? checkRecentCheckIn(member, rules) : null
+    ]);
+
+    const capacity = await checkCapacity(member, location, rules);
+    const refuseAtCapacity = rules.capacity_mode === 'refuse';
+
+    return {
+        member,
+        location,
+        denials: [...results.filter(Boolean), ...(capacity && refuseAtCapacity ? [capacity] : [])],
+        warnings: capacity && !refuseAtCapacity ? [capacity] : []
+    };
+}
+
+module.exports = {
+    loadCheckInRules,
+    evaluateCheckIn
+};
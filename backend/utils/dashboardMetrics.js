@@ -0,0 +1,444 @@
+/* ============================================
+   DASHBOARD METRICS
+   KPIs + charts for a date range, from live tables
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. The period is an inclusive from/to date range (default: last 30 days
+//    up to today in the gym's timezone), optionally for one location
+// 2. The previous period is the same number of days right before it -
+//    every KPI that has a history is compared against it (change = %)
+// 3. Sources:
+//      revenue       payments (status 'success', by payment_date),
+//                    located by the member's home location
+//      check-ins     check_ins (by check_in_time + check-in location)
+//      new members   members.created_at
+//      inventory     inventory_stock vs products.reorder_point (right now -
+//                    stock has no history, so no previous period)
+// 4. The trend chart buckets by day / week (Mondays) / month,
+//    depending on how long the period is
+
+const { queryAsync } = require('./queryAsync');
+const { addDays, daysBetween, getBillingToday } = require('./billing');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Inventory alerts shown on the dashboard (worst first)
+const INVENTORY_ALERT_LIMIT = 6;
+
+// Chart colours, one per location (in location order)
+const LOCATION_COLORS = [
+    { border: '#e60030', bg: 'rgba(230, 0, 48, 0.15)' },
+    { border: '#24c063', bg: 'rgba(36, 192, 99, 0.15)' },
+    { border: '#3498db', bg: 'rgba(52, 152, 219, 0.15)' },
+    { border: '#f1c40f', bg: 'rgba(241, 196, 15, 0.15)' },
+    { border: '#9b59b6', bg: 'rgba(155, 89, 182, 0.15)' }
+];
+
+/* ============================================
+   PERIOD
+   ============================================ */
+
+function getBucket(days) {
+    if (days <= 31) return 'day';
+    if (days <= 182) return 'week';
+    return 'month';
+}
+
+// Only "to" given = the DEFAULT_RANGE_DAYS ending there
+function getDashboardPeriod({ from, to } = {}) {
+    const end = to || getBillingToday();
+    const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+    const days = daysBetween(start, end);
+
+    return {
+        from: start,
+        to: end,
+        days,
+        bucket: getBucket(days),
+        previous: {
+            from: addDays(start, -days),
+            to: addDays(start, -1)
+        }
+    };
+}
+
+// Change vs previous period in % (null = nothing to compare against)
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+// " AND <column> = ?" when one location is picked
+function locationFilter(column, locationId) {
+    return locationId
+        ? { sql: ` AND ${column} = ?`, params: [locationId] }
+        : { sql: '', params: [] };
+}
+
+/* ============================================
+   KPIs
+   ============================================ */
+
+async function getMemberKpi(period, locationId) {
+    const where = locationFilter('location_id', locationId);
+
+    const results = await queryAsync(`
+        SELECT
+            SUM(status = 'active') AS active,
+            SUM(created_at >= ? AND created_at < ?) AS joined,
+            SUM(created_at >= ? AND created_at < ?) AS joined_previous
+        FROM members
+        WHERE 1=1${where.sql}
+    `, [
+        period.from, addDays(period.to, 1),
+        period.previous.from, period.from,
+        ...where.params
+    ]);
+
+    const row = results[0];
+    const joined = Number(row.joined) || 0;
+    const joinedPrevious = Number(row.joined_previous) || 0;
+
+    return {
+        value: Number(row.active) || 0,
+        joined,
+        joinedPrevious,
+        change: percentChange(joined, joinedPrevious)
+    };
+}
+
+async function getRevenueKpi(period, locationId) {
+    const where = locationFilter('m.location_id', locationId);
+
+    const results = await queryAsync(`
+        SELECT
+            COALESCE(SUM(CASE WHEN p.payment_date >= ? THEN p.amount END), 0) AS revenue,
+            COALESCE(SUM(CASE WHEN p.payment_date < ? THEN p.amount END), 0) AS revenue_previous
+        FROM payments p
+        JOIN members m ON p.member_id = m.id
+        WHERE p.status = 'success'
+            AND p.payment_date BETWEEN ? AND ?${where.sql}
+    `, [period.from, period.from, period.previous.from, period.to, ...where.params]);
+
+    const value = parseFloat(results[0].revenue);
+    const previous = parseFloat(results[0].revenue_previous);
+
+    return { value, previous, change: percentChange(value, previous) };
+}
+
+async function getCheckInKpi(period, locationId) {
+    const where = locationFilter('location_id', locationId);
+
+    const results = await queryAsync(`
+        SELECT
+            SUM(check_in_time >= ?) AS check_ins,
+            SUM(check_in_time < ?) AS check_ins_previous
+        FROM check_ins
+        WHERE check_in_time >= ? AND check_in_time < ?${where.sql}
+    `, [period.from, period.from, period.previous.from, addDays(period.to, 1), ...where.params]);
+
+    const value = Number(results[0].check_ins) || 0;
+    const previous = Number(results[0].check_ins_previous) || 0;
+
+    return { value, previous, change: percentChange(value, previous) };
+}
+
+// Share of stocked items (product at a location) above their reorder point
+async function getInventoryKpi(locationId) {
+    const where = locationFilter('s.location_id', locationId);
+
+    const results = await queryAsync(`
+        SELECT
+            COUNT(*) AS items,
+            SUM(s.quantity > p.reorder_point) AS healthy,
+            SUM(s.quantity = 0) AS out_of_stock
+        FROM inventory_stock s
+        JOIN products p ON s.product_id = p.id
+        WHERE p.status = 'active'${where.sql}
+    `, where.params);
+
+    const row = results[0];
+    const items = Number(row.items) || 0;
+    const healthy = Number(row.healthy) || 0;
+
+    return {
+        value: items > 0 ? Math.round((healthy / items) * 100) : 100,
+        items,
+        low: items - healthy,
+        outOfStock: Number(row.out_of_stock) || 0
+    };
+}
+
+async function getTrainerKpi(locationId) {
+    const where = locationFilter('location_id', locationId);
+
+    const results = await queryAsync(`
+        SELECT COUNT(*) AS total
+        FROM staff
+        WHERE role = 'trainer' AND status = 'active'${where.sql}
+    `, where.params);
+
+    return { value: results[0].total };
+}
+
+/* ============================================
+   BRANCHES + PLANS
+   ============================================ */
+
+async function getBranches(period, locationId) {
+    const where = locationFilter('l.id', locationId);
+
+    const branches = await queryAsync(`
+        SELECT
+            l.id,
+            l.name,
+            l.capacity,
+            (SELECT COUNT(*) FROM members m
+             WHERE m.location_id = l.id AND m.status = 'active') AS members,
+            (SELECT COUNT(*) FROM check_ins c
+             WHERE c.location_id = l.id AND c.check_in_time >= ? AND c.check_in_time < ?) AS check_ins
+        FROM locations l
+        WHERE 1=1${where.sql}
+    `, [period.from, addDays(period.to, 1), ...where.params]);
+
+    return branches
+        .map(branch => {
+            const ratio = branch.capacity > 0 ? branch.members / branch.capacity : 0;
+
+            return {
+                name: branch.name,
+                members: branch.members,
+                capacity: branch.capacity,
+                utilization: Math.round(ratio * 100),
+                status: ratio >= 0.85 ? 'Best' : ratio >= 0.65 ? 'Stable' : 'Growth',
+                checkIns: branch.check_ins
+            };
+        })
+        .sort((a, b) => b.utilization - a.utilization);
+}
+
+// Active members + monthly recurring revenue per plan
+// Quarterly/annual prices are spread over their months
+async function getPlanMix(locationId) {
+    const where = locationFilter('m.location_id', locationId);
+
+    const plans = await queryAsync(`
+        SELECT
+            p.name,
+            p.price,
+            p.billing_interval,
+            p.is_active,
+            COUNT(m.id) AS members,
+            ROUND(COUNT(m.id) * p.price / CASE p.billing_interval
+                WHEN 'quarterly' THEN 3
+                WHEN 'annual' THEN 12
+                ELSE 1
+            END, 2) AS monthly_revenue
+        FROM membership_plans p
+        LEFT JOIN members m ON m.plan = p.name AND m.status = 'active'${where.sql}
+        GROUP BY p.id, p.name, p.price, p.billing_interval, p.is_active, p.sort_order
+        ORDER BY p.sort_order, p.name
+    `, where.params);
+
+    return plans.map(plan => ({
+        name: plan.name,
+        price: parseFloat(plan.price),
+        billingInterval: plan.billing_interval,
+        isActive: !!plan.is_active,
+        members: plan.members,
+        monthlyRevenue: parseFloat(plan.monthly_revenue)
+    }));
+}
+
+/* ============================================
+   CHARTS
+   ============================================ */
+
+// SQL expression -> 'YYYY-MM-DD' of the bucket a timestamp falls in
+const BUCKET_SQL = {
+    day: column => `DATE_FORMAT(${column}, '%Y-%m-%d')`,
+    week: column => `DATE_FORMAT(DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY), '%Y-%m-%d')`,
+    month: column => `DATE_FORMAT(${column}, '%Y-%m-01')`
+};
+
+// Every bucket in the period, in order (so quiet days still show as 0)
+function getBucketKeys(period) {
+    const keys = [];
+    let key = period.from;
+
+    if (period.bucket === 'week') {
+        const weekday = (new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7;
+        key = addDays(key, -weekday);
+    } else if (period.bucket === 'month') {
+        key = `${key.slice(0, 7)}-01`;
+    }
+
+    while (key <= period.to) {
+        keys.push(key);
+
+        if (period.bucket === 'month') {
+            const [year, month] = key.split('-').map(Number);
+            key = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+        } else {
+            key = addDays(key, period.bucket === 'week' ? 7 : 1);
+        }
+    }
+
+    return keys;
+}
+
+function formatBucketLabel(key, bucket) {
+    const options = bucket === 'month'
+        ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+        : { month: 'short', day: 'numeric', timeZone: 'UTC' };
+
+    return new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', options);
+}
+
+// Check-ins per bucket, one line per location
+async function getCheckInTrend(period, locations) {
+    if (locations.length === 0) return { bucket: period.bucket, labels: [], datasets: [] };
+
+    const bucketSql = BUCKET_SQL[period.bucket]('check_in_time');
+
+    const rows = await queryAsync(`
+        SELECT location_id, ${bucketSql} AS bucket, COUNT(*) AS check_ins
+        FROM check_ins
+        WHERE check_in_time >= ? AND check_in_time < ?
+            AND location_id IN (?)
+        GROUP BY location_id, bucket
+    `, [period.from, addDays(period.to, 1), locations.map(location => location.id)]);
+
+    const keys = getBucketKeys(period);
+
+    return {
+        bucket: period.bucket,
+        labels: keys.map(key => formatBucketLabel(key, period.bucket)),
+        datasets: locations.map(location => {
+            const counts = {};
+            rows.filter(row => row.location_id === location.id)
+                .forEach(row => { counts[row.bucket] = row.check_ins; });
+
+            return {
+                label: location.name,
+                data: keys.map(key => counts[key] || 0),
+                borderColor: location.color.border,
+                backgroundColor: location.color.bg
+            };
+        })
+    };
+}
+
+async function getRevenueByLocation(period, locations) {
+    if (locations.length === 0) return { labels: [], data: [], previous: [], colors: [] };
+
+    const rows = await queryAsync(`
+        SELECT
+            m.location_id,
+            COALESCE(SUM(CASE WHEN p.payment_date >= ? THEN p.amount END), 0) AS revenue,
+            COALESCE(SUM(CASE WHEN p.payment_date < ? THEN p.amount END), 0) AS revenue_previous
+        FROM payments p
+        JOIN members m ON p.member_id = m.id
+        WHERE p.status = 'success'
+            AND p.payment_date BETWEEN ? AND ?
+            AND m.location_id IN (?)
+        GROUP BY m.location_id
+    `, [period.from, period.from, period.previous.from, period.to, locations.map(location => location.id)]);
+
+    const byLocation = {};
+    rows.forEach(row => { byLocation[row.location_id] = row; });
+
+    return {
+        labels: locations.map(location => location.name),
+        data: locations.map(location => parseFloat(byLocation[location.id]?.revenue || 0)),
+        previous: locations.map(location => parseFloat(byLocation[location.id]?.revenue_previous || 0)),
+        colors: locations.map(location => location.color.border)
+    };
+}
+
+/* ============================================
+   INVENTORY ALERTS
+   Stock at or below the reorder point, emptiest first
+   ============================================ */
+
+async function getInventoryAlerts(locationId) {
+    const where = locationFilter('s.location_id', locationId);
+
+    const rows = await queryAsync(`
+        SELECT p.name AS product_name, p.reorder_point, s.quantity, l.name AS location_name
+        FROM inventory_stock s
+        JOIN products p ON s.product_id = p.id
+        JOIN locations l ON s.location_id = l.id
+        WHERE p.status = 'active'
+            AND s.quantity <= p.reorder_point${where.sql}
+        ORDER BY s.quantity / GREATEST(p.reorder_point, 1), p.name
+        LIMIT ?
+    `, [...where.params, INVENTORY_ALERT_LIMIT]);
+
+    return rows.map(row => ({
+        item: row.product_name,
+        location: row.location_name,
+        quantity: row.quantity,
+        reorderPoint: row.reorder_point,
+        status: row.quantity === 0 ? 'critical' : 'low',
+        message: row.quantity === 0
+            ? `Out of stock at ${row.location_name}`
+            : `${row.quantity} left at ${row.location_name} (reorder at ${row.reorder_point})`
+    }));
+}
+
+/* ============================================
+   EVERYTHING
+   ============================================ */
+
+// -> null when locationId doesn't exist
+async function getDashboardMetrics({ from, to, locationId = null } = {}) {
+    const period = getDashboardPeriod({ from, to });
+
+    const allLocations = await queryAsync('SELECT id, name FROM locations ORDER BY id');
+    const locations = allLocations
+        .map((location, index) => ({ ...location, color: LOCATION_COLORS[index % LOCATION_COLORS.length] }))
+        .filter(location => !locationId || location.id === locationId);
+
+    if (locationId && locations.length === 0) return null;
+
+    const [members, revenue, checkIns, inventory, trainers, branches, plans, checkInTrend, revenueByLocation, inventoryAlerts] = await Promise.all([
+        getMemberKpi(period, locationId),
+        getRevenueKpi(period, locationId),
+        getCheckInKpi(period, locationId),
+        getInventoryKpi(locationId),
+        getTrainerKpi(locationId),
+        getBranches(period, locationId),
+        getPlanMix(locationId),
+        getCheckInTrend(period, locations),
+        getRevenueByLocation(period, locations),
+        getInventoryAlerts(locationId)
+    ]);
+
+    return {
+        period: {
+            ...period,
+            location: locationId ? { id: locationId, name: locations[0].name } : null
+        },
+        kpis: {
+            members,
+            revenue,
+            checkIns,
+            inventoryHealth: inventory,
+            activeTrainers: trainers
+        },
+        branches,
+        checkInTrend,
+        revenueByLocation,
+        inventoryAlerts,
+        plans
+    };
+}
+
+module.exports = {
+    MAX_RANGE_DAYS,
+    getDashboardPeriod,
+    getDashboardMetrics
+};
@@ -0,0 +1,318 @@
+/* ============================================
+   LIST EXPORT
+   Any list route -> CSV, XLSX or PDF download
+   ============================================ */
+
+// HOW A LIST ROUTE USES IT:
+// 1. The route already has listQuery(...) (utils/pagination.js) - that
+//    validates format and checks the export permission
+// 2. Build the query exactly as for JSON (same filters)
+// 3. if (isExportRequest(req)) return sendExport(req, res, { name, title, columns, sql: sortedSql(query, req.list), params })
+//
+// Rows are streamed from MySQL straight into the file - a 50,000 row export
+// never sits in memory. Money and dates follow system_settings
+// (currency_symbol, date_format) so files match what the screens show.
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const db = require('../config/database');
+const { queryAsync } = require('./queryAsync');
+const { requirePermission } = require('../middleware/adminAuth');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+
+// system_settings.date_format -> Excel number format
+const EXCEL_DATE_FORMATS = {
+    'MM/DD/YYYY': 'mm/dd/yyyy',
+    'DD/MM/YYYY': 'dd/mm/yyyy',
+    'YYYY-MM-DD': 'yyyy-mm-dd'
+};
+
+/* ============================================
+   ROUTE HELPERS
+   ============================================ */
+
+function isExportRequest(req) {
+    return EXPORT_FORMATS.includes(req.query.format);
+}
+
+// Lists are public for the screens, exports are not -
+// a file of every member's email is a different thing
+function requireExportPermission(req, res, next) {
+    if (!isExportRequest(req)) return next();
+
+    const [authenticate, authorize] = requirePermission('reports.export');
+    authenticate(req, res, () => authorize(req, res, next));
+}
+
+/* ============================================
+   FORMATTING
+   ============================================ */
+
+async function loadFormatSettings() {
+    const results = await queryAsync('SELECT currency_symbol, date_format FROM system_settings WHERE id = 1');
+
+    return {
+        currency: results[0]?.currency_symbol || '$',
+        dateFormat: results[0]?.date_format || 'MM/DD/YYYY'
+    };
+}
+
+// MySQL DATE/DATETIME (JS Date) or 'YYYY-MM-DD' string -> parts
+function getDateParts(value) {
+    if (typeof value === 'string') {
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?/);
+        if (!match) return null;
+        const [, year, month, day, hours = '00', minutes = '00'] = match;
+        return { year, month, day, hours, minutes };
+    }
+
+    if (!(value instanceof Date) || isNaN(value)) return null;
+
+    const pad = number => String(number).padStart(2, '0');
+    return {
+        year: String(value.getFullYear()),
+        month: pad(value.getMonth() + 1),
+        day: pad(value.getDate()),
+        hours: pad(value.getHours()),
+        minutes: pad(value.getMinutes())
+    };
+}
+
+function formatDate(value, dateFormat, withTime = false) {
+    const parts = getDateParts(value);
+    if (!parts) return value ? String(value) : '';
+
+    const date = dateFormat
+        .replace('YYYY', parts.year)
+        .replace('MM', parts.month)
+        .replace('DD', parts.day);
+
+    return withTime ? `${date} ${parts.hours}:${parts.minutes}` : date;
+}
+
+// Text for CSV/PDF cells
+function formatCell(value, type, settings) {
+    if (value === null || value === undefined || value === '') return '';
+
+    switch (type) {
+        case 'money':
+            return `${settings.currency}${Number(value).toFixed(2)}`;
+        case 'date':
+            return formatDate(value, settings.dateFormat);
+        case 'datetime':
+            return formatDate(value, settings.dateFormat, true);
+        case 'time':
+            return String(value).slice(0, 5);    // '06:00:00' -> '06:00'
+        default:
+            return String(value);
+    }
+}
+
+// Excel stores dates as UTC serials - rebuild the date from its local
+// parts so 2026-03-01 doesn't show up as Feb 28 in Excel
+function toExcelDate(value) {
+    const parts = getDateParts(value);
+    if (!parts) return null;
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes));
+}
+
+/* ============================================
+   WRITERS
+   One per format: start(), row(values), finish()
+   ============================================ */
+
+function csvEscape(text) {
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createCsvWriter(res, columns, settings) {
+    const writeLine = async (cells) => {
+        if (!res.write(cells.map(csvEscape).join(',') + '\r\n')) {
+            await once(res, 'drain');
+        }
+    };
+
+    return {
+        // BOM = Excel opens UTF-8 names (é, ñ) correctly
+        start: () => {
+            res.write('\uFEFF');
+            return writeLine(columns.map(column => column.header));
+        },
+        row: row => writeLine(columns.map(column => formatCell(row[column.key], column.type, settings))),
+        finish: async () => res.end()
+    };
+}
+
+function createXlsxWriter(res, columns, settings, title) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(title);
+
+    const moneyFormat = `"${settings.currency}"#,##0.00`;
+    const dateFormat = EXCEL_DATE_FORMATS[settings.dateFormat] || 'yyyy-mm-dd';
+
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: (column.width || 1) * 16,
+        style: column.type === 'money' ? { numFmt: moneyFormat }
+            : column.type === 'date' ? { numFmt: dateFormat }
+            : column.type === 'datetime' ? { numFmt: `${dateFormat} hh:mm` }
+            : {}
+    }));
+
+    return {
+        start: async () => {
+            sheet.getRow(1).font = { bold: true };
+            sheet.getRow(1).commit();
+        },
+        row: async (row) => {
+            // Real numbers and dates - the accountant can sum and sort them
+            const values = {};
+            for (const column of columns) {
+                const value = row[column.key];
+                if (value === null || value === undefined) continue;
+
+                if (column.type === 'money' || column.type === 'number') {
+                    values[column.key] = Number(value);
+                } else if (column.type === 'date' || column.type === 'datetime') {
+                    values[column.key] = toExcelDate(value);
+                } else {
+                    values[column.key] = formatCell(value, column.type, settings);
+                }
+            }
+            sheet.addRow(values).commit();
+        },
+        finish: async () => {
+            sheet.commit();
+            await workbook.commit();
+        }
+    };
+}
+
+function createPdfWriter(res, columns, settings, title) {
+    const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 36 });
+    doc.pipe(res);
+
+    const left = doc.page.margins.left;
+    const usableWidth = doc.page.width - left - doc.page.margins.right;
+    const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const widths = columns.map(column => usableWidth * (column.width || 1) / totalWeight);
+    const rowHeight = 16;
+
+    let rows = 0;
+
+    const drawCells = (cells, font) => {
+        const y = doc.y;
+        let x = left;
+
+        doc.font(font).fontSize(8);
+        cells.forEach((text, index) => {
+            doc.text(text, x + 2, y + 4, { width: widths[index] - 4, height: rowHeight - 4, ellipsis: true, lineBreak: false });
+            x += widths[index];
+        });
+
+        doc.x = left;
+        doc.y = y + rowHeight;
+    };
+
+    const drawHeader = () => {
+        drawCells(columns.map(column => column.header), 'Helvetica-Bold');
+        doc.moveTo(left, doc.y).lineTo(left + usableWidth, doc.y).strokeColor('#999999').stroke();
+    };
+
+    return {
+        start: async () => {
+            doc.font('Helvetica-Bold').fontSize(14).text(title);
+            doc.font('Helvetica').fontSize(9).fillColor('#555555')
+                .text(`Exported ${formatDate(new Date(), settings.dateFormat, true)}`);
+            doc.fillColor('#000000').moveDown();
+            drawHeader();
+        },
+        row: async (row) => {
+            if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+                drawHeader();
+            }
+            drawCells(columns.map(column => formatCell(row[column.key], column.type, settings)), 'Helvetica');
+            rows++;
+        },
+        finish: async () => {
+            doc.moveDown().font('Helvetica').fontSize(9).fillColor('#555555').text(`${rows} row(s)`, left);
+            doc.end();
+        }
+    };
+}
+
+const WRITERS = {
+    csv: createCsvWriter,
+    xlsx: createXlsxWriter,
+    pdf: createPdfWriter
+};
+
+/* ============================================
+   SEND EXPORT
+   Stream the query result as a file download
+   ============================================ */
+
+// columns: [{ key: 'plan', header: 'Plan', type: 'text' | 'number' | 'money' | 'date' | 'datetime' | 'time', width }]
+async function sendExport(req, res, { name, title, columns, sql, params = [] }) {
+    const format = req.query.format;
+    let connection = null;
+
+    try {
+        const settings = await loadFormatSettings();
+
+        connection = await new Promise((resolve, reject) => {
+            db.getConnection((err, conn) => (err ? reject(err) : resolve(conn)));
+        });
+
+        const today = formatDate(new Date(), 'YYYY-MM-DD');
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${name}-${today}.${format}"`);
+
+        const writer = WRITERS[format](res, columns, settings, title);
+        const stream = connection.query(sql, params).stream();
+
+        // Stop reading if the browser gave up on the download
+        res.on('close', () => stream.destroy());
+
+        await writer.start();
+
+        let rows = 0;
+        for await (const row of stream) {
+            await writer.row(row);
+            rows++;
+        }
+
+        await writer.finish();
+
+        console.log(`📤 Exported ${rows} ${name} row(s) as ${format.toUpperCase()} for ${req.admin.username}`);
+    } catch (error) {
+        console.error(`❌ ${name} export error:`, error);
+
+        // Headers already gone = the file is half written, all we can do is cut it off
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ error: `Failed to export ${name}` });
+        }
+    } finally {
+        if (connection) connection.release();
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    isExportRequest,
+    requireExportPermission,
+    sendExport
+};
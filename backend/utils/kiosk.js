@@ -0,0 +1,111 @@
+/* ============================================
+   KIOSK
+   Paired check-in devices and member kiosk PINs
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. An admin pairs a device (Settings -> Kiosk Devices): we create a
+//    kiosk_devices row bound to ONE location and show the token once
+// 2. The kiosk page keeps the token and sends it as X-Kiosk-Token
+//    (middleware/kioskAuth.js) - no admin account involved
+// 3. Members identify themselves with their member ID (typed or scanned
+//    from their card) or their kiosk PIN
+// 4. The same check-in rules as the front desk run - but nobody at a
+//    kiosk can override them, the member is sent to the desk instead
+
+const crypto = require('crypto');
+const { queryAsync } = require('./queryAsync');
+const { KIOSK_PIN_SECRET, KIOSK_TOKEN_PREFIX } = require('../config/kiosk');
+
+/* ============================================
+   DEVICE TOKENS
+   ============================================ */
+
+// Stored hashed, like admin refresh tokens
+function hashDeviceToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createDevice({ name, locationId, admin }) {
+    const token = KIOSK_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+
+    const result = await queryAsync(`
+        INSERT INTO kiosk_devices (name, location_id, token_hash, token_prefix, created_by_admin_id, created_by_username)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [name, locationId, hashDeviceToken(token), token.slice(0, 12), admin.id, admin.username]);
+
+    const devices = await listDevices(result.insertId);
+
+    return { device: devices[0], token };
+}
+
+// All devices (newest first), or just one
+async function listDevices(deviceId = null) {
+    return queryAsync(`
+        SELECT d.id, d.name, d.location_id, l.name AS location_name, d.token_prefix, d.status,
+            d.last_seen_at, d.created_by_username, d.created_at, d.revoked_at
+        FROM kiosk_devices d
+        JOIN locations l ON d.location_id = l.id
+        ${deviceId ? 'WHERE d.id = ?' : ''}
+        ORDER BY d.created_at DESC, d.id DESC
+    `, deviceId ? [deviceId] : []);
+}
+
+// Active device for a token, or null
+async function findDeviceByToken(token) {
+    if (!token || !token.startsWith(KIOSK_TOKEN_PREFIX)) return null;
+
+    const devices = await queryAsync(`
+        SELECT d.id, d.name, d.location_id, l.name AS location_name
+        FROM kiosk_devices d
+        JOIN locations l ON d.location_id = l.id
+        WHERE d.token_hash = ? AND d.status = 'active'
+    `, [hashDeviceToken(token)]);
+
+    return devices[0] || null;
+}
+
+/* ============================================
+   MEMBER PINS
+   ============================================ */
+
+function hashPin(pin) {
+    return crypto.createHmac('sha256', KIOSK_PIN_SECRET).update(String(pin)).digest('hex');
+}
+
+// -> false if another member already uses this PIN
+async function setMemberPin(memberId, pin) {
+    try {
+        await queryAsync('UPDATE members SET kiosk_pin_hash = ? WHERE id = ?', [hashPin(pin), memberId]);
+        return true;
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return false;
+        throw error;
+    }
+}
+
+async function clearMemberPin(memberId) {
+    await queryAsync('UPDATE members SET kiosk_pin_hash = NULL WHERE id = ?', [memberId]);
+}
+
+/* ============================================
+   MEMBER LOOKUP
+   ============================================ */
+
+// { code } = member ID typed or scanned, { pin } = kiosk PIN
+async function findKioskMember({ code, pin }) {
+    const members = code
+        ? await queryAsync('SELECT id, member_id, name, status FROM members WHERE member_id = ?', [code.trim().toUpperCase()])
+        : await queryAsync('SELECT id, member_id, name, status FROM members WHERE kiosk_pin_hash = ?', [hashPin(pin)]);
+
+    return members[0] || null;
+}
+
+module.exports = {
+    createDevice,
+    listDevices,
+    findDeviceByToken,
+    setMemberPin,
+    clearMemberPin,
+    findKioskMember
+};
@@ -0,0 +1,203 @@
+/* ============================================
+   LIVE EVENTS
+   Server-Sent Events pushed to open admin pages
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. A signed-in page opens GET /api/events?token=... (EventSource, see
+//    subscribeLiveEvents() in js/shared.js and routes/events.js for the
+//    token) - the response just never ends
+// 2. Routes call the publish*() helpers below AFTER their change is saved
+// 3. Every open page gets "event: <type>\ndata: <json>" and updates itself
+//
+// WHY SSE and not WebSockets?
+// - One direction only (server -> page) is all we need
+// - Plain HTTP: no extra package, works through Railway's proxy,
+//   the browser reconnects on its own
+//
+// EVENTS:
+//   check_in     member checked in  (+ live occupancy of that location)
+//   check_out    member checked out (+ live occupancy)
+//   payment      payment recorded, refunded or charged by billing
+//   low_stock    stock at/below the product's reorder point after a change
+//   reorder      reorder request created / approved / rejected / received
+//   transfer     stock transfer created / shipped / received / cancelled
+//
+// Publishing never throws - a failed lookup is logged, the
+// route's response has already gone out.
+
+const { queryAsync } = require('./queryAsync');
+
+// Open responses, one per subscribed page
+const clients = new Set();
+
+let nextEventId = 1;
+
+// Proxies drop connections that stay silent for too long
+const HEARTBEAT_MS = 25 * 1000;
+
+/* ============================================
+   SUBSCRIBE
+   ============================================ */
+
+function subscribe(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    // Reconnect after 5s if the connection drops
+    res.write('retry: 5000\n\n');
+
+    clients.add(res);
+    console.log(`📡 Live events: page connected (${clients.size} open)`);
+
+    req.on('close', () => {
+        clients.delete(res);
+        console.log(`📡 Live events: page disconnected (${clients.size} open)`);
+    });
+}
+
+function broadcast(type, data) {
+    if (clients.size === 0) return;
+
+    const message = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`;
+
+    clients.forEach(res => res.write(message));
+}
+
+setInterval(() => {
+    clients.forEach(res => res.write(': ping\n\n'));
+}, HEARTBEAT_MS).unref();
+
+/* ============================================
+   PUBLISHERS
+   Called by routes once a change is saved
+   ============================================ */
+
+// checkIn: the check_in object the check-in/out routes answer with
+function publishCheckIn(checkIn, type = 'check_in') {
+    broadcast(type, {
+        check_in: {
+            id: checkIn.id,
+            member_id: checkIn.member_id,
+            member_code: checkIn.member_code,
+            member_name: checkIn.member_name,
+            location_id: checkIn.location_id,
+            location_name: checkIn.location_name,
+            check_in_time: checkIn.check_in_time,
+            check_out_time: checkIn.check_out_time || null,
+            overridden: (checkIn.overridden_reasons || []).length > 0
+        },
+        occupancy: checkIn.occupancy || null
+    });
+}
+
+// action: recorded / refunded / charged (billing)
+async function publishPayment(paymentId, action = 'recorded') {
+    try {
+        const payments = await queryAsync(`
+            SELECT p.id, p.amount, p.status, p.payment_method, p.payment_date,
+                m.id AS member_id, m.member_id AS member_code, m.name AS member_name,
+                l.name AS location_name
+            FROM payments p
+            JOIN members m ON p.member_id = m.id
+            LEFT JOIN locations l ON m.location_id = l.id
+            WHERE p.id = ?
+        `, [paymentId]);
+
+        if (payments.length === 0) return;
+
+        broadcast('payment', {
+            action,
+            payment: { ...payments[0], amount: parseFloat(payments[0].amount) }
+        });
+    } catch (error) {
+        console.error('❌ Failed to publish payment event:', error);
+    }
+}
+
+// Only speaks up when the product's total (all locations) is at/below
+// its reorder point - the same "low" the inventory page uses
+async function publishStockLevel(productId, locationId) {
+    try {
+        const products = await queryAsync(`
+            SELECT
+                p.id AS product_id, p.name AS product_name, p.sku, p.reorder_point,
+                COALESCE(SUM(s.quantity), 0) AS total_quantity,
+                COALESCE(SUM(CASE WHEN s.location_id = ? THEN s.quantity END), 0) AS location_quantity,
+                (SELECT name FROM locations WHERE id = ?) AS location_name
+            FROM products p
+            LEFT JOIN inventory_stock s ON s.product_id = p.id
+            WHERE p.id = ? AND p.status = 'active'
+            GROUP BY p.id, p.name, p.sku, p.reorder_point
+        `, [locationId, locationId, productId]);
+
+        const product = products[0];
+        if (!product || Number(product.total_quantity) > product.reorder_point) return;
+
+        broadcast('low_stock', {
+            product: {
+                ...product,
+                location_id: Number(locationId),
+                total_quantity: Number(product.total_quantity),
+                location_quantity: Number(product.location_quantity),
+                out_of_stock: Number(product.total_quantity) === 0
+            }
+        });
+    } catch (error) {
+        console.error('❌ Failed to publish stock event:', error);
+    }
+}
+
+async function publishReorder(requestId) {
+    try {
+        const requests = await queryAsync(`
+            SELECT r.id, r.request_number, r.status, r.quantity_requested, r.quantity_received,
+                r.product_id, p.name AS product_name, r.location_id, l.name AS location_name
+            FROM reorder_requests r
+            JOIN products p ON r.product_id = p.id
+            JOIN locations l ON r.location_id = l.id
+            WHERE r.id = ?
+        `, [requestId]);
+
+        if (requests.length === 0) return;
+
+        broadcast('reorder', { request: requests[0] });
+    } catch (error) {
+        console.error('❌ Failed to publish reorder event:', error);
+    }
+}
+
+async function publishTransfer(transferId) {
+    try {
+        const transfers = await queryAsync(`
+            SELECT t.id, t.transfer_number, t.status, t.quantity, t.product_id, p.name AS product_name,
+                t.from_location_id, fl.name AS from_location_name,
+                t.to_location_id, tl.name AS to_location_name
+            FROM stock_transfers t
+            JOIN products p ON t.product_id = p.id
+            JOIN locations fl ON t.from_location_id = fl.id
+            JOIN locations tl ON t.to_location_id = tl.id
+            WHERE t.id = ?
+        `, [transferId]);
+
+        if (transfers.length === 0) return;
+
+        broadcast('transfer', { transfer: transfers[0] });
+    } catch (error) {
+        console.error('❌ Failed to publish transfer event:', error);
+    }
+}
+
+module.exports = {
+    subscribe,
+    broadcast,
+    publishCheckIn,
+    publishPayment,
+    publishStockLevel,
+    publishReorder,
+    publishTransfer
+};
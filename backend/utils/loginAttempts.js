@@ -0,0 +1,130 @@
+/* ============================================
+   LOGIN ATTEMPTS & ACCOUNT LOCKOUT
+   Per-account failed-attempt counter + sign-in history
+   ============================================ */
+
+// WHY not just authLimiter?
+// - authLimiter counts per IP address
+// - An attacker spread over many IPs never hits it
+// - Counting per ACCOUNT stops that, whatever the source
+//
+// HOW IT WORKS:
+// 1. Every wrong password (or 2FA code) bumps admins.failed_login_attempts
+// 2. From the 5th failure on, the account is locked - 5 min, then 10, 20...
+// 3. A successful sign-in (or a super admin) resets the counter
+// 4. Every attempt is written to login_attempts for review
+
+const { queryAsync } = require('./queryAsync');
+
+const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_MINUTES = 5;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Failures before a success that make it worth a second look
+const SUSPICIOUS_FAILURE_COUNT = 3;
+
+/* ============================================
+   LOCKOUT
+   ============================================ */
+
+// Minutes left on the lock, 0 if the account isn't locked
+function getLockoutMinutes(admin) {
+    if (!admin.locked_until) return 0;
+
+    const remaining = new Date(admin.locked_until).getTime() - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 60000) : 0;
+}
+
+// 5th failure -> 5 min, 6th -> 10 min, 7th -> 20 min... capped at 24 hours
+function getLockoutDuration(failedAttempts) {
+    if (failedAttempts < LOCKOUT_THRESHOLD) return 0;
+
+    const minutes = BASE_LOCKOUT_MINUTES * Math.pow(2, failedAttempts - LOCKOUT_THRESHOLD);
+    return Math.min(minutes, MAX_LOCKOUT_MINUTES);
+}
+
+// Returns the lock length in minutes (0 = not locked yet)
+async function registerFailedLogin(adminId) {
+    await queryAsync(
+        'UPDATE admins SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?',
+        [adminId]
+    );
+
+    const results = await queryAsync('SELECT failed_login_attempts FROM admins WHERE id = ?', [adminId]);
+    const minutes = getLockoutDuration(results[0]?.failed_login_attempts || 0);
+
+    if (minutes > 0) {
+        await queryAsync(
+            'UPDATE admins SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?',
+            [minutes, adminId]
+        );
+        console.warn(`🔒 Admin ${adminId} locked for ${minutes} minutes`);
+    }
+
+    return minutes;
+}
+
+// Successful sign-in, password reset or manual unlock
+async function clearFailedLogins(adminId) {
+    await queryAsync(
+        'UPDATE admins SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+        [adminId]
+    );
+}
+
+/* ============================================
+   SIGN-IN HISTORY
+   ============================================ */
+
+// Suspicious = a success right after several failures,
+// or from an IP this admin has never signed in from before
+async function isSuspiciousLogin(admin, ipAddress) {
+    if (admin.failed_login_attempts >= SUSPICIOUS_FAILURE_COUNT) return true;
+
+    const results = await queryAsync(`
+        SELECT
+            COUNT(*) AS previous_logins,
+            SUM(CASE WHEN ip_address = ? THEN 1 ELSE 0 END) AS from_this_ip
+        FROM login_attempts
+        WHERE admin_id = ? AND outcome = 'success'
+    `, [ipAddress, admin.id]);
+
+    // First sign-in ever has nothing to compare against
+    return results[0].previous_logins > 0 && !Number(results[0].from_this_ip);
+}
+
+// admin is null for unknown usernames - we still keep the attempt
+// Never throws: a failed insert must not block signing in
+async function recordLoginAttempt(req, { admin = null, username, outcome }) {
+    try {
+        const suspicious = outcome === 'success' && admin
+            ? await isSuspiciousLogin(admin, req.ip)
+            : false;
+
+        await queryAsync(`
+            INSERT INTO login_attempts (admin_id, username, ip_address, user_agent, outcome, suspicious)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            admin?.id || null,
+            String(username || admin?.username || '').slice(0, 50),
+            req.ip,
+            (req.headers['user-agent'] || '').slice(0, 255) || null,
+            outcome,
+            suspicious ? 1 : 0
+        ]);
+
+        if (suspicious) {
+            console.warn(`⚠️ Suspicious sign-in for ${admin.username} from ${req.ip}`);
+        }
+    } catch (error) {
+        console.error('❌ Failed to record login attempt:', error);
+    }
+}
+
+module.exports = {
+    LOCKOUT_THRESHOLD,
+    getLockoutMinutes,
+    registerFailedLogin,
+    clearFailedLogins,
+    recordLoginAttempt
+};
@@ -0,0 +1,281 @@
+/* ============================================
+   MEMBERSHIP CARDS
+   Signed QR payload + card rendering (PNG, SVG, PDF, wallet pass)
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. A card carries one QR code: GFC1:<member ID>:<valid through>:<signature>
+//    e.g. GFC1:M-0001:20271019:3F9A0C...   (valid through = YYYYMMDD)
+// 2. The signature is an HMAC of everything before it (MEMBER_CARD_SECRET) -
+//    change the member ID or the date and it no longer matches
+// 3. Check-in (front desk scan or kiosk) calls verifyCardPayload() first:
+//    forged or expired cards are refused before any check-in rule runs
+//
+// WHY all uppercase hex?
+// - USB card scanners "type" the QR into a text box - some of them
+//   fiddle with letter case. Uppercase hex survives that
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const { queryAsync } = require('./queryAsync');
+const {
+    MEMBER_CARD_SECRET, MEMBER_CARD_VALID_DAYS, MEMBER_CARD_ORGANIZATION, WALLET_PASS_TYPE_ID, WALLET_TEAM_ID
+} = require('../config/memberCards');
+
+const CARD_PAYLOAD_PREFIX = 'GFC1';
+
+// 80 bits of HMAC - plenty for something that also has to pass a member lookup
+const SIGNATURE_LENGTH = 20;
+
+const CARD_FORMATS = ['png', 'svg', 'pdf', 'pass'];
+
+// Why a card was refused - shown at the desk and on the kiosk
+const CARD_ERRORS = {
+    malformed: 'This is not a membership card we recognize',
+    signature: 'This membership card is not valid - it was not issued by us',
+    expired: 'This membership card has expired - a new one can be issued at the front desk'
+};
+
+// Card colours (same as the admin theme)
+const COLORS = {
+    background: '#151515',
+    band: '#e60030',
+    text: '#ffffff',
+    muted: '#aaaaaa'
+};
+
+/* ============================================
+   PAYLOAD
+   ============================================ */
+
+function toCompactDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+// 20271019 -> 2027-10-19
+function toIsoDate(compactDate) {
+    return `${compactDate.slice(0, 4)}-${compactDate.slice(4, 6)}-${compactDate.slice(6, 8)}`;
+}
+
+function signPayload(body) {
+    return crypto.createHmac('sha256', MEMBER_CARD_SECRET)
+        .update(body)
+        .digest('hex')
+        .slice(0, SIGNATURE_LENGTH)
+        .toUpperCase();
+}
+
+// Same member on the same day = the same card, however often it's downloaded
+function createCardPayload(memberCode, issuedAt = new Date()) {
+    const expires = new Date(issuedAt);
+    expires.setDate(expires.getDate() + MEMBER_CARD_VALID_DAYS);
+
+    const validThrough = toCompactDate(expires);
+    const body = `${CARD_PAYLOAD_PREFIX}:${memberCode}:${validThrough}`;
+
+    return {
+        payload: `${body}:${signPayload(body)}`,
+        member_code: memberCode,
+        valid_through: toIsoDate(validThrough)
+    };
+}
+
+// Anything that starts like a card is treated as one - a forged card
+// must never fall back to "just a member ID"
+function isCardPayload(text) {
+    return typeof text === 'string' && text.trim().toUpperCase().startsWith(`${CARD_PAYLOAD_PREFIX}:`);
+}
+
+// -> { valid: true, member_code, valid_through }
+//    { valid: false, reason: 'malformed' | 'signature' | 'expired', message }
+function verifyCardPayload(text, today = new Date()) {
+    const refuse = (reason) => ({ valid: false, reason, message: CARD_ERRORS[reason] });
+
+    const parts = String(text || '').trim().toUpperCase().split(':');
+    if (parts.length !== 4 || parts[0] !== CARD_PAYLOAD_PREFIX) return refuse('malformed');
+
+    const [, memberCode, validThrough, signature] = parts;
+    if (!/^[A-Z0-9-]{1,30}$/.test(memberCode) || !/^\d{8}$/.test(validThrough) || !/^[0-9A-F]+$/.test(signature) ||
+        signature.length !== SIGNATURE_LENGTH) {
+        return refuse('malformed');
+    }
+
+    // Constant-time compare - no timing hints about the right signature
+    const expected = Buffer.from(signPayload(`${CARD_PAYLOAD_PREFIX}:${memberCode}:${validThrough}`));
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature))) return refuse('signature');
+
+    // Valid THROUGH the date - expires at the end of that day
+    if (toCompactDate(today) > validThrough) return refuse('expired');
+
+    return {
+        valid: true,
+        member_code: memberCode,
+        valid_through: toIsoDate(validThrough)
+    };
+}
+
+/* ============================================
+   MEMBER
+   ============================================ */
+
+async function loadCardMember(memberId) {
+    const members = await queryAsync(`
+        SELECT m.id, m.member_id, m.name, m.plan, m.status,
+            DATE_FORMAT(m.created_at, '%Y-%m-%d') AS member_since,
+            l.name AS location_name
+        FROM members m
+        JOIN locations l ON m.location_id = l.id
+        WHERE m.id = ?
+    `, [memberId]);
+
+    return members[0] || null;
+}
+
+/* ============================================
+   RENDERING
+   Each returns { contentType, fileName, body }
+   ============================================ */
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Credit card proportions (85.6 x 54 mm) at 10px per mm
+async function renderSvg(member, card) {
+    const qr = await QRCode.toString(card.payload, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+
+    // Nest the QR's own <svg> at its spot on the card
+    const placedQr = qr.replace('<svg ', '<svg x="566" y="190" width="260" height="260" ');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="856" height="540" viewBox="0 0 856 540" font-family="Helvetica, Arial, sans-serif">
+    <rect width="856" height="540" rx="32" fill="${COLORS.background}"/>
+    <path d="M0 32a32 32 0 0 1 32-32h792a32 32 0 0 1 32 32v88H0z" fill="${COLORS.band}"/>
+    <text x="40" y="76" font-size="40" font-weight="bold" fill="${COLORS.text}">${escapeXml(MEMBER_CARD_ORGANIZATION)}</text>
+    <text x="816" y="74" font-size="22" fill="${COLORS.text}" text-anchor="end">MEMBERSHIP CARD</text>
+    <text x="40" y="200" font-size="44" font-weight="bold" fill="${COLORS.text}">${escapeXml(member.name)}</text>
+    <text x="40" y="246" font-size="26" fill="${COLORS.muted}">${escapeXml(member.member_id)}</text>
+    <text x="40" y="330" font-size="18" fill="${COLORS.muted}">PLAN</text>
+    <text x="40" y="360" font-size="26" fill="${COLORS.text}">${escapeXml(member.plan)}</text>
+    <text x="300" y="330" font-size="18" fill="${COLORS.muted}">HOME GYM</text>
+    <text x="300" y="360" font-size="26" fill="${COLORS.text}">${escapeXml(member.location_name)}</text>
+    <text x="40" y="450" font-size="18" fill="${COLORS.muted}">VALID THROUGH</text>
+    <text x="40" y="480" font-size="26" fill="${COLORS.text}">${card.valid_through}</text>
+    <rect x="556" y="180" width="280" height="280" rx="16" fill="#ffffff"/>
+    ${placedQr}
+</svg>`;
+}
+
+// WHY only the QR as PNG?
+// - There's no image library here to draw text into pixels -
+//   the PNG is what members save to their phone and hold up to the scanner
+// - The printable card (name, plan...) is the SVG or PDF
+async function renderPng(member, card) {
+    return QRCode.toBuffer(card.payload, { type: 'png', width: 600, margin: 2, errorCorrectionLevel: 'M' });
+}
+
+// One CR80 card-sized page - prints 1:1 on card stock
+async function renderPdf(member, card) {
+    const qr = await renderPng(member, card);
+
+    const doc = new PDFDocument({ size: [242.65, 153.07], margin: 0 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    doc.rect(0, 0, 242.65, 153.07).fill(COLORS.background);
+    doc.rect(0, 0, 242.65, 34).fill(COLORS.band);
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(12).text(MEMBER_CARD_ORGANIZATION, 12, 11, { lineBreak: false });
+    doc.font('Helvetica').fontSize(6.5).text('MEMBERSHIP CARD', 140, 14, { width: 91, align: 'right' });
+
+    doc.font('Helvetica-Bold').fontSize(12).text(member.name, 12, 46, { width: 140, ellipsis: true, lineBreak: false });
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8).text(member.member_id, 12, 62);
+
+    doc.fontSize(5.5).text('PLAN', 12, 86).text('HOME GYM', 80, 86).text('VALID THROUGH', 12, 116);
+    doc.fillColor(COLORS.text).fontSize(8)
+        .text(member.plan, 12, 94, { width: 64, ellipsis: true, lineBreak: false })
+        .text(member.location_name, 80, 94, { width: 72, ellipsis: true, lineBreak: false })
+        .text(card.valid_through, 12, 124);
+
+    doc.roundedRect(158, 50, 76, 76, 4).fill('#ffffff');
+    doc.image(qr, 160, 52, { width: 72 });
+
+    doc.end();
+    return done;
+}
+
+// Apple Wallet pass.json layout
+// Unsigned - see config/memberCards.js
+function buildWalletPass(member, card) {
+    return {
+        formatVersion: 1,
+        passTypeIdentifier: WALLET_PASS_TYPE_ID,
+        ...(WALLET_TEAM_ID ? { teamIdentifier: WALLET_TEAM_ID } : {}),
+        serialNumber: `${member.member_id}-${card.valid_through}`,
+        organizationName: MEMBER_CARD_ORGANIZATION,
+        description: `${MEMBER_CARD_ORGANIZATION} membership card`,
+        logoText: MEMBER_CARD_ORGANIZATION,
+        foregroundColor: 'rgb(255, 255, 255)',
+        backgroundColor: 'rgb(21, 21, 21)',
+        labelColor: 'rgb(230, 0, 48)',
+        expirationDate: `${card.valid_through}T23:59:59Z`,
+        barcodes: [{
+            format: 'PKBarcodeFormatQR',
+            message: card.payload,
+            messageEncoding: 'iso-8859-1',
+            altText: member.member_id
+        }],
+        generic: {
+            primaryFields: [
+                { key: 'member', label: 'MEMBER', value: member.name }
+            ],
+            secondaryFields: [
+                { key: 'member_id', label: 'MEMBER ID', value: member.member_id },
+                { key: 'plan', label: 'PLAN', value: member.plan }
+            ],
+            auxiliaryFields: [
+                { key: 'home_gym', label: 'HOME GYM', value: member.location_name },
+                { key: 'valid_through', label: 'VALID THROUGH', value: card.valid_through }
+            ],
+            backFields: [
+                { key: 'member_since', label: 'Member since', value: member.member_since },
+                { key: 'help', label: 'Lost card?', value: 'Ask the front desk for a new one' }
+            ]
+        }
+    };
+}
+
+async function renderCard(member, format) {
+    const card = createCardPayload(member.member_id);
+    const fileName = `membership-card-${member.member_id}`;
+
+    switch (format) {
+        case 'png':
+            return { contentType: 'image/png', fileName: `${fileName}.png`, body: await renderPng(member, card) };
+        case 'pdf':
+            return { contentType: 'application/pdf', fileName: `${fileName}.pdf`, body: await renderPdf(member, card) };
+        case 'pass':
+            return { contentType: 'application/json', fileName: `${fileName}-pass.json`, body: JSON.stringify(buildWalletPass(member, card), null, 2) };
+        default:
+            return { contentType: 'image/svg+xml', fileName: `${fileName}.svg`, body: await renderSvg(member, card) };
+    }
+}
+
+module.exports = {
+    CARD_FORMATS,
+    createCardPayload,
+    isCardPayload,
+    verifyCardPayload,
+    loadCardMember,
+    renderCard
+};
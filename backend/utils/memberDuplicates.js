@@ -0,0 +1,400 @@
+/* ============================================
+   DUPLICATE MEMBERS
+   Find the same person signed up twice, merge them
+   ============================================ */
+
+// WHY this exists:
+// Members are unique by email only - someone who joins again with a work
+// email ends up as two members, with payments and check-ins split between them.
+//
+// HOW DUPLICATES ARE FOUND:
+// 1. Group members that share a blocking key: phone number, emergency
+//    contact, or a sound-alike surname + first initial
+//    (comparing every member with every other member doesn't scale)
+// 2. Score each pair inside a group:
+//      name             up to 45  (fuzzy - "Jon Smith" vs "John Smith")
+//      phone            40        (same digits, formatting ignored)
+//      emergency contact 15       (same phone digits or same name)
+// 3. Pairs at or above the minimum score are candidates. Pairs staff
+//    dismissed as "not the same person" never come back.
+//
+// Name alone is never enough (two John Smiths), neither is a phone
+// alone (families share one) - the default minimum needs both or name +
+// emergency contact.
+
+const { queryAsync, withTransaction } = require('./queryAsync');
+const { recordStatusEvent } = require('./memberStatus');
+
+const DEFAULT_MIN_SCORE = 55;
+
+const SCORE_WEIGHTS = {
+    name: 45,
+    phone: 40,
+    emergency_contact: 15
+};
+
+// Below this the names are different people, whatever else matches
+const MIN_NAME_SIMILARITY = 0.75;
+
+// A key shared by this many members is noise (front desk phone, "Mom")
+const MAX_BLOCK_SIZE = 200;
+
+/* ============================================
+   NORMALIZING
+   ============================================ */
+
+// "José  O'Brien-Smith" -> "jose obriensmith"
+function normalizeName(name) {
+    return (name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Last 10 digits - "+1 (555) 123-4567" and "555.123.4567" are the same phone
+function phoneDigits(value) {
+    const digits = (value || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+// Emergency contacts are free text: "Jane Doe 555-123-4567", "Mom", ...
+// -> { phone, name } so either part can match
+function parseEmergencyContact(value) {
+    return {
+        phone: phoneDigits(value),
+        name: normalizeName((value || '').replace(/[\d()+.-]/g, ' '))
+    };
+}
+
+// Classic Soundex: "Smith" and "Smyth" -> S530
+function soundex(word) {
+    const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+    if (!word) return '';
+
+    let result = word[0].toUpperCase();
+    let previous = codes[word[0]] || 0;
+
+    for (const letter of word.slice(1)) {
+        const code = codes[letter] || 0;
+        if (code && code !== previous) result += code;
+        // h and w don't separate letters with the same code
+        if (letter !== 'h' && letter !== 'w') previous = code;
+        if (result.length === 4) break;
+    }
+
+    return result.padEnd(4, '0');
+}
+
+/* ============================================
+   SIMILARITY
+   ============================================ */
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+function ratio(a, b) {
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// 0..1 - best of the names as typed and with the words sorted,
+// so "Smith John" still matches "John Smith"
+function nameSimilarity(a, b) {
+    const sortWords = name => name.split(' ').sort().join(' ');
+    return Math.max(ratio(a, b), ratio(sortWords(a), sortWords(b)));
+}
+
+function emergencyContactsMatch(a, b) {
+    if (a.phone && b.phone) return a.phone === b.phone;
+    return a.name.length > 2 && nameSimilarity(a.name, b.name) >= 0.9;
+}
+
+/* ============================================
+   SCORING
+   ============================================ */
+
+// -> { score: 0..100, reasons: ['Same phone', ...] }
+function scorePair(a, b) {
+    let score = 0;
+    const reasons = [];
+
+    const similarity = nameSimilarity(a.keys.name, b.keys.name);
+    if (similarity >= MIN_NAME_SIMILARITY) {
+        score += Math.round(SCORE_WEIGHTS.name * similarity);
+        reasons.push(similarity === 1 ? 'Same name' : `Similar name (${Math.round(similarity * 100)}%)`);
+    }
+
+    if (a.keys.phone && a.keys.phone === b.keys.phone) {
+        score += SCORE_WEIGHTS.phone;
+        reasons.push('Same phone');
+    }
+
+    if (emergencyContactsMatch(a.keys.emergency, b.keys.emergency)) {
+        score += SCORE_WEIGHTS.emergency_contact;
+        reasons.push('Same emergency contact');
+    }
+
+    return { score, reasons };
+}
+
+function getBlockingKeys(keys) {
+    const blocks = [];
+    const words = keys.name.split(' ').filter(Boolean);
+
+    if (keys.phone) blocks.push(`phone:${keys.phone}`);
+    if (keys.emergency.phone) blocks.push(`emergency:${keys.emergency.phone}`);
+
+    if (words.length > 0) {
+        const first = words[0];
+        const last = words[words.length - 1];
+        blocks.push(`name:${soundex(last)}${first[0]}`);
+        // Surname first ("Smith John") lands in the same group too
+        if (words.length > 1) blocks.push(`name:${soundex(first)}${last[0]}`);
+    }
+
+    return blocks;
+}
+
+/* ============================================
+   FIND DUPLICATES
+   ============================================ */
+
+// Lower id first - the same pair always has the same key
+function pairKey(idA, idB) {
+    return idA < idB ? `${idA}:${idB}` : `${idB}:${idA}`;
+}
+
+async function findDuplicates({ minScore = DEFAULT_MIN_SCORE, limit = 50 } = {}) {
+    const [members, dismissals] = await Promise.all([
+        queryAsync(`
+            SELECT
+                m.id, m.member_id, m.name, m.email, m.phone, m.emergency_contact,
+                m.plan, m.status, m.created_at, l.name AS location_name,
+                (SELECT COUNT(*) FROM payments p WHERE p.member_id = m.id) AS payment_count,
+                (SELECT COUNT(*) FROM check_ins c WHERE c.member_id = m.id) AS check_in_count
+            FROM members m
+            LEFT JOIN locations l ON m.location_id = l.id
+        `),
+        queryAsync('SELECT member_a_id, member_b_id FROM member_duplicate_dismissals')
+    ]);
+
+    const dismissed = new Set(dismissals.map(row => pairKey(row.member_a_id, row.member_b_id)));
+
+    const blocks = new Map();
+    for (const member of members) {
+        member.keys = {
+            name: normalizeName(member.name),
+            phone: phoneDigits(member.phone),
+            emergency: parseEmergencyContact(member.emergency_contact)
+        };
+
+        for (const block of getBlockingKeys(member.keys)) {
+            if (!blocks.has(block)) blocks.set(block, []);
+            blocks.get(block).push(member);
+        }
+    }
+
+    const pairs = new Map();
+    for (const group of blocks.values()) {
+        if (group.length < 2 || group.length > MAX_BLOCK_SIZE) continue;
+
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const key = pairKey(group[i].id, group[j].id);
+                if (pairs.has(key) || dismissed.has(key)) continue;
+
+                const { score, reasons } = scorePair(group[i], group[j]);
+                pairs.set(key, score >= minScore ? { score, reasons, members: [group[i], group[j]] } : null);
+            }
+        }
+    }
+
+    const candidates = [...pairs.values()]
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+
+    return {
+        total: candidates.length,
+        pairs: candidates.slice(0, limit).map(pair => ({
+            score: pair.score,
+            reasons: pair.reasons,
+            // Older record first - usually the one to keep
+            members: pair.members
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+                .map(({ keys, ...member }) => member)
+        }))
+    };
+}
+
+/* ============================================
+   DISMISS
+   "Not the same person" - hide the pair for good
+   ============================================ */
+
+async function dismissDuplicate(memberIds, admin) {
+    const [memberA, memberB] = [...memberIds].sort((a, b) => a - b);
+
+    await queryAsync(`
+        INSERT IGNORE INTO member_duplicate_dismissals (member_a_id, member_b_id, admin_id, admin_username)
+        VALUES (?, ?, ?, ?)
+    `, [memberA, memberB, admin?.id || null, admin?.username || null]);
+
+    const rows = await queryAsync(
+        'SELECT id FROM member_duplicate_dismissals WHERE member_a_id = ? AND member_b_id = ?',
+        [memberA, memberB]
+    );
+
+    return rows[0].id;
+}
+
+/* ============================================
+   MERGE
+   Everything of the duplicate moves to the kept member,
+   then the duplicate is deleted - all in ONE transaction
+   ============================================ */
+
+// WHAT MOVES:
+// - payments, check-ins, status history (not the duplicate's 'join' -
+//   the merge event records when it joined)
+// - billing charges, except periods the kept member was billed for
+//   too (UNIQUE member_id + period_start). The payment of such a charge
+//   still moves - only the "which period" link is dropped
+// - the card on file, if the kept member has none (one card per member)
+// - phone / emergency contact, only where the kept member's are empty
+//
+// Returns null if either member was deleted (merged) meanwhile.
+
+async function mergeMembers({ keepId, mergeId, score = null, admin = null }) {
+    return withTransaction(async (connection) => {
+        const members = await queryAsync(
+            'SELECT * FROM members WHERE id IN (?, ?) FOR UPDATE',
+            [keepId, mergeId],
+            connection
+        );
+
+        const kept = members.find(member => member.id === keepId);
+        const merged = members.find(member => member.id === mergeId);
+        if (!kept || !merged) return null;
+
+        const payments = await queryAsync(
+            'UPDATE payments SET member_id = ? WHERE member_id = ?',
+            [keepId, mergeId],
+            connection
+        );
+
+        const checkIns = await queryAsync(
+            'UPDATE check_ins SET member_id = ? WHERE member_id = ?',
+            [keepId, mergeId],
+            connection
+        );
+
+        // The derived table stops MySQL complaining about reading the table being updated
+        const charges = await queryAsync(`
+            UPDATE billing_charges
+            SET member_id = ?
+            WHERE member_id = ?
+                AND period_start NOT IN (
+                    SELECT period_start FROM (
+                        SELECT period_start FROM billing_charges WHERE member_id = ?
+                    ) AS kept_periods
+                )
+        `, [keepId, mergeId, keepId], connection);
+
+        const keptCards = await queryAsync(
+            'SELECT id FROM payment_methods WHERE member_id = ?',
+            [keepId],
+            connection
+        );
+
+        let cardMoved = false;
+        if (keptCards.length === 0) {
+            const cards = await queryAsync(
+                'UPDATE payment_methods SET member_id = ? WHERE member_id = ?',
+                [keepId, mergeId],
+                connection
+            );
+            cardMoved = cards.affectedRows > 0;
+        }
+
+        await queryAsync(
+            "UPDATE member_status_events SET member_id = ? WHERE member_id = ? AND event_type <> 'join'",
+            [keepId, mergeId],
+            connection
+        );
+
+        await queryAsync(`
+            UPDATE members
+            SET
+                phone = COALESCE(NULLIF(phone, ''), ?),
+                emergency_contact = COALESCE(NULLIF(emergency_contact, ''), ?)
+            WHERE id = ?
+        `, [merged.phone, merged.emergency_contact, keepId], connection);
+
+        const moved = {
+            payments_moved: payments.affectedRows,
+            check_ins_moved: checkIns.affectedRows,
+            billing_charges_moved: charges.affectedRows,
+            payment_method_moved: cardMoved
+        };
+
+        const mergeRecord = await queryAsync(`
+            INSERT INTO member_merges
+                (kept_member_id, merged_member_id, merged_member_code, merged_snapshot, score,
+                 payments_moved, check_ins_moved, billing_charges_moved, payment_method_moved,
+                 admin_id, admin_username)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            keepId, mergeId, merged.member_id, JSON.stringify(merged), score,
+            moved.payments_moved, moved.check_ins_moved, moved.billing_charges_moved, moved.payment_method_moved,
+            admin?.id || null, admin?.username || null
+        ], connection);
+
+        const joined = new Date(merged.created_at).toLocaleDateString('en-CA');
+
+        await recordStatusEvent({
+            memberId: keepId,
+            eventType: 'merge',
+            fromStatus: kept.status,
+            toStatus: kept.status,
+            admin,
+            note: `Merged ${merged.member_id} (${merged.name}, ${merged.email}, joined ${joined}): ` +
+                `${moved.payments_moved} payment(s), ${moved.check_ins_moved} check-in(s) moved`
+        }, connection);
+
+        // Cascades take whatever didn't move (duplicate's card, overlapping charges, dismissals)
+        await queryAsync('DELETE FROM members WHERE id = ?', [mergeId], connection);
+
+        return {
+            id: mergeRecord.insertId,
+            kept_member_id: keepId,
+            merged_member_id: mergeId,
+            merged_member_code: merged.member_id,
+            ...moved
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_MIN_SCORE,
+    findDuplicates,
+    dismissDuplicate,
+    mergeMembers
+};
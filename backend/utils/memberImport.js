@@ -0,0 +1,386 @@
+/* ============================================
+   MEMBER IMPORT
+   Bulk add members from a CSV or XLSX file
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. Parse the file -> header row + data rows
+// 2. Map file columns onto member fields (auto-detected, or sent by the wizard)
+// 3. Check every row with the SAME rules as POST /api/members (validateAddMember)
+// 4. Flag duplicates - same email/phone as an existing member or an earlier row
+// 5. Dry run -> stop here and report. Otherwise insert every ready row
+//    in ONE transaction: any failure = nobody is imported
+//
+// Duplicates are skipped, not fatal. Rows with errors block the whole import -
+// fix the file (or the mapping) and try again.
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const { queryAsync, withTransaction } = require('./queryAsync');
+const { validateAddMember } = require('../middleware/validation');
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;    // 5 MB
+const IMPORT_FILE_TYPES = ['csv', 'xlsx'];
+
+// Rows validated at the same time (each one runs a couple of queries)
+const VALIDATION_BATCH_SIZE = 25;
+
+// Rows per INSERT statement
+const INSERT_CHUNK_SIZE = 500;
+
+// Member field -> header names we recognise without a mapping
+// Compared lowercase with spaces/punctuation stripped: "E-mail Address" -> "emailaddress"
+const IMPORT_FIELDS = {
+    name:              ['name', 'fullname', 'membername'],
+    email:             ['email', 'emailaddress', 'mail'],
+    phone:             ['phone', 'phonenumber', 'mobile', 'cell', 'telephone'],
+    emergency_contact: ['emergencycontact', 'emergencyphone', 'emergency'],
+    plan:              ['plan', 'membershipplan', 'membership'],
+    location:          ['location', 'locationid', 'locationname', 'club', 'branch', 'gym']
+};
+
+const REQUIRED_FIELDS = ['name', 'email', 'phone', 'plan'];
+
+/* ============================================
+   PARSE
+   ============================================ */
+
+function getFileType(fileName) {
+    const extension = path.extname(fileName || '').slice(1).toLowerCase();
+    return IMPORT_FILE_TYPES.includes(extension) ? extension : null;
+}
+
+// -> { headers: ['Name', 'Email', ...], rows: [{ line: 2, values: ['Jane', ...] }] }
+// line = row number in the file, so errors point at what staff see in Excel
+async function parseImportFile(buffer, fileType) {
+    let lines = [];
+
+    if (fileType === 'csv') {
+        lines = parse(buffer, {
+            bom: true,
+            trim: true,
+            skip_empty_lines: true,
+            relax_column_count: true
+        }).map((values, index) => ({ line: index + 1, values }));
+    } else {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+
+        const sheet = workbook.worksheets[0];
+
+        if (sheet) {
+            // .text = what the cell shows (hyperlinked emails, formulas, dates)
+            sheet.eachRow((row, rowNumber) => {
+                const values = [];
+                for (let column = 1; column <= row.cellCount; column++) {
+                    values.push(row.getCell(column).text.trim());
+                }
+                lines.push({ line: rowNumber, values });
+            });
+        }
+    }
+
+    lines = lines.filter(line => line.values.some(value => value !== ''));
+
+    if (lines.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const [headerLine, ...rows] = lines;
+    return { headers: headerLine.values.map(String), rows };
+}
+
+/* ============================================
+   COLUMN MAPPING
+   ============================================ */
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Fill in any field the wizard didn't send from the header names
+// mapping: { email: 'E-mail', ... } -> { email: 2, ... } (column index)
+function resolveMapping(headers, mapping = {}) {
+    const normalized = headers.map(normalizeHeader);
+    const resolved = {};
+    const unknownColumns = [];
+
+    for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+        // null = the admin said "not in file" - don't guess
+        if (Object.hasOwn(mapping, field)) {
+            if (!mapping[field]) continue;
+
+            const index = headers.indexOf(mapping[field]);
+            if (index === -1) {
+                unknownColumns.push(mapping[field]);
+            } else {
+                resolved[field] = index;
+            }
+            continue;
+        }
+
+        const index = normalized.findIndex(header => aliases.includes(header));
+        if (index !== -1) resolved[field] = index;
+    }
+
+    return { resolved, unknownColumns };
+}
+
+// Back to header names for the response (what the wizard shows)
+function describeMapping(headers, resolved) {
+    return Object.fromEntries(
+        Object.keys(IMPORT_FIELDS).map(field => [field, resolved[field] !== undefined ? headers[resolved[field]] : null])
+    );
+}
+
+/* ============================================
+   ROW PREPARATION
+   ============================================ */
+
+// 5551234567 / 555.123.4567 / +1 555 123 4567 -> (555) 123-4567
+// Anything else is left alone for the validator to reject
+function formatPhone(value) {
+    const digits = value.replace(/\D/g, '');
+    const local = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+
+    if (local.length !== 10) return value;
+    return `(${local.slice(0, 3)}) ${local.slice(3, 6)}-${local.slice(6)}`;
+}
+
+// Location column may hold an id or a name
+function resolveLocation(value, locations, defaultLocationId) {
+    if (!value) return defaultLocationId || null;
+
+    if (/^\d+$/.test(value)) {
+        return locations.some(location => location.id === Number(value)) ? Number(value) : undefined;
+    }
+
+    const match = locations.find(location => location.name.toLowerCase() === value.toLowerCase());
+    return match ? match.id : undefined;
+}
+
+// Same body POST /api/members expects
+function buildMemberBody(row, resolved, locations, defaultLocationId) {
+    const cell = field => (resolved[field] !== undefined ? (row.values[resolved[field]] || '').trim() : '');
+    const locationValue = cell('location');
+
+    return {
+        body: {
+            name: cell('name'),
+            email: cell('email'),
+            phone: formatPhone(cell('phone')),
+            emergency_contact: cell('emergency_contact') ? formatPhone(cell('emergency_contact')) : null,
+            plan: cell('plan'),
+            location_id: resolveLocation(locationValue, locations, defaultLocationId) ?? ''
+        },
+        locationValue
+    };
+}
+
+// Run validateAddMember against one row - same rules, same messages
+async function validateRow(body) {
+    const req = { body };
+
+    for (const chain of validateAddMember) {
+        await chain.run(req);
+    }
+
+    return {
+        data: req.body,     // trimmed + normalized (e.g. email) by the validator
+        errors: validationResult(req).array().map(error => ({ field: error.path, message: error.msg }))
+    };
+}
+
+/* ============================================
+   DUPLICATES
+   ============================================ */
+
+function phoneKey(phone) {
+    return phone ? phone.replace(/\D/g, '') : '';
+}
+
+async function loadExistingMembers() {
+    const members = await queryAsync('SELECT id, member_id, name, email, phone FROM members');
+
+    const byEmail = new Map();
+    const byPhone = new Map();
+
+    for (const member of members) {
+        byEmail.set(member.email.toLowerCase(), member);
+        if (phoneKey(member.phone)) byPhone.set(phoneKey(member.phone), member);
+    }
+
+    return { byEmail, byPhone };
+}
+
+/* ============================================
+   ANALYZE
+   Everything a dry run reports
+   ============================================ */
+
+async function analyzeImport({ headers, rows }, { mapping, defaultLocationId }) {
+    const { resolved, unknownColumns } = resolveMapping(headers, mapping);
+
+    const missingFields = REQUIRED_FIELDS.filter(field => resolved[field] === undefined);
+    if (resolved.location === undefined && !defaultLocationId) missingFields.push('location');
+
+    const result = {
+        columns: headers,
+        mapping: describeMapping(headers, resolved),
+        unknown_columns: unknownColumns,
+        missing_fields: missingFields,
+        rows: []
+    };
+
+    // Can't check rows without knowing where the required fields are
+    if (unknownColumns.length > 0 || missingFields.length > 0) {
+        return result;
+    }
+
+    const locations = await queryAsync('SELECT id, name FROM locations');
+    const existing = await loadExistingMembers();
+
+    const analyzed = [];
+
+    for (let start = 0; start < rows.length; start += VALIDATION_BATCH_SIZE) {
+        const batch = rows.slice(start, start + VALIDATION_BATCH_SIZE);
+
+        analyzed.push(...await Promise.all(batch.map(async (row) => {
+            const { body, locationValue } = buildMemberBody(row, resolved, locations, defaultLocationId);
+            const { data, errors: ruleErrors } = await validateRow(body);
+            let errors = ruleErrors;
+
+            // A location we couldn't match - clearer than "Location is required"
+            if (locationValue && body.location_id === '') {
+                errors = errors.filter(error => error.field !== 'location_id');
+                errors.push({ field: 'location_id', message: `Location "${locationValue}" not found` });
+            }
+
+            return { line: row.line, data, errors };
+        })));
+    }
+
+    // Earlier rows in the file count as "existing" for later ones
+    const seenEmails = new Map();
+    const seenPhones = new Map();
+
+    for (const row of analyzed) {
+        const email = (row.data.email || '').toLowerCase();
+        const phone = phoneKey(row.data.phone);
+
+        const existingMember = existing.byEmail.get(email) || existing.byPhone.get(phone);
+        const earlierLine = seenEmails.get(email) || seenPhones.get(phone);
+
+        let duplicateOf = null;
+
+        if (existingMember) {
+            duplicateOf = {
+                id: existingMember.id,
+                member_id: existingMember.member_id,
+                name: existingMember.name,
+                matched_on: existing.byEmail.has(email) ? 'email' : 'phone'
+            };
+        } else if (earlierLine) {
+            duplicateOf = { line: earlierLine, matched_on: seenEmails.has(email) ? 'email' : 'phone' };
+        }
+
+        // "Email already exists" IS the duplicate - don't report it twice
+        const errors = duplicateOf
+            ? row.errors.filter(error => error.message !== 'Email already exists')
+            : row.errors;
+
+        if (email && !seenEmails.has(email)) seenEmails.set(email, row.line);
+        if (phone && !seenPhones.has(phone)) seenPhones.set(phone, row.line);
+
+        result.rows.push({
+            line: row.line,
+            status: errors.length > 0 ? 'error' : duplicateOf ? 'duplicate' : 'ready',
+            data: {
+                name: row.data.name,
+                email: row.data.email,
+                phone: row.data.phone,
+                emergency_contact: row.data.emergency_contact || null,
+                plan: row.data.plan,
+                location_id: row.data.location_id === '' ? null : Number(row.data.location_id)
+            },
+            errors,
+            duplicate_of: duplicateOf
+        });
+    }
+
+    return result;
+}
+
+function summarize(analysis) {
+    const count = status => analysis.rows.filter(row => row.status === status).length;
+
+    return {
+        total: analysis.rows.length,
+        ready: count('ready'),
+        duplicates: count('duplicate'),
+        errors: count('error')
+    };
+}
+
+/* ============================================
+   COMMIT
+   All ready rows in ONE transaction
+   ============================================ */
+
+async function commitImport(readyRows, { fileName, fileType, totalRows, duplicates, admin }) {
+    return withTransaction(async (connection) => {
+        const importResult = await queryAsync(`
+            INSERT INTO member_imports
+                (file_name, file_type, total_rows, imported, duplicates_skipped, admin_id, admin_username)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [fileName, fileType, totalRows, readyRows.length, duplicates, admin?.id || null, admin?.username || null], connection);
+
+        const importId = importResult.insertId;
+        const joinedAt = new Date();
+
+        for (let start = 0; start < readyRows.length; start += INSERT_CHUNK_SIZE) {
+            const chunk = readyRows.slice(start, start + INSERT_CHUNK_SIZE);
+
+            // A multi-row INSERT gets consecutive ids starting at insertId
+            const result = await queryAsync(
+                'INSERT INTO members (name, email, phone, emergency_contact, location_id, plan, status, created_at) VALUES ?',
+                [chunk.map(({ data }) => [
+                    data.name, data.email, data.phone, data.emergency_contact, data.location_id, data.plan, 'active', joinedAt
+                ])],
+                connection
+            );
+
+            const firstId = result.insertId;
+            const lastId = firstId + result.affectedRows - 1;
+
+            await queryAsync(
+                "UPDATE members SET member_id = CONCAT('M-', LPAD(id, 4, '0')) WHERE id BETWEEN ? AND ?",
+                [firstId, lastId],
+                connection
+            );
+
+            await queryAsync(`
+                INSERT INTO member_status_events (member_id, event_type, to_status, source, admin_id, admin_username, note)
+                SELECT id, 'join', 'active', 'manual', ?, ?, ?
+                FROM members
+                WHERE id BETWEEN ? AND ?
+            `, [admin?.id || null, admin?.username || null, `Imported from ${fileName} (import #${importId})`, firstId, lastId], connection);
+        }
+
+        return importId;
+    });
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    MAX_IMPORT_FILE_SIZE,
+    IMPORT_FIELDS,
+    getFileType,
+    parseImportFile,
+    analyzeImport,
+    summarize,
+    commitImport
+};
@@ -0,0 +1,188 @@
+/* ============================================
+   MEMBER STATUS
+   Status history + the nightly freeze job
+   ============================================ */
+
+// HOW FREEZES WORK:
+// 1. POST /members/:id/freeze stores freeze_start_date/freeze_end_date
+//    - starts today        -> status 'frozen' right away
+//    - starts in the future -> stays 'active', freeze is just scheduled
+// 2. Every night the freeze job:
+//    - freezes members whose scheduled freeze starts today
+//    - unfreezes members whose freeze_end_date has passed
+//      (the end date is the LAST frozen day - they're back the day after)
+// 3. Back to 'active' with the freeze dates cleared = billing picks them
+//    up again on their next anniversary (see utils/billing.js)
+//
+// Every transition lands in member_status_events.
+
+const cron = require('node-cron');
+const { queryAsync, withTransaction } = require('./queryAsync');
+const { FREEZE_CHECK_SCHEDULE, FREEZE_TIMEZONE } = require('../config/freezes');
+
+let scheduledTask = null;
+
+/* ============================================
+   STATUS HISTORY
+   ============================================ */
+
+// admin is null for the freeze job (source 'schedule')
+async function recordStatusEvent({
+    memberId, eventType, fromStatus = null, toStatus = null, reason = null,
+    startDate = null, endDate = null, source = 'manual', admin = null, note = null
+}, connection) {
+    await queryAsync(`
+        INSERT INTO member_status_events
+            (member_id, event_type, from_status, to_status, reason, start_date, end_date, source, admin_id, admin_username, note)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        memberId, eventType, fromStatus, toStatus, reason,
+        startDate, endDate, source, admin?.id || null, admin?.username || null, note
+    ], connection);
+}
+
+// Today in the gym's timezone, 'YYYY-MM-DD'
+function getFreezeToday() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: FREEZE_TIMEZONE });
+}
+
+/* ============================================
+   FREEZE JOB
+   Start due freezes, end expired ones
+   ============================================ */
+
+// Each member in its own transaction: status change + history row together
+// The WHERE status = ... guard skips anyone staff changed in the meantime
+async function startScheduledFreezes(today) {
+    const due = await queryAsync(`
+        SELECT id, freeze_reason,
+            DATE_FORMAT(freeze_start_date, '%Y-%m-%d') AS freeze_start_date,
+            DATE_FORMAT(freeze_end_date, '%Y-%m-%d') AS freeze_end_date
+        FROM members
+        WHERE status = 'active' AND freeze_start_date IS NOT NULL AND freeze_start_date <= ?
+    `, [today]);
+
+    let started = 0;
+
+    for (const member of due) {
+        const changed = await withTransaction(async (connection) => {
+            const result = await queryAsync(
+                "UPDATE members SET status = 'frozen' WHERE id = ? AND status = 'active'",
+                [member.id],
+                connection
+            );
+
+            if (result.affectedRows === 0) return false;
+
+            await recordStatusEvent({
+                memberId: member.id,
+                eventType: 'freeze',
+                fromStatus: 'active',
+                toStatus: 'frozen',
+                reason: member.freeze_reason,
+                startDate: member.freeze_start_date,
+                endDate: member.freeze_end_date,
+                source: 'schedule',
+                note: 'Scheduled freeze started'
+            }, connection);
+
+            return true;
+        });
+
+        if (changed) started++;
+    }
+
+    return started;
+}
+
+async function endExpiredFreezes(today) {
+    const expired = await queryAsync(`
+        SELECT id, freeze_reason,
+            DATE_FORMAT(freeze_start_date, '%Y-%m-%d') AS freeze_start_date,
+            DATE_FORMAT(freeze_end_date, '%Y-%m-%d') AS freeze_end_date
+        FROM members
+        WHERE status = 'frozen' AND freeze_end_date IS NOT NULL AND freeze_end_date < ?
+    `, [today]);
+
+    let ended = 0;
+
+    for (const member of expired) {
+        const changed = await withTransaction(async (connection) => {
+            const result = await queryAsync(`
+                UPDATE members
+                SET
+                    status = 'active',
+                    freeze_start_date = NULL,
+                    freeze_end_date = NULL,
+                    freeze_reason = NULL
+                WHERE id = ? AND status = 'frozen'
+            `, [member.id], connection);
+
+            if (result.affectedRows === 0) return false;
+
+            await recordStatusEvent({
+                memberId: member.id,
+                eventType: 'unfreeze',
+                fromStatus: 'frozen',
+                toStatus: 'active',
+                reason: member.freeze_reason,
+                startDate: member.freeze_start_date,
+                endDate: member.freeze_end_date,
+                source: 'schedule',
+                note: 'Freeze ended'
+            }, connection);
+
+            return true;
+        });
+
+        if (changed) ended++;
+    }
+
+    return ended;
+}
+
+// Start first: a freeze that both started and ended while the
+// server was down gets frozen, then unfrozen in the same run
+async function runFreezeTransitions(today = getFreezeToday()) {
+    const frozen = await startScheduledFreezes(today);
+    const unfrozen = await endExpiredFreezes(today);
+
+    if (frozen || unfrozen) {
+        console.log(`❄️ Freeze job (${today}): ${frozen} frozen, ${unfrozen} unfrozen`);
+    }
+
+    return { date: today, frozen, unfrozen };
+}
+
+/* ============================================
+   SCHEDULE
+   Nightly, plus once at startup to catch up
+   on anything missed while the server was down
+   ============================================ */
+
+function scheduleFreezeTransitions() {
+    scheduledTask = cron.schedule(FREEZE_CHECK_SCHEDULE, async () => {
+        try {
+            await runFreezeTransitions();
+        } catch (error) {
+            console.error('❌ Scheduled freeze job failed:', error);
+        }
+    }, {
+        timezone: FREEZE_TIMEZONE
+    });
+
+    runFreezeTransitions().catch(error => {
+        // Usually just "table doesn't exist yet" - run npm run migrate
+        console.error('❌ Startup freeze check failed:', error.message);
+    });
+
+    console.log(`✅ Freeze job scheduled on "${FREEZE_CHECK_SCHEDULE}" (${FREEZE_TIMEZONE})`);
+    return scheduledTask;
+}
+
+module.exports = {
+    recordStatusEvent,
+    getFreezeToday,
+    runFreezeTransitions,
+    scheduleFreezeTransitions
+};
@@ -0,0 +1,286 @@
+/* ============================================
+   SCHEMA MIGRATIONS
+   Numbered up/down files in database/migrations
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. Each file in database/migrations is one schema change: 006_add_something.js
+//    exporting async up(query) and down(query)
+// 2. schema_migrations remembers which versions already ran (and in which batch)
+// 3. migrate  -> runs every file not in schema_migrations, in order, as one batch
+//    rollback -> undoes the most recent batch, newest file first
+//
+// WHY not edit seed.sql anymore?
+// - seed.sql dropped and recreated every table = all data gone
+// - Production needs to move forward WITHOUT losing members/payments
+// - seed.sql is now data only (demo/dev), run separately with runSeed()
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const { queryAsync } = require('./queryAsync');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../database/migrations');
+const SEED_FILE = path.join(__dirname, '../database/seed.sql');
+
+// Only one process may migrate at a time (e.g. two servers starting together)
+const LOCK_NAME = 'gymflow_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+/* ============================================
+   HELPERS
+   ============================================ */
+
+// Migrations + seed statements all run on ONE connection:
+// SET FOREIGN_KEY_CHECKS, LOCK TABLES and GET_LOCK are per-connection
+function withConnection(work) {
+    return new Promise((resolve, reject) => {
+        db.getConnection(async (err, connection) => {
+            if (err) return reject(err);
+
+            try {
+                resolve(await work(connection));
+            } catch (error) {
+                reject(error);
+            } finally {
+                connection.release();
+            }
+        });
+    });
+}
+
+// 001_initial_schema.js -> { version: '001', name: 'initial_schema' }
+function loadMigrationFiles() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[a-z0-9_]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const [, version, name] = file.match(/^(\d+)_(.+)\.js$/);
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+
+            return { version, name, file, ...migration };
+        });
+}
+
+async function ensureMigrationsTable(connection) {
+    await queryAsync(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version varchar(20) NOT NULL,
+            name varchar(255) NOT NULL,
+            batch int NOT NULL,
+            applied_at timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (version)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+    `, [], connection);
+}
+
+async function getAppliedMigrations(connection) {
+    return queryAsync('SELECT version, name, batch, applied_at FROM schema_migrations ORDER BY version', [], connection);
+}
+
+// Runs work() while holding the migration lock
+async function withMigrationLock(connection, work) {
+    const results = await queryAsync('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS], connection);
+
+    if (results[0].acquired !== 1) {
+        throw new Error('Another process is running migrations - try again shortly');
+    }
+
+    try {
+        return await work();
+    } finally {
+        await queryAsync('SELECT RELEASE_LOCK(?)', [LOCK_NAME], connection);
+    }
+}
+
+/* ============================================
+   MIGRATE
+   Apply every pending migration as one batch
+   ============================================ */
+
+// NOTE: MySQL commits DDL immediately, so a migration can't be rolled back
+// half-way. If one fails, the ones before it stay applied and we stop there.
+
+async function migrate() {
+    const migrations = loadMigrationFiles();
+
+    return withConnection(connection => withMigrationLock(connection, async () => {
+        await ensureMigrationsTable(connection);
+
+        const applied = new Set((await getAppliedMigrations(connection)).map(row => row.version));
+        const pending = migrations.filter(migration => !applied.has(migration.version));
+
+        if (pending.length === 0) {
+            console.log('✅ Database schema is up to date');
+            return { applied: [] };
+        }
+
+        const batches = await queryAsync('SELECT COALESCE(MAX(batch), 0) + 1 AS next FROM schema_migrations', [], connection);
+        const batch = batches[0].next;
+        const query = (sql, params) => queryAsync(sql, params, connection);
+
+        for (const migration of pending) {
+            console.log(`⬆️  Migrating ${migration.file}...`);
+
+            try {
+                await migration.up(query);
+            } catch (error) {
+                throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+            }
+
+            await queryAsync(
+                'INSERT INTO schema_migrations (version, name, batch) VALUES (?, ?, ?)',
+                [migration.version, migration.name, batch],
+                connection
+            );
+        }
+
+        console.log(`✅ Applied ${pending.length} migration(s) (batch ${batch})`);
+        return { applied: pending.map(migration => migration.file), batch };
+    }));
+}
+
+/* ============================================
+   ROLLBACK
+   Undo the most recent batch
+   ============================================ */
+
+async function rollback() {
+    const migrations = loadMigrationFiles();
+
+    return withConnection(connection => withMigrationLock(connection, async () => {
+        await ensureMigrationsTable(connection);
+
+        const lastBatch = await queryAsync(`
+            SELECT version, name FROM schema_migrations
+            WHERE batch = (SELECT MAX(batch) FROM schema_migrations)
+            ORDER BY version DESC
+        `, [], connection);
+
+        if (lastBatch.length === 0) {
+            console.log('Nothing to roll back');
+            return { rolledBack: [] };
+        }
+
+        const query = (sql, params) => queryAsync(sql, params, connection);
+
+        for (const row of lastBatch) {
+            const migration = migrations.find(item => item.version === row.version);
+
+            if (!migration) {
+                throw new Error(`Migration file for version ${row.version} (${row.name}) is missing`);
+            }
+
+            console.log(`⬇️  Rolling back ${migration.file}...`);
+
+            try {
+                await migration.down(query);
+            } catch (error) {
+                throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+            }
+
+            await queryAsync('DELETE FROM schema_migrations WHERE version = ?', [row.version], connection);
+        }
+
+        console.log(`✅ Rolled back ${lastBatch.length} migration(s)`);
+        return { rolledBack: lastBatch.map(row => `${row.version}_${row.name}`) };
+    }));
+}
+
+/* ============================================
+   STATUS
+   Which migrations ran, which are pending
+   ============================================ */
+
+async function getMigrationStatus() {
+    const migrations = loadMigrationFiles();
+
+    return withConnection(async (connection) => {
+        await ensureMigrationsTable(connection);
+
+        const applied = new Map((await getAppliedMigrations(connection)).map(row => [row.version, row]));
+
+        return migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version),
+            batch: applied.get(migration.version)?.batch || null,
+            applied_at: applied.get(migration.version)?.applied_at || null
+        }));
+    });
+}
+
+/* ============================================
+   SEED
+   Load demo data from database/seed.sql
+   WIPES the seeded tables - never run in production
+   ============================================ */
+
+// WHY rewrite the mysqldump statements?
+// TRUNCATE, LOCK TABLES and ALTER TABLE all COMMIT implicitly in MySQL.
+// Left as-is, a failure half-way would leave some tables empty and others
+// full. As DELETEs + INSERTs inside ONE transaction it's all or nothing.
+function loadSeedStatements() {
+    if (!fs.existsSync(SEED_FILE)) {
+        throw new Error('Seed file not found at: ' + SEED_FILE);
+    }
+
+    // One statement per line ending in ";" (mysqldump format)
+    return fs.readFileSync(SEED_FILE, 'utf8')
+        .split(/;\s*$/m)
+        .map(statement => statement.replace(/^--.*$/gm, '').trim())
+        .filter(statement => statement.length > 0)
+        .filter(statement => !/^(LOCK|UNLOCK) TABLES/i.test(statement))
+        .filter(statement => !/^\/\*!\d+ ALTER TABLE .* KEYS \*\/$/i.test(statement))
+        .map(statement => statement.replace(/^TRUNCATE TABLE (\w+)$/i, 'DELETE FROM $1'));
+}
+
+async function runSeed() {
+    const statements = loadSeedStatements();
+
+    const clearedTables = statements
+        .map(statement => statement.match(/^DELETE FROM (\w+)$/i)?.[1])
+        .filter(Boolean);
+
+    return withConnection(async (connection) => {
+        const query = (sql) => queryAsync(sql, [], connection);
+
+        await query('START TRANSACTION');
+
+        try {
+            for (const statement of statements) {
+                await query(statement);
+            }
+
+            await query('COMMIT');
+        } catch (error) {
+            await query('ROLLBACK');
+            throw new Error(`Seed failed, nothing was changed: ${error.message}`);
+        } finally {
+            // Leave the pooled connection the way we found it
+            await query('SET FOREIGN_KEY_CHECKS = 1');
+        }
+
+        // DELETE keeps AUTO_INCREMENT counters - move them back to MAX(id) + 1
+        // Cosmetic only, so a failure here doesn't fail the seed
+        for (const table of clearedTables) {
+            await query(`ALTER TABLE ${table} AUTO_INCREMENT = 1`).catch(error => {
+                console.warn(`⚠️ Could not reset AUTO_INCREMENT on ${table}:`, error.message);
+            });
+        }
+
+        console.log(`✅ Seeded database (${statements.length} statements)`);
+        return { statements: statements.length };
+    });
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    getMigrationStatus,
+    runSeed
+};
@@ -0,0 +1,219 @@
+/* ============================================
+   OCCUPANCY
+   Who is in the gym right now + check-outs
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. A check-in opens a session (check_ins.check_out_time IS NULL)
+// 2. The session closes when:
+//    - staff check the member out           -> method 'manual'
+//    - the member checks in again anywhere  -> method 'auto' (forgot to check out)
+//    - it runs past checkin_session_minutes -> method 'auto', closed by the
+//      sweep below at check_in_time + session length (our best guess)
+// 3. Occupancy = open sessions younger than the session length
+//    (so a late sweep never inflates the numbers)
+
+const cron = require('node-cron');
+const { queryAsync, withTransaction } = require('./queryAsync');
+const { AUTO_CHECKOUT_SCHEDULE } = require('../config/occupancy');
+
+let scheduledTask = null;
+
+/* ============================================
+   SETTINGS
+   ============================================ */
+
+async function loadOccupancySettings() {
+    const results = await queryAsync(`
+        SELECT capacity_warning_percent, checkin_session_minutes, checkin_capacity_mode
+        FROM system_settings
+        WHERE id = 1
+    `);
+
+    const settings = results[0] || {};
+
+    return {
+        warning_percent: settings.capacity_warning_percent ?? 85,
+        session_minutes: settings.checkin_session_minutes ?? 180,
+        capacity_mode: settings.checkin_capacity_mode || 'warn'
+    };
+}
+
+/* ============================================
+   LIVE OCCUPANCY
+   ============================================ */
+
+// ok / warning (at or over capacity_warning_percent) / full
+function getOccupancyStatus(occupancy, capacity, warningPercent) {
+    if (capacity > 0 && occupancy >= capacity) return 'full';
+    if (capacity > 0 && (occupancy / capacity) * 100 >= warningPercent) return 'warning';
+    return 'ok';
+}
+
+// -> [{ location_id, location_name, capacity, occupancy, available, percent, status }]
+// settings: pass loadOccupancySettings() if you already have it
+async function getOccupancy(locationId = null, settings = null) {
+    const { warning_percent, session_minutes } = settings || await loadOccupancySettings();
+
+    const results = await queryAsync(`
+        SELECT
+            l.id AS location_id,
+            l.name AS location_name,
+            l.capacity,
+            COUNT(c.id) AS occupancy
+        FROM locations l
+        LEFT JOIN check_ins c
+            ON c.location_id = l.id
+            AND c.check_out_time IS NULL
+            AND c.check_in_time > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        ${locationId ? 'WHERE l.id = ?' : ''}
+        GROUP BY l.id, l.name, l.capacity
+        ORDER BY l.id
+    `, locationId ? [session_minutes, locationId] : [session_minutes]);
+
+    return results.map(location => ({
+        ...location,
+        available: Math.max(location.capacity - location.occupancy, 0),
+        percent: location.capacity > 0
+            ? Math.round((location.occupancy / location.capacity) * 1000) / 10
+            : 0,
+        status: getOccupancyStatus(location.occupancy, location.capacity, warning_percent),
+        warning_percent
+    }));
+}
+
+/* ============================================
+   CHECK-OUT
+   ============================================ */
+
+// The member's open session (any location), or null
+async function getOpenCheckIn(memberId, sessionMinutes) {
+    const results = await queryAsync(`
+        SELECT c.id, c.check_in_time, c.location_id, l.name AS location_name
+        FROM check_ins c
+        JOIN locations l ON c.location_id = l.id
+        WHERE c.member_id = ?
+            AND c.check_out_time IS NULL
+            AND c.check_in_time > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        ORDER BY c.check_in_time DESC
+        LIMIT 1
+    `, [memberId, sessionMinutes]);
+
+    return results[0] || null;
+}
+
+// Closes every open session of the member -> number closed
+async function checkOutMember(memberId, method = 'manual', connection) {
+    const result = await queryAsync(`
+        UPDATE check_ins
+        SET check_out_time = NOW(), check_out_method = ?
+        WHERE member_id = ? AND check_out_time IS NULL
+    `, [method, memberId], connection);
+
+    return result.affectedRows;
+}
+
+/* ============================================
+   RECORD CHECK-IN
+   Front desk (routes/members.js) and kiosk (routes/kiosk.js)
+   ============================================ */
+
+// Rules are checked BEFORE this (utils/checkInRules.js)
+// override: { denials, reason, admin } - staff let them in anyway
+// Still "in" somewhere from an earlier visit = they forgot to check out
+// -> the complete record + live occupancy, for the notification card
+async function recordCheckIn({ memberId, locationId, override = null, kioskDeviceId = null }) {
+    // check_in_time defaults to NOW() in database
+    const result = await withTransaction(async (connection) => {
+        await checkOutMember(memberId, 'auto', connection);
+
+        return queryAsync(`
+            INSERT INTO check_ins
+                (member_id, location_id, override_rules, override_reason, override_admin_id, override_admin_username, kiosk_device_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            memberId, locationId,
+            override ? override.denials.map(denial => denial.rule).join(',') : null,
+            override ? override.reason : null,
+            override ? override.admin.id : null,
+            override ? override.admin.username : null,
+            kioskDeviceId
+        ], connection);
+    });
+
+    const checkIns = await queryAsync(`
+        SELECT
+            c.id,
+            c.check_in_time,
+            m.id AS member_id,
+            m.member_id AS member_code,
+            m.name AS member_name,
+            l.id AS location_id,
+            l.name AS location_name
+        FROM check_ins c
+        JOIN members m ON c.member_id = m.id
+        JOIN locations l ON c.location_id = l.id
+        WHERE c.id = ?
+    `, [result.insertId]);
+
+    const [occupancy] = await getOccupancy(locationId);
+
+    return { ...checkIns[0], occupancy };
+}
+
+/* ============================================
+   AUTO CHECK-OUT JOB
+   ============================================ */
+
+// LEAST(): a session checked in "in the future" (clock skew) closes at NOW()
+async function runAutoCheckOut() {
+    const { session_minutes } = await loadOccupancySettings();
+
+    const result = await queryAsync(`
+        UPDATE check_ins
+        SET
+            check_out_time = LEAST(DATE_ADD(check_in_time, INTERVAL ? MINUTE), NOW()),
+            check_out_method = 'auto'
+        WHERE check_out_time IS NULL
+            AND check_in_time <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    `, [session_minutes, session_minutes]);
+
+    if (result.affectedRows > 0) {
+        console.log(`🚪 Auto check-out: ${result.affectedRows} session(s) past ${session_minutes} minutes closed`);
+    }
+
+    return { closed: result.affectedRows, session_minutes };
+}
+
+/* ============================================
+   SCHEDULE
+   Every few minutes, plus once at startup
+   ============================================ */
+
+function scheduleAutoCheckOut() {
+    scheduledTask = cron.schedule(AUTO_CHECKOUT_SCHEDULE, async () => {
+        try {
+            await runAutoCheckOut();
+        } catch (error) {
+            console.error('❌ Auto check-out job failed:', error);
+        }
+    });
+
+    runAutoCheckOut().catch(error => {
+        // Usually just "unknown column" - run npm run migrate
+        console.error('❌ Startup auto check-out failed:', error.message);
+    });
+
+    console.log(`✅ Auto check-out scheduled on "${AUTO_CHECKOUT_SCHEDULE}"`);
+    return scheduledTask;
+}
+
+module.exports = {
+    loadOccupancySettings,
+    getOccupancy,
+    getOpenCheckIn,
+    checkOutMember,
+    recordCheckIn,
+    runAutoCheckOut,
+    scheduleAutoCheckOut
+};
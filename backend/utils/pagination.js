@@ -0,0 +1,188 @@
+/* ============================================
+   LIST PAGINATION
+   limit / cursor / sort / order for every list route
+   ============================================ */
+
+// HOW A LIST ROUTE USES IT:
+// 1. Describe the list once:
+//      const MEMBER_LIST = { sortable: { name: 'name', ... }, defaultSort: 'join_date', defaultOrder: 'desc' }
+//    sortable maps ?sort= keys to columns of the route's SELECT (output
+//    names, e.g. location_name - not l.name). The SELECT must include id.
+// 2. Add listQuery(MEMBER_LIST) to the route - validates the params,
+//    checks the export permission and puts the parsed options on req.list
+// 3. Build the filtered query WITHOUT an ORDER BY, then
+//      const page = await fetchPage(query, params, req.list)
+//      res.json({ members: page.rows, pagination: page.pagination })
+//
+// WHY cursors instead of ?page=3?
+// - OFFSET makes MySQL read and throw away every skipped row
+// - A member added while someone pages through the list doesn't shift
+//   everyone down a row (no duplicates / skipped rows between pages)
+//
+// No ?limit = the whole list, like before - the check-in search, schedule
+// dropdowns etc. keep working. The tables always send one.
+
+const { queryAsync } = require('./queryAsync');
+const { requireExportPermission } = require('./export');
+const { validateListQuery, handleValidationErrors } = require('../middleware/validation');
+
+/* ============================================
+   CURSORS
+   base64url JSON: sort key, order, last row's sort value + id
+   ============================================ */
+
+// mysql2 reads DATE/DATETIME as local-time Dates - send them back
+// the same way so the comparison is against the stored value
+function toCursorValue(value) {
+    if (!(value instanceof Date)) return value;
+
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+        `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+}
+
+function encodeCursor(list, row) {
+    const cursor = { s: list.sortKey, o: list.order, v: toCursorValue(row[list.column]), id: row.id };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// null = not a cursor we handed out (or one for a different sort)
+function decodeCursor(text, sortKey, order) {
+    try {
+        const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+
+        if (cursor.s !== sortKey || cursor.o !== order || !Number.isInteger(cursor.id) || !('v' in cursor)) {
+            return null;
+        }
+
+        return cursor;
+    } catch {
+        return null;
+    }
+}
+
+// Rows after the cursor, same order as the ORDER BY
+// MySQL sorts NULLs first ascending, last descending
+function cursorCondition(column, direction, cursor) {
+    const after = direction === 'ASC' ? '>' : '<';
+
+    if (cursor.v === null) {
+        return direction === 'ASC'
+            ? { sql: `((${column} IS NULL AND id > ?) OR ${column} IS NOT NULL)`, params: [cursor.id] }
+            : { sql: `(${column} IS NULL AND id < ?)`, params: [cursor.id] };
+    }
+
+    const sql = `(${column} ${after} ? OR (${column} = ? AND id ${after} ?)` +
+        (direction === 'DESC' ? ` OR ${column} IS NULL)` : ')');
+
+    return { sql, params: [cursor.v, cursor.v, cursor.id] };
+}
+
+/* ============================================
+   LIST QUERY MIDDLEWARE
+   ============================================ */
+
+function parseListOptions(list) {
+    return (req, res, next) => {
+        const sortKey = req.query.sort || list.defaultSort;
+        const order = req.query.order || (req.query.sort ? 'asc' : list.defaultOrder || 'asc');
+
+        if (!list.sortable[sortKey]) {
+            return res.status(400).json({
+                error: 'Invalid sort column',
+                details: `Sort by one of: ${Object.keys(list.sortable).join(', ')}`
+            });
+        }
+
+        let cursor = null;
+
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor, sortKey, order);
+
+            if (!cursor) {
+                return res.status(400).json({
+                    error: 'Invalid cursor',
+                    details: 'The list changed sort or the cursor is broken - start again from the first page'
+                });
+            }
+        }
+
+        req.list = {
+            sortKey,
+            order,
+            column: list.sortable[sortKey],
+            direction: order === 'desc' ? 'DESC' : 'ASC',
+            // Express 5 re-parses req.query on every read - validateListQuery's
+            // toInt() doesn't stick, so the number is parsed here
+            limit: req.query.limit ? parseInt(req.query.limit, 10) : null,
+            cursor
+        };
+
+        next();
+    };
+}
+
+function listQuery(list) {
+    return [validateListQuery, handleValidationErrors, requireExportPermission, parseListOptions(list)];
+}
+
+/* ============================================
+   QUERIES
+   The route's SELECT is wrapped as a derived table so
+   sort columns can be aliases and aggregates (total_spent...)
+   ============================================ */
+
+// id breaks ties - every row has exactly one place in the order
+function orderBy(list) {
+    return ` ORDER BY ${list.column} ${list.direction}, id ${list.direction}`;
+}
+
+// Whole list, sorted - for exports
+function sortedSql(sql, list) {
+    return `SELECT * FROM (${sql}) AS list_rows${orderBy(list)}`;
+}
+
+async function fetchPage(sql, params, list) {
+    let pageSql = `SELECT * FROM (${sql}) AS list_rows`;
+    const pageParams = [...params];
+
+    if (list.cursor) {
+        const condition = cursorCondition(list.column, list.direction, list.cursor);
+        pageSql += ` WHERE ${condition.sql}`;
+        pageParams.push(...condition.params);
+    }
+
+    pageSql += orderBy(list);
+
+    // One extra row = we know if there's another page without a second query
+    if (list.limit) {
+        pageSql += ' LIMIT ?';
+        pageParams.push(list.limit + 1);
+    }
+
+    const [rows, counts] = await Promise.all([
+        queryAsync(pageSql, pageParams),
+        list.limit ? queryAsync(`SELECT COUNT(*) AS total FROM (${sql}) AS list_rows`, params) : null
+    ]);
+
+    const hasMore = list.limit !== null && rows.length > list.limit;
+    if (hasMore) rows.pop();
+
+    return {
+        rows,
+        pagination: {
+            total: counts ? counts[0].total : rows.length,
+            limit: list.limit,
+            sort: list.sortKey,
+            order: list.order,
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeCursor(list, rows[rows.length - 1]) : null
+        }
+    };
+}
+
+module.exports = {
+    listQuery,
+    sortedSql,
+    fetchPage
+};
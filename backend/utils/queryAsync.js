@@ -0,0 +1,69 @@
+/* ============================================
+   ASYNC QUERY HELPERS
+   Promise wrappers around the mysql2 callback API
+   ============================================ */
+
+const db = require('../config/database');
+
+/* ============================================
+   QUERY ASYNC
+   Run a query and resolve with its results
+   Pass a connection to run inside a transaction
+   ============================================ */
+
+function queryAsync(sql, params = [], connection = db) {
+    return new Promise((resolve, reject) => {
+        connection.query(sql, params, (err, results) => {
+            if (err) reject(err);
+            else resolve(results);
+        });
+    });
+}
+
+/* ============================================
+   WITH TRANSACTION
+   Runs work(connection) inside BEGIN/COMMIT
+   Rolls back and rethrows if anything fails
+   ============================================ */
+
+// WHY a dedicated connection?
+// - The pool hands every query to whichever connection is free
+// - A transaction only works if every statement uses the SAME connection
+
+function withTransaction(work) {
+    return new Promise((resolve, reject) => {
+        db.getConnection((err, connection) => {
+            if (err) return reject(err);
+
+            connection.beginTransaction(async (err) => {
+                if (err) {
+                    connection.release();
+                    return reject(err);
+                }
+
+                try {
+                    const result = await work(connection);
+
+                    connection.commit((err) => {
+                        if (err) {
+                            return connection.rollback(() => {
+                                connection.release();
+                                reject(err);
+                            });
+                        }
+
+                        connection.release();
+                        resolve(result);
+                    });
+                } catch (error) {
+                    connection.rollback(() => {
+                        connection.release();
+                        reject(error);
+                    });
+                }
+            });
+        });
+    });
+}
+
+module.exports = { queryAsync, withTransaction };
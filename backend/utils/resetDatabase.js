@@ -3,83 +3,143 @@
    Resets database to seed data for demo mode
    ============================================ */
 
-const fs = require('fs');
-const path = require('path');
-const db = require('../config/database');
+// Schema first (so a fresh deploy gets any new tables),
+// then wipe + reload the demo data from seed.sql in ONE transaction
+// (see runSeed in utils/migrations.js) - a failed reset changes nothing
 
-async function resetDatabase() {
+const cron = require('node-cron');
+const { queryAsync } = require('./queryAsync');
+const { migrate, runSeed } = require('./migrations');
+const { DEMO_MODE, DEMO_RESET_SCHEDULE, DEMO_RESET_TIMEZONE } = require('../config/demoMode');
+
+// Only one reset at a time (cron + manual button at the same moment)
+let resetInProgress = false;
+
+let scheduledTask = null;
+
+/* ============================================
+   RESET DATABASE
+   source: 'schedule' | 'manual'
+   admin: who pressed the button (manual only)
+   ============================================ */
+
+async function resetDatabase({ source = 'manual', admin = null } = {}) {
+    if (resetInProgress) {
+        return { success: false, error: 'A reset is already running' };
+    }
+
+    resetInProgress = true;
     console.log('Starting database reset...');
 
+    let runId = null;
+
     try {
-        // Read the seed SQL file
-        const seedFilePath = path.join(__dirname, '../database/seed.sql');
+        await migrate();
 
-        // Check if file exists
-        if (!fs.existsSync(seedFilePath)) {
-            throw new Error('Seed file not found at: ' + seedFilePath);
-        }
+        // Recorded AFTER migrate - demo_reset_runs may have just been created
+        const run = await queryAsync(
+            'INSERT INTO demo_reset_runs (source, triggered_by) VALUES (?, ?)',
+            [source, admin?.username || null]
+        );
+        runId = run.insertId;
 
-        const seedSQL = fs.readFileSync(seedFilePath, 'utf8');
-
-        // Split by semicolon to get individual statements
-        // Filter out comments and empty statements
-        const statements = seedSQL
-            .split(';')
-            .map(stmt => stmt.trim())
-            .filter(stmt => {
-                // Remove empty statements
-                if (stmt.length === 0) return false;
-                // Remove comment-only lines
-                if (stmt.startsWith('---')) return false;
-                return true;
-            });
-        
-        console.log(`Executing ${statements.length} SQL statements...`);
-
-        // Execute each statement sequentially
-        let successCount = 0;
-        let errorCount = 0;
-
-        for (let i = 0; i < statements.length; i++) {
-            const statement = statements[i];
-
-            try {
-                await new Promise((resolve, reject) => {
-                    db.query(statement, (err, result) => {
-                        if (err) {
-                            console.error(`Error on statement ${i + 1}:`, err.message);
-                            reject(err);
-                        } else {
-                            resolve(result);
-                        }
-                    });
-                });
-                successCount++;
-            } catch (err) {
-                errorCount++;
-                // Log error but continue with other statements
-                console.error(`Statement ${i + 1} failed, continuing...`);
-            }
-        }
+        const result = await runSeed();
+
+        await queryAsync(
+            "UPDATE demo_reset_runs SET status = 'success', statements = ?, finished_at = NOW() WHERE id = ?",
+            [result.statements, runId]
+        );
 
         console.log(`Database reset complete!`);
-        console.log(`Success: ${successCount} | Errors: ${errorCount}`);
         console.log(`Reset at: ${new Date().toLocaleDateString('en-US', { timeZone: 'America/Toronto' })} EST`);
 
         return {
-            success: true, 
-            message: 'Database reset successfully', 
-            successCount, 
-            errorCount
+            success: true,
+            message: 'Database reset successfully',
+            statements: result.statements
         };
 
     } catch (error) {
         console.error('Database reset failed:', error);
+
+        if (runId) {
+            await queryAsync(
+                "UPDATE demo_reset_runs SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?",
+                [error.message, runId]
+            ).catch(err => console.error('Failed to record reset failure:', err));
+        }
+
         return {
-            success: false, 
+            success: false,
             error: error.message
         };
+
+    } finally {
+        resetInProgress = false;
+    }
+}
+
+/* ============================================
+   RESET STATUS
+   Last run + when the next one is due
+   ============================================ */
+
+async function getResetStatus() {
+    let lastRun = null;
+
+    try {
+        const runs = await queryAsync('SELECT * FROM demo_reset_runs ORDER BY id DESC LIMIT 1');
+        lastRun = runs[0] || null;
+    } catch (error) {
+        // Table only exists once migration 006 has run
+        if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
     }
+
+    return {
+        demo_mode: DEMO_MODE,
+        schedule: DEMO_MODE ? DEMO_RESET_SCHEDULE : null,
+        timezone: DEMO_MODE ? DEMO_RESET_TIMEZONE : null,
+        next_reset_at: getNextResetAt(),
+        in_progress: resetInProgress,
+        last_run: lastRun
+    };
+}
+
+function getNextResetAt() {
+    return scheduledTask ? scheduledTask.getNextRun() : null;
+}
+
+/* ============================================
+   SCHEDULE
+   Only when DEMO_MODE=true - otherwise nothing is scheduled
+   ============================================ */
+
+function scheduleDemoReset() {
+    if (!DEMO_MODE) {
+        console.log('Demo mode OFF: automatic database reset disabled');
+        return null;
+    }
+
+    scheduledTask = cron.schedule(DEMO_RESET_SCHEDULE, async () => {
+        console.log('Running scheduled database reset...');
+        const result = await resetDatabase({ source: 'schedule' });
+
+        if (result.success) {
+            console.log('Scheduled reset completed successfully');
+        } else {
+            console.error('Scheduled reset failed:', result.error);
+        }
+    }, {
+        timezone: DEMO_RESET_TIMEZONE
+    });
+
+    console.log(`Demo mode ON: database resets on "${DEMO_RESET_SCHEDULE}" (${DEMO_RESET_TIMEZONE})`);
+    return scheduledTask;
 }
 
-module.exports = resetDatabase;
\ No newline at end of file
+module.exports = {
+    resetDatabase,
+    getResetStatus,
+    getNextResetAt,
+    scheduleDemoReset
+};
@@ -0,0 +1,184 @@
+/* ============================================
+   STOCK LEDGER
+   Every stock quantity change + the movement that explains it
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. Nothing writes inventory_stock.quantity directly - it goes through
+//    changeStock(), inside the caller's transaction:
+//      lock the stock row -> work out the new quantity ->
+//      update it -> append a stock_movements row
+//    (stock and ledger commit together or not at all)
+// 2. stock_movements is append-only: rows are never updated or deleted
+//    (a mistake is fixed with another movement)
+// 3. Reconciliation: SUM(quantity_delta) per product/location must equal
+//    inventory_stock.quantity - anything else means something changed
+//    stock behind the ledger's back
+
+const { queryAsync } = require('./queryAsync');
+
+// movement_type -> how the quantity is applied
+//   set       quantity = the new count (stock take)
+//   add       quantity = amount added
+//   subtract  quantity = amount removed
+//   receipt   quantity = amount received (reorder)
+//   transfer_out / transfer_in  quantity = amount shipped / arrived
+//                               (utils/stockTransfers.js)
+// ('opening' = balance when the ledger started, see migration 017)
+const ADJUSTMENT_TYPES = ['set', 'add', 'subtract'];
+
+// Types that take stock away (everything else but 'set' adds)
+const OUTGOING_TYPES = ['subtract', 'transfer_out'];
+
+/* ============================================
+   CHANGE STOCK
+   ============================================ */
+
+// -> { movement_id, quantity_before, quantity_after, quantity_delta }
+// -> null when it would take stock below 0 (nothing written)
+// reference: { type: 'reorder' | 'transfer', id: 12 } or null
+async function changeStock({ productId, locationId, type, quantity, reason = null, reference = null, admin = null }, connection) {
+    // Stock row may not exist yet (product added before the location)
+    await queryAsync(`
+        INSERT INTO inventory_stock (product_id, location_id, quantity)
+        VALUES (?, ?, 0)
+        ON DUPLICATE KEY UPDATE quantity = quantity
+    `, [productId, locationId], connection);
+
+    const rows = await queryAsync(`
+        SELECT quantity
+        FROM inventory_stock
+        WHERE product_id = ? AND location_id = ?
+        FOR UPDATE
+    `, [productId, locationId], connection);
+
+    const before = rows[0].quantity;
+    const after = type === 'set' ? quantity
+        : OUTGOING_TYPES.includes(type) ? before - quantity
+        : before + quantity;
+
+    if (after < 0) return null;
+
+    await queryAsync(`
+        UPDATE inventory_stock
+        SET quantity = ?,
+            updated_at = NOW(),
+            last_restocked = IF(? = 'receipt', NOW(), last_restocked)
+        WHERE product_id = ? AND location_id = ?
+    `, [after, type, productId, locationId], connection);
+
+    const result = await queryAsync(`
+        INSERT INTO stock_movements
+            (product_id, location_id, movement_type, quantity_delta, quantity_after,
+             reason, reference_type, reference_id, admin_id, admin_username)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        productId, locationId, type, after - before, after,
+        reason || null,
+        reference?.type || null,
+        reference?.id || null,
+        admin?.id || null,
+        admin?.username || null
+    ], connection);
+
+    return {
+        movement_id: result.insertId,
+        quantity_before: before,
+        quantity_after: after,
+        quantity_delta: after - before
+    };
+}
+
+/* ============================================
+   HISTORY
+   ============================================ */
+
+// Newest first
+async function getMovements(productId, { locationId = null, limit = 50, offset = 0 } = {}) {
+    const where = locationId ? ' AND sm.location_id = ?' : '';
+    const params = locationId ? [productId, locationId] : [productId];
+
+    const [movements, totals] = await Promise.all([
+        queryAsync(`
+            SELECT
+                sm.id, sm.location_id, l.name AS location_name,
+                sm.movement_type, sm.quantity_delta, sm.quantity_after, sm.reason,
+                sm.reference_type, sm.reference_id, sm.admin_username, sm.created_at
+            FROM stock_movements sm
+            JOIN locations l ON sm.location_id = l.id
+            WHERE sm.product_id = ?${where}
+            ORDER BY sm.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]),
+        queryAsync(`
+            SELECT COUNT(*) AS total
+            FROM stock_movements sm
+            WHERE sm.product_id = ?${where}
+        `, params)
+    ]);
+
+    return { movements, total: totals[0].total };
+}
+
+/* ============================================
+   RECONCILIATION
+   Ledger sum vs quantity on hand, per product/location
+   ============================================ */
+
+// -> [{ product_id, product_name, sku, location_id, location_name,
+//       quantity, ledger_quantity, difference, matches }]
+// productId = one product (every location), otherwise mismatches only
+async function reconcileStock(productId = null) {
+    const where = productId ? 'WHERE balances.product_id = ?' : 'WHERE balances.quantity <> balances.ledger_quantity';
+
+    const rows = await queryAsync(`
+        SELECT
+            balances.product_id, p.name AS product_name, p.sku,
+            balances.location_id, l.name AS location_name,
+            balances.quantity, balances.ledger_quantity
+        FROM (
+            -- Stock rows + their ledger sums...
+            SELECT s.product_id, s.location_id, s.quantity,
+                COALESCE(SUM(sm.quantity_delta), 0) AS ledger_quantity
+            FROM inventory_stock s
+            LEFT JOIN stock_movements sm
+                ON sm.product_id = s.product_id AND sm.location_id = s.location_id
+            GROUP BY s.product_id, s.location_id, s.quantity
+
+            UNION ALL
+
+            -- ...+ ledger entries whose stock row is gone
+            SELECT sm.product_id, sm.location_id, 0, SUM(sm.quantity_delta)
+            FROM stock_movements sm
+            LEFT JOIN inventory_stock s
+                ON s.product_id = sm.product_id AND s.location_id = sm.location_id
+            WHERE s.id IS NULL
+            GROUP BY sm.product_id, sm.location_id
+        ) balances
+        JOIN products p ON balances.product_id = p.id
+        JOIN locations l ON balances.location_id = l.id
+        ${where}
+        ORDER BY p.name, l.id
+    `, productId ? [productId] : []);
+
+    // SUM() comes back as a DECIMAL string
+    return rows.map(row => {
+        const quantity = Number(row.quantity);
+        const ledgerQuantity = Number(row.ledger_quantity);
+
+        return {
+            ...row,
+            quantity,
+            ledger_quantity: ledgerQuantity,
+            difference: quantity - ledgerQuantity,
+            matches: quantity === ledgerQuantity
+        };
+    });
+}
+
+module.exports = {
+    ADJUSTMENT_TYPES,
+    changeStock,
+    getMovements,
+    reconcileStock
+};
@@ -0,0 +1,216 @@
+/* ============================================
+   STOCK TRANSFERS
+   Moving stock between locations (TR-0001...)
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. create   -> 'draft': nothing moves yet, can still be cancelled
+// 2. ship     -> 'in_transit': quantity leaves the source location
+//                (ledger: transfer_out) - counted at neither location,
+//                shown as incoming/outgoing by getInTransit()
+// 3. receive  -> 'received': quantity arrives at the destination
+//                (ledger: transfer_in)
+// Every step locks the transfer row and runs in one transaction with
+// its stock change (utils/stockLedger.js) - a transfer can't be shipped
+// or received twice, and status + stock always agree.
+//
+// Business failures (wrong status, not enough stock) come back as
+// { success: false, error } - nothing is written.
+
+const { queryAsync, withTransaction } = require('./queryAsync');
+const { changeStock } = require('./stockLedger');
+
+const TRANSFER_STATUSES = ['draft', 'in_transit', 'received', 'cancelled'];
+
+// action -> status it needs, status it leaves, who/when columns
+const TRANSITIONS = {
+    ship:    { from: 'draft', to: 'in_transit', stamp: 'shipped', label: 'shipped' },
+    receive: { from: 'in_transit', to: 'received', stamp: 'received', label: 'received' },
+    cancel:  { from: 'draft', to: 'cancelled', stamp: 'cancelled', label: 'cancelled' }
+};
+
+const STATUS_LABELS = {
+    draft: 'draft',
+    in_transit: 'in transit',
+    received: 'received',
+    cancelled: 'cancelled'
+};
+
+// Transfer + product and location names
+const TRANSFER_SELECT = `
+    SELECT
+        t.*,
+        p.name AS product_name,
+        p.sku AS product_sku,
+        fl.name AS from_location_name,
+        tl.name AS to_location_name
+    FROM stock_transfers t
+    JOIN products p ON t.product_id = p.id
+    JOIN locations fl ON t.from_location_id = fl.id
+    JOIN locations tl ON t.to_location_id = tl.id
+`;
+
+/* ============================================
+   LOOKUPS
+   ============================================ */
+
+async function getTransfer(transferId, connection) {
+    const rows = await queryAsync(`${TRANSFER_SELECT} WHERE t.id = ?`, [transferId], connection);
+    return rows[0] || null;
+}
+
+// Stock on its way in/out, per product and location
+// -> [{ product_id, location_id, location_name, incoming, outgoing }]
+async function getInTransit(productIds) {
+    if (productIds.length === 0) return [];
+
+    const rows = await queryAsync(`
+        SELECT
+            moving.product_id, moving.location_id, l.name AS location_name,
+            SUM(moving.incoming) AS incoming,
+            SUM(moving.outgoing) AS outgoing
+        FROM (
+            SELECT product_id, to_location_id AS location_id, quantity AS incoming, 0 AS outgoing
+            FROM stock_transfers
+            WHERE status = 'in_transit' AND product_id IN (?)
+
+            UNION ALL
+
+            SELECT product_id, from_location_id, 0, quantity
+            FROM stock_transfers
+            WHERE status = 'in_transit' AND product_id IN (?)
+        ) moving
+        JOIN locations l ON moving.location_id = l.id
+        GROUP BY moving.product_id, moving.location_id, l.name
+    `, [productIds, productIds]);
+
+    // SUM() comes back as a DECIMAL string
+    return rows.map(row => ({
+        ...row,
+        incoming: Number(row.incoming),
+        outgoing: Number(row.outgoing)
+    }));
+}
+
+/* ============================================
+   CREATE
+   ============================================ */
+
+// ship = true -> created and shipped in one go (no draft step)
+async function createTransfer({ productId, fromLocationId, toLocationId, quantity, notes = null, ship = false, admin = null }) {
+    return withTransaction(async (connection) => {
+        // Shipping right away: check the source before writing anything
+        // (locked - changeStock() below takes the same row)
+        if (ship) {
+            const stock = await queryAsync(`
+                SELECT l.name AS location_name, COALESCE(s.quantity, 0) AS quantity
+                FROM locations l
+                LEFT JOIN inventory_stock s ON s.location_id = l.id AND s.product_id = ?
+                WHERE l.id = ?
+                FOR UPDATE
+            `, [productId, fromLocationId], connection);
+
+            if (stock[0].quantity < quantity) {
+                return { success: false, error: `Not enough stock at ${stock[0].location_name} to ship ${quantity}` };
+            }
+        }
+
+        // Locked max - two transfers created at once can't get the same number
+        const numbers = await queryAsync(`
+            SELECT MAX(CAST(SUBSTRING(transfer_number, 4) AS UNSIGNED)) AS max_num
+            FROM stock_transfers
+            FOR UPDATE
+        `, [], connection);
+
+        const transferNumber = `TR-${String((numbers[0].max_num || 0) + 1).padStart(4, '0')}`;
+
+        const result = await queryAsync(`
+            INSERT INTO stock_transfers
+                (transfer_number, product_id, from_location_id, to_location_id, quantity, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [transferNumber, productId, fromLocationId, toLocationId, quantity, notes || null, admin?.username || null], connection);
+
+        const transfer = await getTransfer(result.insertId, connection);
+
+        if (ship) return applyTransition(transfer, 'ship', admin, connection);
+
+        return { success: true, transfer };
+    });
+}
+
+/* ============================================
+   SHIP / RECEIVE / CANCEL
+   ============================================ */
+
+// -> null when there's no such transfer
+async function updateTransferStatus(transferId, action, admin = null) {
+    return withTransaction(async (connection) => {
+        // Lock first - a second click waits here, then sees the new status
+        const locked = await queryAsync('SELECT id FROM stock_transfers WHERE id = ? FOR UPDATE', [transferId], connection);
+        if (locked.length === 0) return null;
+
+        const transfer = await getTransfer(transferId, connection);
+        return applyTransition(transfer, action, admin, connection);
+    });
+}
+
+async function applyTransition(transfer, action, admin, connection) {
+    const { from, to, stamp, label } = TRANSITIONS[action];
+
+    if (transfer.status !== from) {
+        return {
+            success: false,
+            error: `Only ${STATUS_LABELS[from]} transfers can be ${label} (${transfer.transfer_number} is ${STATUS_LABELS[transfer.status]})`
+        };
+    }
+
+    const reference = { type: 'transfer', id: transfer.id };
+
+    if (action === 'ship') {
+        const movement = await changeStock({
+            productId: transfer.product_id,
+            locationId: transfer.from_location_id,
+            type: 'transfer_out',
+            quantity: transfer.quantity,
+            reason: `Transfer ${transfer.transfer_number} to ${transfer.to_location_name}`,
+            reference,
+            admin
+        }, connection);
+
+        if (!movement) {
+            return {
+                success: false,
+                error: `Not enough stock at ${transfer.from_location_name} to ship ${transfer.quantity}`
+            };
+        }
+    }
+
+    if (action === 'receive') {
+        await changeStock({
+            productId: transfer.product_id,
+            locationId: transfer.to_location_id,
+            type: 'transfer_in',
+            quantity: transfer.quantity,
+            reason: `Transfer ${transfer.transfer_number} from ${transfer.from_location_name}`,
+            reference,
+            admin
+        }, connection);
+    }
+
+    // stamp comes from TRANSITIONS, never from the request
+    await queryAsync(`
+        UPDATE stock_transfers
+        SET status = ?, ${stamp}_by = ?, ${stamp}_at = NOW()
+        WHERE id = ?
+    `, [to, admin?.username || null, transfer.id], connection);
+
+    return { success: true, transfer: await getTransfer(transfer.id, connection) };
+}
+
+module.exports = {
+    TRANSFER_STATUSES,
+    getTransfer,
+    getInTransit,
+    createTransfer,
+    updateTransferStatus
+};
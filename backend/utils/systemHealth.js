@@ -0,0 +1,74 @@
+/* ============================================
+   SYSTEM HEALTH
+   Status panel on the dashboard, checked on every load
+   ============================================ */
+
+// CHECKS:
+//   App Server   this process - answering at all means it's up (+ uptime)
+//   Database     a SELECT 1 round trip (slow = warn, failed = error)
+//   Schema       migrations in database/migrations not run yet
+//
+// Never throws - a failed check is an 'error' row, not a failed dashboard
+
+const { queryAsync } = require('./queryAsync');
+const { getMigrationStatus } = require('./migrations');
+
+// Round trip above this shows as slow
+const SLOW_DATABASE_MS = 250;
+
+// 93784 -> '1d 2h 3m'
+function formatUptime(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+async function checkDatabase() {
+    const started = Date.now();
+
+    try {
+        await queryAsync('SELECT 1');
+        const elapsed = Date.now() - started;
+
+        return {
+            service: 'Database',
+            status: elapsed > SLOW_DATABASE_MS ? 'warn' : 'ok',
+            message: `Connected (${elapsed} ms)`
+        };
+    } catch (error) {
+        console.error('❌ Health check - database:', error.message);
+        return { service: 'Database', status: 'error', message: 'Not responding' };
+    }
+}
+
+async function checkSchema() {
+    try {
+        const pending = (await getMigrationStatus()).filter(migration => !migration.applied).length;
+
+        return pending > 0
+            ? { service: 'Schema', status: 'warn', message: `${pending} migration${pending === 1 ? '' : 's'} pending` }
+            : { service: 'Schema', status: 'ok', message: 'Up to date' };
+    } catch (error) {
+        console.error('❌ Health check - migrations:', error.message);
+        return { service: 'Schema', status: 'error', message: 'Unknown' };
+    }
+}
+
+// -> [{ service, status: 'ok' | 'warn' | 'error', message }]
+async function getSystemHealth() {
+    const [database, schema] = await Promise.all([checkDatabase(), checkSchema()]);
+
+    return [
+        { service: 'App Server', status: 'ok', message: `Online for ${formatUptime(process.uptime())}` },
+        database,
+        schema
+    ];
+}
+
+module.exports = {
+    getSystemHealth
+};
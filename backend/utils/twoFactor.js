@@ -0,0 +1,122 @@
+/* ============================================
+   TWO-FACTOR AUTHENTICATION (TOTP)
+   RFC 6238 codes from an authenticator app + one-time recovery codes
+   ============================================ */
+
+// HOW IT WORKS:
+// 1. Setup: we generate a secret and show it as a QR code (otpauth:// URI)
+// 2. The admin scans it and types the 6-digit code back -> 2FA is enabled
+// 3. Every login after that: password first, then a code from the app
+// 4. Lost phone? Each recovery code works exactly once instead of an app code
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { queryAsync } = require('./queryAsync');
+
+// Name shown in the authenticator app
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'GymFlow';
+
+// Accept the previous/next 30s code too (phone clocks drift)
+authenticator.options = { window: 1 };
+
+const RECOVERY_CODE_COUNT = 10;
+
+/* ============================================
+   POLICY
+   Super admins can require 2FA for every admin
+   ============================================ */
+
+async function isTwoFactorRequired() {
+    const results = await queryAsync('SELECT require_admin_2fa FROM system_settings WHERE id = 1');
+    return !!results[0]?.require_admin_2fa;
+}
+
+/* ============================================
+   TOTP
+   ============================================ */
+
+async function generateTotpSetup(username) {
+    const secret = authenticator.generateSecret();
+    const otpauthUrl = authenticator.keyuri(username, TOTP_ISSUER, secret);
+
+    return {
+        secret,
+        otpauth_url: otpauthUrl,
+        // Data URL - the frontend can drop it straight into an <img>
+        qr_code: await QRCode.toDataURL(otpauthUrl)
+    };
+}
+
+function verifyTotp(secret, code) {
+    if (!secret || !code) return false;
+
+    try {
+        return authenticator.check(String(code).replace(/\s/g, ''), secret);
+    } catch (error) {
+        return false;
+    }
+}
+
+/* ============================================
+   RECOVERY CODES
+   Stored hashed - shown to the admin once
+   ============================================ */
+
+function hashRecoveryCode(code) {
+    // Case/dash-insensitive: "ab12-cd34" and "AB12CD34" are the same code
+    const normalized = String(code).replace(/[\s-]/g, '').toUpperCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Replaces any existing codes - old ones stop working
+async function generateRecoveryCodes(adminId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await queryAsync('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [adminId]);
+    await queryAsync(
+        'INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES ?',
+        [codes.map(code => [adminId, hashRecoveryCode(code)])]
+    );
+
+    return codes;
+}
+
+// Marks the code as used - returns false if it doesn't exist or was used already
+async function consumeRecoveryCode(adminId, code) {
+    const result = await queryAsync(`
+        UPDATE admin_recovery_codes
+        SET used_at = NOW()
+        WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL
+    `, [adminId, hashRecoveryCode(code)]);
+
+    return result.affectedRows === 1;
+}
+
+/* ============================================
+   VERIFY SECOND FACTOR
+   Accepts either an app code or a recovery code
+   ============================================ */
+
+async function verifySecondFactor(admin, code) {
+    if (verifyTotp(admin.totp_secret, code)) {
+        return { verified: true, method: 'totp' };
+    }
+
+    if (await consumeRecoveryCode(admin.id, code)) {
+        return { verified: true, method: 'recovery_code' };
+    }
+
+    return { verified: false };
+}
+
+module.exports = {
+    isTwoFactorRequired,
+    generateTotpSetup,
+    verifyTotp,
+    generateRecoveryCodes,
+    verifySecondFactor
+};
@@ -147,30 +147,48 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
+    /**
+     * Ask the server whether this is the demo
+     * Real deployments (DEMO_MODE off) never reset - hide the banner
+     */
+    let nextResetAt = null;
+
+    async function loadDemoMode() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/admin/demo-mode`);
+            const data = await response.json();
+
+            if (!data.demo_mode) {
+                const banner = document.getElementById('demoBanner');
+                if (banner) {
+                    banner.style.display = 'none';
+                    document.body.style.paddingTop = '0';
+                }
+                return;
+            }
+
+            nextResetAt = data.next_reset_at ? new Date(data.next_reset_at) : null;
+            updateResetCountdown();
+
+            // Update countdown every minute
+            setInterval(updateResetCountdown, 60000);
+        } catch (error) {
+            console.error('Failed to load demo mode:', error);
+        }
+    }
+
     /**
      * Update countdown timer showing time until next reset
-     * Resets daily at 3:00 AM EST
+     * Uses the server's next scheduled run
      */
     function updateResetCountdown() {
         const nextResetElement = document.getElementById('nextReset');
         
         // Only run if element exists on page
-        if (!nextResetElement) return;
-        
-        // Get current time in EST
-        const now = new Date();
-        
-        // Create next reset time (3:00 AM EST today)
-        const nextReset = new Date();
-        nextReset.setHours(3, 0, 0, 0);
-        
-        // If it's already past 3 AM today, show tomorrow's reset
-        if (now.getHours() >= 3) {
-            nextReset.setDate(nextReset.getDate() + 1);
-        }
+        if (!nextResetElement || !nextResetAt) return;
         
         // Calculate time difference
-        const diff = nextReset - now;
+        const diff = Math.max(0, nextResetAt - new Date());
         const hours = Math.floor(diff / (1000 * 60 * 60));
         const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
         
@@ -178,10 +196,6 @@ document.addEventListener('DOMContentLoaded', () => {
         nextResetElement.textContent = `(Resets in ${hours}h ${minutes}m)`;
     }
     
-    // Update countdown immediately on page load
-    updateResetCountdown();
-    
-    // Update countdown every minute
-    setInterval(updateResetCountdown, 60000);
+    loadDemoMode();
 
 });
\ No newline at end of file
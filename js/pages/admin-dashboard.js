@@ -13,99 +13,91 @@ document.addEventListener('DOMContentLoaded', () => {
         ? 'http://127.0.0.1:5000/api' 
         : '/api';
     
-    /* ========================================
-       MINIMAL MOCK DATA
-       (Will be replaced with API calls later)
-       ======================================== */
-    
-    const mockDashboardData = {
-        // KPI Cards
-        kpis: {
-            totalMembers: 1284,
-            monthlyRevenue: 58920,
-            inventoryHealth: 92,
-            activeTrainers: 18  // Fixed typo: was 'activeTraiers'
-        },
-        
-        // Branch Performance
-        branches: [
-            { name: 'Downtown', members: 540, capacity: 600, status: 'Best', utilization: 90 },
-            { name: 'Midtown', members: 420, capacity: 550, status: 'Stable', utilization: 76 },
-            { name: 'Eastside', members: 324, capacity: 500, status: 'Growth', utilization: 65 }
-        ],
-        
-        // Recent Activity
-        recentActivity: [
-            { type: 'member', message: 'New member joined Premium at Downtown', time: '5 min ago' },
-            { type: 'payment', message: 'Invoice recorded for Elite plan', time: '12 min ago' },
-            { type: 'stock', message: 'Reorder triggered: Cleaning Wipes', time: '1 hour ago' },
-            { type: 'checkin', message: 'Peak traffic detected at Midtown 6-8pm', time: '2 hours ago' }
-        ],
-        
-        // Charts Data
-        membershipGrowth: {
-            labels: ['May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct'],
-            datasets: [
-                {
-                    label: 'Downtown',
-                    data: [380, 410, 435, 460, 495, 540],
-                    borderColor: '#e60030',
-                    backgroundColor: 'rgba(230, 0, 48, 0.15)'
-                },
-                {
-                    label: 'Midtown',
-                    data: [310, 335, 350, 370, 390, 420],
-                    borderColor: '#24c063',
-                    backgroundColor: 'rgba(36, 192, 99, 0.15)'
-                },
-                {
-                    label: 'Eastside',
-                    data: [240, 260, 280, 290, 310, 324],
-                    borderColor: '#3498db',
-                    backgroundColor: 'rgba(52, 152, 219, 0.15)'
-                }
-            ]
-        },
-        
-        revenueByLocation: {
-            labels: ['Downtown', 'Midtown', 'Eastside'],
-            data: [32400, 25200, 19440]
-        },
-        
-        // Inventory Alerts
-        inventoryAlerts: [
-            { item: 'Protein Bars', status: 'warn', message: 'Below threshold' },
-            { item: 'Dumbbells', status: 'ok', message: 'Optimal stock' },
-            { item: 'Towels', status: 'ok', message: 'Restocked' },
-            { item: 'Energy Drinks', status: 'warn', message: 'Reorder required' }
-        ],
-        
-        // System Health
-        systemHealth: [
-            { service: 'App Server', status: 'ok', message: 'Online' },
-            { service: 'Database', status: 'ok', message: 'Connected' },
-            { service: 'API Response Time', status: 'ok', message: 'Stable' },
-            { service: 'Scheduled Backup', status: 'warn', message: 'Due in 2 hours' }
-        ]
-    };
-
     /* ========================================
        POPULATE KPI CARDS
+       Value + change vs the previous period
        ======================================== */
+
+    // '2025-10-01' -> 'Oct 1' (dates are calendar days - no timezone shift)
+    function formatDay(dateString, withYear = false) {
+        return new Date(`${dateString}T00:00:00Z`).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            ...(withYear ? { year: 'numeric' } : {}),
+            timeZone: 'UTC'
+        });
+    }
+
+    function formatRange(range) {
+        return `${formatDay(range.from)} – ${formatDay(range.to, true)}`;
+    }
+
+    function setMetric(metric, value) {
+        document.querySelector(`[data-metric="${metric}"]`).textContent = value;
+    }
+
+    function setMetricSub(metric, text) {
+        document.querySelector(`[data-metric-sub="${metric}"]`).textContent = text;
+    }
+
+    // change: % vs previous period (null = previous period was empty)
+    function setMetricTrend(metric, change) {
+        const badge = document.querySelector(`[data-metric-trend="${metric}"]`);
+        if (!badge) return;
+
+        let trendClass = 'ok';
+        let icon = 'fa-minus';
+        let text = 'No change';
+
+        if (change === null || change === undefined) {
+            text = 'No previous data';
+        } else if (change > 0) {
+            trendClass = 'up';
+            icon = 'fa-arrow-up';
+            text = `+${change}%`;
+        } else if (change < 0) {
+            trendClass = 'down';
+            icon = 'fa-arrow-down';
+            text = `${change}%`;
+        }
+
+        badge.className = `kpi-trend ${trendClass}`;
+        badge.innerHTML = `<i class="fa-solid ${icon}"></i> <span></span>`;
+        badge.querySelector('span').textContent = text;
+        badge.title = 'Compared with the previous period';
+        badge.hidden = false;
+    }
     
-    function updateKPIs(kpis) {
-        // Update each KPI card using data-metric attribute
-        document.querySelector('[data-metric="totalMembers"]').textContent = 
-            window.GymFlow.formatNumber(kpis.totalMembers);
-        
-        document.querySelector('[data-metric="monthlyRevenue"]').textContent = 
-            window.GymFlow.formatCurrency(kpis.monthlyRevenue);
-        
-        document.querySelector('[data-metric="inventoryHealth"]').textContent = 
-            `${kpis.inventoryHealth}%`;
-        
-        document.querySelector('[data-metric="activeTrainers"]').textContent = 
-            kpis.activeTrainers;
+    function updateKPIs(kpis, period) {
+        const previous = `vs ${formatRange(period.previous)}`;
+
+        setMetric('members', window.GymFlow.formatNumber(kpis.members.value));
+        setMetricSub('members', `${kpis.members.joined} joined (${kpis.members.joinedPrevious} ${previous})`);
+        setMetricTrend('members', kpis.members.change);
+
+        setMetric('revenue', window.GymFlow.formatCurrency(kpis.revenue.value));
+        setMetricSub('revenue', `${window.GymFlow.formatCurrency(kpis.revenue.previous)} ${previous}`);
+        setMetricTrend('revenue', kpis.revenue.change);
+
+        setMetric('checkIns', window.GymFlow.formatNumber(kpis.checkIns.value));
+        setMetricSub('checkIns', `${window.GymFlow.formatNumber(kpis.checkIns.previous)} ${previous}`);
+        setMetricTrend('checkIns', kpis.checkIns.change);
+
+        // Stock has no history - right now, not for the period
+        setMetric('inventoryHealth', `${kpis.inventoryHealth.value}%`);
+        setMetricSub('inventoryHealth', kpis.inventoryHealth.items > 0
+            ? `${kpis.inventoryHealth.low} of ${kpis.inventoryHealth.items} items at/below reorder point (right now)`
+            : 'No stock recorded');
+
+        setMetric('activeTrainers', kpis.activeTrainers.value);
+    }
+
+    // "Oct 1 – Oct 30, 2025 · All Locations"
+    function updatePeriodLabel(period) {
+        const label = document.getElementById('dashboardPeriod');
+        if (!label) return;
+
+        label.textContent = `${formatRange(period)} · ${period.location ? period.location.name : 'All Locations'}`;
     }
     
     /* ========================================
@@ -133,7 +125,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             li.innerHTML = `
                 <span class="branch-name">${branch.name}</span>
-                <span class="branch-metric">${branch.status} · ${branch.members} members · ${branch.utilization}% cap</span>
+                <span class="branch-metric">${branch.status} · ${branch.members} members · ${branch.utilization}% cap · ${window.GymFlow.formatNumber(branch.checkIns)} check-ins</span>
             `;
             
             list.appendChild(li);
@@ -155,6 +147,12 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     container.innerHTML = '';
+
+    // Live feed starts empty - items arrive as they happen
+    if (activities.length === 0) {
+        container.innerHTML = '<div class="activity-item activity-waiting">Waiting for check-ins, payments and stock alerts...</div>';
+        return;
+    }
     
     // Create initial activities
     activities.forEach(activity => {
@@ -198,14 +196,20 @@ document.addEventListener('DOMContentLoaded', () => {
        ======================================== */
     
     // Store chart instances so we can update them later
-    let membershipChartInstance = null;
+    let checkInChartInstance = null;
     let revenueChartInstance = null;
+
+    const BUCKET_LABELS = {
+        day: 'Daily',
+        week: 'Weekly',
+        month: 'Monthly'
+    };
     
-    function createMembershipChart(data) {
-        const canvas = document.getElementById('membershipChart');
+    function createCheckInChart(data) {
+        const canvas = document.getElementById('checkInChart');
         
         if (!canvas) {
-            console.warn('Membership chart canvas not found');
+            console.warn('Check-in chart canvas not found');
             return;
         }
         
@@ -216,9 +220,9 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Destroy existing chart before recreating
-        if (membershipChartInstance) {
-            membershipChartInstance.destroy();
-            membershipChartInstance = null;
+        if (checkInChartInstance) {
+            checkInChartInstance.destroy();
+            checkInChartInstance = null;
         }
 
         // Safety Check: make sure data exists
@@ -226,8 +230,14 @@ document.addEventListener('DOMContentLoaded', () => {
             console.error('❌ Invalid chart data:', data);
             return;
         }
+
+        const tag = document.getElementById('checkInChartTag');
+        if (tag) tag.textContent = BUCKET_LABELS[data.bucket] || 'Live Data';
+
+        // Lots of daily points - drop the dots
+        const pointRadius = data.labels.length > 31 ? 0 : data.labels.length > 14 ? 2 : 4;
         
-        membershipChartInstance = new Chart(canvas, {
+        checkInChartInstance = new Chart(canvas, {
             type: 'line',
             data: {
                 labels: data.labels,
@@ -238,7 +248,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     backgroundColor: ds.backgroundColor, 
                     tension: 0.35,
                     fill: true,
-                    pointRadius: 4,
+                    pointRadius,
                     pointHoverRadius: 6
                 }))
             },
@@ -291,28 +301,37 @@ document.addEventListener('DOMContentLoaded', () => {
             type: 'bar',
             data: {
                 labels: data.labels,
-                datasets: [{
-                    label: 'Revenue',
-                    data: data.data,
-                    backgroundColor: [
-                        'rgba(230, 0, 48, 0.8)',
-                        'rgba(36, 192, 99, 0.8)',
-                        'rgba(52, 152, 219, 0.8)'
-                    ],
-                    borderColor: [
-                        '#e60030',
-                        '#24c063',
-                        '#3498db'
-                    ],
-                    borderWidth: 1
-                }]
+                datasets: [
+                    {
+                        label: 'This Period',
+                        data: data.data,
+                        backgroundColor: data.colors.map(color => `${color}cc`),
+                        borderColor: data.colors,
+                        borderWidth: 1
+                    },
+                    {
+                        label: 'Previous Period',
+                        data: data.previous,
+                        backgroundColor: 'rgba(136, 136, 136, 0.35)',
+                        borderColor: '#888',
+                        borderWidth: 1
+                    }
+                ]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false, // Let chart fill container smoothly
                 plugins: {
                     legend: {
-                        display: false // Hide legend for simple bar chart
+                        labels: {
+                            color: '#eee',
+                            font: { size: 12 }
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${window.GymFlow.formatCurrency(context.raw)}`
+                        }
                     }
                 },
                 scales: {
@@ -335,6 +354,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     /* ========================================
        POPULATE INVENTORY ALERTS
+       Stock at/below the reorder point, emptiest first
        ======================================== */
     
     function updateInventoryAlerts(alerts) {
@@ -343,27 +363,61 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!container) return;
         
         container.innerHTML = '';
+
+        if (alerts.length === 0) {
+            container.innerHTML = '<li><span class="dot dot-ok"></span> All stock above reorder points</li>';
+            return;
+        }
         
         alerts.forEach(alert => {
             const li = document.createElement('li');
 
-            // Determine dot class based on status
-            let dotClass = 'dot-ok';    // Default green
-            if (alert.status === 'low') {
-                dotClass = 'dot-warn';  // yellow
-            } else if (alert.status === 'critical') {
-                dotClass = 'dot-critical';  // red
-            }
+            // Out of stock = red, low = yellow
+            const dotClass = alert.status === 'critical' ? 'dot-critical' : 'dot-low';
 
+            // Product names as text
             li.innerHTML = `
-                <span class="dot dot-${alert.status}"></span>
-                <strong>${alert.item}:</strong> ${alert.message}
+                <span class="dot ${dotClass}"></span>
+                <strong></strong> <span class="alert-message"></span>
             `;
+            li.querySelector('strong').textContent = `${alert.item}:`;
+            li.querySelector('.alert-message').textContent = alert.message;
             container.appendChild(li);
         });
     }
     
     
+    /* ========================================
+       POPULATE MEMBERSHIP PLANS
+       Active members + monthly revenue per plan
+       ======================================== */
+    
+    function updatePlanMix(plans) {
+        const container = document.getElementById('planMix');
+        
+        if (!container || !plans) return;
+        
+        container.innerHTML = '';
+        
+        const list = document.createElement('ul');
+        list.className = 'branch-list';
+        
+        plans.forEach(plan => {
+            const li = document.createElement('li');
+            const retired = plan.isActive ? '' : ' (retired)';
+            
+            li.innerHTML = `
+                <span class="branch-name">${plan.name}${retired}</span>
+                <span class="branch-metric">${plan.members} members · ${window.GymFlow.formatCurrency(plan.monthlyRevenue)}/mo</span>
+            `;
+            
+            list.appendChild(li);
+        });
+        
+        container.appendChild(list);
+    }
+    
+    
     /* ========================================
        POPULATE SYSTEM HEALTH
        ======================================== */
@@ -386,11 +440,148 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     
+/* ========================================
+   DASHBOARD FILTERS
+   Date range presets + location
+   ======================================== */
+
+const rangeSelect = document.getElementById('dashboardRange');
+const fromInput = document.getElementById('dashboardFrom');
+const toInput = document.getElementById('dashboardTo');
+const locationSelect = document.getElementById('dashboardLocation');
+
+// Local calendar date -> 'YYYY-MM-DD'
+function toDateValue(date) {
+    return date.toLocaleDateString('en-CA');
+}
+
+// Preset -> { from, to } (null for 'custom' - the inputs decide)
+function getPresetRange(preset) {
+    const today = new Date();
+    const year = today.getFullYear();
+    const month = today.getMonth();
+
+    switch (preset) {
+        case 'month':
+            return { from: toDateValue(new Date(year, month, 1)), to: toDateValue(today) };
+        case 'last_month':
+            return { from: toDateValue(new Date(year, month - 1, 1)), to: toDateValue(new Date(year, month, 0)) };
+        case 'year':
+            return { from: toDateValue(new Date(year, 0, 1)), to: toDateValue(today) };
+        case 'custom':
+            return null;
+        default: {
+            const from = new Date(today);
+            from.setDate(from.getDate() - (parseInt(preset, 10) - 1));
+            return { from: toDateValue(from), to: toDateValue(today) };
+        }
+    }
+}
+
+function applyPreset() {
+    const range = getPresetRange(rangeSelect.value);
+    const custom = range === null;
+
+    fromInput.disabled = !custom;
+    toInput.disabled = !custom;
+
+    if (range) {
+        fromInput.value = range.from;
+        toInput.value = range.to;
+    }
+}
+
+function getDashboardParams() {
+    const params = new URLSearchParams();
+
+    if (fromInput.value) params.set('from', fromInput.value);
+    if (toInput.value) params.set('to', toInput.value);
+    params.set('location', locationSelect.value);
+
+    return params;
+}
+
+async function populateLocationFilter() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/locations`);
+        const locations = await response.json();
+
+        locations.forEach(location => {
+            const option = document.createElement('option');
+            option.value = location.id;
+            option.textContent = location.name;
+            locationSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Failed to populate location filter:', error);
+    }
+}
+
+rangeSelect.addEventListener('change', () => {
+    applyPreset();
+    if (rangeSelect.value !== 'custom') fetchDashboardData();
+});
+
+locationSelect.addEventListener('change', () => fetchDashboardData());
+
+document.getElementById('dashboardFilters').addEventListener('submit', (e) => {
+    e.preventDefault();
+    fetchDashboardData();
+});
+
+/* ========================================
+   ERROR STATE
+   Nothing from the API = nothing on screen
+   (never numbers that weren't computed for these filters)
+   ======================================== */
+
+function showDashboardError(message) {
+    const label = document.getElementById('dashboardPeriod');
+    if (label) label.textContent = 'Dashboard data unavailable';
+
+    ['members', 'revenue', 'checkIns', 'inventoryHealth', 'activeTrainers'].forEach(metric => {
+        setMetric(metric, '---');
+
+        const sub = document.querySelector(`[data-metric-sub="${metric}"]`);
+        if (sub) sub.textContent = '';
+
+        const trend = document.querySelector(`[data-metric-trend="${metric}"]`);
+        if (trend) trend.hidden = true;
+    });
+
+    if (checkInChartInstance) {
+        checkInChartInstance.destroy();
+        checkInChartInstance = null;
+    }
+
+    if (revenueChartInstance) {
+        revenueChartInstance.destroy();
+        revenueChartInstance = null;
+    }
+
+    ['branchCards', 'planMix'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) container.innerHTML = '<ul class="branch-list"><li><span class="branch-metric">Not available</span></li></ul>';
+    });
+
+    ['inventoryAlerts', 'systemHealth'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) container.innerHTML = '<li><span class="dot dot-error"></span> Not available</li>';
+    });
+
+    showNotification(message, 'error');
+}
+
 /* ========================================
    FETCH DASHBOARD DATA FROM REAL API
    ======================================== */
 
+// Latest request wins (quick filter changes)
+let dashboardRequestId = 0;
+
 async function fetchDashboardData() {
+    const requestId = ++dashboardRequestId;
+
     try {
         console.log('🔄 Fetching dashboard data from API...');
 
@@ -398,23 +589,33 @@ async function fetchDashboardData() {
         document.body.style.cursor = 'wait';
 
         // Fetch data from backend API
-        const response = await fetch(`${API_BASE_URL}/dashboard`);
-
-        // Check if request was successful
-        if (!response.ok) {
-            throw new Error(`HTTP error! stautus: ${response.status}`);
-        }
+        const response = await fetch(`${API_BASE_URL}/dashboard?${getDashboardParams()}`);
 
         // Parse JSON response
         const data = await response.json();
 
+        if (requestId !== dashboardRequestId) return;
+
+        // Bad range / unknown location / query failed - the old numbers
+        // belong to other filters, so they go too
+        if (!response.ok) {
+            document.body.style.cursor = 'default';
+
+            const message = Array.isArray(data.details)
+                ? data.details.map(detail => detail.msg).join(', ')
+                : data.details || data.error;
+            showDashboardError(message || 'Failed to load dashboard');
+            return;
+        }
+
         // Update all dashboard sections with REAL data
-        updateKPIs(data.kpis);
+        updatePeriodLabel(data.period);
+        updateKPIs(data.kpis, data.period);
         updateBranches(data.branches);
-        updateActivity(mockDashboardData.recentActivity);   // Still mock for now
-        createMembershipChart(data.membershipGrowth);
+        createCheckInChart(data.checkInTrend);
         createRevenueChart(data.revenueByLocation);
         updateInventoryAlerts(data.inventoryAlerts);
+        updatePlanMix(data.plans);
         updateSystemHealth(data.systemHealth);
 
         // Remove loading cursor
@@ -425,100 +626,62 @@ async function fetchDashboardData() {
     } catch (error) {
         console.error('❌ Failed to load dashboard data:', error);
 
+        if (requestId !== dashboardRequestId) return;
+
         // Remove loading cursor
         document.body.style.cursor = 'default';
 
-        // Show error to user
-        alert('⚠️ Could not connect to backend server. Make sure Node server is running on port 5000.');
-
-        // Fallback to mock data
-        console.log('⚠️ Using mock data as fallback');
-        initDashboardWithMockData();
+        showDashboardError('Could not connect to the server - dashboard data unavailable');
     }
 }
 
-/* ========================================
-  FALLBACK: Use Mock Data if API Fails
-  ======================================== */
-
-function initDashboardWithMockData() {
-    console.log('📦 Loading dashboard with mock data...');
-
-    updateKPIs(mockDashboardData.kpis);
-    updateBranches(mockDashboardData.branches);
-    updateActivity(mockDashboardData.recentActivity);
-    createMembershipChart(mockDashboardData.membershipGrowth);
-    createRevenueChart(mockDashboardData.revenueByLocation);
-    updateInventoryAlerts(mockDashboardData.inventoryAlerts);
-    updateSystemHealth(mockDashboardData.systemHealth);
-
-    console.log('✅ Mock data loaded');
-}
-
 /* ========================================
    INITIALIZE DASHBOARD
    Fetch from API when page loads
    ======================================== */
 
 // Run when page loads - FETCH FROM REAL API!
+// Activity feed is filled by live events (see LIVE ACTIVITY FEED)
+updateActivity([]);
+applyPreset();
+populateLocationFilter();
 fetchDashboardData();
 
 /* ========================================
-   AUTO-SCROLL ACTIVITY FEED
-   Add new activity every 6 seconds
+   LIVE ACTIVITY FEED
+   Pushed by the server (GET /api/events)
+   see subscribeLiveEvents() in shared.js
    ======================================== */
 
-// Array of possible activities
-const activityEvents = [
-    { type: 'member', message: 'New Basic member joined at Eastside' },
-    { type: 'payment', message: 'Annual Elite plan renewed at Downtown' },
-    { type: 'stock', message: 'Protein bars reorder placed for Midtown' },
-    { type: 'checkin', message: 'Peak load detected at Downtown (07:00-09:00)' },
-    { type: 'member', message: 'New Premium member joined at Downtown' },
-    { type: 'payment', message: 'Monthly Basic plan payment received' },
-    { type: 'stock', message: 'Towels restocked at all locations' },
-    { type: 'checkin', message: 'High traffic at Midtown (18:00-20:00)' },
-    { type: 'member', message: 'Member upgraded to Elite plan at Midtown' },
-    { type: 'stock', message: 'Dumbbells maintenance completed' }
-];
-
-function addNewActivity() {
+const ACTIVITY_PILLS = {
+    member: { pillClass: 'add', pillText: '+ Member' },
+    payment: { pillClass: 'pay', pillText: '$ Payment' },
+    stock: { pillClass: 'stock', pillText: 'Stock' },
+    checkin: { pillClass: 'check', pillText: 'Check-in' }
+};
+
+function addActivity(type, message) {
     const container = document.getElementById('activityFeed');
     if (!container) return;
-    
-    // Pick random activity
-    const randomActivity = activityEvents[Math.floor(Math.random() * activityEvents.length)];
-    
-    // Determine pill styling
-    let pillClass = '';
-    let pillText = '';
-    switch(randomActivity.type) {
-        case 'member':
-            pillClass = 'add';
-            pillText = '+ Member';
-            break;
-        case 'payment':
-            pillClass = 'pay';
-            pillText = '$ Payment';
-            break;
-        case 'stock':
-            pillClass = 'stock';
-            pillText = 'Stock';
-            break;
-        case 'checkin':
-            pillClass = 'check';
-            pillText = 'Check-in';
-            break;
+
+    // First live event replaces the "waiting" placeholder / sample items
+    if (!container.dataset.live) {
+        container.innerHTML = '';
+        container.dataset.live = 'true';
     }
-    
+
+    const { pillClass, pillText } = ACTIVITY_PILLS[type];
+
     // Create new activity item
+    // Message as text - it carries member/product names
     const item = document.createElement('div');
     item.className = 'activity-item';
     item.style.opacity = '0';
     item.innerHTML = `
-        <span class="pill ${pillClass}">${pillText}</span> ${randomActivity.message}
-        <div class="activity-time">Just now</div>
+        <span class="pill ${pillClass}">${pillText}</span> <span class="activity-message"></span>
+        <div class="activity-time">${new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</div>
     `;
+    item.querySelector('.activity-message').textContent = message;
     
     // Add to top of list
     container.prepend(item);
@@ -539,9 +702,35 @@ function addNewActivity() {
     while (container.children.length > 10) {
         container.lastElementChild.remove();
     }
-    
 }
 
-// Add new activity every 6 seconds
-setInterval(addNewActivity, 6000);
+function formatOccupancy(occupancy) {
+    return occupancy ? ` (${occupancy.occupancy}/${occupancy.capacity} in now)` : '';
+}
+
+subscribeLiveEvents({
+    check_in: ({ check_in, occupancy }) => {
+        addActivity('checkin', `${check_in.member_name} checked in at ${check_in.location_name}${formatOccupancy(occupancy)}`);
+    },
+
+    check_out: ({ check_in, occupancy }) => {
+        addActivity('checkin', `${check_in.member_name} checked out of ${check_in.location_name}${formatOccupancy(occupancy)}`);
+    },
+
+    payment: ({ action, payment }) => {
+        const amount = window.GymFlow.formatCurrency(payment.amount);
+        const verb = action === 'refunded' ? 'refunded to' : payment.status === 'failed' ? 'failed for' : 'received from';
+        addActivity('payment', `${amount} ${verb} ${payment.member_name}${action === 'charged' ? ' (billing run)' : ''}`);
+    },
+
+    low_stock: ({ product }) => {
+        addActivity('stock', product.out_of_stock
+            ? `${product.product_name} is out of stock`
+            : `${product.product_name} low: ${product.total_quantity} left (reorder at ${product.reorder_point})`);
+    },
+
+    reorder: ({ request }) => {
+        addActivity('stock', `Reorder ${request.request_number} ${request.status}: ${request.product_name} for ${request.location_name}`);
+    }
+});
 });
\ No newline at end of file
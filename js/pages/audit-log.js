@@ -0,0 +1,316 @@
+/* ============================================
+   AUDIT-LOG.JS
+   Handles audit log page functionality
+   Lists, filters and inspects audit entries
+   ============================================ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /* ============================================
+       API CONFIGURATION
+       Base URL for all API requests
+       ============================================ */
+
+    const API_BASE_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+        ? 'http://127.0.0.1:5000/api'
+        : '/api';
+
+    /* ============================================
+       STATE
+       ============================================ */
+
+    const PAGE_SIZE = 50;
+
+    let currentOffset = 0;
+    let currentFilters = {};
+    let currentEntries = [];
+
+    /* ============================================
+       DOM ELEMENTS
+       Cache frequently used elements
+       ============================================ */
+
+    const filtersForm = document.getElementById('auditFilters');
+    const tableBody = document.getElementById('auditTableBody');
+    const prevBtn = document.getElementById('auditPrevBtn');
+    const nextBtn = document.getElementById('auditNextBtn');
+
+    /* ============================================
+       INITIALIZATION
+       Run when page loads
+       ============================================ */
+
+    setupEventListeners();
+    await fetchAuditLog();
+    await verifyChain();
+
+    console.log('Audit log page initialized');
+
+    /* ============================================
+       SETUP EVENT LISTENERS
+       ============================================ */
+
+    function setupEventListeners() {
+        filtersForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            currentFilters = getFilters();
+            currentOffset = 0;
+            fetchAuditLog();
+        });
+
+        filtersForm.addEventListener('reset', () => {
+            currentFilters = {};
+            currentOffset = 0;
+            fetchAuditLog();
+        });
+
+        prevBtn.addEventListener('click', () => {
+            currentOffset = Math.max(0, currentOffset - PAGE_SIZE);
+            fetchAuditLog();
+        });
+
+        nextBtn.addEventListener('click', () => {
+            currentOffset += PAGE_SIZE;
+            fetchAuditLog();
+        });
+
+        document.getElementById('verifyAuditBtn').addEventListener('click', verifyChain);
+
+        // Open detail panel
+        tableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-entry-id]');
+            if (!button) return;
+
+            const entry = currentEntries.find(item => item.id === parseInt(button.dataset.entryId));
+            if (entry) openDetailPanel(entry);
+        });
+
+        document.getElementById('closeAuditPanel').addEventListener('click', closeDetailPanel);
+        document.getElementById('auditDetailPanel').addEventListener('click', (e) => {
+            if (e.target.id === 'auditDetailPanel') closeDetailPanel();
+        });
+    }
+
+    function getFilters() {
+        const filters = {};
+
+        new FormData(filtersForm).forEach((value, key) => {
+            if (value.trim()) filters[key] = value.trim();
+        });
+
+        return filters;
+    }
+
+    /* ============================================
+       FETCH AUDIT LOG
+       ============================================ */
+
+    async function fetchAuditLog() {
+        tableBody.innerHTML = `
+            <tr>
+                <td colspan="7" style="text-align: center; padding: 3rem;">
+                    <i class="fa-solid fa-spinner fa-spin"></i>
+                    <p style="margin-top: 1rem; color: var(--color-text-muted);">Loading audit log...</p>
+                </td>
+            </tr>
+        `;
+
+        const params = new URLSearchParams({
+            ...currentFilters,
+            limit: PAGE_SIZE,
+            offset: currentOffset
+        });
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/audit?${params.toString()}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.details?.[0]?.msg || data.error || 'Failed to fetch audit log');
+            }
+
+            currentEntries = data.entries;
+            renderEntries(data.entries);
+            updatePagination(data.total);
+
+        } catch (error) {
+            console.error('Failed to fetch audit log:', error);
+
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 3rem;">
+                        <i class="fa-solid fa-exclamation-triangle" style="color: var(--color-danger); font-size: 2rem;"></i>
+                        <p style="margin-top: 1rem; color: var(--color-text-muted);">${error.message}</p>
+                    </td>
+                </tr>
+            `;
+        }
+    }
+
+    /* ============================================
+       RENDER ENTRIES
+       ============================================ */
+
+    function renderEntries(entries) {
+        if (entries.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 3rem;">
+                        <i class="fa-solid fa-inbox" style="color: var(--color-text-muted); font-size: 2rem;"></i>
+                        <p style="margin-top: 1rem; color: var(--color-text-muted);">No audit entries found</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tableBody.innerHTML = entries.map(entry => `
+            <tr>
+                <td>${entry.seq}</td>
+                <td>${formatDateTime(entry.created_at)}</td>
+                <td>${entry.admin_username || '---'}</td>
+                <td>${getActionPill(entry.action)}</td>
+                <td>
+                    <div style="font-weight: 500;">${entry.entity_type}</div>
+                    <div style="font-size: 0.75rem; color: var(--color-text-dim);">${entry.entity_id || '---'}</div>
+                </td>
+                <td><code class="audit-route">${entry.method} ${entry.route}</code></td>
+                <td>
+                    <div class="table-actions">
+                        <button class="table-action-btn view" data-entry-id="${entry.id}" title="View Changes">
+                            <i class="fa-solid fa-eye"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    function updatePagination(total) {
+        const first = total === 0 ? 0 : currentOffset + 1;
+        const last = Math.min(currentOffset + PAGE_SIZE, total);
+
+        document.getElementById('auditPageInfo').textContent = `Showing ${first}-${last} of ${total}`;
+        prevBtn.disabled = currentOffset === 0;
+        nextBtn.disabled = last >= total;
+    }
+
+    /* ============================================
+       VERIFY CHAIN
+       Recomputes the hash chain on the server
+       ============================================ */
+
+    async function verifyChain() {
+        const banner = document.getElementById('auditIntegrity');
+        const text = document.getElementById('auditIntegrityText');
+
+        banner.classList.remove('valid', 'broken');
+        text.textContent = 'Checking audit log integrity...';
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/audit/verify`);
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to verify audit log');
+            }
+
+            if (result.valid) {
+                banner.classList.add('valid');
+                text.textContent = `Audit log intact - ${result.checked} entries verified`;
+            } else {
+                banner.classList.add('broken');
+                text.textContent = `Tampering detected at entry #${result.broken_at.seq}: ${result.broken_at.reason}`;
+            }
+
+        } catch (error) {
+            console.error('Failed to verify audit log:', error);
+            text.textContent = error.message;
+        }
+    }
+
+    /* ============================================
+       DETAIL PANEL
+       Shows which fields changed (before -> after)
+       ============================================ */
+
+    function openDetailPanel(entry) {
+        document.getElementById('panelAuditTitle').textContent = `${entry.action} ${entry.entity_type}`;
+        document.getElementById('panelAuditSeq').textContent = `Entry #${entry.seq}`;
+        document.getElementById('panelAuditAdmin').textContent = entry.admin_username || '---';
+        document.getElementById('panelAuditWhen').textContent = formatDateTime(entry.created_at);
+        document.getElementById('panelAuditRoute').textContent = `${entry.method} ${entry.route}`;
+        document.getElementById('panelAuditIp').textContent = entry.ip_address || '---';
+        document.getElementById('panelAuditHash').textContent = entry.hash;
+
+        document.getElementById('panelAuditChanges').innerHTML = renderChanges(entry.before_data, entry.after_data);
+
+        document.getElementById('auditDetailPanel').classList.add('active');
+    }
+
+    function closeDetailPanel() {
+        document.getElementById('auditDetailPanel').classList.remove('active');
+    }
+
+    function renderChanges(before, after) {
+        const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+        // Only fields whose value actually changed
+        const changed = fields.filter(field =>
+            JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field])
+        );
+
+        if (changed.length === 0) {
+            return '<p class="audit-no-changes">No field changes recorded</p>';
+        }
+
+        return changed.map(field => `
+            <div class="audit-change">
+                <span class="audit-change-field">${field}</span>
+                <span class="audit-change-before">${formatValue(before?.[field])}</span>
+                <i class="fa-solid fa-arrow-right"></i>
+                <span class="audit-change-after">${formatValue(after?.[field])}</span>
+            </div>
+        `).join('');
+    }
+
+    /* ============================================
+       HELPERS
+       ============================================ */
+
+    function getActionPill(action) {
+        const pillClass = {
+            create: 'add',
+            invite: 'add',
+            update: 'check',
+            delete: 'danger',
+            cancel: 'danger',
+            refund: 'pay'
+        }[action] || 'stock';
+
+        return `<span class="pill ${pillClass}">${action.replace(/_/g, ' ')}</span>`;
+    }
+
+    function formatValue(value) {
+        if (value === undefined || value === null) return '<em>empty</em>';
+        return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+
+    // Snapshots contain free text (notes, names) - never inject it as HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    function formatDateTime(value) {
+        return new Date(value).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+});
@@ -19,7 +19,7 @@ document.addEventListener('DOMContentLoaded', async () => {
        Store data for filtering and sorting
        ============================================ */
 
-    let allRequests = [];               // All reorder requests from API
+    let allRequests = [];               // Reorder requests on the current page
     let currentStatusFilter = 'all';    // Current active tab
 
     let currentSort = {
@@ -27,6 +27,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         direction: 'desc'
     };
 
+    // Filters, sort and paging run on the server
+    const reordersPager = createListPager('reordersPagination', fetchReorders);
+    let searchTimeout = null;
+
     /* ============================================
        CHART INSTANCES
        Store chart objects so we can update them later
@@ -51,6 +55,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Set up event listeners
     setupEventListeners();
 
+    // Requests created/approved/received elsewhere show up without a reload
+    let liveRefreshTimeout = null;
+
+    subscribeLiveEvents({
+        reorder: () => {
+            clearTimeout(liveRefreshTimeout);
+
+            liveRefreshTimeout = setTimeout(async () => {
+                await fetchStats();
+                await fetchReorders();
+                await initCharts();
+            }, 1000);
+        }
+    });
+
     console.log('Reorder Requests page initialized');
 
     /* ============================================
@@ -88,10 +107,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     /* ============================================
        FETCH REORDERS
-       Get all reorder requests and display them
+       Get one page of reorder requests (current tab,
+       filters and sort) and display them
        ============================================ */
 
-    async function fetchReorders(filters = {}) {
+    async function fetchReorders() {
         try {
             // Show loading state
             const tableBody = document.getElementById('reordersTableBody');
@@ -105,13 +125,24 @@ document.addEventListener('DOMContentLoaded', async () => {
             `;
 
             // Build query string from filters
-            const params = new URLSearchParams();
-            if (filters.status && filters.status !== 'all') {
-                params.append('status', filters.status);
+            const params = new URLSearchParams({
+                sort: currentSort.column,
+                order: currentSort.direction,
+                ...reordersPager.params()
+            });
+
+            if (currentStatusFilter && currentStatusFilter !== 'all') {
+                params.append('status', currentStatusFilter);
+            }
+
+            const locationFilter = document.getElementById('filterLocation').value;
+            if (locationFilter && locationFilter !== 'all') {
+                params.append('location_id', locationFilter);
             }
 
-            if (filters.location_id && filters.location_id !== 'all') {
-                params.append('location_id', filters.location_id);
+            const searchQuery = document.getElementById('searchRequests').value.trim();
+            if (searchQuery) {
+                params.append('search', searchQuery);
             }
 
             const response = await fetch(`${API_BASE_URL}/inventory/reorders?${params.toString()}`);
@@ -125,6 +156,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             // Display requests in table
             renderReorders(allRequests);
+            reordersPager.update(data.pagination, allRequests.length);
 
         } catch (error) {
             console.error('Failed to fetch reorders:', error);
@@ -468,6 +500,15 @@ document.addEventListener('DOMContentLoaded', async () => {
                 handleSort(column);
             });
         });
+
+        // Export = what's on screen: same tab, filters and sort
+        setupExportMenu('reordersExportMenu', `${API_BASE_URL}/inventory/reorders`, () => ({
+            status: currentStatusFilter,
+            location_id: document.getElementById('filterLocation').value,
+            search: document.getElementById('searchRequests').value.trim(),
+            sort: currentSort.column,
+            order: currentSort.direction
+        }));
     }
 
     /* ============================================
@@ -524,42 +565,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     /* ============================================
        APPLY FILTERS
        Filter requests by status and location
+       (on the server - new filters = back to page 1)
        ============================================ */
 
     function applyFilters() {
-        const locationFilter = document.getElementById('filterLocation').value;
-        const searchQuery = document.getElementById('searchRequests').value.toLowerCase().trim();
-
-        // Start with all requests
-        let filtered = [...allRequests];
-
-        // Apply status filter from active tab
-        if (currentStatusFilter && currentStatusFilter !== 'all') {
-            filtered = filtered.filter(r => r.status === currentStatusFilter);
-        }
-
-        // Apply location filter
-        if (locationFilter && locationFilter !== 'all') {
-            filtered = filtered.filter(r => r.location_id == locationFilter);
-        }
-
-        // Apply search query
-        if (searchQuery) {
-            filtered = filtered.filter(r => {
-                return r.request_number.toLowerCase().includes(searchQuery) || 
-                       r.product_name.toLowerCase().includes(searchQuery) || 
-                       r.product_sku.toLowerCase().includes(searchQuery) || 
-                       r.requested_by.toLowerCase().includes(searchQuery);
-            });
-        }
-
-        // Re-render with filtered requests
-        renderReorders(filtered);
+        reordersPager.reset();
+        fetchReorders();
     }
 
     /* ============================================
        SORTING FUNCTIONALITY
-       Sort table by column
+       Sort table by column (server-side, across every page)
        ============================================ */
 
     function handleSort(column) {
@@ -571,31 +587,6 @@ document.addEventListener('DOMContentLoaded', async () => {
             currentSort.direction = 'asc';
         }
 
-        // Sort the alLRequests array
-        allRequests.sort((a, b) => {
-            let aVal = a[column];
-            let bVal = b[column];
-
-            // Handle null/undefined values
-            if (aVal === null || aVal === undefined) aVal = '';
-            if (bVal === null || bVal === undefined) bVal = '';
-
-            // Convert to lowercase for string comparison
-            if (typeof aVal === 'string') aVal = aVal.toLowerCase();
-            if (typeof bVal === 'string') bVal = bVal.toLowerCase();
-
-            // Special handling for dates
-            if (column === 'requested_at') {
-                aVal = new Date(aVal).getTime();
-                bVal = new Date(bVal).getTime();
-            }
-
-            // Compare
-            if (aVal < bVal) return currentSort.direction === 'asc' ? -1 : 1;
-            if (aVal > bVal) return currentSort.direction === 'asc' ? 1 : -1;
-            return 0;
-        });
-
         // Update sort indicators in table header
         document.querySelectorAll('.sortable').forEach(header => {
             header.classList.remove('sorted-asc', 'sorted-desc');
@@ -607,17 +598,18 @@ document.addEventListener('DOMContentLoaded', async () => {
             currentHeader.classList.add(`sorted-${currentSort.direction}`);
         }
 
-        // Re-apply filters (which will use the sorted array)
+        // Re-fetch from the first page in the new order
         applyFilters();
     }
 
     /* ============================================
        HANDLE SEARCH
-       Filter requests as user types
+       Filter requests once typing pauses
        ============================================ */
 
-    function handleSearch(e) {
-        applyFilters();
+    function handleSearch() {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(applyFilters, 300);
     }
 
     /* ============================================
@@ -798,10 +790,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             const requestId = document.getElementById('approve-request-id').value;
             
             try {
-                const response = await fetch(`${API_BASE_URL}/inventory/reorders/${requestId}/approve`, {
+                const response = await adminFetch(`${API_BASE_URL}/inventory/reorders/${requestId}/approve`, {
                     method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ approved_by: 'Admin' })
+                    headers: { 'Content-Type': 'application/json' }
                 });
 
                 const result = await response.json();
@@ -823,7 +814,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 showNotification('Request approved successfully!', 'success');
 
                 // Refresh data
-                await fetchReorders({ status: currentStatusFilter });
+                await fetchReorders();
                 await fetchStats();
                 await initCharts();
 
@@ -839,11 +830,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             const reason = document.getElementById('rejectionReason').value.trim();
             
             try {
-                const response = await fetch(`${API_BASE_URL}/inventory/reorders/${requestId}/reject`, {
+                const response = await adminFetch(`${API_BASE_URL}/inventory/reorders/${requestId}/reject`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
-                        rejected_by: 'Admin',
                         rejection_reason: reason || 'No reason provided'
                     })
                 });
@@ -867,7 +857,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 showNotification('Request rejected', 'success');
 
                 // Refresh data
-                await fetchReorders({ status: currentStatusFilter });
+                await fetchReorders();
                 await fetchStats();
                 await initCharts();
 
@@ -896,7 +886,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             quantityInput.style.borderColor = 'var(--color-border-light)';
             
             try {
-                const response = await fetch(`${API_BASE_URL}/inventory/reorders/${requestId}/receive`, {
+                const response = await adminFetch(`${API_BASE_URL}/inventory/reorders/${requestId}/receive`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ quantity_received: quantity })
@@ -921,7 +911,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 showNotification('Request marked as received and inventory updated!', 'success');
 
                 // Refresh data
-                await fetchReorders({ status: currentStatusFilter });
+                await fetchReorders();
                 await fetchStats();
                 await initCharts();
 
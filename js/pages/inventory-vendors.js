@@ -19,7 +19,7 @@ document.addEventListener('DOMContentLoaded', async () => {
        Store data for filtering and sorting
        ============================================ */
 
-    let allVendors = [];                // All vendors from API
+    let allVendors = [];                // Vendors on the current page
     let currentCategoryFilter = 'all';  // Current category filter
     let currentStatusFilter = 'all';    // Current status filter
 
@@ -28,6 +28,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         direction: 'asc'                // Alphabetical ascending
     };
 
+    // Filters, sort and paging run on the server
+    const vendorsPager = createListPager('vendorsPagination', fetchVendors);
+    let searchTimeout = null;
+
     /* ============================================
        CHART INSTANCES
        Store chart objects so we can update them later
@@ -86,10 +90,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     /* ============================================
        FETCH VENDORS
-       Get all vendors and display time
+       Get one page of vendors (current filters + sort) and display them
        ============================================ */
 
-    async function fetchVendors(filters = {}) {
+    async function fetchVendors() {
         try {
             // Show loading state
             const tableBody = document.getElementById('vendorsTableBody');
@@ -103,18 +107,23 @@ document.addEventListener('DOMContentLoaded', async () => {
             `;
 
             // Build query string from filters
-            const params = new URLSearchParams();
+            const params = new URLSearchParams({
+                sort: currentSort.column,
+                order: currentSort.direction,
+                ...vendorsPager.params()
+            });
 
-            if (filters.category && filters.category !== 'all') {
-                params.append('category', filters.category);
+            if (currentCategoryFilter && currentCategoryFilter !== 'all') {
+                params.append('category', currentCategoryFilter);
             }
 
-            if (filters.status && filters.status !== 'all') {
-                params.append('status', filters.status);
+            if (currentStatusFilter && currentStatusFilter !== 'all') {
+                params.append('status', currentStatusFilter);
             }
 
-            if (filters.search) {
-                params.append('search', filters.search);
+            const searchQuery = document.getElementById('searchVendors').value.trim();
+            if (searchQuery) {
+                params.append('search', searchQuery);
             }
 
             const response = await fetch(`${API_BASE_URL}/inventory/vendors?${params.toString()}`);
@@ -129,6 +138,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             // Display vendors in table
             renderVendors(allVendors);
+            vendorsPager.update(data.pagination, allVendors.length);
 
         } catch (error) {
             console.error('Failed to fetch vendors:', error);
@@ -421,6 +431,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Search input
         document.getElementById('searchVendors').addEventListener('input', handleSearch);
 
+        // Export = what's on screen: same filters and sort
+        setupExportMenu('vendorsExportMenu', `${API_BASE_URL}/inventory/vendors`, () => ({
+            category: document.getElementById('filterCategory').value,
+            status: document.getElementById('filterStatus').value,
+            search: document.getElementById('searchVendors').value.trim(),
+            sort: currentSort.column,
+            order: currentSort.direction
+        }));
+
         // Table action buttons using event delegation
         const tableBody = document.getElementById('vendorsTableBody');
         tableBody.addEventListener('click', handleTableAction);
@@ -470,46 +489,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     /* ============================================
        APPLY FILTERS
        Filter vendors by category and status
+       (on the server - new filters = back to page 1)
        ============================================ */
 
     function applyFilters() {
-        const categoryFilter = document.getElementById('filterCategory').value;
-        const statusFilter = document.getElementById('filterStatus').value;
-        const searchQuery = document.getElementById('searchVendors').value.toLowerCase().trim();
-
         // Store current filters
-        currentCategoryFilter = categoryFilter;
-        currentStatusFilter = statusFilter;
-
-        // Start with all vendors
-        let filtered = [...allVendors];
-
-        // Apply category filter
-        if (categoryFilter && categoryFilter !== 'all') {
-            filtered = filtered.filter(v => v.category === categoryFilter);
-        }
-
-        // Apply status filter
-        if (statusFilter && statusFilter !== 'all') {
-            filtered = filtered.filter(v => v.status === statusFilter);
-        }
+        currentCategoryFilter = document.getElementById('filterCategory').value;
+        currentStatusFilter = document.getElementById('filterStatus').value;
 
-        // Apply search query
-        if (searchQuery) {
-            filtered = filtered.filter(v => {
-                return v.vendor_name.toLowerCase().includes(searchQuery) || 
-                       (v.contact_person && v.contact_person.toLowerCase().includes(searchQuery)) || 
-                       (v.email && v.email.toLowerCase().includes(searchQuery));
-            });
-        }
-
-        //Re-render with filtered vendors
-        renderVendors(filtered);
+        vendorsPager.reset();
+        fetchVendors();
     }
 
     /* ============================================
        SORTING FUNCTIONALITY
-       Sort table by column
+       Sort table by column (server-side, across every page)
        ============================================ */
 
     function handleSort(column) {
@@ -521,25 +515,6 @@ document.addEventListener('DOMContentLoaded', async () => {
             currentSort.direction = 'asc';
         }
 
-        // Sort the allVendors array
-        allVendors.sort((a, b) => {
-            let aVal = a[column];
-            let bVal = b[column];
-
-            // Handle null/undefined values
-            if (aVal === null || aVal === undefined) aVal = '';
-            if (bVal === null || bVal === undefined) bVal = '';
-
-            // Convert to lowercase for string comparison
-            if (typeof aVal === 'string') aVal = aVal.toLowerCase();
-            if (typeof bVal === 'string') bVal = bVal.toLowerCase();
-
-            // Compare
-            if (aVal < bVal) return currentSort.direction === 'asc' ? -1 : 1;
-            if (aVal > bVal) return currentSort.direction === 'asc' ? 1 : -1;
-            return 0;
-        });
-
         // Update sort indicators in table header
         document.querySelectorAll('.sortable').forEach(header => {
             header.classList.remove('sorted-asc', 'sorted-desc');
@@ -551,17 +526,18 @@ document.addEventListener('DOMContentLoaded', async () => {
             currentHeader.classList.add(`sorted-${currentSort.direction}`);
         }
 
-        // Re-apply filters (which will use the sorted array)
+        // Re-fetch from the first page in the new order
         applyFilters();
     }
 
     /* ============================================
        HANDLE SEARCH
-       Filter vendors as user types
+       Filter vendors once typing pauses
        ============================================ */
 
     function handleSearch() {
-        applyFilters();
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(applyFilters, 300);
     }
 
     /* ============================================
@@ -629,7 +605,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Creating...';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/inventory/vendors`, {
+            const response = await adminFetch(`${API_BASE_URL}/inventory/vendors`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(formData)
@@ -760,7 +736,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Updating...';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/inventory/vendors/${vendorId}`, {
+            const response = await adminFetch(`${API_BASE_URL}/inventory/vendors/${vendorId}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(formData)
@@ -914,7 +890,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         confirmBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Deleting...';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/inventory/vendors/${vendorId}`, {
+            const response = await adminFetch(`${API_BASE_URL}/inventory/vendors/${vendorId}`, {
                 method: 'DELETE'
             });
 
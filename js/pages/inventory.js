@@ -18,8 +18,15 @@ document.addEventListener('DOMContentLoaded', async () => {
        Store data for filtering and sorting
        ============================================ */
 
-    let allProducts = [];       // All products from API
+    let allProducts = [];       // Products on the current page
     let allCategories = [];     // All categories for dropdowns
+    let allLocations = [];      // All locations for the transfer modal
+    let allTransfers = [];      // Transfers on the current page
+
+    // Filters and paging run on the server
+    const productsPager = createListPager('productsPagination', fetchProducts);
+    const transfersPager = createListPager('transfersPagination', fetchTransfers);
+    let searchTimeout = null;
 
     /* ============================================ 
        CHART INSTANCES
@@ -38,6 +45,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     await fetchStats();
     await fetchCategories();
     await fetchProducts();
+    await fetchTransfers();
     await initCharts();
 
     // Populate filter dropdowns
@@ -47,8 +55,43 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Set up event listeners
     setupEventListeners();
 
+    // Other desks' stock changes and reorders (see LIVE UPDATES)
+    subscribeLiveEvents({
+        low_stock: handleLowStockEvent, 
+        reorder: scheduleLiveRefresh, 
+        transfer: scheduleLiveRefresh
+    });
+
     console.log('Inventory page initialized');
 
+    /* ============================================
+       LIVE UPDATES
+       Pushed by the server (GET /api/events)
+       ============================================ */
+
+    let liveRefreshTimeout = null;
+
+    function handleLowStockEvent({ product }) {
+        const message = product.out_of_stock
+            ? `${product.product_name} is out of stock`
+            : `${product.product_name} is low: ${product.total_quantity} left (reorder at ${product.reorder_point})`;
+
+        showNotification(message, 'warning');
+        scheduleLiveRefresh();
+    }
+
+    // A reorder receive (or transfer) sends two events - refresh once
+    function scheduleLiveRefresh() {
+        clearTimeout(liveRefreshTimeout);
+
+        liveRefreshTimeout = setTimeout(async () => {
+            await fetchStats();
+            await fetchProducts();
+            await fetchTransfers();
+            await initCharts();
+        }, 1000);
+    }
+
     /* ============================================ 
        FETCH KPI STATS
        Get numbers for the 4 KPI cards
@@ -119,7 +162,21 @@ document.addEventListener('DOMContentLoaded', async () => {
                 </div>
             `;
 
-            const response = await fetch(`${API_BASE_URL}/inventory/products`);
+            // Build query string from filters
+            const params = new URLSearchParams(productsPager.params());
+
+            const filters = {
+                category: document.getElementById('filterCategory').value,
+                location: document.getElementById('filterLocation').value,
+                stock_status: document.getElementById('filterStockStatus').value,
+                search: document.getElementById('searchProducts').value.trim()
+            };
+
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value && value !== 'all') params.append(key, value);
+            });
+
+            const response = await fetch(`${API_BASE_URL}/inventory/products?${params.toString()}`);
 
             if (!response.ok) {
                 throw new Error('Failed to fetch products');
@@ -130,6 +187,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             // Display products
             renderProducts(allProducts);
+            productsPager.update(data.pagination, allProducts.length);
 
         } catch (error) {
             console.error('Failed to fetch products:', error);
@@ -226,6 +284,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                                 <i class="fa-solid fa-pen"></i>
                                 Edit
                             </button>
+                            <button class="btn ghost sm history-btn" data-product-id="${product.id}">
+                                <i class="fa-solid fa-clock-rotate-left"></i>
+                                History
+                            </button>
+                            <button class="btn ghost sm transfer-btn" data-product-id="${product.id}">
+                                <i class="fa-solid fa-truck"></i>
+                                Transfer
+                            </button>
                             <button class="btn reorder sm reorder-btn" data-product-id="${product.id}">
                                 <i class="fa-solid fa-rotate"></i>
                                 Reorder
@@ -283,6 +349,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             <div class="location-stock">
                 <p class="location-name">${loc.location_name}</p>
                 <p class="location-qty">${loc.quantity}</p>
+                ${loc.incoming ? `<p class="location-transit incoming" title="Shipped here, not received yet">+${loc.incoming} in transit</p>` : ''}
+                ${loc.outgoing ? `<p class="location-transit outgoing" title="Shipped from here, not received yet">${loc.outgoing} on the way out</p>` : ''}
             </div>
         `).join('');
     }
@@ -309,8 +377,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         // Destroy existing chart before recreating
         if (stockHealthChart) {
-            membershipChart.destroy();
-            membershipChart = null;
+            stockHealthChart.destroy();
+            stockHealthChart = null;
         }
 
         if (stockByCategory) {
@@ -480,6 +548,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         try {
             const response = await fetch(`${API_BASE_URL}/locations`);
             const locations = await response.json();
+            allLocations = locations;
 
             // Filter dropdown
             const filterDropdown = document.getElementById('filterLocation');
@@ -492,6 +561,18 @@ document.addEventListener('DOMContentLoaded', async () => {
                 filterDropdown.appendChild(option);
             });
 
+            // Stock history modal dropdown
+            const historyDropdown = document.getElementById('stockHistoryLocation');
+            if (historyDropdown) {
+                historyDropdown.innerHTML = '<option value="all">All Locations</option>';
+                locations.forEach(location => {
+                    const option = document.createElement('option');
+                    option.value = location.id;
+                    option.textContent = location.name;
+                    historyDropdown.appendChild(option);
+                });
+            }
+
             // Reorder modal dropdown
             const reorderDropdown = document.getElementById('reorderLocation');
             if (reorderDropdown) {
@@ -527,6 +608,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Add Product button
         document.getElementById('addProductBtn').addEventListener('click', openAddProductModal);
 
+        // Export = the same filters as the grid
+        setupExportMenu('productsExportMenu', `${API_BASE_URL}/inventory/products`, () => ({
+            category: document.getElementById('filterCategory').value,
+            location: document.getElementById('filterLocation').value,
+            stock_status: document.getElementById('filterStockStatus').value,
+            search: document.getElementById('searchProducts').value.trim()
+        }));
+
         // Product card actions (using event delegation)
         document.getElementById('productsGrid').addEventListener('click', handleProductCardClick);
 
@@ -535,66 +624,41 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Reorder form submission
         document.getElementById('reorderForm').addEventListener('submit', handleReorderSubmit);
+
+        // Transfer form submission
+        document.getElementById('transferForm').addEventListener('submit', handleTransferSubmit);
+
+        // Transfers table: status filter + row actions (event delegation)
+        document.getElementById('filterTransferStatus').addEventListener('change', () => {
+            transfersPager.reset();
+            fetchTransfers();
+        });
+        document.getElementById('transfersTableBody').addEventListener('click', handleTransferAction);
+
+        // Stock history: location filter + next page
+        document.getElementById('stockHistoryLocation').addEventListener('change', () => fetchStockHistory());
+        document.getElementById('stockHistoryMoreBtn').addEventListener('click', () => fetchStockHistory(true));
     }
 
     /* ============================================
        HANDLE SEARCH
-       Filter products as user types
+       Filter products once typing pauses
        ============================================ */
 
-    function handleSearch(e) {
-        const query = e.target.value.toLowerCase().trim();
-        applyFilters();
+    function handleSearch() {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(applyFilters, 300);
     }
 
     /* ============================================
        APPLY FILTERS
        Filter products by all criteria
+       (on the server - new filters = back to page 1)
        ============================================ */
 
     function applyFilters() {
-        // Get current filter values
-        const categoryFilter = document.getElementById('filterCategory').value;
-        const locationFilter = document.getElementById('filterLocation').value;
-        const stockStatusFilter = document.getElementById('filterStockStatus').value;
-        const searchQuery = document.getElementById('searchProducts').value.toLowerCase().trim();
-
-        // Start with all products
-        let filtered = [...allProducts];
-
-        // Apply category filter
-        if (categoryFilter && categoryFilter !== 'all') {
-            filtered = filtered.filter(p => p.category_id == categoryFilter);
-        }
-
-        // Apply stock status filter
-        if (stockStatusFilter && stockStatusFilter !== 'all') {
-            filtered = filtered.filter(p => {
-                const status = getStockStatus(p.total_quantity, p.reorder_point);
-
-                if (stockStatusFilter === 'in_stock') {
-                    return status.class === 'in_stock';
-                } else if (stockStatusFilter === 'low') {
-                    return status.class === 'low-stock';
-                } else if (stockStatusFilter === 'out') {
-                    return status.class === 'out-of-stock';
-                }
-
-                return true;
-            });
-        }
-
-        // Apply search query
-        if (searchQuery) {
-            filtered = filtered.filter(p => {
-                return p.name.toLowerCase().includes(searchQuery) || 
-                       p.sku.toLowerCase().includes(searchQuery) || 
-                       (p.description && p.description.toLowerCase().includes(searchQuery));
-            });
-        }
-
-        // Re-render with filtered products
-        renderProducts(filtered);
+        productsPager.reset();
+        fetchProducts();
     }
 
     /* ============================================
@@ -611,6 +675,22 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
+        // Check if History button was clicked
+        const historyBtn = e.target.closest('.history-btn');
+        if (historyBtn) {
+            const productId = historyBtn.dataset.productId;
+            openStockHistoryModal(productId);
+            return;
+        }
+
+        // Check if Transfer button was clicked
+        const transferBtn = e.target.closest('.transfer-btn');
+        if (transferBtn) {
+            const productId = transferBtn.dataset.productId;
+            openTransferModal(productId);
+            return;
+        }
+
         // Check if Reorder button was clicked
         const reorderBtn = e.target.closest('.reorder-btn');
         if (reorderBtn) {
@@ -713,14 +793,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             if (isEditing) {
                 // Update existing product
-                response = await fetch(`${API_BASE_URL}/inventory/products/${productId}`, {
+                response = await adminFetch(`${API_BASE_URL}/inventory/products/${productId}`, {
                     method: 'PUT', 
                     headers: { 'Content-Type': 'application/json' }, 
                     body: JSON.stringify(productData)
                 });
             } else {
                 // Create new product
-                response = await fetch(`${API_BASE_URL}/inventory/products`, {
+                response = await adminFetch(`${API_BASE_URL}/inventory/products`, {
                     method: 'POST', 
                     headers: { 'Content-Type': 'application/json' }, 
                     body: JSON.stringify(productData)
@@ -832,7 +912,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Submitting...';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/inventory/reorders`, {
+            const response = await adminFetch(`${API_BASE_URL}/inventory/reorders`, {
                 method: 'POST', 
                 headers: { 'Content-Type': 'application/json' }, 
                 body: JSON.stringify(reorderData)
@@ -874,4 +954,434 @@ document.addEventListener('DOMContentLoaded', async () => {
             submitBtn.innerHTML = originalBtnText;
         }
     }
+
+    /* ============================================
+       STOCK TRANSFERS
+       draft -> in transit -> received
+       ============================================ */
+
+    const TRANSFER_STATUS_PILLS = {
+        draft: '<span class="pill">Draft</span>',
+        in_transit: '<span class="pill check">In Transit</span>',
+        received: '<span class="pill success">Received</span>',
+        cancelled: '<span class="pill danger">Cancelled</span>'
+    };
+
+    async function fetchTransfers() {
+        const tbody = document.getElementById('transfersTableBody');
+
+        try {
+            const params = new URLSearchParams(transfersPager.params());
+            params.append('status', document.getElementById('filterTransferStatus').value);
+
+            const response = await fetch(`${API_BASE_URL}/inventory/transfers?${params.toString()}`);
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch transfers');
+            }
+
+            const data = await response.json();
+            allTransfers = data.transfers || [];
+
+            renderTransfers(allTransfers);
+            transfersPager.update(data.pagination, allTransfers.length);
+
+        } catch (error) {
+            console.error('Failed to fetch transfers:', error);
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" style="text-align: center; padding: 2rem;">Failed to load transfers</td>
+                </tr>
+            `;
+        }
+    }
+
+    function renderTransfers(transfers) {
+        const tbody = document.getElementById('transfersTableBody');
+
+        if (transfers.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" style="text-align: center; padding: 2rem;">No transfers to show</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = transfers.map(transfer => {
+            let actions = '';
+
+            if (transfer.status === 'draft') {
+                actions = `
+                    <button class="btn primary sm" data-transfer-action="ship" data-transfer-id="${transfer.id}">
+                        <i class="fa-solid fa-truck"></i> Ship
+                    </button>
+                    <button class="btn ghost sm" data-transfer-action="cancel" data-transfer-id="${transfer.id}">
+                        Cancel
+                    </button>
+                `;
+            } else if (transfer.status === 'in_transit') {
+                actions = `
+                    <button class="btn primary sm" data-transfer-action="receive" data-transfer-id="${transfer.id}">
+                        <i class="fa-solid fa-check"></i> Receive
+                    </button>
+                `;
+            }
+
+            return `
+                <tr>
+                    <td>${escapeHtml(transfer.transfer_number)}</td>
+                    <td>
+                        ${escapeHtml(transfer.product_name)}
+                        <span class="movement-reference">${escapeHtml(transfer.product_sku)}</span>
+                    </td>
+                    <td>${escapeHtml(transfer.from_location_name)}</td>
+                    <td>${escapeHtml(transfer.to_location_name)}</td>
+                    <td>${transfer.quantity}</td>
+                    <td>${TRANSFER_STATUS_PILLS[transfer.status] || escapeHtml(transfer.status)}</td>
+                    <td>
+                        ${formatDateTime(transfer.created_at)}
+                        <span class="movement-reference">${escapeHtml(transfer.created_by || 'System')}</span>
+                    </td>
+                    <td class="transfer-actions">${actions || '—'}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    function openTransferModal(productId) {
+        const product = allProducts.find(p => p.id == productId);
+
+        if (!product) {
+            console.error('Product not found:', productId);
+            return;
+        }
+
+        // Quantity on hand per location - so staff can see where to take it from
+        const onHand = {};
+        (product.stock_by_location || []).forEach(loc => {
+            onHand[loc.location_id] = loc.quantity;
+        });
+
+        const fromDropdown = document.getElementById('transferFrom');
+        const toDropdown = document.getElementById('transferTo');
+
+        fromDropdown.innerHTML = '<option value="">Select location...</option>';
+        toDropdown.innerHTML = '<option value="">Select location...</option>';
+
+        allLocations.forEach(location => {
+            const fromOption = document.createElement('option');
+            fromOption.value = location.id;
+            fromOption.textContent = `${location.name} (${onHand[location.id] || 0} on hand)`;
+            fromDropdown.appendChild(fromOption);
+
+            const toOption = document.createElement('option');
+            toOption.value = location.id;
+            toOption.textContent = location.name;
+            toDropdown.appendChild(toOption);
+        });
+
+        // Populate modal
+        document.getElementById('transferProductId').value = product.id;
+        document.getElementById('transferProductName').textContent = product.name;
+        document.getElementById('transferProductSku').textContent = `SKU: ${product.sku}`;
+
+        // Clear form
+        document.getElementById('transferQuantity').value = '';
+        document.getElementById('transferNotes').value = '';
+        document.getElementById('transferShipNow').checked = false;
+
+        // Clear messages
+        document.getElementById('transferError').style.display = 'none';
+        document.getElementById('transferSuccess').style.display = 'none';
+
+        // Show modal
+        document.getElementById('transfer-modal').classList.add('show');
+    }
+
+    async function handleTransferSubmit(e) {
+        e.preventDefault();
+
+        const errorBox = document.getElementById('transferError');
+        const successBox = document.getElementById('transferSuccess');
+
+        const transferData = {
+            product_id: parseInt(document.getElementById('transferProductId').value),
+            from_location_id: parseInt(document.getElementById('transferFrom').value),
+            to_location_id: parseInt(document.getElementById('transferTo').value),
+            quantity: parseInt(document.getElementById('transferQuantity').value),
+            notes: document.getElementById('transferNotes').value,
+            ship: document.getElementById('transferShipNow').checked
+        };
+
+        // Validate
+        if (!transferData.from_location_id || !transferData.to_location_id) {
+            errorBox.textContent = 'Please select both locations';
+            errorBox.style.display = 'block';
+            return;
+        }
+
+        if (transferData.from_location_id === transferData.to_location_id) {
+            errorBox.textContent = 'Source and destination must be different locations';
+            errorBox.style.display = 'block';
+            return;
+        }
+
+        // Hide previous messages
+        errorBox.style.display = 'none';
+        successBox.style.display = 'none';
+
+        // Show loading state
+        const submitBtn = document.getElementById('submitTransferBtn');
+        const originalBtnText = submitBtn.innerHTML;
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Creating...';
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/inventory/transfers`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(transferData)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                const details = Array.isArray(result.details)
+                    ? result.details.map(detail => detail.msg).join(', ')
+                    : result.details;
+                throw new Error(details || result.error || 'Failed to create transfer');
+            }
+
+            successBox.textContent = `${result.message}: ${result.transfer.transfer_number}`;
+            successBox.style.display = 'block';
+
+            // Close modal after delay
+            setTimeout(() => {
+                document.getElementById('transfer-modal').classList.remove('show');
+
+                // Reset button
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = originalBtnText;
+
+                // Shipping changes stock - the live event refreshes the grid,
+                // but this page shouldn't have to wait for it
+                fetchTransfers();
+                if (transferData.ship) fetchProducts();
+
+            }, 1500);
+
+        } catch (error) {
+            console.error('Failed to create transfer:', error);
+
+            errorBox.textContent = error.message;
+            errorBox.style.display = 'block';
+
+            // Reset button
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = originalBtnText;
+        }
+    }
+
+    // Ship / Receive / Cancel buttons in the transfers table
+    async function handleTransferAction(e) {
+        const button = e.target.closest('[data-transfer-action]');
+        if (!button) return;
+
+        const { transferAction: action, transferId } = button.dataset;
+        const transfer = allTransfers.find(t => t.id == transferId);
+        if (!transfer) return;
+
+        const confirmations = {
+            ship: `Ship ${transfer.quantity} x ${transfer.product_name} from ${transfer.from_location_name}? The stock leaves that location now.`,
+            receive: `Receive ${transfer.quantity} x ${transfer.product_name} at ${transfer.to_location_name}?`,
+            cancel: `Cancel transfer ${transfer.transfer_number}?`
+        };
+
+        if (!confirm(confirmations[action])) return;
+
+        button.disabled = true;
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/inventory/transfers/${transferId}/${action}`, {
+                method: 'PUT'
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.details || result.error || `Failed to ${action} transfer`);
+            }
+
+            showNotification(`${result.message} (${transfer.transfer_number})`, 'success');
+
+            await fetchTransfers();
+            if (action !== 'cancel') await fetchProducts();
+
+        } catch (error) {
+            console.error(`Failed to ${action} transfer:`, error);
+            showNotification(error.message, 'error');
+            button.disabled = false;
+        }
+    }
+
+    /* ============================================
+       STOCK HISTORY MODAL
+       Movement ledger for one product (newest first)
+       + whether it adds up to the quantity on hand
+       ============================================ */
+
+    const STOCK_HISTORY_PAGE_SIZE = 25;
+
+    const MOVEMENT_TYPE_LABELS = {
+        opening: 'Opening balance',
+        set: 'Stock count',
+        add: 'Added',
+        subtract: 'Removed',
+        receipt: 'Reorder received',
+        transfer_out: 'Transfer shipped',
+        transfer_in: 'Transfer received'
+    };
+
+    let stockHistoryProductId = null;
+    let stockHistoryMovements = [];
+
+    function openStockHistoryModal(productId) {
+        const product = allProducts.find(p => p.id == productId);
+
+        if (!product) {
+            console.error('Product not found:', productId);
+            return;
+        }
+
+        stockHistoryProductId = product.id;
+
+        document.getElementById('stockHistoryProductName').textContent = product.name;
+        document.getElementById('stockHistoryProductSku').textContent = `SKU: ${product.sku}`;
+        document.getElementById('stockHistoryLocation').value = 'all';
+
+        document.getElementById('stock-history-modal').classList.add('show');
+        fetchStockHistory();
+    }
+
+    // append = "Load More" (next page), otherwise start over
+    async function fetchStockHistory(append = false) {
+        const errorBox = document.getElementById('stockHistoryError');
+        const moreBtn = document.getElementById('stockHistoryMoreBtn');
+
+        if (!append) {
+            stockHistoryMovements = [];
+            document.getElementById('stockHistoryTableBody').innerHTML =
+                '<tr><td colspan="7" style="text-align: center; padding: 2rem;">Loading...</td></tr>';
+        }
+
+        errorBox.style.display = 'none';
+        moreBtn.disabled = true;
+
+        const params = new URLSearchParams({
+            limit: STOCK_HISTORY_PAGE_SIZE,
+            offset: stockHistoryMovements.length
+        });
+
+        const location = document.getElementById('stockHistoryLocation').value;
+        if (location !== 'all') params.set('location', location);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/inventory/products/${stockHistoryProductId}/movements?${params}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load stock history');
+            }
+
+            stockHistoryMovements = stockHistoryMovements.concat(data.movements);
+
+            renderStockHistory(data.total);
+            renderReconciliation(data.reconciliation);
+
+        } catch (error) {
+            console.error('Failed to load stock history:', error);
+            errorBox.textContent = error.message;
+            errorBox.style.display = 'block';
+        } finally {
+            moreBtn.disabled = false;
+        }
+    }
+
+    function renderStockHistory(total) {
+        const tbody = document.getElementById('stockHistoryTableBody');
+
+        document.getElementById('stockHistoryCount').textContent =
+            `Showing ${stockHistoryMovements.length} of ${total}`;
+        document.getElementById('stockHistoryMoreBtn').style.display =
+            stockHistoryMovements.length < total ? 'inline-flex' : 'none';
+
+        if (stockHistoryMovements.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 2rem;">No stock movements recorded</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = stockHistoryMovements.map(movement => {
+            const delta = movement.quantity_delta;
+            const deltaClass = delta > 0 ? 'positive' : delta < 0 ? 'negative' : '';
+            const reference = movement.reference_type
+                ? `<span class="movement-reference">${escapeHtml(movement.reference_type)} #${movement.reference_id}</span>`
+                : '';
+
+            return `
+                <tr>
+                    <td>${formatDateTime(movement.created_at)}</td>
+                    <td>${escapeHtml(movement.location_name)}</td>
+                    <td>${MOVEMENT_TYPE_LABELS[movement.movement_type] || escapeHtml(movement.movement_type)}</td>
+                    <td class="movement-delta ${deltaClass}">${delta > 0 ? '+' : ''}${delta}</td>
+                    <td>${movement.quantity_after}</td>
+                    <td>${escapeHtml(movement.reason || '—')} ${reference}</td>
+                    <td>${escapeHtml(movement.admin_username || 'System')}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Any difference = stock changed without a movement
+    function renderReconciliation({ balanced, locations }) {
+        const box = document.getElementById('stockHistoryReconciliation');
+        box.classList.toggle('mismatch', !balanced);
+
+        if (balanced) {
+            box.innerHTML = '<i class="fa-solid fa-circle-check"></i> Ledger matches the stock on hand at every location';
+            return;
+        }
+
+        const rows = locations
+            .filter(row => !row.matches)
+            .map(row => `
+                <li>
+                    ${escapeHtml(row.location_name)}: ${row.quantity} on hand,
+                    ${row.ledger_quantity} in the ledger (${row.difference > 0 ? '+' : ''}${row.difference})
+                </li>
+            `).join('');
+
+        box.innerHTML = `
+            <p><i class="fa-solid fa-triangle-exclamation"></i> Ledger doesn't match the stock on hand</p>
+            <ul>${rows}</ul>
+        `;
+    }
+
+    function formatDateTime(value) {
+        return new Date(value).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    // Reasons and usernames are free text - never inject them as HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
 });
\ No newline at end of file
@@ -0,0 +1,332 @@
+/* ============================================
+   KIOSK.JS
+   Self check-in kiosk bound to one location
+   Authenticates with the paired device token,
+   never with an admin account
+   ============================================ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /* ============================================
+       API CONFIGURATION
+       Base URL for all API requests
+       ============================================ */
+
+    const API_BASE_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
+        ? 'http://127.0.0.1:5000/api' 
+        : '/api';
+
+    // Device token from pairing (Settings -> Kiosk Devices)
+    const KIOSK_TOKEN_KEY = 'gymflowKioskToken';
+
+    // Result screen goes back to the check-in screen after this long
+    const RESULT_SCREEN_MS = 6000;
+
+    const PIN_LENGTH = 6;
+
+    /* ============================================
+       ELEMENTS
+       ============================================ */
+
+    const screens = {
+        pair: document.getElementById('kioskPairScreen'), 
+        checkIn: document.getElementById('kioskCheckInScreen'), 
+        result: document.getElementById('kioskResultScreen')
+    };
+
+    const codeForm = document.getElementById('kioskCodeForm');
+    const codeInput = document.getElementById('kioskCodeInput');
+    const pinForm = document.getElementById('kioskPinForm');
+    const pinInput = document.getElementById('kioskPinInput');
+    const cameraBtn = document.getElementById('kioskCameraBtn');
+    const camera = document.getElementById('kioskCamera');
+
+    let resultTimeout = null;
+    let submitting = false;
+    let cameraStream = null;
+
+    /* ============================================
+       INITIALIZATION
+       ============================================ */
+
+    // Pairing link: kiosk.html?token=kiosk_... - saved, then removed from the URL
+    const urlToken = new URLSearchParams(window.location.search).get('token');
+    if (urlToken) {
+        localStorage.setItem(KIOSK_TOKEN_KEY, urlToken.trim());
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    setupEventListeners();
+    await loadDevice();
+
+    /* ============================================
+       SCREENS
+       ============================================ */
+
+    function showScreen(name) {
+        Object.entries(screens).forEach(([key, screen]) => {
+            screen.hidden = key !== name;
+        });
+
+        if (name === 'checkIn') {
+            resetInputs();
+            codeInput.focus();
+        }
+    }
+
+    function resetInputs() {
+        codeInput.value = '';
+        pinInput.value = '';
+        stopCamera();
+    }
+
+    /* ============================================
+       DEVICE / PAIRING
+       ============================================ */
+
+    function kioskFetch(path, options = {}) {
+        return fetch(`${API_BASE_URL}/kiosk${path}`, {
+            ...options, 
+            headers: {
+                ...(options.headers || {}), 
+                'X-Kiosk-Token': localStorage.getItem(KIOSK_TOKEN_KEY) || ''
+            }
+        });
+    }
+
+    async function loadDevice() {
+        if (!localStorage.getItem(KIOSK_TOKEN_KEY)) {
+            showScreen('pair');
+            return false;
+        }
+
+        try {
+            const response = await kioskFetch('/device');
+
+            // Revoked or never valid - back to pairing
+            if (response.status === 401) {
+                localStorage.removeItem(KIOSK_TOKEN_KEY);
+                showScreen('pair');
+                showPairError('This kiosk is not paired (or was revoked). Ask staff for a new token.');
+                return false;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to load kiosk');
+            }
+
+            const { device } = await response.json();
+
+            document.getElementById('kioskLocationName').textContent = device.location_name;
+            document.title = `Check-In - ${device.location_name} - GymFlow`;
+            showScreen('checkIn');
+            return true;
+
+        } catch (error) {
+            console.error('Failed to load kiosk device:', error);
+
+            // Server down - keep the token and try again shortly
+            showScreen('pair');
+            showPairError('Cannot reach the server. Retrying...');
+            setTimeout(loadDevice, 10000);
+            return false;
+        }
+    }
+
+    async function handlePair(e) {
+        e.preventDefault();
+
+        localStorage.setItem(KIOSK_TOKEN_KEY, document.getElementById('kioskTokenInput').value.trim());
+        document.getElementById('kioskPairError').hidden = true;
+
+        if (await loadDevice()) {
+            document.getElementById('kioskTokenInput').value = '';
+        }
+    }
+
+    function showPairError(message) {
+        const errorDiv = document.getElementById('kioskPairError');
+        errorDiv.textContent = message;
+        errorDiv.hidden = false;
+    }
+
+    /* ============================================
+       CHECK-IN
+       ============================================ */
+
+    async function submitKioskCheckIn(body) {
+        if (submitting) return;
+        submitting = true;
+
+        try {
+            const response = await kioskFetch('/check-in', {
+                method: 'POST', 
+                headers: { 'Content-Type': 'application/json' }, 
+                body: JSON.stringify(body)
+            });
+
+            if (response.status === 401) {
+                await loadDevice();
+                return;
+            }
+
+            const result = await response.json();
+
+            if (response.ok) {
+                showResult('success', result.message, `Checked in at ${result.check_in.location_name}. Have a great workout!`);
+            } else if (result.check_in_denial) {
+                showResult('denied', `Sorry, ${result.check_in_denial.member_name.split(' ')[0]}`, result.details, result.check_in_denial.reasons);
+            } else if (response.status === 429) {
+                showResult('denied', 'Please wait', 'Too many attempts - please try again in a few minutes or see the front desk');
+            } else {
+                const details = Array.isArray(result.details) ? result.details.map(d => d.msg).join(', ') : result.details;
+                showResult('denied', result.error || 'Check-in failed', details || 'Please see the front desk');
+            }
+
+        } catch (error) {
+            console.error('Kiosk check-in failed:', error);
+            showResult('denied', 'Something went wrong', 'Please see the front desk');
+        } finally {
+            submitting = false;
+        }
+    }
+
+    function showResult(type, title, message, reasons = []) {
+        const card = document.getElementById('kioskResultCard');
+        card.classList.toggle('denied', type === 'denied');
+        card.querySelector('.kiosk-result-icon i').className = `fa-solid fa-${type === 'denied' ? 'ban' : 'check'}`;
+
+        // Names and reasons as text - never as HTML
+        document.getElementById('kioskResultTitle').textContent = title;
+        document.getElementById('kioskResultMessage').textContent = message || '';
+
+        const reasonList = document.getElementById('kioskResultReasons');
+        reasonList.innerHTML = '';
+        reasons.forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = reason.message;
+            reasonList.appendChild(item);
+        });
+
+        showScreen('result');
+
+        clearTimeout(resultTimeout);
+        resultTimeout = setTimeout(() => showScreen('checkIn'), RESULT_SCREEN_MS);
+    }
+
+    /* ============================================
+       METHODS: MEMBER ID / CARD, PIN, CAMERA
+       ============================================ */
+
+    function switchMethod(method) {
+        document.querySelectorAll('.kiosk-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.kioskMethod === method);
+        });
+
+        codeForm.hidden = method !== 'code';
+        pinForm.hidden = method !== 'pin';
+        resetInputs();
+
+        if (method === 'code') codeInput.focus();
+    }
+
+    function handlePinPad(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.dataset.digit && pinInput.value.length < PIN_LENGTH) {
+            pinInput.value += button.dataset.digit;
+        }
+
+        if (button.dataset.pinAction === 'clear') {
+            pinInput.value = '';
+        }
+    }
+
+    // Chrome on Android/ChromeOS tablets can read QR codes from the camera
+    // Everything else: a USB/Bluetooth scanner typing into the member ID box
+    async function startCamera() {
+        try {
+            const detector = new BarcodeDetector({ formats: ['qr_code', 'code_128'] });
+            cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' } });
+
+            camera.srcObject = cameraStream;
+            camera.hidden = false;
+            await camera.play();
+
+            const scan = async () => {
+                if (!cameraStream) return;
+
+                const codes = await detector.detect(camera).catch(() => []);
+
+                if (codes.length > 0) {
+                    const code = codes[0].rawValue;
+                    stopCamera();
+                    submitKioskCheckIn({ code });
+                    return;
+                }
+
+                requestAnimationFrame(scan);
+            };
+
+            scan();
+
+        } catch (error) {
+            console.error('Camera scan unavailable:', error);
+            stopCamera();
+        }
+    }
+
+    function stopCamera() {
+        if (cameraStream) {
+            cameraStream.getTracks().forEach(track => track.stop());
+            cameraStream = null;
+        }
+
+        camera.hidden = true;
+    }
+
+    /* ============================================
+       SET UP EVENT LISTENERS
+       ============================================ */
+
+    function setupEventListeners() {
+        document.getElementById('kioskPairForm').addEventListener('submit', handlePair);
+
+        document.querySelectorAll('.kiosk-tab').forEach(tab => {
+            tab.addEventListener('click', () => switchMethod(tab.dataset.kioskMethod));
+        });
+
+        codeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const code = codeInput.value.trim();
+            if (code) submitKioskCheckIn({ code });
+        });
+
+        pinForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (pinInput.value.length === PIN_LENGTH) submitKioskCheckIn({ pin: pinInput.value });
+        });
+
+        document.getElementById('kioskPinPad').addEventListener('click', handlePinPad);
+
+        if ('BarcodeDetector' in window && navigator.mediaDevices) {
+            cameraBtn.hidden = false;
+            cameraBtn.addEventListener('click', () => (cameraStream ? stopCamera() : startCamera()));
+        }
+
+        document.getElementById('kioskResultDoneBtn').addEventListener('click', () => {
+            clearTimeout(resultTimeout);
+            showScreen('checkIn');
+        });
+
+        // Locked down: no right-click menu, and the scanner always
+        // types into the member ID box even if someone tapped elsewhere
+        document.addEventListener('contextmenu', e => e.preventDefault());
+        document.addEventListener('keydown', (e) => {
+            if (!screens.checkIn.hidden && !codeForm.hidden && document.activeElement !== codeInput && e.key.length === 1) {
+                codeInput.focus();
+            }
+        });
+    }
+});
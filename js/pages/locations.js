@@ -24,6 +24,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     let comparisonChart = null;     // Radar chart instance
     let capacityChart = null;       // Bar chart instance
 
+    // Live occupancy refresh (cards + capacity chart)
+    const OCCUPANCY_REFRESH_MS = 60 * 1000;
+
     /* ============================================
        INITIALIZATION
        Run when page loads
@@ -37,6 +40,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Set up event listeners
     setupEventListeners();
 
+    // Keep "in the gym now" current without reloading everything
+    // Check-ins/outs are pushed; the interval catches auto check-outs
+    subscribeLiveEvents({
+        check_in: refreshOccupancy, 
+        check_out: refreshOccupancy
+    });
+    setInterval(refreshOccupancy, OCCUPANCY_REFRESH_MS);
+
     console.log('Locations page initialized');
 
     /* ============================================
@@ -79,7 +90,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     async function fetchLocations() {
         try {
-            const response = await fetch(`${API_BASE_URL}/locations/details`);
+            const [response, occupancyResponse] = await Promise.all([
+                fetch(`${API_BASE_URL}/locations/details`), 
+                fetch(`${API_BASE_URL}/locations/occupancy`)
+            ]);
 
             if (!response.ok) {
                 throw new Error('Failed to fetch locations');
@@ -87,8 +101,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             const data = await response.json();
 
+            // Occupancy is a nice-to-have on the cards - never fail the page over it
+            const occupancy = occupancyResponse.ok ? (await occupancyResponse.json()).locations : [];
+
             // Store in global variable for later use
-            allLocations = data.locations || [];
+            allLocations = (data.locations || []).map(location => ({
+                ...location, 
+                occupancy: occupancy.find(live => live.location_id === location.id) || null
+            }));
 
             // Render location cards
             renderLocationCards(allLocations);
@@ -171,6 +191,11 @@ document.addEventListener('DOMContentLoaded', async () => {
                         </div>
                         <div class="utilization-percent">${utilization}% Capacity</div>
                     </div>
+
+                    <!-- Live Occupancy (open check-ins) -->
+                    <div class="location-occupancy" data-occupancy-for="${location.id}">
+                        ${renderOccupancy(location.occupancy)}
+                    </div>
                     
                     <!-- Stats Grid -->
                     <div class="location-stats">
@@ -196,6 +221,59 @@ document.addEventListener('DOMContentLoaded', async () => {
         container.innerHTML = cardsHTML;
     }
 
+    /* ============================================
+       LIVE OCCUPANCY
+       Members checked in right now, refreshed every minute
+       ============================================ */
+
+    const OCCUPANCY_PILLS = {
+        ok: { className: 'success', label: 'Open' }, 
+        warning: { className: 'warning', label: 'Busy' }, 
+        full: { className: 'danger', label: 'Full' }
+    };
+
+    function renderOccupancy(occupancy) {
+        if (!occupancy) {
+            return '<span class="location-occupancy-label">In the gym now: --</span>';
+        }
+
+        const pill = OCCUPANCY_PILLS[occupancy.status] || OCCUPANCY_PILLS.ok;
+
+        return `
+            <span class="location-occupancy-label">
+                <i class="fa-solid fa-users"></i>
+                In the gym now: <strong>${occupancy.occupancy}</strong> / ${occupancy.capacity}
+            </span>
+            <span class="pill ${pill.className}">${pill.label} · ${occupancy.percent}%</span>
+        `;
+    }
+
+    async function refreshOccupancy() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/locations/chart/capacity`);
+
+            if (!response.ok) return;
+
+            const data = await response.json();
+
+            data.occupancy.forEach(occupancy => {
+                const element = document.querySelector(`[data-occupancy-for="${occupancy.location_id}"]`);
+                if (element) element.innerHTML = renderOccupancy(occupancy);
+            });
+
+            if (capacityChart) {
+                capacityChart.data.labels = data.labels;
+                capacityChart.data.datasets.forEach((dataset, index) => {
+                    dataset.data = data.datasets[index].data;
+                });
+                capacityChart.update();
+            }
+
+        } catch (error) {
+            console.error('Failed to refresh occupancy:', error);
+        }
+    }
+
     /* ============================================
        INITIALIZE CHARTS
        Set up Chart.js visualization
@@ -270,7 +348,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     /* ============================================
        CAPACITY HORIZONTAL BAR CHART
-       Shows filled vs available capacity
+       Shows checked in right now vs available capacity
        ============================================ */
 
     async function initCapacityChart() {
@@ -432,7 +510,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Saving...';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/locations/${locationId}`, {
+            const response = await adminFetch(`${API_BASE_URL}/locations/${locationId}`, {
                 method: 'PUT', 
                 headers: { 'Content-Type': 'application/json' }, 
                 body: JSON.stringify({ capacity })
@@ -26,10 +26,10 @@ document.addEventListener('DOMContentLoaded', () => {
         search: ''
     };
     
-    let allMembers = []; // Store ALL members (never filtered)
-    let filteredMembers = []; // Current filtered/searched results
+    let allMembers = []; // Members on the current page (lookups for the row buttons)
     let currentDisplayedMembers =[];
     let currentMember = null;   // Stores fresh member data from API
+    let membershipPlans = [];   // From /api/plans (see loadMembershipPlans in shared.js)
 
     // Sort state
     let currentSortColumn = null;
@@ -62,6 +62,13 @@ document.addEventListener('DOMContentLoaded', () => {
             if (currentFilters.status) params.append('status', currentFilters.status);
             if (currentFilters.search) params.append('search', currentFilters.search);
             
+            // Sorted + paged on the server - the table only ever holds one page
+            if (currentSortColumn) {
+                params.append('sort', currentSortColumn);
+                params.append('order', currentSortDirection);
+            }
+            Object.entries(membersPager.params()).forEach(([key, value]) => params.append(key, value));
+            
             const queryString = params.toString();
             const url = `${API_BASE_URL}/members${queryString ? '?' + queryString : ''}`;
             
@@ -98,16 +105,10 @@ document.addEventListener('DOMContentLoaded', () => {
             
             const data = await response.json();
             
-            // Store filtered members for display
-            currentDisplayedMembers = data.members;
-
-            // If no filters applied, also update allMembers
-            if (!currentFilters.location && !currentFilters.plan && !currentFilters.status && !currentFilters.search) {
-                allMembers = data.members;
-            }
-
+            allMembers = data.members;
             currentDisplayedMembers = data.members;
             populateMembersTable(data.members);
+            membersPager.update(data.pagination, data.members.length);
             
         } catch (error) {
             console.error('❌ Failed to fetch members:', error);
@@ -204,9 +205,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (member.status === 'inactive') statusClass = 'pill'; // gray
             
             // Determine plan pill class
-            let planClass = 'add'; // default red for Basic
-            if (member.plan === 'Premium') planClass = 'pay'; // green
-            if (member.plan === 'Elite') planClass = 'stock'; // yellow
+            const planClass = getPlanPillClass(member.plan);
             
             // Format join date
             const joinDate = new Date(member.created_at).toLocaleDateString('en-US', {
@@ -256,86 +255,10 @@ document.addEventListener('DOMContentLoaded', () => {
         attachTableActionListeners();
     }
 
-    /* ========================================
-       SEARCH FUNCTIONALITY (Real-Time)
-       Filter members by search query
-       ======================================== */
-
-    function handleSearch(query) {
-        // If empty, apply current filters (show filtered results)
-        if (query === '') {
-            applyFilters();
-            return;
-        }
-
-        // Start with current filtered results (respect other filters)
-        let searchBase = allMembers;
-
-        // Apply non-search filters first
-        if (currentFilters.location) {
-            searchBase = searchBase.filter(m => m.location_id == currentFilters.location);
-        }
-        if (currentFilters.plan) {
-            searchBase = searchBase.filter(m => m.plan === currentFilters.plan);
-        }
-        if (currentFilters.status) {
-            searchBase = searchBase.filter(m => m.status === currentFilters.status);
-        }
-
-        // Apply search to the filtered base
-        const queryLower = query.toLowerCase().trim();
-        const filtered = searchBase.filter(member => {
-            return member.name.toLowerCase().includes(queryLower) || 
-                   member.email.toLowerCase().includes(queryLower) || 
-                   (member.member_id && member.member_id.toLowerCase().includes(queryLower)) || 
-                   (member.phone && member.phone.includes(queryLower));
-        });
-
-        currentDisplayedMembers = filtered;
-        populateMembersTable(filtered);
-    }
-
-    /* ========================================
-       APPLY FILTERS (Client-Side)
-       Apply location, plan, status filters to local data
-       ======================================== */
-
-    function applyFilters() {
-        // Start with all members
-        let filtered = [...allMembers];
-
-        // Apply location filter
-        if (currentFilters.location) {
-            filtered = filtered.filter(m => m.location_id == currentFilters.location);
-        }
-
-        // Apply plan filter
-        if (currentFilters.plan) {
-            filtered = filtered.filter(m => m.plan === currentFilters.plan);
-        }
-
-        // Apply status filter
-        if (currentFilters.status) {
-            filtered = filtered.filter(m => m.status === currentFilters.status);
-        }
-
-        // Apply search if there's a query
-        if (currentFilters.search) {
-            const queryLower = currentFilters.search.toLowerCase().trim();
-            filtered = filtered.filter(member => {
-                return member.name.toLowerCase().includes(queryLower) || 
-                       member.email.toLowerCase().includes(queryLower) || 
-                       (member.member_id && member.member_id.toLowerCase().includes(queryLower)) || 
-                       (member.phone && member.phone.includes(queryLower));
-            });
-        }
-
-        currentDisplayedMembers = filtered;
-        populateMembersTable(filtered);
-    }
-
     /* ========================================
        SORT MEMBERS TABLE
+       Sorting happens on the server (?sort=&order=)
+       so it covers every member, not just this page
        ======================================== */
 
     function sortMembersTable(column) {
@@ -348,56 +271,12 @@ document.addEventListener('DOMContentLoaded', () => {
             currentSortDirection = 'asc';
         }
 
-        // Sort the displayed members array
-        const sortedMembers = [...currentDisplayedMembers].sort((a, b) => {
-            let valueA, valueB;
-
-            switch(column) {
-                case 'id': 
-                    valueA = parseInt(a.member_id.replace('M-', ''));
-                    valueB = parseInt(b.member_id.replace('M-', ''));
-                    break;
-                case 'name': 
-                    valueA = a.name.toLowerCase();
-                    valueB = b.name.toLowerCase();
-                    break;
-                case 'email': 
-                    valueA = a.email.toLowerCase();
-                    valueB = b.email.toLowerCase();
-                    break;
-                case 'location': 
-                    valueA = (a.location_name || '').toLowerCase();
-                    valueB = (b.location_name || '').toLowerCase();
-                    break;
-                case 'plan': 
-                    const planOrder = { 'Basic': 1, 'Premium': 2, 'Elite': 3 };
-                    valueA = planOrder[a.plan] || 0;
-                    valueB = planOrder[b.plan] || 0;
-                    break;
-                case 'status': 
-                    const statusOrder = { 'active': 1, 'frozen': 2,'cancelled': 3 };
-                    valueA = statusOrder[a.status] || 0;
-                    valueB = statusOrder[b.status] || 0;
-                    break;
-                case 'join_date': 
-                    valueA = new Date(a.created_at).getTime();
-                    valueB = new Date(b.created_at).getTime();
-                    break;
-                default: 
-                    return 0;
-            }
-
-            // Compare values
-            if (valueA < valueB) return currentSortDirection === 'asc' ? -1 : 1;
-            if (valueA > valueB) return currentSortDirection === 'asc' ? 1 : -1;
-            return 0;
-        });
-
         // Update sort indicators
         updateSortIndicators(column);
 
-        // Re-populate table with sorted data
-        populateMembersTable(sortedMembers);
+        // New order = start again from page 1
+        membersPager.reset();
+        fetchMembers();
     }
 
     /* ========================================
@@ -478,28 +357,40 @@ document.addEventListener('DOMContentLoaded', () => {
        EVENT LISTENERS: Filters and Search
        ======================================== */
     
+    // Filters and search run on the server - new filter = back to page 1
+    const membersPager = createListPager('membersPagination', fetchMembers);
+    let searchTimeout = null;
+    
     // Location filter
     locationFilter.addEventListener('change', (e) => {
         currentFilters.location = e.target.value;
+        membersPager.reset();
         fetchMembers(); // Re-fetch with new filter
     });
     
     // Plan filter
     planFilter.addEventListener('change', (e) => {
         currentFilters.plan = e.target.value;
+        membersPager.reset();
         fetchMembers(); // Re-fetch with new filter
     });
     
     // Status filter
     statusFilter.addEventListener('change', (e) => {
         currentFilters.status = e.target.value;
+        membersPager.reset();
         fetchMembers(); // Re-fetch with new filter
     });
     
     // Search input
+    // WHY the timeout? One request once typing pauses, not one per key
     searchInput.addEventListener('input', (e) => {
-        currentFilters.search = e.target.value;
-        handleSearch(e.target.value);   // Filter locally (instant)
+        currentFilters.search = e.target.value.trim();
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            membersPager.reset();
+            fetchMembers();
+        }, 300);
     })
     
     
@@ -555,6 +446,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
         statusElement.innerHTML = `<span class="pill ${statusClass}">${member.status}</span>`;
 
+        // Freeze booked for a later date - the nightly freeze job starts it
+        if (member.status === 'active' && member.freeze_start_date) {
+            statusElement.innerHTML += ` <span class="pill stock">freeze from ${formatShortDate(member.freeze_start_date)}</span>`;
+        }
+
         // Show loading for stats
         document.getElementById('panelStatCheckins').textContent = '...';
 
@@ -569,9 +465,16 @@ document.addEventListener('DOMContentLoaded', () => {
             // Update check-in count with fresh data
             document.getElementById('panelStatCheckins').textContent = freshMember.total_check_ins || 0;
 
+            renderWaiverStatus(freshMember);
+            renderKioskPin(freshMember);
+            renderPresence(freshMember);
+
         } catch (error) {
             console.error('❌ Failed to fetch member details:', error);
             document.getElementById('panelStatCheckins').textContent = '---';
+            document.getElementById('panelMemberWaiver').textContent = '---';
+            document.getElementById('panelMemberKioskPin').textContent = '---';
+            document.getElementById('panelMemberPresence').textContent = '---';
 
             // FALLBACK: Use table data if API fails
             currentMember = member;
@@ -584,6 +487,8 @@ document.addEventListener('DOMContentLoaded', () => {
         // Notes (placeholder)
         document.getElementById('panelMemberNotes').textContent = 'No notes available for this member.'
 
+        loadMemberTimeline(member.id);
+
         // Store member ID on buttons for actions
         document.getElementById('editMemberBtn').dataset.memberId = member.id;
         document.getElementById('deleteMemberBtn').dataset.memberId = member.id;
@@ -609,6 +514,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 unfreezeMember(member.id);
             };
 
+        } else if (member.freeze_start_date) {
+            // ACTIVE + FREEZE SCHEDULED -> Show Cancel Freeze button
+            firstBtn.innerHTML = '<i class="fa-solid fa-calendar-xmark"></i> Cancel Freeze';
+            firstBtn.className = 'btn ghost freeze';
+            firstBtn.dataset.memberId = member.id;
+            firstBtn.onclick = (e) => {
+                e.stopPropagation();
+                unfreezeMember(member.id);
+            };
+
         } else {
             // ACTIVE -> Show Freeze button (blue/snowflake)
             firstBtn.innerHTML = '<i class="fa-solid fa-snowflake"></i> Freeze';
@@ -637,6 +552,298 @@ document.addEventListener('DOMContentLoaded', () => {
             });
     }
 
+    /* ========================================
+       LIABILITY WAIVER
+       Signed date, or a button to record a paper waiver
+       ======================================== */
+
+    function renderWaiverStatus(member) {
+        const waiverElement = document.getElementById('panelMemberWaiver');
+
+        if (member.waiver_signed_at) {
+            waiverElement.innerHTML = `<span class="pill check">Signed ${formatShortDate(member.waiver_signed_at)}</span>`;
+            return;
+        }
+
+        waiverElement.innerHTML = `
+            <span class="pill">Not on file</span>
+            <button type="button" class="btn ghost small" id="recordWaiverBtn">Record Signed Waiver</button>
+        `;
+
+        document.getElementById('recordWaiverBtn').addEventListener('click', async (e) => {
+            e.target.disabled = true;
+
+            try {
+                const response = await adminFetch(`${API_BASE_URL}/members/${member.id}/waiver`, {
+                    method: 'POST', 
+                    headers: { 'Content-Type': 'application/json' }, 
+                    body: JSON.stringify({})
+                });
+                const result = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to record waiver');
+                }
+
+                member.waiver_signed_at = result.member.waiver_signed_at;
+                renderWaiverStatus(member);
+                loadMemberTimeline(member.id);
+                showNotification('Waiver recorded', 'success');
+
+            } catch (error) {
+                console.error('❌ Failed to record waiver:', error);
+                showNotification(error.message, 'error');
+                e.target.disabled = false;
+            }
+        });
+    }
+
+    /* ========================================
+       KIOSK PIN
+       Set or remove the PIN for the self check-in
+       kiosk - stored hashed, so it can't be shown
+       ======================================== */
+
+    function renderKioskPin(member) {
+        const pinElement = document.getElementById('panelMemberKioskPin');
+
+        pinElement.innerHTML = member.has_kiosk_pin
+            ? `
+                <span class="pill check">Set</span>
+                <button type="button" class="btn ghost small" data-kiosk-pin="set">Change</button>
+                <button type="button" class="btn ghost small" data-kiosk-pin="remove">Remove</button>
+            `
+            : `
+                <span class="pill">Not set</span>
+                <button type="button" class="btn ghost small" data-kiosk-pin="set">Set PIN</button>
+            `;
+
+        pinElement.querySelectorAll('[data-kiosk-pin]').forEach(button => {
+            button.addEventListener('click', async (e) => {
+                const action = e.currentTarget.dataset.kioskPin;
+                let pin = null;
+
+                if (action === 'set') {
+                    pin = prompt(`New 6-digit kiosk PIN for ${member.name}:`);
+                    if (pin === null) return;
+
+                    if (!/^\d{6}$/.test(pin.trim())) {
+                        showNotification('The kiosk PIN must be exactly 6 digits', 'error');
+                        return;
+                    }
+                } else if (!confirm(`Remove ${member.name}'s kiosk PIN? They can still check in with their member ID or card.`)) {
+                    return;
+                }
+
+                e.currentTarget.disabled = true;
+
+                try {
+                    const response = await adminFetch(`${API_BASE_URL}/members/${member.id}/kiosk-pin`, action === 'set'
+                        ? {
+                            method: 'POST', 
+                            headers: { 'Content-Type': 'application/json' }, 
+                            body: JSON.stringify({ pin: pin.trim() })
+                        }
+                        : { method: 'DELETE' });
+                    const result = await response.json();
+
+                    if (!response.ok) {
+                        throw new Error(result.details?.[0]?.msg || result.details || result.error || 'Failed to update kiosk PIN');
+                    }
+
+                    member.has_kiosk_pin = action === 'set';
+                    renderKioskPin(member);
+                    loadMemberTimeline(member.id);
+                    showNotification(result.message, 'success');
+
+                } catch (error) {
+                    console.error('❌ Failed to update kiosk PIN:', error);
+                    showNotification(error.message, 'error');
+                    renderKioskPin(member);
+                }
+            });
+        });
+    }
+
+    /* ========================================
+       MEMBERSHIP CARD
+       Downloads the card for the member shown in the
+       panel - every download carries a freshly signed QR
+       ======================================== */
+
+    async function downloadMembershipCard(e) {
+        const button = e.target.closest('[data-card-format]');
+        if (!button || !currentMember) return;
+
+        if (currentMember.status === 'cancelled') {
+            showNotification('Reactivate the member before issuing a card', 'error');
+            return;
+        }
+
+        button.disabled = true;
+
+        try {
+            await downloadExport(`${API_BASE_URL}/members/${currentMember.id}/card`, {}, button.dataset.cardFormat);
+        } catch (error) {
+            console.error('❌ Failed to download membership card:', error);
+            showNotification(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /* ========================================
+       PRESENCE / CHECK-OUT
+       Open check-in, or "not in" - sessions nobody
+       closes are checked out automatically
+       ======================================== */
+
+    function renderPresence(member) {
+        const presenceElement = document.getElementById('panelMemberPresence');
+        const openCheckIn = member.open_check_in;
+
+        if (!openCheckIn) {
+            presenceElement.innerHTML = '<span class="pill">Not checked in</span>';
+            return;
+        }
+
+        const since = new Date(openCheckIn.check_in_time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+        presenceElement.innerHTML = `
+            <span class="pill success">Since ${since} at ${escapeHtml(openCheckIn.location_name)}</span>
+            <button type="button" class="btn ghost small" id="checkOutMemberBtn">Check Out</button>
+        `;
+
+        document.getElementById('checkOutMemberBtn').addEventListener('click', async (e) => {
+            e.target.disabled = true;
+
+            try {
+                const response = await adminFetch(`${API_BASE_URL}/members/${member.id}/check-out`, {
+                    method: 'POST', 
+                    headers: { 'Content-Type': 'application/json' }, 
+                    body: JSON.stringify({})
+                });
+                const result = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(result.details || result.error || 'Failed to check out');
+                }
+
+                member.open_check_in = null;
+                renderPresence(member);
+
+                const { occupancy } = result.check_in;
+                showNotification(`${member.name} checked out - ${occupancy.occupancy}/${occupancy.capacity} at ${occupancy.location_name}`, 'success');
+
+            } catch (error) {
+                console.error('❌ Failed to check out member:', error);
+                showNotification(error.message, 'error');
+                e.target.disabled = false;
+            }
+        });
+    }
+
+    /* ========================================
+       MEMBER TIMELINE
+       Status changes, payments and check-ins, newest first
+       ======================================== */
+
+    const STATUS_EVENT_TITLES = {
+        join: 'Joined',
+        freeze_scheduled: 'Freeze scheduled',
+        freeze: 'Frozen',
+        unfreeze: 'Unfrozen',
+        freeze_cancelled: 'Scheduled freeze cancelled',
+        cancel: 'Membership cancelled',
+        reactivate: 'Reactivated',
+        merge: 'Duplicate merged in'
+    };
+
+    async function loadMemberTimeline(memberId) {
+        const container = document.getElementById('panelMemberTimeline');
+        container.innerHTML = '<div class="history-empty">Loading timeline...</div>';
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/members/${memberId}/timeline`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load timeline');
+            }
+
+            // Panel switched to another member while this was loading
+            if (currentMember && currentMember.id != memberId) return;
+
+            if (data.timeline.length === 0) {
+                container.innerHTML = '<div class="history-empty">Nothing on record yet</div>';
+                return;
+            }
+
+            container.innerHTML = data.timeline.map(renderTimelineEntry).join('');
+
+        } catch (error) {
+            console.error('❌ Failed to load member timeline:', error);
+            container.innerHTML = '<div class="history-empty">Failed to load timeline</div>';
+        }
+    }
+
+    function renderTimelineEntry(entry) {
+        let itemClass = 'timeline-status';
+        let title = '';
+        const details = [];
+
+        if (entry.type === 'status') {
+            title = STATUS_EVENT_TITLES[entry.event] || entry.event;
+
+            if (entry.start_date && entry.end_date) {
+                details.push(`${formatShortDate(`${entry.start_date}T00:00:00`)} – ${formatShortDate(`${entry.end_date}T00:00:00`)}`);
+            } else if (entry.start_date) {
+                details.push(`Starting ${formatShortDate(`${entry.start_date}T00:00:00`)}`);
+            }
+
+            if (entry.reason) details.push(`Reason: ${escapeHtml(entry.reason)}`);
+            if (entry.note) details.push(escapeHtml(entry.note));
+
+            if (entry.source === 'schedule') {
+                details.push('By the freeze job');
+            } else if (entry.actor) {
+                details.push(`By ${escapeHtml(entry.actor)}`);
+            }
+
+        } else if (entry.type === 'payment') {
+            itemClass = entry.status === 'failed' ? 'timeline-failed' : 'timeline-payment';
+            title = `Payment $${entry.amount.toFixed(2)} · ${entry.status}`;
+            details.push(entry.payment_method);
+
+            if (entry.period_start) {
+                details.push(`Dues for ${formatShortDate(`${entry.period_start}T00:00:00`)} – ${formatShortDate(`${entry.period_end}T00:00:00`)}`);
+            }
+
+            if (entry.note) details.push(escapeHtml(entry.note));
+
+        } else {
+            itemClass = '';
+            title = `Checked in at ${escapeHtml(entry.location_name)}`;
+        }
+
+        return `
+            <div class="history-item ${itemClass}">
+                <div class="history-item-header">
+                    <div class="timeline-item-title">${title}</div>
+                    <div class="history-item-time">${formatShortDate(entry.date)}</div>
+                </div>
+                ${details.length > 0 ? `<div class="timeline-item-detail">${details.join(' · ')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    // Reasons and notes are free text - never inject them as HTML
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /* ========================================
        CLOSE MEMBER DETAILS PANEL
        ======================================== */
@@ -707,7 +914,7 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('editPhone').value = member.phone || '';
         document.getElementById('editEmergencyContact').value = member.emergency_contact || '';
         document.getElementById('editLocation').value = member.location_id;
-        document.getElementById('editPlan').value = member.plan;
+        setEditPlanValue(member.plan);
         document.getElementById('editStatus').value = member.status;
         document.getElementById('editNotes').value = member.notes || '';
 
@@ -886,7 +1093,7 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('freezeSuccessMessage').style.display = 'none';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/members/${memberId}/freeze`, {
+            const response = await adminFetch(`${API_BASE_URL}/members/${memberId}/freeze`, {
                 method: 'POST', 
                 headers: {
                     'Content-Type': 'application/json'
@@ -902,7 +1109,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Show success message
             const successMsg = document.getElementById('freezeSuccessMessage');
-            successMsg.textContent = ' Member frozen successfully!';
+            successMsg.textContent = ` ${result.message}`;
             successMsg.style.display = 'block';
 
             // Update the member in allMembers array
@@ -947,8 +1154,10 @@ document.addEventListener('DOMContentLoaded', () => {
         unfreezeTargetMemberId = memberId;
 
         // Update modal with member info
-        document.getElementById('unfreezeMemberInfo').textContent = 
-            `${member.name} (${member.member_id}) will be reactivated.`;
+        // Not frozen yet = cancelling a scheduled freeze
+        document.getElementById('unfreezeMemberInfo').textContent = member.status === 'frozen'
+            ? `${member.name} (${member.member_id}) will be reactivated.`
+            : `${member.name} (${member.member_id}) has a freeze scheduled for ${formatShortDate(member.freeze_start_date)}. It will be cancelled.`;
 
         // Show confirmation modal
         document.getElementById('unfreezeModalOverlay').classList.add('active');
@@ -958,7 +1167,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!unfreezeTargetMemberId) return;
 
         try {
-            const response = await fetch(`${API_BASE_URL}/members/${unfreezeTargetMemberId}/unfreeze`, {
+            const response = await adminFetch(`${API_BASE_URL}/members/${unfreezeTargetMemberId}/unfreeze`, {
                 method: 'POST'
             });
 
@@ -1220,7 +1429,7 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
         document.getElementById('reactivateSuccessMessage').style.display = 'none';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/members/${memberId}/reactivate`, {
+            const response = await adminFetch(`${API_BASE_URL}/members/${memberId}/reactivate`, {
                 method: 'POST', 
                 headers: {
                     'Content-Type': 'application/json'
@@ -1310,6 +1519,9 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
         document.getElementById('deleteAdminPassword').value = '';
         document.getElementById('deleteConfirmCheckbox').checked = false;
 
+        // Only ask for credentials if there's no admin session yet
+        syncAdminAuthFields(document.querySelector('#deleteMemberForm .delete-auth-section'));
+
         // Disable delete button initially
         document.getElementById('confirmDeleteBtn').disabled = true;
 
@@ -1351,8 +1563,8 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
             return;
         }
 
-        if (!deleteData.admin_username || !deleteData.admin_password) {
-            const errorMsg = document.getElementById('deleteErrormessage');
+        if (!hasAdminSession() && (!deleteData.admin_username || !deleteData.admin_password)) {
+            const errorMsg = document.getElementById('deleteErrorMessage');
             errorMsg.textContent = '❌ Please enter admin username and password';
             errorMsg.style.display = 'block';
             return;
@@ -1372,36 +1584,18 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
         document.getElementById('deleteSuccessMessage').style.display = 'none';
 
         try {
-            // STEP 1: Verify admin password
-            console.log('🔐 Verifying admin credentials...');
-
-            const verifyResponse = await fetch(`${API_BASE_URL}/admin/verify-password`, {
-                method: 'POST', 
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    username: deleteData.admin_username, 
-                    password: deleteData.admin_password
-                })
-            });
-
-            const verifyResult = await verifyResponse.json();
-
-            if (!verifyResult.verified) {
-                throw new Error('Invalid admin credentials. Please check your username and password.');
+            // STEP 1: Sign in (only the first time - afterwards the session token is reused)
+            if (!hasAdminSession()) {
+                console.log('🔐 Verifying admin credentials...');
+                await adminLogin(deleteData.admin_username, deleteData.admin_password);
             }
 
-            console.log('✅ Admin verified');
-
             // STEP 2: Delete the member (soft delete)
 
-            const deleteResponse = await fetch(`${API_BASE_URL}/members/${memberId}`, {
+            const deleteResponse = await adminFetch(`${API_BASE_URL}/members/${memberId}`, {
                 method: 'DELETE', 
                 headers: {
-                    'Content-Type': 'application/json', 
-                    'x-admin-username': deleteData.admin_username, 
-                    'x-admin-password': deleteData.admin_password
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     reason: deleteData.reason, 
@@ -1497,9 +1691,10 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
 
     async function loadPaymentSummary(member) {
         // Set plan
-        const planCosts = { 'Basic': 30, 'Premium': 50, 'Elite': 75 };
-        const monthlyCost = planCosts[member.plan] || 0;
-        document.getElementById('summaryPlan').textContent = `${member.plan} - $${monthlyCost}/mo`;
+        const plan = membershipPlans.find(p => p.name === member.plan);
+        document.getElementById('summaryPlan').textContent = plan
+            ? `${member.plan} - ${formatPlanPrice(plan)}`
+            : member.plan;
 
         // Fetch payments to calculate next due date
         try {
@@ -1729,7 +1924,7 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
         document.getElementById('recordPaymentSuccess').style.display = 'none';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/members/${currentPaymentMember.id}/payments`, {
+            const response = await adminFetch(`${API_BASE_URL}/members/${currentPaymentMember.id}/payments`, {
                 method: 'POST', 
                 headers: {
                     'Content-Type': 'application/json'
@@ -1864,7 +2059,7 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
         document.getElementById('updatePaymentMethodSuccess').style.display = 'none';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/members/${currentPaymentMember.id}/payment-method`, {
+            const response = await adminFetch(`${API_BASE_URL}/members/${currentPaymentMember.id}/payment-method`, {
                 method: 'PUT', 
                 headers: {
                     'Content-Type': 'application/json'
@@ -1929,7 +2124,7 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
         document.getElementById('editSuccessMessage').style.display = 'none';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/members/${memberId}`, {
+            const response = await adminFetch(`${API_BASE_URL}/members/${memberId}`, {
                 method: 'PUT', 
                 headers: {
                     'Content-Type': 'application/json'
@@ -1981,6 +2176,9 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
     // Close button
     document.getElementById('closeMemberPanel').addEventListener('click', closeMemberPanel);
 
+    // Membership card downloads
+    document.getElementById('panelMemberCard').addEventListener('click', downloadMembershipCard);
+
     // Click overlay to close
     document.getElementById('memberDetailPanel').addEventListener('click', (e) => {
         // Only close if clicking the overlay itself, not the panel
@@ -2183,6 +2381,400 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
         });
     });
     
+    /* ========================================
+       IMPORT MEMBERS (CSV / XLSX)
+       Check File = dry run, Import = the real thing
+       Both send the same form: file + location + column mapping
+       ======================================== */
+
+    const IMPORT_FIELD_LABELS = {
+        name: 'Full Name *',
+        email: 'Email *',
+        phone: 'Phone *',
+        emergency_contact: 'Emergency Contact',
+        plan: 'Membership Plan *',
+        location: 'Location'
+    };
+
+    let importColumns = [];     // Headers of the file last checked
+
+    function resetImportWizard() {
+        importColumns = [];
+        document.getElementById('importMembersForm').reset();
+        document.getElementById('importReview').style.display = 'none';
+        document.getElementById('importError').style.display = 'none';
+        document.getElementById('importSuccess').style.display = 'none';
+        document.getElementById('importSubmitBtn').disabled = true;
+
+        // Empty location = take it from the file
+        const locationSelect = document.getElementById('importLocation');
+        if (locationSelect.options[0]) locationSelect.options[0].textContent = 'From file (location column)';
+    }
+
+    function buildImportFormData(dryRun) {
+        const formData = new FormData();
+        formData.append('file', document.getElementById('importFile').files[0]);
+        formData.append('dry_run', dryRun ? 'true' : 'false');
+
+        const locationId = document.getElementById('importLocation').value;
+        if (locationId) formData.append('location_id', locationId);
+
+        // Only send a mapping once the admin has seen (and maybe changed) it
+        if (importColumns.length > 0) {
+            const mapping = {};
+            document.querySelectorAll('#importMapping select').forEach(select => {
+                mapping[select.dataset.field] = select.value || null;
+            });
+            formData.append('mapping', JSON.stringify(mapping));
+        }
+
+        return formData;
+    }
+
+    async function sendImport(dryRun) {
+        const errorBox = document.getElementById('importError');
+        const successBox = document.getElementById('importSuccess');
+        errorBox.style.display = 'none';
+        successBox.style.display = 'none';
+
+        if (!document.getElementById('importFile').files[0]) {
+            errorBox.textContent = '❌ Please choose a .csv or .xlsx file';
+            errorBox.style.display = 'block';
+            return;
+        }
+
+        const checkBtn = document.getElementById('importCheckBtn');
+        const submitBtn = document.getElementById('importSubmitBtn');
+        checkBtn.disabled = true;
+        submitBtn.disabled = true;
+
+        try {
+            // No Content-Type header - the browser sets the multipart boundary
+            const response = await adminFetch(`${API_BASE_URL}/members/import`, {
+                method: 'POST',
+                body: buildImportFormData(dryRun)
+            });
+            const result = await response.json();
+
+            // Mapping/row problems still come with a report to show
+            if (result.summary || result.columns) {
+                renderImportReview(result);
+            }
+
+            if (!response.ok) {
+                const details = Array.isArray(result.details) ? result.details.map(d => d.msg || d).join(', ') : result.details;
+                throw new Error(details ? `${result.error}: ${details}` : result.error || 'Import failed');
+            }
+
+            successBox.textContent = `✅ ${result.message}`;
+            successBox.style.display = 'block';
+
+            if (!dryRun) {
+                console.log(`✅ Import #${result.import.id} complete`);
+                submitBtn.disabled = true;
+                fetchMembers();
+                fetchStats();
+            }
+
+        } catch (error) {
+            console.error('❌ Member import failed:', error);
+            errorBox.textContent = `❌ ${error.message}`;
+            errorBox.style.display = 'block';
+
+        } finally {
+            checkBtn.disabled = false;
+        }
+    }
+
+    function renderImportReview(result) {
+        document.getElementById('importReview').style.display = 'block';
+
+        // Mapping selects - rebuilt when a different file was checked
+        if (result.columns && result.columns.join('|') !== importColumns.join('|')) {
+            importColumns = result.columns;
+
+            document.getElementById('importMapping').innerHTML = Object.entries(IMPORT_FIELD_LABELS).map(([field, label]) => `
+                <div class="field">
+                    <label>${label}</label>
+                    <select data-field="${field}">
+                        <option value="">Not in file</option>
+                        ${importColumns.map(column => `<option value="${escapeHtml(column)}">${escapeHtml(column)}</option>`).join('')}
+                    </select>
+                </div>
+            `).join('');
+        }
+
+        Object.entries(result.mapping || {}).forEach(([field, column]) => {
+            const select = document.querySelector(`#importMapping select[data-field="${field}"]`);
+            if (select) select.value = column || '';
+        });
+
+        const summary = result.summary;
+        document.getElementById('importSummary').innerHTML = summary ? `
+            <span class="pill check">${summary.ready} ready</span>
+            <span class="pill stock">${summary.duplicates} duplicate(s) - skipped</span>
+            <span class="pill add">${summary.errors} error(s)</span>
+        ` : '';
+
+        const rows = result.rows || [];
+        document.getElementById('importIssues').style.display = rows.length > 0 ? 'block' : 'none';
+        document.getElementById('importIssues').innerHTML = rows.map(row => {
+            let detail = row.errors.map(error => escapeHtml(error.message)).join(', ');
+
+            if (row.status === 'duplicate') {
+                const match = row.duplicate_of;
+                detail = match.member_id
+                    ? `Same ${match.matched_on} as ${escapeHtml(match.name)} (${match.member_id})`
+                    : `Same ${match.matched_on} as row ${match.line}`;
+            }
+
+            return `
+                <div class="import-issue ${row.status}">
+                    <span class="import-issue-line">Row ${row.line}</span>
+                    ${escapeHtml(row.data.name || row.data.email || '')} - ${detail}
+                </div>
+            `;
+        }).join('');
+
+        // Import only once a dry run came back clean
+        document.getElementById('importSubmitBtn').disabled =
+            !result.dry_run || !summary || summary.errors > 0 || summary.ready === 0;
+        document.getElementById('importSubmitBtn').textContent =
+            summary && summary.ready > 0 ? `Import ${summary.ready} Member(s)` : 'Import';
+    }
+
+    document.getElementById('importCheckBtn').addEventListener('click', () => sendImport(true));
+    document.getElementById('importSubmitBtn').addEventListener('click', () => sendImport(false));
+
+    // Changing anything after a check means checking again
+    document.getElementById('importFile').addEventListener('change', () => {
+        importColumns = [];
+        document.getElementById('importReview').style.display = 'none';
+        document.getElementById('importSubmitBtn').disabled = true;
+    });
+    document.getElementById('importLocation').addEventListener('change', () => {
+        document.getElementById('importSubmitBtn').disabled = true;
+    });
+    document.getElementById('importMapping').addEventListener('change', () => {
+        document.getElementById('importSubmitBtn').disabled = true;
+    });
+
+    document.querySelectorAll('[data-modal="import-members-modal"]').forEach(trigger => {
+        trigger.addEventListener('click', resetImportWizard);
+    });
+
+    /* ========================================
+       DUPLICATE MEMBERS
+       Review likely duplicates: merge into one record or dismiss
+       ======================================== */
+
+    let duplicatePairs = [];
+
+    async function loadDuplicates() {
+        const container = document.getElementById('duplicatePairs');
+        const summary = document.getElementById('duplicatesSummary');
+        container.innerHTML = '<div class="history-empty">Looking for duplicates...</div>';
+        summary.innerHTML = '';
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/members/duplicates`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load duplicates');
+            }
+
+            duplicatePairs = data.pairs;
+            summary.innerHTML = data.total > data.showing
+                ? `<span class="pill stock">${data.total} possible duplicate(s) - showing the ${data.showing} strongest</span>`
+                : `<span class="pill stock">${data.total} possible duplicate(s)</span>`;
+
+            renderDuplicatePairs();
+
+        } catch (error) {
+            console.error('❌ Failed to load duplicates:', error);
+            container.innerHTML = `<div class="history-empty">❌ ${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    function renderDuplicatePairs() {
+        const container = document.getElementById('duplicatePairs');
+
+        if (duplicatePairs.length === 0) {
+            container.innerHTML = '<div class="history-empty">No likely duplicates found 🎉</div>';
+            return;
+        }
+
+        // Oldest record is pre-selected as the one to keep
+        container.innerHTML = duplicatePairs.map((pair, index) => `
+            <div class="duplicate-pair" data-index="${index}">
+                <div class="duplicate-pair-header">
+                    <span class="pill ${pair.score >= 80 ? 'add' : 'stock'}">Score ${pair.score}</span>
+                    <span class="duplicate-reasons">${pair.reasons.map(escapeHtml).join(' · ')}</span>
+                </div>
+                <div class="duplicate-members">
+                    ${pair.members.map((member, position) => `
+                        <label class="duplicate-member">
+                            <input type="radio" name="keep-${index}" value="${member.id}" ${position === 0 ? 'checked' : ''}>
+                            <div>
+                                <div class="duplicate-member-name">${escapeHtml(member.name)} <span>${member.member_id}</span></div>
+                                <div class="duplicate-member-detail">${escapeHtml(member.email)}</div>
+                                <div class="duplicate-member-detail">${escapeHtml(member.phone || '-')} · Emergency: ${escapeHtml(member.emergency_contact || '-')}</div>
+                                <div class="duplicate-member-detail">${escapeHtml(member.plan)} · ${member.status} · ${escapeHtml(member.location_name || 'No location')}</div>
+                                <div class="duplicate-member-detail">Joined ${formatShortDate(member.created_at)} · ${member.payment_count} payment(s) · ${member.check_in_count} check-in(s)</div>
+                            </div>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="duplicate-pair-actions">
+                    <button type="button" class="btn ghost small" data-dismiss-pair="${index}">Not Duplicates</button>
+                    <button type="button" class="btn primary small" data-merge-pair="${index}">Merge</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    function showDuplicatesMessage(type, message) {
+        const errorBox = document.getElementById('duplicatesError');
+        const successBox = document.getElementById('duplicatesSuccess');
+        errorBox.style.display = 'none';
+        successBox.style.display = 'none';
+
+        const box = type === 'error' ? errorBox : successBox;
+        box.textContent = message;
+        box.style.display = 'block';
+    }
+
+    async function mergeDuplicatePair(index, button) {
+        const pair = duplicatePairs[index];
+        const keepId = Number(document.querySelector(`input[name="keep-${index}"]:checked`).value);
+        const kept = pair.members.find(member => member.id === keepId);
+        const merged = pair.members.find(member => member.id !== keepId);
+
+        if (!confirm(`Merge ${merged.name} (${merged.member_id}) into ${kept.name} (${kept.member_id})? ${merged.member_id} will be deleted. This cannot be undone.`)) {
+            return;
+        }
+
+        button.disabled = true;
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/members/duplicates/merge`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ keep_id: keepId, merge_id: merged.id, score: pair.score })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                const details = Array.isArray(result.details) ? result.details.map(d => d.msg).join(', ') : result.details;
+                throw new Error(details ? `${result.error}: ${details}` : result.error || 'Merge failed');
+            }
+
+            showDuplicatesMessage('success', `✅ ${result.message}`);
+
+            // Other pairs may have involved the deleted member - score again
+            await loadDuplicates();
+            fetchMembers();
+            fetchStats();
+
+        } catch (error) {
+            console.error('❌ Member merge failed:', error);
+            showDuplicatesMessage('error', `❌ ${error.message}`);
+            button.disabled = false;
+        }
+    }
+
+    async function dismissDuplicatePair(index, button) {
+        const pair = duplicatePairs[index];
+        button.disabled = true;
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/members/duplicates/dismiss`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ member_ids: pair.members.map(member => member.id) })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to dismiss pair');
+            }
+
+            duplicatePairs.splice(index, 1);
+            renderDuplicatePairs();
+            showDuplicatesMessage('success', `✅ ${result.message}`);
+
+        } catch (error) {
+            console.error('❌ Dismiss duplicate failed:', error);
+            showDuplicatesMessage('error', `❌ ${error.message}`);
+            button.disabled = false;
+        }
+    }
+
+    document.getElementById('duplicatePairs').addEventListener('click', (e) => {
+        const mergeBtn = e.target.closest('[data-merge-pair]');
+        const dismissBtn = e.target.closest('[data-dismiss-pair]');
+
+        if (mergeBtn) mergeDuplicatePair(Number(mergeBtn.dataset.mergePair), mergeBtn);
+        if (dismissBtn) dismissDuplicatePair(Number(dismissBtn.dataset.dismissPair), dismissBtn);
+    });
+
+    document.querySelectorAll('[data-modal="duplicate-members-modal"]').forEach(trigger => {
+        trigger.addEventListener('click', () => {
+            document.getElementById('duplicatesError').style.display = 'none';
+            document.getElementById('duplicatesSuccess').style.display = 'none';
+            loadDuplicates();
+        });
+    });
+
+    /* ========================================
+       DATE HELPERS
+       ======================================== */
+    
+    // "Oct 25, 2026"
+    function formatShortDate(value) {
+        return new Date(value).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    }
+    
+    /* ========================================
+       MEMBERSHIP PLAN HELPERS
+       ======================================== */
+    
+    // Position in the plan list (0 = not a known plan)
+    function getPlanIndex(planName) {
+        return membershipPlans.findIndex(plan => plan.name === planName) + 1;
+    }
+    
+    // Colours cycle through the plan list: red, green, yellow, blue...
+    function getPlanPillClass(planName) {
+        const pillClasses = ['add', 'pay', 'stock', 'check'];
+        const index = getPlanIndex(planName);
+        return index > 0 ? pillClasses[(index - 1) % pillClasses.length] : 'pill';
+    }
+    
+    // The edit dropdown only lists active plans -
+    // a member on a retired plan keeps it unless someone changes it
+    function setEditPlanValue(planName) {
+        const select = document.getElementById('editPlan');
+        
+        // Drop the retired option added for the previous member
+        select.querySelectorAll('option[data-retired]').forEach(option => option.remove());
+        
+        if (![...select.options].some(option => option.value === planName)) {
+            const option = document.createElement('option');
+            option.value = planName;
+            option.textContent = `${planName} (retired)`;
+            option.dataset.retired = 'true';
+            select.appendChild(option);
+        }
+        
+        select.value = planName;
+    }
+    
     /* ========================================
        INITIALIZE PAGE
        Load data from API
@@ -2191,6 +2783,9 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
     async function initMembersPage() {
         console.log('🔄 Initializing members page...');
         
+        // Plans first - the table uses them for pill colours
+        membershipPlans = await loadMembershipPlans();
+        
         // Fetch stats
         await fetchStats();
         
@@ -2198,8 +2793,56 @@ window.switchToCheckInHistoryMode = switchToCheckInHistoryMode;
         currentFilters = { location: '', plan: '', status: '', search: '' };
         await fetchMembers();
         
+        // Export = what's on screen: same filters, same sort
+        setupExportMenu('membersExportMenu', `${API_BASE_URL}/members`, () => ({
+            ...currentFilters,
+            sort: currentSortColumn,
+            order: currentSortDirection
+        }));
+        
+        // Open panel / payment modal follow other desks' check-ins and payments
+        subscribeLiveEvents({
+            check_in: ({ check_in }) => refreshOpenMember(check_in.member_id), 
+            check_out: ({ check_in }) => refreshOpenMember(check_in.member_id), 
+            payment: ({ payment }) => refreshOpenPayments(payment.member_id)
+        });
+        
         console.log('Members page initialized');
     }
+
+    /* ========================================
+       LIVE UPDATES
+       Only what's open for that member is refreshed -
+       the table itself keeps its page/sort
+       ======================================== */
+
+    async function refreshOpenMember(memberId) {
+        if (!currentMember || currentMember.id !== memberId) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/members/${memberId}`);
+            if (!response.ok) return;
+
+            const freshMember = await response.json();
+
+            // Closed (or switched member) while we were fetching
+            if (!currentMember || currentMember.id !== memberId) return;
+
+            currentMember = freshMember;
+            document.getElementById('panelStatCheckins').textContent = freshMember.total_check_ins || 0;
+            renderPresence(freshMember);
+
+        } catch (error) {
+            console.error('❌ Failed to refresh member panel:', error);
+        }
+    }
+
+    async function refreshOpenPayments(memberId) {
+        if (!currentPaymentMember || currentPaymentMember.id !== memberId) return;
+
+        await loadPaymentSummary(currentPaymentMember);
+        await loadPaymentHistory(memberId);
+    }
     
     // Run initialization
     initMembersPage();
@@ -29,12 +29,58 @@ document.addEventListener('DOMContentLoaded', async () => {
     const lowInventoryInput = document.getElementById('lowInventoryThreshold');
     const capacityWarningInput = document.getElementById('capacityWarning');
 
+    // Check-in rules
+    const checkInRulesForm = document.getElementById('checkInRulesForm');
+    const CHECK_IN_RULE_SWITCHES = ['require_plan_location', 'require_paid_balance', 'require_waiver', 'enforce_visit_limits'];
+
+    // Kiosk devices
+    const kioskDevicesCard = document.getElementById('kioskDevicesCard');
+    const pairKioskForm = document.getElementById('pairKioskForm');
+
+    // Administrators
+    const administratorsCard = document.getElementById('administratorsCard');
+    const inviteAdminBtn = document.getElementById('inviteAdminBtn');
+    const inviteAdminForm = document.getElementById('inviteAdminForm');
+    const requireTwoFactorToggle = document.getElementById('requireTwoFactorToggle');
+
+    // Sign-in activity
+    const loginAttemptsCard = document.getElementById('loginAttemptsCard');
+    const LOGIN_ATTEMPTS_PAGE_SIZE = 20;
+    let loginAttemptsOffset = 0;
+
+    // Display labels + pill colours for login_attempts.outcome
+    const OUTCOME_LABELS = {
+        success: { label: 'Success', pill: 'success' }, 
+        invalid_password: { label: 'Wrong password', pill: 'warning' }, 
+        invalid_2fa: { label: 'Wrong 2FA code', pill: 'warning' }, 
+        unknown_user: { label: 'Unknown username', pill: 'stock' }, 
+        locked: { label: 'Locked out', pill: 'danger' }, 
+        disabled: { label: 'Disabled account', pill: 'danger' }
+    };
+
+    // Two-factor (own account)
+    const twoFactorCard = document.getElementById('twoFactorCard');
+    const disableTwoFactorForm = document.getElementById('disableTwoFactorForm');
+    const regenerateCodesForm = document.getElementById('regenerateCodesForm');
+
+    // Display labels for admins.role
+    const ROLE_LABELS = {
+        super_admin: 'Super Admin', 
+        admin: 'Admin', 
+        manager: 'Manager', 
+        front_desk: 'Front Desk'
+    };
+
     /* ============================================
        INITIALIZATION
        Run when page loads
        ============================================ */
 
     await fetchSettings();
+    await fetchCheckInRules();
+    renderTwoFactorCard();
+    await fetchAdmins();
+    await fetchKioskDevices();
     setupEventListeners();
 
     console.log('Settings page initialized');
@@ -73,6 +119,43 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     function setupEventListeners() {
         settingsForm.addEventListener('submit', handleSaveSettings);
+        checkInRulesForm.addEventListener('submit', handleSaveCheckInRules);
+
+        // Kiosk devices
+        pairKioskForm.addEventListener('submit', handlePairKiosk);
+        document.getElementById('kioskDevicesTableBody').addEventListener('click', handleRevokeKiosk);
+        document.getElementById('copyKioskTokenBtn').addEventListener('click', () => copyText('kioskTokenValue', 'Kiosk token copied'));
+        document.getElementById('copyKioskLinkBtn').addEventListener('click', () => copyText('kioskLinkValue', 'Kiosk link copied'));
+
+        // Administrators
+        inviteAdminForm.addEventListener('submit', handleInviteAdmin);
+        document.getElementById('adminsTableBody').addEventListener('click', handleAdminAction);
+        document.getElementById('adminsTableBody').addEventListener('change', handleRoleChange);
+        document.getElementById('copyTempPasswordBtn').addEventListener('click', copyTemporaryPassword);
+        requireTwoFactorToggle.addEventListener('change', handleTwoFactorPolicyChange);
+
+        // Sign-in activity
+        document.getElementById('loginOutcomeFilter').addEventListener('change', () => {
+            loginAttemptsOffset = 0;
+            fetchLoginAttempts();
+        });
+        document.getElementById('loginSuspiciousFilter').addEventListener('change', () => {
+            loginAttemptsOffset = 0;
+            fetchLoginAttempts();
+        });
+        document.getElementById('loginAttemptsPrevBtn').addEventListener('click', () => {
+            loginAttemptsOffset = Math.max(0, loginAttemptsOffset - LOGIN_ATTEMPTS_PAGE_SIZE);
+            fetchLoginAttempts();
+        });
+        document.getElementById('loginAttemptsNextBtn').addEventListener('click', () => {
+            loginAttemptsOffset += LOGIN_ATTEMPTS_PAGE_SIZE;
+            fetchLoginAttempts();
+        });
+
+        // Two-factor (own account)
+        document.getElementById('enableTwoFactorBtn').addEventListener('click', handleEnableTwoFactor);
+        disableTwoFactorForm.addEventListener('submit', handleDisableTwoFactor);
+        regenerateCodesForm.addEventListener('submit', handleRegenerateCodes);
     }
 
     /* ============================================
@@ -117,7 +200,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         settingsForm.classList.add('loading');
 
         try {
-            const response = await fetch(`${API_BASE_URL}/settings`, {
+            const response = await adminFetch(`${API_BASE_URL}/settings`, {
                 method: 'PUT', 
                 headers: { 'Content-Type': 'application/json' }, 
                 body: JSON.stringify({
@@ -153,6 +236,1004 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    /* ============================================
+       CHECK-IN RULES
+       Which rules the check-in endpoint enforces
+       ============================================ */
+
+    async function fetchCheckInRules() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/settings/check-in-rules`);
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch check-in rules');
+            }
+
+            const { rules } = await response.json();
+
+            CHECK_IN_RULE_SWITCHES.forEach(name => {
+                checkInRulesForm.elements[name].checked = rules[name];
+            });
+            checkInRulesForm.elements.balance_grace_days.value = rules.balance_grace_days;
+            checkInRulesForm.elements.min_minutes_between.value = rules.min_minutes_between;
+            checkInRulesForm.elements.session_minutes.value = rules.session_minutes;
+            checkInRulesForm.elements.capacity_mode.value = rules.capacity_mode;
+
+        } catch (error) {
+            console.error('Failed to fetch check-in rules:', error);
+            showCheckInRulesMessage('error', 'Failed to load check-in rules. Please refresh the page');
+        }
+    }
+
+    async function handleSaveCheckInRules(e) {
+        e.preventDefault();
+
+        const saveRulesBtn = document.getElementById('saveCheckInRulesBtn');
+        const body = {
+            balance_grace_days: parseInt(checkInRulesForm.elements.balance_grace_days.value), 
+            min_minutes_between: parseInt(checkInRulesForm.elements.min_minutes_between.value), 
+            session_minutes: parseInt(checkInRulesForm.elements.session_minutes.value), 
+            capacity_mode: checkInRulesForm.elements.capacity_mode.value
+        };
+        CHECK_IN_RULE_SWITCHES.forEach(name => {
+            body[name] = checkInRulesForm.elements[name].checked;
+        });
+
+        saveRulesBtn.disabled = true;
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/settings/check-in-rules`, {
+                method: 'PUT', 
+                headers: { 'Content-Type': 'application/json' }, 
+                body: JSON.stringify(body)
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                const details = Array.isArray(result.details) ? result.details.map(d => d.msg).join(', ') : null;
+                throw new Error(details || result.error || 'Failed to update check-in rules');
+            }
+
+            showCheckInRulesMessage('success', 'Check-in rules updated successfully!');
+
+        } catch (error) {
+            console.error('Failed to update check-in rules:', error);
+            showCheckInRulesMessage('error', error.message);
+        } finally {
+            saveRulesBtn.disabled = false;
+        }
+    }
+
+    function showCheckInRulesMessage(type, message) {
+        const errorDiv = document.getElementById('checkInRulesError');
+        const successDiv = document.getElementById('checkInRulesSuccess');
+        const target = type === 'error' ? errorDiv : successDiv;
+
+        errorDiv.style.display = 'none';
+        successDiv.style.display = 'none';
+
+        target.textContent = message;
+        target.style.display = 'flex';
+
+        setTimeout(() => {
+            target.style.display = 'none';
+        }, 5000);
+    }
+
+    /* ============================================
+       FETCH ADMINS
+       Load admin accounts (super admins only)
+       ============================================ */
+
+    async function fetchAdmins() {
+        administratorsCard.style.display = '';
+        const tableBody = document.getElementById('adminsTableBody');
+
+        const session = getAdminSession();
+
+        // Not signed in - offer to sign in instead of popping the prompt on page load
+        if (!session) {
+            inviteAdminBtn.style.display = 'none';
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 3rem;">
+                        <i class="fa-solid fa-lock" style="color: var(--color-text-muted); font-size: 2rem;"></i>
+                        <p style="margin-top: 1rem; color: var(--color-text-muted);">Sign in as a super admin to manage administrators</p>
+                        <button type="button" class="btn ghost" id="adminsSignInBtn" style="margin-top: 1rem;">Sign In</button>
+                    </td>
+                </tr>
+            `;
+
+            document.getElementById('adminsSignInBtn').addEventListener('click', async () => {
+                if (await ensureAdminSession()) {
+                    renderTwoFactorCard();
+                    fetchAdmins();
+                    fetchKioskDevices();
+                }
+            });
+            return;
+        }
+
+        // Signed in, but not allowed to manage admins
+        if (!session.admin?.permissions?.includes('admins.manage')) {
+            administratorsCard.style.display = 'none';
+            return;
+        }
+
+        inviteAdminBtn.style.display = '';
+
+        tableBody.innerHTML = `
+            <tr>
+                <td colspan="7" style="text-align: center; padding: 3rem;">
+                    <i class="fa-solid fa-spinner fa-spin"></i>
+                    <p style="margin-top: 1rem; color: var(--color-text-muted);">Loading administrators...</p>
+                </td>
+            </tr>
+        `;
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/users`);
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch administrators');
+            }
+
+            const data = await response.json();
+            renderAdmins(data.admins || []);
+            await fetchTwoFactorPolicy();
+            await fetchLoginAttempts();
+
+        } catch (error) {
+            console.error('Failed to fetch administrators:', error);
+
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 3rem;">
+                        <i class="fa-solid fa-exclamation-triangle" style="color: var(--color-danger); font-size: 2rem;"></i>
+                        <p style="margin-top: 1rem; color: var(--color-text-muted);">Failed to load administrators. Please refresh the page.</p>
+                    </td>
+                </tr>
+            `;
+        }
+    }
+
+    /* ============================================
+       RENDER ADMINS
+       Display admin accounts in the table
+       ============================================ */
+
+    function renderAdmins(admins) {
+        const tableBody = document.getElementById('adminsTableBody');
+        const currentAdminId = getAdminSession()?.admin?.id;
+
+        tableBody.innerHTML = admins.map(admin => {
+            const isSelf = admin.id === currentAdminId;
+
+            const lastLogin = admin.last_login
+                ? new Date(admin.last_login).toLocaleString('en-US', {
+                    month: 'short', 
+                    day: 'numeric', 
+                    year: 'numeric', 
+                    hour: 'numeric', 
+                    minute: '2-digit'
+                })
+                : 'Never';
+
+            // You can't change your own role or disable yourself
+            const roleOptions = Object.entries(ROLE_LABELS).map(([value, label]) =>
+                `<option value="${value}" ${value === admin.role ? 'selected' : ''}>${label}</option>`
+            ).join('');
+
+            const statusPill = admin.status === 'active'
+                ? '<span class="pill success">Active</span>'
+                : '<span class="pill danger">Disabled</span>';
+
+            const resetPill = admin.must_reset_password
+                ? '<span class="pill warning">Password reset pending</span>'
+                : '';
+
+            const isLocked = admin.locked_until && new Date(admin.locked_until) > new Date();
+            const lockedPill = isLocked
+                ? '<span class="pill danger">Locked</span>'
+                : '';
+
+            const twoFactorPill = admin.totp_enabled
+                ? '<span class="pill success">On</span>'
+                : '<span class="pill stock">Off</span>';
+
+            return `
+                <tr data-admin-id="${admin.id}">
+                    <td>
+                        <div style="font-weight: 500;">${admin.full_name}${isSelf ? ' (you)' : ''}</div>
+                        <div style="font-size: 0.75rem; color: var(--color-text-dim);">@${admin.username}</div>
+                    </td>
+                    <td>${admin.email}</td>
+                    <td>
+                        <select class="admin-role-select" data-admin-id="${admin.id}" data-current-role="${admin.role}" ${isSelf ? 'disabled' : ''}>
+                            ${roleOptions}
+                        </select>
+                    </td>
+                    <td>${statusPill}${resetPill}${lockedPill}</td>
+                    <td>${twoFactorPill}</td>
+                    <td>${lastLogin}</td>
+                    <td>
+                        <div class="table-actions">
+                            <button class="table-action-btn edit" data-action="reset-password" data-admin-id="${admin.id}" title="Force Password Reset">
+                                <i class="fa-solid fa-key"></i>
+                            </button>
+                            ${isLocked
+                                ? `<button class="table-action-btn view" data-action="unlock" data-admin-id="${admin.id}" title="Unlock">
+                                       <i class="fa-solid fa-lock-open"></i>
+                                   </button>`
+                                : ''}
+                            ${!isSelf && admin.totp_enabled
+                                ? `<button class="table-action-btn edit" data-action="reset-2fa" data-admin-id="${admin.id}" title="Reset 2FA">
+                                       <i class="fa-solid fa-mobile-screen"></i>
+                                   </button>`
+                                : ''}
+                            ${isSelf ? '' : admin.status === 'active'
+                                ? `<button class="table-action-btn delete" data-action="disable" data-admin-id="${admin.id}" title="Disable">
+                                       <i class="fa-solid fa-user-slash"></i>
+                                   </button>`
+                                : `<button class="table-action-btn view" data-action="enable" data-admin-id="${admin.id}" title="Re-enable">
+                                       <i class="fa-solid fa-user-check"></i>
+                                   </button>`}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /* ============================================
+       HANDLE INVITE ADMIN
+       Create the account and show its temporary password
+       ============================================ */
+
+    async function handleInviteAdmin(e) {
+        e.preventDefault();
+
+        const errorDiv = document.getElementById('inviteAdminError');
+        errorDiv.style.display = 'none';
+
+        const submitBtn = document.getElementById('submitInviteAdmin');
+        const originalBtnText = submitBtn.innerHTML;
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Inviting...';
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/users`, {
+                method: 'POST', 
+                headers: { 'Content-Type': 'application/json' }, 
+                body: JSON.stringify({
+                    username: inviteAdminForm.username.value.trim(), 
+                    full_name: inviteAdminForm.full_name.value.trim(), 
+                    email: inviteAdminForm.email.value.trim(), 
+                    role: inviteAdminForm.role.value
+                })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.details?.[0]?.msg || result.error || 'Failed to invite admin');
+            }
+
+            hideModal('invite-admin-modal');
+            inviteAdminForm.reset();
+
+            showTemporaryPassword(
+                `${result.admin.full_name} (@${result.admin.username}) was invited. Share this temporary password with them:`, 
+                result.temporary_password
+            );
+
+            await fetchAdmins();
+
+        } catch (error) {
+            console.error('Failed to invite admin:', error);
+            errorDiv.textContent = error.message;
+            errorDiv.style.display = 'block';
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = originalBtnText;
+        }
+    }
+
+    /* ============================================
+       HANDLE ROLE CHANGE
+       Fires when a role dropdown changes
+       ============================================ */
+
+    async function handleRoleChange(e) {
+        const select = e.target.closest('.admin-role-select');
+        if (!select) return;
+
+        const adminId = select.dataset.adminId;
+        const previousRole = select.dataset.currentRole;
+        const newRole = select.value;
+
+        if (!confirm(`Change this admin's role to ${ROLE_LABELS[newRole]}? They will be signed out.`)) {
+            select.value = previousRole;
+            return;
+        }
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/users/${adminId}/role`, {
+                method: 'PUT', 
+                headers: { 'Content-Type': 'application/json' }, 
+                body: JSON.stringify({ role: newRole })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to change role');
+            }
+
+            select.dataset.currentRole = newRole;
+            showAdminsSuccess(result.message);
+
+        } catch (error) {
+            console.error('Failed to change role:', error);
+            select.value = previousRole;
+            showAdminsError(error.message);
+        }
+    }
+
+    /* ============================================
+       HANDLE ADMIN ACTION
+       Disable / re-enable / force password reset
+       ============================================ */
+
+    async function handleAdminAction(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const adminId = button.dataset.adminId;
+        const action = button.dataset.action;
+
+        try {
+            if (action === 'reset-password') {
+                if (!confirm('Reset this admin\'s password? They will be signed out and must choose a new password.')) return;
+
+                const response = await adminFetch(`${API_BASE_URL}/admin/users/${adminId}/reset-password`, {
+                    method: 'POST'
+                });
+
+                const result = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to reset password');
+                }
+
+                showTemporaryPassword('Password reset. Share this temporary password with the admin:', result.temporary_password);
+
+            } else if (action === 'unlock') {
+                const response = await adminFetch(`${API_BASE_URL}/admin/users/${adminId}/unlock`, {
+                    method: 'POST'
+                });
+
+                const result = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to unlock account');
+                }
+
+                showAdminsSuccess(result.message);
+
+            } else if (action === 'reset-2fa') {
+                if (!confirm('Reset this admin\'s two-factor authentication? They will be signed out and can sign in with just their password.')) return;
+
+                const response = await adminFetch(`${API_BASE_URL}/admin/users/${adminId}/reset-2fa`, {
+                    method: 'POST'
+                });
+
+                const result = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to reset two-factor authentication');
+                }
+
+                showAdminsSuccess(result.message);
+
+            } else {
+                const status = action === 'disable' ? 'disabled' : 'active';
+
+                if (status === 'disabled' && !confirm('Disable this admin? They will be signed out immediately.')) return;
+
+                const response = await adminFetch(`${API_BASE_URL}/admin/users/${adminId}/status`, {
+                    method: 'PUT', 
+                    headers: { 'Content-Type': 'application/json' }, 
+                    body: JSON.stringify({ status })
+                });
+
+                const result = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to change admin status');
+                }
+
+                showAdminsSuccess(result.message);
+            }
+
+            await fetchAdmins();
+
+        } catch (error) {
+            console.error(`Failed to ${action} admin:`, error);
+            showAdminsError(error.message);
+        }
+    }
+
+    /* ============================================
+       FETCH KIOSK DEVICES
+       Paired self check-in kiosks ('kiosks.manage' only)
+       ============================================ */
+
+    async function fetchKioskDevices() {
+        const session = getAdminSession();
+
+        if (!session?.admin?.permissions?.includes('kiosks.manage')) {
+            kioskDevicesCard.style.display = 'none';
+            return;
+        }
+
+        kioskDevicesCard.style.display = '';
+        const tableBody = document.getElementById('kioskDevicesTableBody');
+
+        try {
+            const [devicesResponse, locationsResponse] = await Promise.all([
+                adminFetch(`${API_BASE_URL}/kiosk/devices`), 
+                fetch(`${API_BASE_URL}/locations`)
+            ]);
+
+            if (!devicesResponse.ok || !locationsResponse.ok) {
+                throw new Error('Failed to fetch kiosk devices');
+            }
+
+            const data = await devicesResponse.json();
+            const locations = await locationsResponse.json();
+
+            renderKioskDevices(data.devices || []);
+
+            // Pair modal location dropdown
+            const locationSelect = document.getElementById('kioskLocation');
+            locationSelect.innerHTML = '<option value="">Select location</option>';
+            locations.forEach(location => {
+                const option = document.createElement('option');
+                option.value = location.id;
+                option.textContent = location.name;
+                locationSelect.appendChild(option);
+            });
+
+        } catch (error) {
+            console.error('Failed to fetch kiosk devices:', error);
+
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="6" style="text-align: center; padding: 3rem;">
+                        <i class="fa-solid fa-exclamation-triangle" style="color: var(--color-danger); font-size: 2rem;"></i>
+                        <p style="margin-top: 1rem; color: var(--color-text-muted);">Failed to load kiosk devices. Please refresh the page.</p>
+                    </td>
+                </tr>
+            `;
+        }
+    }
+
+    function renderKioskDevices(devices) {
+        const tableBody = document.getElementById('kioskDevicesTableBody');
+
+        if (devices.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="6" style="text-align: center; padding: 3rem;">
+                        <i class="fa-solid fa-tablet-screen-button" style="color: var(--color-text-muted); font-size: 2rem;"></i>
+                        <p style="margin-top: 1rem; color: var(--color-text-muted);">No kiosks paired yet</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const formatWhen = (value) => value
+            ? new Date(value).toLocaleString('en-US', {
+                month: 'short', 
+                day: 'numeric', 
+                year: 'numeric', 
+                hour: 'numeric', 
+                minute: '2-digit'
+            })
+            : 'Never';
+
+        tableBody.innerHTML = devices.map(device => {
+            const statusPill = device.status === 'active'
+                ? '<span class="pill success">Active</span>'
+                : `<span class="pill danger" title="Revoked ${formatWhen(device.revoked_at)}">Revoked</span>`;
+
+            return `
+                <tr data-device-id="${device.id}">
+                    <td>
+                        <div style="font-weight: 500;">${escapeHtml(device.name)}</div>
+                        <div style="font-size: 0.75rem; color: var(--color-text-dim);">${escapeHtml(device.token_prefix)}...</div>
+                    </td>
+                    <td>${escapeHtml(device.location_name)}</td>
+                    <td>${statusPill}</td>
+                    <td>${formatWhen(device.last_seen_at)}</td>
+                    <td>${device.created_by_username ? `@${escapeHtml(device.created_by_username)}` : '---'}</td>
+                    <td>
+                        <div class="table-actions">
+                            ${device.status === 'active'
+                                ? `<button class="table-action-btn delete" data-action="revoke-kiosk" data-device-id="${device.id}" title="Revoke">
+                                       <i class="fa-solid fa-ban"></i>
+                                   </button>`
+                                : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /* ============================================
+       HANDLE PAIR KIOSK
+       Create the device and show its token once
+       ============================================ */
+
+    async function handlePairKiosk(e) {
+        e.preventDefault();
+
+        const errorDiv = document.getElementById('pairKioskError');
+        errorDiv.style.display = 'none';
+
+        const submitBtn = document.getElementById('submitPairKiosk');
+        const originalBtnText = submitBtn.innerHTML;
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Pairing...';
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/kiosk/devices`, {
+                method: 'POST', 
+                headers: { 'Content-Type': 'application/json' }, 
+                body: JSON.stringify({
+                    name: pairKioskForm.name.value.trim(), 
+                    location_id: parseInt(pairKioskForm.location_id.value)
+                })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.details?.[0]?.msg || result.error || 'Failed to pair kiosk');
+            }
+
+            hideModal('pair-kiosk-modal');
+            pairKioskForm.reset();
+
+            const link = new URL(`kiosk.html?token=${encodeURIComponent(result.token)}`, window.location.href).href;
+
+            document.getElementById('kioskTokenMessage').textContent = 
+                `"${result.device.name}" can now check members in at ${result.device.location_name}. Paste this token on the kiosk:`;
+            document.getElementById('kioskTokenValue').textContent = result.token;
+            document.getElementById('kioskLinkValue').textContent = link;
+            showModal('kiosk-token-modal');
+
+            await fetchKioskDevices();
+
+        } catch (error) {
+            console.error('Failed to pair kiosk:', error);
+            errorDiv.textContent = error.message;
+            errorDiv.style.display = 'block';
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = originalBtnText;
+        }
+    }
+
+    /* ============================================
+       HANDLE REVOKE KIOSK
+       ============================================ */
+
+    async function handleRevokeKiosk(e) {
+        const button = e.target.closest('[data-action="revoke-kiosk"]');
+        if (!button) return;
+
+        if (!confirm('Revoke this kiosk? It stops working immediately and has to be paired again.')) return;
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/kiosk/devices/${button.dataset.deviceId}`, {
+                method: 'DELETE'
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to revoke kiosk');
+            }
+
+            showKioskDevicesMessage('success', result.message);
+            await fetchKioskDevices();
+
+        } catch (error) {
+            console.error('Failed to revoke kiosk:', error);
+            showKioskDevicesMessage('error', error.message);
+        }
+    }
+
+    function showKioskDevicesMessage(type, message) {
+        const div = document.getElementById(type === 'error' ? 'kioskDevicesError' : 'kioskDevicesSuccess');
+
+        div.textContent = message;
+        div.style.display = 'flex';
+
+        setTimeout(() => {
+            div.style.display = 'none';
+        }, type === 'error' ? 5000 : 3000);
+    }
+
+    async function copyText(elementId, message) {
+        try {
+            await navigator.clipboard.writeText(document.getElementById(elementId).textContent);
+            showNotification(message, 'success');
+        } catch (error) {
+            console.error('Failed to copy:', error);
+        }
+    }
+
+    /* ============================================
+       FETCH LOGIN ATTEMPTS
+       Recent sign-ins, failures and lockouts
+       ============================================ */
+
+    async function fetchLoginAttempts() {
+        loginAttemptsCard.style.display = '';
+        const tableBody = document.getElementById('loginAttemptsTableBody');
+
+        const params = new URLSearchParams({
+            limit: LOGIN_ATTEMPTS_PAGE_SIZE, 
+            offset: loginAttemptsOffset
+        });
+
+        const outcome = document.getElementById('loginOutcomeFilter').value;
+        if (outcome) params.set('outcome', outcome);
+        if (document.getElementById('loginSuspiciousFilter').checked) params.set('suspicious', 'true');
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/users/login-attempts?${params.toString()}`);
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch sign-in activity');
+            }
+
+            const data = await response.json();
+            renderLoginAttempts(data.attempts);
+
+            const first = data.total === 0 ? 0 : loginAttemptsOffset + 1;
+            const last = Math.min(loginAttemptsOffset + LOGIN_ATTEMPTS_PAGE_SIZE, data.total);
+
+            document.getElementById('loginAttemptsPageInfo').textContent = `Showing ${first}-${last} of ${data.total}`;
+            document.getElementById('loginAttemptsPrevBtn').disabled = loginAttemptsOffset === 0;
+            document.getElementById('loginAttemptsNextBtn').disabled = last >= data.total;
+
+        } catch (error) {
+            console.error('Failed to fetch sign-in activity:', error);
+
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" style="text-align: center; padding: 3rem;">
+                        <i class="fa-solid fa-exclamation-triangle" style="color: var(--color-danger); font-size: 2rem;"></i>
+                        <p style="margin-top: 1rem; color: var(--color-text-muted);">Failed to load sign-in activity. Please refresh the page.</p>
+                    </td>
+                </tr>
+            `;
+        }
+    }
+
+    function renderLoginAttempts(attempts) {
+        const tableBody = document.getElementById('loginAttemptsTableBody');
+
+        if (attempts.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="5" style="text-align: center; padding: 3rem;">
+                        <i class="fa-solid fa-inbox" style="color: var(--color-text-muted); font-size: 2rem;"></i>
+                        <p style="margin-top: 1rem; color: var(--color-text-muted);">No sign-in attempts found</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tableBody.innerHTML = attempts.map(attempt => {
+            const outcome = OUTCOME_LABELS[attempt.outcome] || { label: attempt.outcome, pill: 'stock' };
+
+            const when = new Date(attempt.created_at).toLocaleString('en-US', {
+                month: 'short', 
+                day: 'numeric', 
+                year: 'numeric', 
+                hour: 'numeric', 
+                minute: '2-digit'
+            });
+
+            // username/user agent come straight from the login form - never inject as HTML
+            return `
+                <tr>
+                    <td>${when}</td>
+                    <td>
+                        <div style="font-weight: 500;">${escapeHtml(attempt.full_name || attempt.username)}</div>
+                        <div style="font-size: 0.75rem; color: var(--color-text-dim);">@${escapeHtml(attempt.username)}</div>
+                    </td>
+                    <td>
+                        <span class="pill ${outcome.pill}">${outcome.label}</span>
+                        ${attempt.suspicious ? '<span class="pill danger" title="New IP address or several failures before this sign-in">Suspicious</span>' : ''}
+                    </td>
+                    <td>${escapeHtml(attempt.ip_address || '---')}</td>
+                    <td><div class="login-attempts-device" title="${escapeHtml(attempt.user_agent || '')}">${escapeHtml(attempt.user_agent || '---')}</div></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /* ============================================
+       TWO-FACTOR POLICY
+       Super admins can require 2FA for every admin
+       ============================================ */
+
+    async function fetchTwoFactorPolicy() {
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/users/two-factor-policy`);
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch two-factor policy');
+            }
+
+            const data = await response.json();
+            requireTwoFactorToggle.checked = data.required;
+
+        } catch (error) {
+            console.error('Failed to fetch two-factor policy:', error);
+        }
+    }
+
+    async function handleTwoFactorPolicyChange() {
+        const required = requireTwoFactorToggle.checked;
+
+        if (required && !confirm('Require two-factor authentication for all admins? Admins without 2FA will have to set it up before they can do anything else.')) {
+            requireTwoFactorToggle.checked = false;
+            return;
+        }
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/users/two-factor-policy`, {
+                method: 'PUT', 
+                headers: { 'Content-Type': 'application/json' }, 
+                body: JSON.stringify({ required })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to update two-factor policy');
+            }
+
+            showAdminsSuccess(result.message);
+
+            // Policy may now apply to us too - refresh our own flags
+            await refreshAdminSession();
+            renderTwoFactorCard();
+
+        } catch (error) {
+            console.error('Failed to update two-factor policy:', error);
+            requireTwoFactorToggle.checked = !required;
+            showAdminsError(error.message);
+        }
+    }
+
+    /* ============================================
+       TWO-FACTOR CARD
+       Enable / disable 2FA for the signed-in admin
+       ============================================ */
+
+    function renderTwoFactorCard() {
+        const admin = getAdminSession()?.admin;
+
+        if (!admin) {
+            twoFactorCard.style.display = 'none';
+            return;
+        }
+
+        const enabled = !!admin.two_factor_enabled;
+
+        twoFactorCard.style.display = '';
+        document.getElementById('twoFactorStatus').innerHTML = enabled
+            ? '<span class="pill success">Enabled</span>'
+            : '<span class="pill stock">Not enabled</span>';
+
+        document.getElementById('enableTwoFactorBtn').style.display = enabled ? 'none' : '';
+        document.getElementById('regenerateCodesBtn').style.display = enabled ? '' : 'none';
+        document.getElementById('disableTwoFactorBtn').style.display = enabled ? '' : 'none';
+    }
+
+    async function handleEnableTwoFactor() {
+        try {
+            if (await openTwoFactorSetup()) {
+                showTwoFactorSuccess('Two-factor authentication enabled');
+                renderTwoFactorCard();
+                await fetchAdmins();
+            }
+        } catch (error) {
+            console.error('Failed to enable two-factor authentication:', error);
+            showTwoFactorError(error.message);
+        }
+    }
+
+    async function handleDisableTwoFactor(e) {
+        e.preventDefault();
+
+        const errorDiv = document.getElementById('disableTwoFactorError');
+        errorDiv.style.display = 'none';
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/2fa/disable`, {
+                method: 'POST', 
+                headers: { 'Content-Type': 'application/json' }, 
+                body: JSON.stringify({
+                    password: disableTwoFactorForm.password.value, 
+                    code: disableTwoFactorForm.code.value.trim()
+                })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.details?.[0]?.msg || result.error || 'Failed to disable two-factor authentication');
+            }
+
+            const session = getAdminSession();
+            session.admin.two_factor_enabled = false;
+            saveAdminSession(session);
+
+            hideModal('disable-2fa-modal');
+            disableTwoFactorForm.reset();
+            showTwoFactorSuccess(result.message);
+            renderTwoFactorCard();
+            await fetchAdmins();
+
+        } catch (error) {
+            console.error('Failed to disable two-factor authentication:', error);
+            errorDiv.textContent = error.message;
+            errorDiv.style.display = 'block';
+        }
+    }
+
+    async function handleRegenerateCodes(e) {
+        e.preventDefault();
+
+        const errorDiv = document.getElementById('regenerateCodesError');
+        errorDiv.style.display = 'none';
+
+        try {
+            const response = await adminFetch(`${API_BASE_URL}/admin/2fa/recovery-codes`, {
+                method: 'POST', 
+                headers: { 'Content-Type': 'application/json' }, 
+                body: JSON.stringify({ code: regenerateCodesForm.code.value.trim() })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.details?.[0]?.msg || result.error || 'Failed to generate recovery codes');
+            }
+
+            hideModal('regenerate-codes-modal');
+            regenerateCodesForm.reset();
+            await showRecoveryCodes(result.recovery_codes);
+
+        } catch (error) {
+            console.error('Failed to generate recovery codes:', error);
+            errorDiv.textContent = error.message;
+            errorDiv.style.display = 'block';
+        }
+    }
+
+    /* ============================================
+       TEMPORARY PASSWORD MODAL
+       ============================================ */
+
+    function showTemporaryPassword(message, password) {
+        document.getElementById('tempPasswordMessage').textContent = message;
+        document.getElementById('tempPasswordValue').textContent = password;
+        showModal('temp-password-modal');
+    }
+
+    async function copyTemporaryPassword() {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('tempPasswordValue').textContent);
+            showNotification('Temporary password copied', 'success');
+        } catch (error) {
+            console.error('Failed to copy password:', error);
+        }
+    }
+
+    /* ============================================
+       HELPER: Show / Hide Modal
+       ============================================ */
+
+    function showModal(id) {
+        const modal = document.getElementById(id);
+        modal.classList.add('show');
+        modal.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hideModal(id) {
+        const modal = document.getElementById(id);
+        modal.classList.remove('show');
+        modal.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+    }
+
+    /* ============================================
+       HELPER: Administrators Messages
+       ============================================ */
+
+    function showAdminsError(message) {
+        const errorDiv = document.getElementById('adminsError');
+
+        errorDiv.textContent = message;
+        errorDiv.style.display = 'flex';
+
+        setTimeout(() => {
+            errorDiv.style.display = 'none';
+        }, 5000);
+    }
+
+    function showAdminsSuccess(message) {
+        const successDiv = document.getElementById('adminsSuccess');
+
+        successDiv.textContent = message;
+        successDiv.style.display = 'flex';
+
+        setTimeout(() => {
+            successDiv.style.display = 'none';
+        }, 3000);
+    }
+
+    /* ============================================
+       HELPER: Escape HTML
+       ============================================ */
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /* ============================================
+       HELPER: Two-Factor Messages
+       ============================================ */
+
+    function showTwoFactorError(message) {
+        const errorDiv = document.getElementById('twoFactorError');
+
+        errorDiv.textContent = message;
+        errorDiv.style.display = 'flex';
+
+        setTimeout(() => {
+            errorDiv.style.display = 'none';
+        }, 5000);
+    }
+
+    function showTwoFactorSuccess(message) {
+        const successDiv = document.getElementById('twoFactorSuccess');
+
+        successDiv.textContent = message;
+        successDiv.style.display = 'flex';
+
+        setTimeout(() => {
+            successDiv.style.display = 'none';
+        }, 3000);
+    }
+
     /* ============================================
        HELPER: Show Error Message
        Display error in error div
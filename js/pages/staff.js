@@ -17,15 +17,22 @@ document.addEventListener('DOMContentLoaded', async () => {
       GLOBAL VARIABLES
       ============================================ */
 
-      // Store all staff data globally (so we can filter/sort without re-fetching)
+      // Staff on the current page (filtered/sorted/paged by the API)
       let allStaff = [];
 
+      // Every staff member - schedule dropdowns need more than one page
+      let scheduleStaff = null;
+
       // Store current sort table
       let currentSort = {
          column: 'name',   // Which column we're sorting by
          direction: 'asc'  // 'asc' or 'desc'
       };
 
+      // Previous / Next under the staff table
+      const staffPager = createListPager('staffPagination', fetchStaff);
+      let searchTimeout = null;
+
    /* ============================================
       INITIALIZATION
       Run when page loads
@@ -33,7 +40,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       // Fetch and display data
       await fetchStats();        // Get KPI numbers
-      await fetchStaff();        // Get all staff members
+      await fetchStaff();        // Get the first page of staff
       await populateLocationFilter();  // Populate location dropdown
 
       // Set up event listeners
@@ -90,8 +97,27 @@ document.addEventListener('DOMContentLoaded', async () => {
    async function fetchStaff() {
 
       try {
+         // Filters, sort and page all run on the server
+         const params = new URLSearchParams({
+            sort: currentSort.column,
+            order: currentSort.direction,
+            ...staffPager.params()
+         });
+
+         const filters = {
+            role: document.getElementById('filterRole').value,
+            location: document.getElementById('filterLocation').value,
+            status: document.getElementById('filterStatus').value,
+            search: document.getElementById('searchStaff').value.trim()
+         };
+
+         // WHY 'all' check? Empty string or 'all' means no filter
+         Object.entries(filters).forEach(([key, value]) => {
+            if (value && value !== 'all') params.append(key, value);
+         });
+
          // Call the staff endpoint
-         const response = await fetch(`${API_BASE_URL}/staff`);
+         const response = await fetch(`${API_BASE_URL}/staff?${params.toString()}`);
 
          if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -104,6 +130,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
          // Display them in the table
          populateTable(allStaff);
+         staffPager.update(data.pagination, allStaff.length);
+
+         // Staff may have been added/edited - schedule dropdowns reload next time
+         scheduleStaff = null;
 
       } catch (error) {
          console.error('❌ Failed to fetch staff:', error);
@@ -247,6 +277,29 @@ document.addEventListener('DOMContentLoaded', async () => {
          });
       });
 
+      // Export = what's on screen: same filters, same sort
+      setupExportMenu('staffExportMenu', `${API_BASE_URL}/staff`, () => ({
+         role: document.getElementById('filterRole').value,
+         location: document.getElementById('filterLocation').value,
+         status: document.getElementById('filterStatus').value,
+         search: document.getElementById('searchStaff').value.trim(),
+         sort: currentSort.column,
+         order: currentSort.direction
+      }));
+
+      // Schedule export = the week being shown
+      setupExportMenu('shiftsExportMenu', `${API_BASE_URL}/shifts`, () => {
+         const endDate = new Date(currentWeekStart);
+         endDate.setDate(endDate.getDate() + 6);
+
+         return {
+            start_date: formatDateForApi(currentWeekStart),
+            end_date: formatDateForApi(endDate),
+            staff_id: document.getElementById('scheduleStaffFilter').value,
+            location_id: document.getElementById('scheduleLocationFilter').value
+         };
+      });
+
       // View, Edit, and Delete button clicks (event delegation)
       const tbody = document.getElementById('staffTableBody');
       tbody.addEventListener('click', (e) => {
@@ -297,24 +350,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       Filter staff by search query
       ============================================ */
 
-   function handleSearch(e) {
-      const query = e.target.value.toLowerCase().trim();
-
-      // If empty, show all staff
-      if (query === '') {
-         applyFilters();
-         return;
-      }
-
-      // Filter staff by name, email, role, or staff_id
-      // WHY includes? Checks if string contains the search query
-      const filtered = allStaff.filter(staff => {
-         return staff.name.toLowerCase().includes(query) || 
-               staff.email.toLowerCase().includes(query) || 
-               staff.role.toLowerCase().includes(query) || 
-               (staff.staff_id && staff.staff_id.toLowerCase().includes(query));
-      });
-      populateTable(filtered);
+   // WHY the timeout? One request once typing pauses, not one per key
+   function handleSearch() {
+      clearTimeout(searchTimeout);
+      searchTimeout = setTimeout(applyFilters, 300);
    }
 
    /* ============================================
@@ -322,48 +361,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       Filter staff by role, location, status
       ============================================ */
 
+   // New filters = back to the first page
    function applyFilters() {
-      // Get current filter values
-      const roleFilter = document.getElementById('filterRole').value;
-      const locationFilter = document.getElementById('filterLocation').value;
-      const statusFilter = document.getElementById('filterStatus').value;
-      const searchQuery = document.getElementById('searchStaff').value.toLowerCase().trim();
-
-      // Start with all staff
-      let filtered = [...allStaff];
-
-      // Apply role filter
-      // WHY 'all' check? Empty string or 'all' means no filter
-      if (roleFilter && roleFilter !== 'all') {
-         filtered = filtered.filter(staff => staff.role === roleFilter);
-      }
-
-      // Apply location filter
-      if (locationFilter && locationFilter !== 'all') {
-         // Convert to number because location_id is an integer
-         filtered = filtered.filter(staff => staff.location_id === parseInt(locationFilter));
-      }
-
-      // Apply status filter
-      if (statusFilter && statusFilter !== 'all') {
-         filtered = filtered.filter(staff => staff.status === statusFilter);
-      }
-
-      // Apply search if there's a query
-      if (searchQuery) {
-         filtered = filtered.filter(staff => {
-            return staff.name.toLowerCase().includes(searchQuery) || 
-                  staff.email.toLowerCase().includes(searchQuery) || 
-                  staff.role.toLowerCase().includes(searchQuery) || 
-                  (staff.staff_id && staff.staff_id.toLowerCase().includes(searchQuery));
-         });
-      }
-      populateTable(filtered);
+      staffPager.reset();
+      fetchStaff();
    }
 
    /* ============================================
       SORTING FUNCTIONALITY
-      Sort table by column
+      Sort table by column (on the server, across every page)
       ============================================ */
 
    function handleSort(column) {
@@ -376,26 +382,6 @@ document.addEventListener('DOMContentLoaded', async () => {
          currentSort.direction = 'asc';
       }
 
-      // Sort the allStaff array
-      // WHY sort in place? Modifies the original array
-      allStaff.sort((a, b) => {
-         let aVal = a[column];
-         let bVal = b[column];
-
-         // Handle null/undefined values
-         if (aVal === null || aVal === undefined) aVal = '';
-         if (bVal === null || bVal === undefined) bVal = '';
-
-         // Convert to lowercase for string comparison
-         if (typeof aVal === 'string') aVal = aVal.toLowerCase();
-         if (typeof bVal === 'string') bVal = bVal.toLowerCase();
-
-         // Compare
-         if (aVal < bVal) return currentSort.direction === 'asc' ? -1 : 1;
-         if (aVal > bVal) return currentSort.direction === 'asc' ? 1 : -1;
-         return 0;
-      });
-
       // Update sort indicators in table header
       // Remove all sort classes first
       document.querySelectorAll('.sortable').forEach(header => {
@@ -408,7 +394,7 @@ document.addEventListener('DOMContentLoaded', async () => {
          currentHeader.classList.add(`sorted-${currentSort.direction}`);
       }
 
-      // Re-apply filters (which will use the sorted array)
+      // Re-fetch from the first page in the new order
       applyFilters();
    }
 
@@ -707,7 +693,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       try {
          // Send PUT request to API
-         const response = await fetch(`${API_BASE_URL}/staff/${staffId}`, {
+         const response = await adminFetch(`${API_BASE_URL}/staff/${staffId}`, {
             method: 'PUT', 
             headers: {
                'Content-Type': 'application/json'
@@ -802,6 +788,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       document.getElementById('deleteConfirmCheckbox').checked = false;
       document.getElementById('confirmDeleteBtn').disabled = true;
 
+      // Only ask for credentials if there's no admin session yet
+      syncAdminAuthFields(document.querySelector('#deleteStaffForm .delete-auth-section'));
+
       // Hide any previous messages
       const deleteError = document.getElementById('deleteErrorMessage');
       const deleteSuccess = document.getElementById('deleteSuccessMessage');
@@ -853,7 +842,7 @@ document.addEventListener('DOMContentLoaded', async () => {
          return;
       }
 
-      if (!deleteData.admin_username || !deleteData.admin_password) {
+      if (!hasAdminSession() && (!deleteData.admin_username || !deleteData.admin_password)) {
          const errorMsg = document.getElementById('deleteErrorMessage');
          errorMsg.textContent = ' Please enter admin username and password';
          errorMsg.style.display = 'block';
@@ -880,36 +869,18 @@ document.addEventListener('DOMContentLoaded', async () => {
       deleteBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Deleting...';
 
       try {
-         // STEP 1: Verify admin password
-         console.log('🔒 Verifying admin credentials...');
-
-         const verifyResponse = await fetch(`${API_BASE_URL}/admin/verify-password`, {
-            method: 'POST', 
-            headers: {
-               'Content-Type': 'application/json'
-            }, 
-            body: JSON.stringify({
-               username: deleteData.admin_username, 
-               password: deleteData.admin_password
-            })
-         });
-
-         const verifyResult = await verifyResponse.json();
-
-         if (!verifyResult.verified) {
-            throw new Error('Invalid admin credentials. Please check your username and password.');
+         // STEP 1: Sign in (only the first time - afterwards the session token is reused)
+         if (!hasAdminSession()) {
+            console.log('🔒 Verifying admin credentials...');
+            await adminLogin(deleteData.admin_username, deleteData.admin_password);
          }
 
-         console.log('✅ Admin verified');
-
          // STEP 2: Delete the staff member (soft delete)
 
-         const deleteResponse = await fetch(`${API_BASE_URL}/staff/${staffId}`, {
+         const deleteResponse = await adminFetch(`${API_BASE_URL}/staff/${staffId}`, {
             method: 'DELETE', 
             headers: {
-               'Content-Type': 'application/json', 
-               'x-admin-username': deleteData.admin_username, 
-               'x-admin-password': deleteData.admin_password
+               'Content-Type': 'application/json'
             }, 
             body: JSON.stringify({
                reason: deleteData.reason, 
@@ -1176,13 +1147,24 @@ document.addEventListener('DOMContentLoaded', async () => {
       document.getElementById('scheduleModal').classList.add('active');
    }
 
+   // Every staff member A-Z (no limit = the whole list), loaded once
+   async function loadScheduleStaff() {
+      if (!scheduleStaff) {
+         const response = await fetch(`${API_BASE_URL}/staff?sort=name`);
+         const data = await response.json();
+         scheduleStaff = data.staff || [];
+      }
+
+      return scheduleStaff;
+   }
+
    // Populate staff and location filters
    async function populateScheduleFilters() {
       // Populate staff filter
       const staffFilter = document.getElementById('scheduleStaffFilter');
       staffFilter.innerHTML = '<option value="all">All Staff</option>';
 
-      allStaff.forEach(staff => {
+      (await loadScheduleStaff()).forEach(staff => {
          const option = document.createElement('option');
          option.value = staff.id;
          option.textContent = staff.name;
@@ -1248,7 +1230,7 @@ document.addEventListener('DOMContentLoaded', async () => {
          const staffDropDown = document.getElementById('shiftStaff');
          staffDropDown.innerHTML = '<option value="">Select staff member...</option>';
 
-         allStaff.forEach(staff => {
+         (await loadScheduleStaff()).forEach(staff => {
             // Only show active staff 
             if (staff.status === 'active') {
                const option = document.createElement('option');
@@ -1367,14 +1349,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
          if (shiftId) {
             // UPDATE existing shift
-            response = await fetch(`${API_BASE_URL}/shifts/${shiftId}`, {
+            response = await adminFetch(`${API_BASE_URL}/shifts/${shiftId}`, {
                method: 'PUT', 
                headers: { 'Content-Type': 'application/json' }, 
                body: JSON.stringify(shiftData)
             });
          } else {
             // CREATE new shift
-            response = await fetch(`${API_BASE_URL}/shifts`, {
+            response = await adminFetch(`${API_BASE_URL}/shifts`, {
                method: 'POST', 
                headers: { 'Content-Type': 'application/json' }, 
                body: JSON.stringify(shiftData)
@@ -1461,6 +1443,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       document.getElementById('deleteShiftConfirmCheckbox').checked = false;
       document.getElementById('confirmDeleteShiftBtn').disabled = true;
 
+      // Only ask for credentials if there's no admin session yet
+      syncAdminAuthFields(document.querySelector('#deleteShiftForm .admin-verification-section'));
+
       // Hide message
       document.getElementById('deleteShiftError').style.display = 'none';
       document.getElementById('deleteShiftSuccess').style.display = 'none';
@@ -1481,7 +1466,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       const adminPassword = formData.get('admin_password');
 
       // Validate
-      if (!reason || !adminUsername || !adminPassword) {
+      if (!reason || (!hasAdminSession() && (!adminUsername || !adminPassword))) {
          const errorMsg = document.getElementById('deleteShiftError');
          errorMsg.textContent = '⚠️ Please fill in all required fields';
          errorMsg.style.display = 'block';
@@ -1506,32 +1491,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       deleteBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Deleting...';
 
       try {
-         // STEP 1: Verify admin credentials
-         const verifyResponse = await fetch(`${API_BASE_URL}/admin/verify-password`, {
-            method: 'POST', 
-            headers: { 'Content-Type': 'application/json' }, 
-            body: JSON.stringify({
-               username: adminUsername, 
-               password: adminPassword
-            })
-         });
-
-         const verifyResult = await verifyResponse.json();
-
-         if (!verifyResult.verified) {
-            throw new Error('Invalid admin credentials');
+         // STEP 1: Sign in (only the first time - afterwards the session token is reused)
+         if (!hasAdminSession()) {
+            await adminLogin(adminUsername, adminPassword);
          }
 
-         console.log('✅ Admin verified');
-
          // STEP 2: Delete the shift
 
-         const deleteResponse = await fetch(`${API_BASE_URL}/shifts/${currentShift.id}`, {
-            method: 'DELETE', 
-            headers: {
-               'x-admin-username': adminUsername, 
-               'x-admin-password': adminPassword
-            }
+         const deleteResponse = await adminFetch(`${API_BASE_URL}/shifts/${currentShift.id}`, {
+            method: 'DELETE'
          });
 
          const deleteResult = await deleteResponse.json();
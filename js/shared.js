@@ -11,6 +11,617 @@ const API_BASE_URL = window.location.hostname === 'localhost' || window.location
         : '/api';
 
 
+/* ============================================
+   ADMIN SESSION
+   Sign in once, then send a session token instead of the password
+   ============================================ */
+
+// Tokens live in sessionStorage: they disappear when the tab is closed
+const ADMIN_SESSION_KEY = 'gymflowAdminSession';
+
+function getAdminSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(ADMIN_SESSION_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function saveAdminSession(data) {
+    sessionStorage.setItem(ADMIN_SESSION_KEY, JSON.stringify({
+        token: data.token, 
+        refresh_token: data.refresh_token, 
+        admin: data.admin
+    }));
+}
+
+function clearAdminSession() {
+    sessionStorage.removeItem(ADMIN_SESSION_KEY);
+}
+
+function hasAdminSession() {
+    return !!getAdminSession()?.refresh_token;
+}
+
+/* ========================================
+   ADMIN LOGIN
+   Exchanges username + password for a session (only time the password is sent)
+   ======================================== */
+
+async function adminLogin(username, password) {
+    const response = await fetch(`${API_BASE_URL}/admin/verify-password`, {
+        method: 'POST', 
+        headers: { 'Content-Type': 'application/json' }, 
+        body: JSON.stringify({ username, password })
+    });
+
+    let result = await response.json();
+
+    // 2FA enabled - the password was right, now ask for a code
+    if (result.two_factor_required) {
+        result = await promptTwoFactorCode(result.challenge_token);
+
+        if (!result) {
+            throw new Error('Two-factor verification cancelled');
+        }
+    }
+
+    if (!result.verified) {
+        throw new Error(result.error || 'Invalid admin credentials. Please check your username and password.');
+    }
+
+    saveAdminSession(result);
+    console.log('✅ Admin session started');
+
+    connectLiveEvents();
+
+    if (result.used_recovery_code) {
+        showNotification('Signed in with a recovery code. Generate new codes in Settings if you are running low.', 'warning');
+    }
+
+    return result.admin;
+}
+
+/* ========================================
+   TWO-FACTOR PROMPT
+   Second sign-in step for admins with 2FA enabled
+   Resolves with the session, or null if cancelled
+   ======================================== */
+
+function promptTwoFactorCode(challengeToken) {
+    return new Promise((resolve) => {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay show';
+        modal.id = 'admin-2fa-modal';
+        modal.setAttribute('aria-hidden', 'false');
+        modal.innerHTML = `
+            <div class="modal-card">
+                <div class="modal-header">
+                    <h2><i class="fa-solid fa-mobile-screen"></i> Two-Factor Verification</h2>
+                    <button class="modal-close" type="button" aria-label="Close modal">&times;</button>
+                </div>
+                <form id="adminTwoFactorForm">
+                    <div class="modal-body">
+                        <div class="field">
+                            <label for="twoFactorCode">Authentication Code</label>
+                            <input type="text" id="twoFactorCode" name="code" required autocomplete="one-time-code" inputmode="numeric" placeholder="123456">
+                            <small>Enter the 6-digit code from your authenticator app, or one of your recovery codes</small>
+                        </div>
+                        <div id="twoFactorError" class="field-warning" style="display: none;">
+                            <i class="fa-solid fa-exclamation-triangle"></i>
+                            <span></span>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn ghost" data-2fa-cancel>Cancel</button>
+                        <button type="submit" class="btn primary">Verify</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('#twoFactorCode').focus();
+
+        const finish = (result) => {
+            modal.remove();
+            resolve(result);
+        };
+
+        modal.querySelector('.modal-close').addEventListener('click', () => finish(null));
+        modal.querySelector('[data-2fa-cancel]').addEventListener('click', () => finish(null));
+
+        modal.querySelector('#adminTwoFactorForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const errorDiv = modal.querySelector('#twoFactorError');
+            errorDiv.style.display = 'none';
+
+            try {
+                const response = await fetch(`${API_BASE_URL}/admin/verify-2fa`, {
+                    method: 'POST', 
+                    headers: { 'Content-Type': 'application/json' }, 
+                    body: JSON.stringify({
+                        challenge_token: challengeToken, 
+                        code: e.target.code.value.trim()
+                    })
+                });
+
+                const result = await response.json();
+
+                if (!result.verified) {
+                    throw new Error(result.details?.[0]?.msg || result.error || 'Invalid verification code');
+                }
+
+                finish(result);
+            } catch (error) {
+                errorDiv.querySelector('span').textContent = error.message;
+                errorDiv.style.display = 'flex';
+            }
+        });
+    });
+}
+
+/* ========================================
+   TWO-FACTOR SETUP
+   Scan QR -> confirm a code -> save recovery codes
+   Resolves true once 2FA is enabled, false if cancelled
+   ======================================== */
+
+async function openTwoFactorSetup() {
+    const response = await adminFetch(`${API_BASE_URL}/admin/2fa/setup`, { method: 'POST' });
+    const setup = await response.json();
+
+    if (!response.ok) {
+        showNotification(setup.error || 'Failed to start two-factor setup', 'error');
+        return false;
+    }
+
+    return new Promise((resolve) => {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay show';
+        modal.id = 'admin-2fa-setup-modal';
+        modal.setAttribute('aria-hidden', 'false');
+        modal.innerHTML = `
+            <div class="modal-card">
+                <div class="modal-header">
+                    <h2><i class="fa-solid fa-shield-halved"></i> Set Up Two-Factor Authentication</h2>
+                    <button class="modal-close" type="button" aria-label="Close modal">&times;</button>
+                </div>
+                <form id="twoFactorSetupForm">
+                    <div class="modal-body">
+                        <p>Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy...)</p>
+                        <div class="two-factor-qr">
+                            <img src="${setup.qr_code}" alt="Two-factor QR code" width="180" height="180">
+                        </div>
+                        <div class="field">
+                            <label>Can't scan? Enter this key manually</label>
+                            <input type="text" value="${setup.secret}" readonly>
+                        </div>
+                        <div class="field">
+                            <label for="twoFactorSetupCode">Code from the app</label>
+                            <input type="text" id="twoFactorSetupCode" name="code" required autocomplete="one-time-code" inputmode="numeric" placeholder="123456">
+                        </div>
+                        <div id="twoFactorSetupError" class="field-warning" style="display: none;">
+                            <i class="fa-solid fa-exclamation-triangle"></i>
+                            <span></span>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn ghost" data-2fa-cancel>Cancel</button>
+                        <button type="submit" class="btn primary">Enable 2FA</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('#twoFactorSetupCode').focus();
+
+        const finish = (enabled) => {
+            modal.remove();
+            resolve(enabled);
+        };
+
+        modal.querySelector('.modal-close').addEventListener('click', () => finish(false));
+        modal.querySelector('[data-2fa-cancel]').addEventListener('click', () => finish(false));
+
+        modal.querySelector('#twoFactorSetupForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const errorDiv = modal.querySelector('#twoFactorSetupError');
+            errorDiv.style.display = 'none';
+
+            try {
+                const response = await adminFetch(`${API_BASE_URL}/admin/2fa/enable`, {
+                    method: 'POST', 
+                    headers: { 'Content-Type': 'application/json' }, 
+                    body: JSON.stringify({ code: e.target.code.value.trim() })
+                });
+
+                const result = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(result.details?.[0]?.msg || result.error || 'Invalid verification code');
+                }
+
+                // Same session keeps working - update the local flags
+                const session = getAdminSession();
+                session.admin.two_factor_enabled = true;
+                session.admin.two_factor_setup_required = false;
+                saveAdminSession(session);
+
+                modal.remove();
+                showRecoveryCodes(result.recovery_codes).then(() => resolve(true));
+            } catch (error) {
+                errorDiv.querySelector('span').textContent = error.message;
+                errorDiv.style.display = 'flex';
+            }
+        });
+    });
+}
+
+/* ========================================
+   RECOVERY CODES
+   Shown ONCE after enabling 2FA or regenerating
+   ======================================== */
+
+function showRecoveryCodes(codes) {
+    return new Promise((resolve) => {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay show';
+        modal.id = 'admin-recovery-codes-modal';
+        modal.setAttribute('aria-hidden', 'false');
+        modal.innerHTML = `
+            <div class="modal-card">
+                <div class="modal-header">
+                    <h2><i class="fa-solid fa-key"></i> Recovery Codes</h2>
+                </div>
+                <div class="modal-body">
+                    <p>Each code can be used once if you lose access to your authenticator app.</p>
+                    <ul class="recovery-codes">
+                        ${codes.map(code => `<li><code>${code}</code></li>`).join('')}
+                    </ul>
+                    <div class="field-warning">
+                        <i class="fa-solid fa-exclamation-triangle"></i>
+                        <span>Save these somewhere safe. They won't be shown again.</span>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn ghost" data-copy-codes>
+                        <i class="fa-regular fa-copy"></i>
+                        Copy
+                    </button>
+                    <button type="button" class="btn primary" data-codes-done>I've saved them</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-copy-codes]').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(codes.join('\n'));
+                showNotification('Recovery codes copied', 'success');
+            } catch (error) {
+                console.error('Failed to copy recovery codes:', error);
+            }
+        });
+
+        modal.querySelector('[data-codes-done]').addEventListener('click', () => {
+            modal.remove();
+            resolve();
+        });
+    });
+}
+
+/* ========================================
+   REFRESH ADMIN SESSION
+   Gets a new access token when the old one expires
+   ======================================== */
+
+async function refreshAdminSession() {
+    const session = getAdminSession();
+    if (!session?.refresh_token) return false;
+
+    const response = await fetch(`${API_BASE_URL}/admin/refresh`, {
+        method: 'POST', 
+        headers: { 'Content-Type': 'application/json' }, 
+        body: JSON.stringify({ refresh_token: session.refresh_token })
+    });
+
+    if (!response.ok) {
+        clearAdminSession();
+        return false;
+    }
+
+    saveAdminSession(await response.json());
+    return true;
+}
+
+/* ========================================
+   ADMIN LOGOUT
+   ======================================== */
+
+async function adminLogout() {
+    const session = getAdminSession();
+    clearAdminSession();
+    disconnectLiveEvents();
+
+    if (!session) return;
+
+    try {
+        await fetch(`${API_BASE_URL}/admin/logout`, {
+            method: 'POST', 
+            headers: {
+                'Content-Type': 'application/json', 
+                'Authorization': `Bearer ${session.token}`
+            }, 
+            body: JSON.stringify({ refresh_token: session.refresh_token })
+        });
+    } catch (error) {
+        console.error('❌ Logout request failed:', error);
+    }
+}
+
+/* ========================================
+   ADMIN FETCH
+   fetch() wrapper for admin-protected endpoints
+   Adds the Authorization header and retries once after a refresh
+   ======================================== */
+
+async function adminFetch(url, options = {}) {
+    // No session yet - ask the admin to sign in first
+    if (!hasAdminSession() && !(await ensureAdminSession())) {
+        throw new Error('Admin sign-in required');
+    }
+
+    const send = () => fetch(url, {
+        ...options, 
+        headers: {
+            ...(options.headers || {}), 
+            'Authorization': `Bearer ${getAdminSession()?.token || ''}`
+        }
+    });
+
+    let response = await send();
+
+    // Access token expired - try once with a fresh one
+    if (response.status === 401 && await refreshAdminSession()) {
+        response = await send();
+    }
+
+    // 2FA became mandatory - enroll now, then retry
+    if (response.status === 403) {
+        const body = await response.clone().json().catch(() => ({}));
+
+        if (body.error === 'Two-factor setup required' && await openTwoFactorSetup()) {
+            response = await send();
+        }
+    }
+
+    return response;
+}
+
+/* ========================================
+   SIGN-IN PROMPT
+   Shown the first time an admin-only action needs a session
+   Resolves true once signed in, false if cancelled
+   ======================================== */
+
+let pendingSignIn = null;
+
+function ensureAdminSession() {
+    if (hasAdminSession()) return Promise.resolve(true);
+
+    // Several requests at once should share ONE prompt
+    if (pendingSignIn) return pendingSignIn;
+
+    pendingSignIn = new Promise((resolve) => {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay show';
+        modal.id = 'admin-signin-modal';
+        modal.setAttribute('aria-hidden', 'false');
+        modal.innerHTML = `
+            <div class="modal-card">
+                <div class="modal-header">
+                    <h2><i class="fa-solid fa-shield-halved"></i> Admin Sign-In</h2>
+                    <button class="modal-close" type="button" aria-label="Close modal">&times;</button>
+                </div>
+                <form id="adminSignInForm">
+                    <div class="modal-body">
+                        <div class="field">
+                            <label for="signInUsername">Username</label>
+                            <input type="text" id="signInUsername" name="username" required autocomplete="username">
+                        </div>
+                        <div class="field">
+                            <label for="signInPassword">Password</label>
+                            <input type="password" id="signInPassword" name="password" required autocomplete="current-password">
+                        </div>
+                        <div id="signInError" class="field-warning" style="display: none;">
+                            <i class="fa-solid fa-exclamation-triangle"></i>
+                            <span></span>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn ghost" data-signin-cancel>Cancel</button>
+                        <button type="submit" class="btn primary">Sign In</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('#signInUsername').focus();
+
+        const finish = async (signedIn) => {
+            modal.remove();
+
+            // 2FA required by policy - enroll before anything else works
+            if (signedIn && getAdminSession()?.admin?.two_factor_setup_required) {
+                signedIn = await openTwoFactorSetup();
+            }
+
+            pendingSignIn = null;
+            resolve(signedIn);
+        };
+
+        modal.querySelector('.modal-close').addEventListener('click', () => finish(false));
+        modal.querySelector('[data-signin-cancel]').addEventListener('click', () => finish(false));
+
+        modal.querySelector('#adminSignInForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const form = e.target;
+            const errorDiv = modal.querySelector('#signInError');
+            errorDiv.style.display = 'none';
+
+            try {
+                const admin = await adminLogin(form.username.value.trim(), form.password.value);
+
+                // Invited / reset accounts must pick their own password first
+                if (admin.must_reset_password) {
+                    showPasswordChangeStep(modal, form.password.value, finish);
+                    return;
+                }
+
+                updateAdminProfile();
+                finish(true);
+            } catch (error) {
+                errorDiv.querySelector('span').textContent = error.message;
+                errorDiv.style.display = 'flex';
+            }
+        });
+    });
+
+    return pendingSignIn;
+}
+
+/* ========================================
+   FIRST SIGN-IN: CHANGE PASSWORD
+   Replaces the sign-in form when the account has a temporary password
+   ======================================== */
+
+function showPasswordChangeStep(modal, temporaryPassword, finish) {
+    modal.querySelector('.modal-header h2').innerHTML = '<i class="fa-solid fa-key"></i> Choose a New Password';
+
+    // Fresh form + close button (cloning drops the sign-in listeners)
+    const oldForm = modal.querySelector('#adminSignInForm');
+    const form = oldForm.cloneNode(false);
+    const oldClose = modal.querySelector('.modal-close');
+    const closeBtn = oldClose.cloneNode(true);
+
+    form.innerHTML = `
+        <div class="modal-body">
+            <p>You signed in with a temporary password. Choose a new one to continue.</p>
+            <div class="field">
+                <label for="newAdminPassword">New Password</label>
+                <input type="password" id="newAdminPassword" name="new_password" required minlength="10" autocomplete="new-password">
+                <small>At least 10 characters, including a letter and a number</small>
+            </div>
+            <div class="field">
+                <label for="confirmAdminPassword">Confirm New Password</label>
+                <input type="password" id="confirmAdminPassword" name="confirm_password" required autocomplete="new-password">
+            </div>
+            <div id="signInError" class="field-warning" style="display: none;">
+                <i class="fa-solid fa-exclamation-triangle"></i>
+                <span></span>
+            </div>
+        </div>
+        <div class="modal-footer">
+            <button type="button" class="btn ghost" data-signin-cancel>Cancel</button>
+            <button type="submit" class="btn primary">Save Password</button>
+        </div>
+    `;
+
+    oldForm.replaceWith(form);
+    oldClose.replaceWith(closeBtn);
+    form.new_password.focus();
+
+    // Cancelling here signs out again - the session can't do anything until the password changes
+    const cancel = async () => {
+        await adminLogout();
+        finish(false);
+    };
+
+    closeBtn.addEventListener('click', cancel);
+    form.querySelector('[data-signin-cancel]').addEventListener('click', cancel);
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const errorDiv = form.querySelector('#signInError');
+        errorDiv.style.display = 'none';
+
+        const newPassword = form.new_password.value;
+
+        try {
+            if (newPassword !== form.confirm_password.value) {
+                throw new Error('Passwords do not match');
+            }
+
+            const response = await fetch(`${API_BASE_URL}/admin/change-password`, {
+                method: 'POST', 
+                headers: {
+                    'Content-Type': 'application/json', 
+                    'Authorization': `Bearer ${getAdminSession()?.token || ''}`
+                }, 
+                body: JSON.stringify({
+                    current_password: temporaryPassword, 
+                    new_password: newPassword
+                })
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.details?.[0]?.msg || result.error || 'Failed to change password');
+            }
+
+            // Same session keeps working - just clear the flag locally
+            const session = getAdminSession();
+            session.admin.must_reset_password = false;
+            saveAdminSession(session);
+
+            updateAdminProfile();
+            finish(true);
+        } catch (error) {
+            errorDiv.querySelector('span').textContent = error.message;
+            errorDiv.style.display = 'flex';
+        }
+    });
+}
+
+/* ========================================
+   SIDEBAR PROFILE
+   Shows who is signed in
+   ======================================== */
+
+function updateAdminProfile() {
+    const profileName = document.querySelector('.sidebar-footer .profile-name');
+    if (!profileName) return;
+
+    const admin = getAdminSession()?.admin;
+    profileName.textContent = admin ? admin.username : 'Admin';
+}
+
+/* ========================================
+   ADMIN AUTH FIELDS
+   Hides username/password inputs when a session already exists
+   ======================================== */
+
+function syncAdminAuthFields(section) {
+    if (!section) return;
+
+    const signedIn = hasAdminSession();
+    section.style.display = signedIn ? 'none' : '';
+
+    // Hidden inputs can't be "required" or the form won't submit
+    section.querySelectorAll('input').forEach(input => {
+        input.required = !signedIn;
+    });
+}
+
 /* ============================================
    POPULATE LOCATION DROPDOWNS
    Universal - populates location dropdowns in all modals
@@ -25,7 +636,7 @@ async function populateLocationDropdowns() {
 
         // Populate ALL modal location dropdowns
         const modalLocationSelects = document.querySelectorAll(
-            '#memberLocation, #checkinLocation, #editLocation, #staffLocationSelect, #trainerLocation'
+            '#memberLocation, #checkinLocation, #editLocation, #staffLocationSelect, #trainerLocation, #importLocation'
         );
 
         modalLocationSelects.forEach(select => {
@@ -55,6 +666,217 @@ async function populateLocationDropdowns() {
     }
 }
 
+/* ============================================
+   MEMBERSHIP PLANS
+   Loaded once from /api/plans, shared by every page
+   ============================================ */
+
+// One request per page load, even if several scripts ask for plans
+let membershipPlansPromise = null;
+
+function loadMembershipPlans() {
+    if (!membershipPlansPromise) {
+        membershipPlansPromise = fetch(`${API_BASE_URL}/plans`)
+            .then(response => response.json())
+            .then(data => data.plans || [])
+            .catch(error => {
+                console.error('❌ Failed to load membership plans:', error);
+                membershipPlansPromise = null;
+                return [];
+            });
+    }
+
+    return membershipPlansPromise;
+}
+
+// "$50/mo", "$135/qtr", "$540/yr"
+function formatPlanPrice(plan) {
+    const suffix = { monthly: 'mo', quarterly: 'qtr', annual: 'yr' }[plan.billing_interval] || 'mo';
+    return `$${plan.price}/${suffix}`;
+}
+
+/* ============================================
+   POPULATE PLAN DROPDOWNS
+   Sign-up/edit selects only offer ACTIVE plans,
+   the members filter lists every plan
+   ============================================ */
+
+async function populatePlanDropdowns() {
+    const plans = await loadMembershipPlans();
+    const activePlans = plans.filter(plan => plan.is_active);
+
+    document.querySelectorAll('#memberPlan, #editPlan').forEach(select => {
+        select.innerHTML = '';
+        activePlans.forEach(plan => {
+            const option = document.createElement('option');
+            option.value = plan.name;
+            option.textContent = `${plan.name} (${formatPlanPrice(plan)})`;
+            select.appendChild(option);
+        });
+    });
+
+    const planFilter = document.getElementById('planFilter');
+    if (planFilter) {
+        planFilter.innerHTML = '<option value="">All Plans</option>';
+        plans.forEach(plan => {
+            const option = document.createElement('option');
+            option.value = plan.name;
+            option.textContent = plan.name;
+            planFilter.appendChild(option);
+        });
+    }
+}
+
+/* ============================================
+   LIST PAGER
+   Previous / Next under server-paged lists
+   Pages are cursor based - the API hands back next_cursor
+   ============================================ */
+
+const LIST_PAGE_SIZE = 50;
+
+// onPageChange() re-fetches the list with pager.params()
+function createListPager(containerId, onPageChange) {
+    const container = document.getElementById(containerId);
+
+    // cursors[n] = the cursor that loads page n (page 0 needs none)
+    let cursors = [null];
+    let page = 0;
+
+    container.innerHTML = `
+        <span class="list-pagination-info">---</span>
+        <div class="list-pagination-actions">
+            <button type="button" class="btn ghost small" data-page="prev" disabled>
+                <i class="fa-solid fa-chevron-left"></i>
+                Previous
+            </button>
+            <button type="button" class="btn ghost small" data-page="next" disabled>
+                Next
+                <i class="fa-solid fa-chevron-right"></i>
+            </button>
+        </div>
+    `;
+
+    const info = container.querySelector('.list-pagination-info');
+    const prevBtn = container.querySelector('[data-page="prev"]');
+    const nextBtn = container.querySelector('[data-page="next"]');
+
+    prevBtn.addEventListener('click', () => {
+        if (page === 0) return;
+        page--;
+        onPageChange();
+    });
+
+    nextBtn.addEventListener('click', () => {
+        if (!cursors[page + 1]) return;
+        page++;
+        onPageChange();
+    });
+
+    return {
+        // limit + cursor for the page being shown
+        params() {
+            return cursors[page] ? { limit: LIST_PAGE_SIZE, cursor: cursors[page] } : { limit: LIST_PAGE_SIZE };
+        },
+
+        // Filters or sort changed - back to the first page
+        reset() {
+            cursors = [null];
+            page = 0;
+        },
+
+        update(pagination, rowCount) {
+            // Last row on this page was deleted - step back a page
+            if (rowCount === 0 && page > 0) {
+                page--;
+                onPageChange();
+                return;
+            }
+
+            cursors[page + 1] = pagination.next_cursor;
+            cursors.length = page + 2;
+
+            const first = pagination.total === 0 ? 0 : page * LIST_PAGE_SIZE + 1;
+            const last = page * LIST_PAGE_SIZE + rowCount;
+
+            info.textContent = `Showing ${first}-${last} of ${pagination.total.toLocaleString()}`;
+            prevBtn.disabled = page === 0;
+            nextBtn.disabled = !pagination.next_cursor;
+        }
+    };
+}
+
+/* ============================================
+   EXPORT MENU
+   Export button + CSV/XLSX/PDF options on list pages
+   getParams() = the page's current filters + sort
+   ============================================ */
+
+function setupExportMenu(menuId, url, getParams) {
+    const menu = document.getElementById(menuId);
+    if (!menu) return;
+
+    const toggle = menu.querySelector('.export-toggle');
+
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.classList.toggle('open');
+    });
+
+    // Click anywhere else = close
+    document.addEventListener('click', () => menu.classList.remove('open'));
+
+    menu.querySelectorAll('[data-format]').forEach(option => {
+        option.addEventListener('click', async () => {
+            menu.classList.remove('open');
+            toggle.disabled = true;
+
+            try {
+                await downloadExport(url, getParams(), option.dataset.format);
+            } catch (error) {
+                console.error('❌ Export failed:', error);
+                showNotification(error.message, 'error');
+            } finally {
+                toggle.disabled = false;
+            }
+        });
+    });
+}
+
+// Same query the list uses + format -> file download
+async function downloadExport(url, params, format) {
+    const query = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+        // 'all' / empty = no filter, same as the list fetch
+        if (value !== null && value !== undefined && value !== '' && value !== 'all') {
+            query.append(key, value);
+        }
+    });
+    query.append('format', format);
+
+    const response = await adminFetch(`${url}?${query.toString()}`);
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || data.error || 'Export failed');
+    }
+
+    // attachment; filename="members-2026-03-01.csv"
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `export.${format}`;
+
+    const blob = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
 /* ============================================
    AUTO-FORMAT PHONE NUMBERS
    Formats phone input to (XXX) XXX-XXXX as user types
@@ -130,7 +952,7 @@ const addMemberForm = document.getElementById('addMemberForm');
             submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Adding...';
             
             try {
-                const response = await fetch(`${API_BASE_URL}/members`, {
+                const response = await adminFetch(`${API_BASE_URL}/members`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
@@ -270,7 +1092,7 @@ if (addStaffForm) {
         submitBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Adding...';
 
         try {
-            const response = await fetch(`${API_BASE_URL}/staff`, {
+            const response = await adminFetch(`${API_BASE_URL}/staff`, {
                 method: 'POST', 
                 headers: {
                     'Content-Type': 'application/json'
@@ -335,52 +1157,71 @@ if (addStaffForm) {
    Universal - accessible from sidebar on all pages
    ============================================ */
 
-// Store all members for autocomplete (will be populated on page load)
-let allMembers = [];
-
 /* ============================================
-   FETCH ALL MEMBERS FOR CHECK-IN SEARCH
-   Called on page load to populate autocomplete
+   SEARCH MEMBERS FOR CHECK-IN
+   Asks the server - the autocomplete never loads the whole member list
    ============================================ */
 
-async function fetchAllMembersForCheckIn() {
+async function searchMembersForCheckIn(query) {
+    const params = new URLSearchParams({ status: 'active', search: query, sort: 'name', limit: 5 });
+
     try {
-        const response = await fetch(`${API_BASE_URL}/members`);
+        const response = await fetch(`${API_BASE_URL}/members?${params.toString()}`);
         const data = await response.json();
-        allMembers = data.members || [];
-    } catch {
-        console.error('❌ Failed to fetch members for check-in:', error);
+        return data.members || [];
+    } catch (error) {
+        console.error('❌ Failed to search members for check-in:', error);
+        return [];
     }
 }
 
 /* ============================================
    SUBMIT CHECK-IN
    Handles member check-in form modal
+   overrideReason = let the member in despite failed
+   check-in rules (needs 'checkins.override', logged)
+   card = QR scanned from the member's card - the server
+   refuses forged, expired or someone else's cards
    ============================================ */
 
-async function submitCheckIn(memberId, locationId) {
+async function submitCheckIn(memberId, locationId, overrideReason = null, card = null) {
         console.log(`🏋️ Checking in member ${memberId} at location ${locationId}`);
 
         try {
             // Call check-in API
-            const response = await fetch(`${API_BASE_URL}/members/${memberId}/check-in`, {
+            const response = await adminFetch(`${API_BASE_URL}/members/${memberId}/check-in`, {
                 method: 'POST', 
                 headers: {
                     'Content-Type': 'application/json'
                 }, 
                 body: JSON.stringify({
-                    location_id: locationId
+                    location_id: locationId, 
+                    ...(card ? { card } : {}), 
+                    ...(overrideReason ? { override: true, override_reason: overrideReason } : {})
                 })
             });
 
             const data = await response.json();
 
+            // Check-in rules said no - show why (and offer the override)
+            if (response.status === 403 && data.check_in_denial) {
+                showCheckInNotification(data.check_in_denial, {
+                    denied: true, 
+                    onOverride: (reason) => submitCheckIn(memberId, locationId, reason, card)
+                });
+
+                return false;
+            }
+
             // Handle validation errors (429, 400, etc)
             if (!response.ok) {
                 if (data.error === 'Validation failed') {
                     // Show validation errors
                     const errorMsg = data.details.map(d => d.msg).join('\n');
                     showNotification(`Check-in failed: ${errorMsg}`, 'error');
+                } else if (typeof data.details === 'string') {
+                    // e.g. Card not accepted: This membership card has expired...
+                    showNotification(`${data.error}: ${data.details}`, 'error');
                 } else {
                     showNotification(data.error || 'Check-in failed', 'error');
                 }
@@ -394,8 +1235,13 @@ async function submitCheckIn(memberId, locationId) {
             // Show success notification card
             showCheckInNotification(data.check_in);
 
-            // Close the modal
+            // Close the modal and clear it for the next member
             closeCheckInModal();
+            const memberInput = document.getElementById('checkInMemberId');
+            const locationInput = document.getElementById('checkinLocation');
+            if (memberInput) memberInput.value = '';
+            if (locationInput) locationInput.value = '';
+            scannedCheckInCard = null;
 
             // If member panel is open, update the count
             const panelMemberId = document.getElementById('editMemberBtn')?.dataset.memberId;
@@ -415,30 +1261,47 @@ async function submitCheckIn(memberId, locationId) {
 /* ========================================
    SHOW CHECK-IN NOTIFICATION
    Displays a notification card when member checks in
+   options.denied = checkIn is a check_in_denial: the card lists
+   the reasons and stays until closed (front desk has to act on it)
    ======================================== */
 
-function showCheckInNotification(checkIn) {
+function showCheckInNotification(checkIn, options = {}) {
+        const denied = options.denied === true;
 
-        // Format time (e.g., "10:30 AM")
-        const checkInTime = new Date(checkIn.check_in_time);
+        // Failed rules: why it was denied, or which ones were overridden
+        const reasons = denied ? checkIn.reasons : (checkIn.overridden_reasons || []);
+        const overridden = !denied && reasons.length > 0;
+
+        // Near capacity in 'warn' mode - checked in, but staff should know
+        const warnings = denied ? [] : (checkIn.warnings || []);
+        const warned = !overridden && warnings.length > 0;
+
+        // Format time (e.g., "10:30 AM") - a denial happened just now
+        const checkInTime = denied ? new Date() : new Date(checkIn.check_in_time);
         const timeString = checkInTime.toLocaleTimeString('en-US', {
             hour: 'numeric', 
             minute: '2-digit', 
             hour12: true
         });
 
+        const title = denied ? 'Check-In Denied'
+            : overridden ? 'Checked In (Override)'
+            : warned ? 'Checked In (Near Capacity)'
+            : 'Check-In Successful';
+
         // Create notification element
         const notification = document.createElement('div');
-        notification.className = 'check-in-notification success';
+        notification.className = `check-in-notification ${denied ? 'denied' : (overridden || warned) ? 'overridden' : 'success'}`;
         notification.innerHTML = `
             <div class="notification-header">
                 <div class="notification-icon">
-                    <i class="fa-solid fa-check"></i>
+                    <i class="fa-solid fa-${denied ? 'ban' : (overridden || warned) ? 'triangle-exclamation' : 'check'}"></i>
                 </div>
-                <div class="notification-title">Check-In Successful</div>
+                <div class="notification-title">${title}</div>
+                ${denied ? '<button type="button" class="notification-close" aria-label="Dismiss">&times;</button>' : ''}
             </div>
             <div class="notification-body">
-                <div class="notification-member">${checkIn.member_name}</div>
+                <div class="notification-member"></div>
                 <div class="notification-details">
                     <div class="notification-time">
                         <i class="fa-regular fa-clock"></i>
@@ -446,26 +1309,149 @@ function showCheckInNotification(checkIn) {
                     </div>
                     <div class="notification-location">
                         <i class="fa-solid fa-location-dot"></i>
-                        <span>${checkIn.location_name}</span>
+                        <span></span>
                     </div>
+                    ${checkIn.occupancy ? `
+                    <div class="notification-occupancy">
+                        <i class="fa-solid fa-users"></i>
+                        <span>${checkIn.occupancy.occupancy}/${checkIn.occupancy.capacity} in now</span>
+                    </div>` : ''}
                 </div>
+                <ul class="notification-reasons"></ul>
             </div>
         `;
 
+        // Names and reasons as text - never as HTML
+        notification.querySelector('.notification-member').textContent = checkIn.member_name;
+        notification.querySelector('.notification-location span').textContent = checkIn.location_name;
+
+        const reasonList = notification.querySelector('.notification-reasons');
+        [...reasons, ...warnings].forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = reason.message;
+            reasonList.appendChild(item);
+        });
+        if (reasons.length === 0 && warnings.length === 0) reasonList.remove();
+
         // Add to container
         const container = document.getElementById('checkInNotifications');
         container.appendChild(notification);
 
-        // Auto-dismiss after 4 seconds
-        setTimeout(() => {
+        const dismiss = () => {
             notification.classList.add('fade-out');
 
             // Remove from DOM after animation
             setTimeout(() => {
                 notification.remove();
             }, 500);    // Match fadeOut animation duration
-        }, 6000);
+        };
+
+        if (denied) {
+            notification.querySelector('.notification-close').addEventListener('click', dismiss);
+
+            if (checkIn.can_override && options.onOverride) {
+                const overrideBtn = document.createElement('button');
+                overrideBtn.type = 'button';
+                overrideBtn.className = 'btn ghost small notification-override';
+                overrideBtn.textContent = 'Override & Check In';
+                notification.querySelector('.notification-body').appendChild(overrideBtn);
+
+                overrideBtn.addEventListener('click', async () => {
+                    const reason = prompt(`Why is ${checkIn.member_name} being let in anyway? (saved in the audit log)`);
+                    if (!reason || !reason.trim()) return;
+
+                    overrideBtn.disabled = true;
+                    if (await options.onOverride(reason.trim())) {
+                        dismiss();
+                    } else {
+                        overrideBtn.disabled = false;
+                    }
+                });
+            }
+
+            return;
+        }
+
+        // Auto-dismiss after 6 seconds
+        setTimeout(dismiss, 6000);
+    }
+
+/* ========================================
+   LIVE EVENTS
+   One Server-Sent Events connection per page
+   (backend/utils/liveEvents.js)
+   ======================================== */
+
+// Usage:
+//   subscribeLiveEvents({
+//       check_in: ({ check_in, occupancy }) => { ... },
+//       payment: ({ action, payment }) => { ... }
+//   });
+// Events: check_in, check_out, payment, low_stock, reorder, transfer
+// The stream needs an admin session (token from POST /api/events/token).
+// Without one the page just doesn't get live updates until someone signs in.
+// The browser reconnects on its own after a network drop; once the server
+// turns the old token down we fetch a new one and reopen.
+
+let liveEventSource = null;
+let liveEventsConnecting = false;
+const liveEventListeners = [];
+
+function subscribeLiveEvents(handlers) {
+    if (!window.EventSource) return;
+
+    Object.entries(handlers).forEach(([type, handler]) => {
+        const listener = (event) => {
+            try {
+                handler(JSON.parse(event.data));
+            } catch (error) {
+                console.error(`❌ Live ${type} event failed:`, error);
+            }
+        };
+
+        // Kept so a reopened stream gets the same handlers
+        liveEventListeners.push([type, listener]);
+        liveEventSource?.addEventListener(type, listener);
+    });
+
+    connectLiveEvents();
+}
+
+async function connectLiveEvents() {
+    if (!window.EventSource || liveEventListeners.length === 0) return;
+    if (liveEventSource || liveEventsConnecting || !hasAdminSession()) return;
+
+    liveEventsConnecting = true;
+
+    try {
+        const response = await adminFetch(`${API_BASE_URL}/events/token`, { method: 'POST' });
+        if (!response.ok) return;
+
+        const { token } = await response.json();
+        const source = new EventSource(`${API_BASE_URL}/events?token=${encodeURIComponent(token)}`);
+
+        liveEventListeners.forEach(([type, listener]) => source.addEventListener(type, listener));
+
+        // CLOSED = the server refused to reconnect (token expired) - start over
+        source.addEventListener('error', () => {
+            if (source.readyState !== EventSource.CLOSED || liveEventSource !== source) return;
+
+            liveEventSource = null;
+            setTimeout(connectLiveEvents, 5000);
+        });
+
+        liveEventSource = source;
+    } catch (error) {
+        console.error('❌ Live events connection failed:', error);
+    } finally {
+        liveEventsConnecting = false;
     }
+}
+
+function disconnectLiveEvents() {
+    liveEventSource?.close();
+    liveEventSource = null;
+}
 
 /* ========================================
    GENERIC NOTIFICATION (for errors, etc)
@@ -513,8 +1499,17 @@ function closeCheckInModal() {
 /* ========================================
    CHECK-IN MEMBER SEARCH
    Autocomplete search for check-in modal with location auto-fill
+   A USB scanner reading a membership card types its QR
+   (GFC1:M-0001:...) + Enter - that picks the member directly
    ======================================== */
 
+// QR of the card scanned into the check-in search (sent with the check-in)
+let scannedCheckInCard = null;
+
+function isMembershipCardCode(value) {
+    return /^GFC1:/i.test(value.trim());
+}
+
 function setupCheckInSearch() {
         const searchInput = document.getElementById('checkinSearch');
         const memberIdInput = document.getElementById('checkInMemberId');
@@ -528,23 +1523,31 @@ function setupCheckInSearch() {
         resultsDiv.className = 'search-results.dropdown';
         searchInput.parentElement.appendChild(resultsDiv);
 
-        // Search as user types
+        let searchTimeout = null;
+        let latestQuery = '';
+
+        // Search as user types (once typing pauses)
         searchInput.addEventListener('input', (e) => {
-            const query = e.target.value.trim().toLowerCase();
+            const query = e.target.value.trim();
+            latestQuery = query;
+            scannedCheckInCard = null;
+            clearTimeout(searchTimeout);
 
-            if (query.length < 2) {
+            // A card being scanned - wait for the scanner's Enter
+            if (query.length < 2 || isMembershipCardCode(query)) {
                 resultsDiv.style.display = 'none';
                 return;
             }
 
-            // Filter active members only
-            const matches = allMembers.filter(member => {
-                if (member.status !== 'active') return false;
+            searchTimeout = setTimeout(() => showCheckInMatches(query), 250);
+        });
+
+        async function showCheckInMatches(query) {
+            // Active members only, max 5 results
+            const matches = await searchMembersForCheckIn(query);
 
-                return member.name.toLowerCase().includes(query) || 
-                       member.email.toLowerCase().includes(query) || 
-                       member.member_id.toLowerCase().includes(query);
-            }).slice(0, 5); // Max 5 results
+            // Typed more while this was loading - a newer search will answer
+            if (query !== latestQuery) return;
 
             if (matches.length === 0) {
                 resultsDiv.innerHTML = '<div class="search-no-results">No active members found</div>';
@@ -567,42 +1570,72 @@ function setupCheckInSearch() {
             // Handle result clicks
             resultsDiv.querySelectorAll('.search-result-item').forEach(item => {
                 item.addEventListener('click', () => {
-                    const memberId = item.dataset.memberId;
-                    const memberLocationId = item.dataset.locationId;
-                    const memberName = item.querySelector('.search-result-name').textContent;
-
-                    // Set the hidden field
-                    memberIdInput.value = memberId;
-
-                    // Store original location for comparison
-                    memberLocationInput.value = memberLocationId;
-
-                    // Update search box to show selected member
-                    searchInput.value = memberName;
-
-                    // Auto-fill location dropdown
-                    const locationSelect = document.getElementById('checkinLocation');
-                    locationSelect.value = memberLocationId;
-
-                    // Visual feedback (green border flash)
-                    locationSelect.style.borderColor = 'var(--color-success)';
-                    locationSelect.style.transition = 'border-color 0.3s ease';
-                    setTimeout(() => {
-                        locationSelect.style.borderColor = '';
-                    }, 1500);
-
-                    // Hide location warning (if visible from previous selection)
-                    const warningDiv = document.getElementById('locationWarning');
-                    if (warningDiv) {
-                        warningDiv.style.display = 'none';
-                    }
-
-                    // Hide results
-                    resultsDiv.style.display = 'none';
+                    selectCheckInMember(
+                        item.dataset.memberId, 
+                        item.dataset.locationId, 
+                        item.querySelector('.search-result-name').textContent
+                    );
                 });
             });
+        }
+
+        // Scanned card: look the member up by the member ID inside the QR
+        // (the signature is checked by the server on check-in)
+        searchInput.addEventListener('keydown', async (e) => {
+            if (e.key !== 'Enter' || !isMembershipCardCode(searchInput.value)) return;
+
+            // Don't let the scanner's Enter submit the form
+            e.preventDefault();
+
+            const card = searchInput.value.trim().toUpperCase();
+            const memberCode = card.split(':')[1] || '';
+            const matches = memberCode ? await searchMembersForCheckIn(memberCode) : [];
+            const member = matches.find(match => match.member_id === memberCode);
+
+            if (!member) {
+                showNotification('No active member found for this card', 'error');
+                searchInput.value = '';
+                return;
+            }
+
+            selectCheckInMember(member.id, member.location_id, member.name);
+            scannedCheckInCard = card;
+            searchInput.value = `${member.name} (card)`;
         });
 
+        function selectCheckInMember(memberId, memberLocationId, memberName) {
+            scannedCheckInCard = null;
+
+            // Set the hidden field
+            memberIdInput.value = memberId;
+
+            // Store original location for comparison
+            memberLocationInput.value = memberLocationId;
+
+            // Update search box to show selected member
+            searchInput.value = memberName;
+
+            // Auto-fill location dropdown
+            const locationSelect = document.getElementById('checkinLocation');
+            locationSelect.value = memberLocationId;
+
+            // Visual feedback (green border flash)
+            locationSelect.style.borderColor = 'var(--color-success)';
+            locationSelect.style.transition = 'border-color 0.3s ease';
+            setTimeout(() => {
+                locationSelect.style.borderColor = '';
+            }, 1500);
+
+            // Hide location warning (if visible from previous selection)
+            const warningDiv = document.getElementById('locationWarning');
+            if (warningDiv) {
+                warningDiv.style.display = 'none';
+            }
+
+            // Hide results
+            resultsDiv.style.display = 'none';
+        }
+
         // Hide results when clicking outside
         document.addEventListener('click', (e) => {
             if (!searchInput.contains(e.target) && !resultsDiv.contains(e.target)) {
@@ -655,12 +1688,24 @@ document.addEventListener('DOMContentLoaded', () => {
     // Populate location dropdowns FIRST (needed for all modals)
     populateLocationDropdowns();
 
+    // Membership plans for the add/edit member forms
+    populatePlanDropdowns();
+
+    // Show signed-in admin + wire up the sidebar logout button
+    updateAdminProfile();
+
+    const logoutBtn = document.querySelector('.logout-btn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', async () => {
+            await adminLogout();
+            updateAdminProfile();
+            showNotification('Signed out', 'success');
+        });
+    }
+
     // Setup phone auto-formatting
     setupPhoneFormatting();
 
-    // Fetch members for autocomplete
-    fetchAllMembersForCheckIn();
-
     // Setup autocomplete search
     setupCheckInSearch();
 
@@ -696,17 +1741,11 @@ document.addEventListener('DOMContentLoaded', () => {
             btn.disabled = true;
 
             // Submit check-in
-            const success = await submitCheckIn(memberId, locationId);
+            await submitCheckIn(memberId, locationId, null, scannedCheckInCard);
 
-            // Restore button
+            // Restore button (submitCheckIn clears the form on success)
             btn.innerHTML = originalText;
             btn.disabled = false;
-
-            // Clear form if successful
-            if (success) {
-                document.getElementById('checkInMemberId').value = '';
-                document.getElementById('checkinLocation').value = '';
-            }
         });
     }
 });
@@ -825,7 +1864,7 @@ if (addTrainerForm) {
 
         try {
             // Send POST request to /api/trainers
-            const response = await fetch(`${API_BASE_URL}/staff/trainers`, {
+            const response = await adminFetch(`${API_BASE_URL}/staff/trainers`, {
                 method: 'POST', 
                 headers: {
                     'Content-Type': 'application/json'